@@ -0,0 +1,120 @@
+// addressUsage.js
+// Used-address detection and range checks for the derived target and change addresses. next_index only
+// counts the addresses the wallet handed out itself: after a restore from seed, or when the same keys hand
+// out addresses elsewhere, the address at next_index may already have received funds. Candidates are
+// checked against the wallet's history (getreceivedbyaddress) and used ones are skipped. The wallet only
+// watches the descriptor's range, and wallets restoring from seed stop looking after a gap of unused
+// addresses; derived indexes close to either limit are reported, and the range can be extended first.
+import logger from './logger.js';
+import { makeRpcCall, makeRpcBatch } from './rpcClient.js';
+import { descriptorAtIndex } from './descriptorParser.js';
+
+const DEFAULT_GAP_LIMIT = 20; // BIP-44
+const MAX_SKIPPED_USED = 1000;
+
+// Problems with the addressDerivation section: { skipUsed?, gapLimit?, extendRange? }
+function addressDerivationProblems(settings) {
+    if (typeof settings !== 'object' || settings === null) return ["addressDerivation must be an object."];
+    const problems = [];
+    const { skipUsed, gapLimit, extendRange } = settings;
+    if (skipUsed !== undefined && typeof skipUsed !== 'boolean') problems.push("addressDerivation.skipUsed must be true or false.");
+    if (gapLimit !== undefined && !(Number.isInteger(gapLimit) && gapLimit > 0)) problems.push("addressDerivation.gapLimit must be a positive integer.");
+    if (extendRange !== undefined && typeof extendRange !== 'boolean') problems.push("addressDerivation.extendRange must be true or false.");
+    return problems;
+}
+
+function gapLimitOf(config) {
+    return config.addressDerivation?.gapLimit ?? DEFAULT_GAP_LIMIT;
+}
+
+// The used indexes among [from, to] of a ranged descriptor: Set of indexes whose address received anything,
+// unconfirmed receipts included (getreceivedbyaddress with minconf 0). One batch to derive, one to check.
+async function usedIndexes(config, descriptor, from, to) {
+    const indexes = Array.from({ length: to - from + 1 }, (unused, i) => from + i);
+    const addresses = (await makeRpcBatch(config, indexes.map(index => ({ method: 'deriveaddresses', params: [descriptorAtIndex(descriptor, index).descriptor] }))))
+        .map(result => result[0]);
+    const received = await makeRpcBatch(config, addresses.map(address => ({ method: 'getreceivedbyaddress', params: [address, 0] })), config.sourceContext.operatingWalletName);
+    return new Set(indexes.filter((index, i) => Number(received[i]) > 0));
+}
+
+// The index to derive for a target: the offset-th (0-based) unused index at or after firstFree. Offline, and with
+// addressDerivation.skipUsed false, nothing is checked and that is firstFree + offset. descriptorInfo: the
+// listdescriptors entry. Returns { index, skipped: [used indexes passed over], lastUsed: highest index known to be
+// handed out or used (-1 if none) }
+async function pickUnusedIndex(config, descriptor, descriptorInfo, firstFree, offset) {
+    const lastHandedOut = descriptorInfo.next_index - 1;
+    if (config.offlineNode || config.addressDerivation?.skipUsed === false) {
+        return { index: firstFree + offset, skipped: [], lastUsed: lastHandedOut };
+    }
+    // Indexes beyond the range are not watched by the wallet, so they have no history to check
+    const rangeEnd = descriptorInfo.range?.[1] ?? Infinity;
+    const window = gapLimitOf(config);
+    const skipped = [];
+    let lastUsed = lastHandedOut;
+    let unusedSeen = 0;
+    let from = firstFree;
+    while (from <= rangeEnd) {
+        const to = Math.min(rangeEnd, from + offset - unusedSeen + window - 1);
+        const used = await usedIndexes(config, descriptor, from, to);
+        for (let index = from; index <= to; index++) {
+            if (used.has(index)) {
+                skipped.push(index);
+                lastUsed = Math.max(lastUsed, index);
+                if (skipped.length > MAX_SKIPPED_USED) {
+                    throw new Error(`More than ${MAX_SKIPPED_USED} addresses of '${descriptor}' from index ${firstFree} on have already received funds; the wallet's next_index is far behind its history. Check that this is the right descriptor.`);
+                }
+            } else if (unusedSeen++ === offset) {
+                return { index, skipped, lastUsed };
+            }
+        }
+        from = to + 1;
+    }
+    return { index: from + (offset - unusedSeen), skipped, lastUsed };
+}
+
+// Extends the descriptor's range in the operating wallet (importdescriptors) to end at rangeEnd, keeping its
+// start and whether it is active and internal. timestamp 'now': the new addresses are fresh, so nothing is rescanned.
+async function extendDescriptorRange(config, descriptor, descriptorInfo, rangeEnd) {
+    const { operatingWalletName } = config.sourceContext;
+    const request = {
+        desc: descriptor,
+        range: [descriptorInfo.range?.[0] ?? 0, rangeEnd],
+        timestamp: 'now',
+        ...(descriptorInfo.active !== undefined ? { active: descriptorInfo.active } : {}),
+        ...(descriptorInfo.internal !== undefined ? { internal: descriptorInfo.internal } : {}),
+    };
+    const [result] = await makeRpcCall(config, 'importdescriptors', [[request]], operatingWalletName);
+    if (!result?.success) {
+        throw new Error(`Could not extend the range of '${descriptor}' to ${rangeEnd} in wallet '${operatingWalletName}': ${result?.error?.message ?? JSON.stringify(result)}`);
+    }
+    (result.warnings ?? []).forEach(warning => logger.warn(`importdescriptors: ${warning}`));
+    logger.info(`Extended the range of ${descriptor} to [${request.range.join(', ')}] in wallet '${operatingWalletName}'.`);
+}
+
+// Checks the index to derive against the descriptor's range and the gap limit (see pickUnusedIndex for lastUsed).
+// An index beyond the range would pay an address the wallet does not watch: with addressDerivation.extendRange the
+// range is extended first (online only, and not in a dry run), otherwise this throws. Close to the range end or past
+// the gap limit it warns.
+async function checkDerivationRange(config, descriptor, descriptorInfo, index, lastUsed) {
+    const gapLimit = gapLimitOf(config);
+    const rangeEnd = descriptorInfo.range?.[1];
+    if (rangeEnd !== undefined && index > rangeEnd - gapLimit) {
+        const extend = config.addressDerivation?.extendRange === true;
+        if (extend && !config.offlineNode && config.dryRun) {
+            logger.info(`Index ${index} of ${descriptor} is close to or beyond the end of its range (${rangeEnd}); 'create' will extend the range to ${index + gapLimit}.`);
+        } else if (extend && !config.offlineNode) {
+            await extendDescriptorRange(config, descriptor, descriptorInfo, index + gapLimit);
+        } else if (index > rangeEnd) {
+            throw new Error(`Index ${index} of '${descriptor}' is beyond the end of its range (${rangeEnd}) in wallet '${config.sourceContext.operatingWalletName}', which would not see payments to it. ${config.offlineNode
+                ? "Extend the range on the online node (importdescriptors) and export the snapshot again."
+                : "Set addressDerivation.extendRange to extend it with importdescriptors, or extend it yourself."}`);
+        } else {
+            logger.warn(`Index ${index} of ${descriptor} is within ${gapLimit} addresses of the end of its range (${rangeEnd}); set addressDerivation.extendRange or extend the range with importdescriptors.`);
+        }
+    }
+    if (index - lastUsed > gapLimit) {
+        logger.warn(`Index ${index} of ${descriptor} is ${index - lastUsed} addresses past the last used one (${lastUsed < 0 ? 'none used yet' : `index ${lastUsed}`}): a wallet restored from seed with a gap limit of ${gapLimit} will not find payments to it until the addresses in between are used. Broadcast or release pending PSBTs, or raise the gap limit of the restoring wallet.`);
+    }
+}
+
+export { addressDerivationProblems, pickUnusedIndex, checkDerivationRange, DEFAULT_GAP_LIMIT };
@@ -0,0 +1,153 @@
+// allocation.js
+import Decimal from 'decimal.js';
+
+const REMAINDER_MODES = ['fee', 'outputs'];
+
+// One targetDescriptors entry: a plain descriptor string (weight 1) or an object of the form
+// { descriptor, weight } | { descriptor, percent } | { descriptor, amountSats }. Throws if it is invalid.
+function parseTargetEntry(entry, index) {
+    if (typeof entry === 'string') {
+        return { descriptor: entry, type: 'weight', value: new Decimal(1) };
+    }
+    if (!entry || typeof entry !== 'object' || typeof entry.descriptor !== 'string') {
+        throw new Error(`Invalid targetDescriptors[${index}]: must be a descriptor string or an object with a 'descriptor' string.`);
+    }
+
+    const specified = ['weight', 'percent', 'amountSats'].filter(key => entry[key] !== undefined);
+    if (specified.length > 1) {
+        throw new Error(`Invalid targetDescriptors[${index}]: specify only one of weight, percent or amountSats (got ${specified.join(', ')}).`);
+    }
+
+    if (entry.amountSats !== undefined) {
+        const isInteger = Number.isSafeInteger(entry.amountSats) || (typeof entry.amountSats === 'string' && /^\d+$/.test(entry.amountSats));
+        if (!isInteger) {
+            throw new Error(`Invalid targetDescriptors[${index}].amountSats: must be a positive integer number of satoshis.`);
+        }
+        const amount = BigInt(entry.amountSats);
+        if (amount <= 0n) {
+            throw new Error(`Invalid targetDescriptors[${index}].amountSats: must be a positive integer number of satoshis.`);
+        }
+        return { descriptor: entry.descriptor, type: 'fixed', value: amount };
+    }
+    if (entry.percent !== undefined) {
+        if (typeof entry.percent !== 'number' || !(entry.percent > 0) || entry.percent > 100) {
+            throw new Error(`Invalid targetDescriptors[${index}].percent: must be a number greater than 0 and at most 100.`);
+        }
+        return { descriptor: entry.descriptor, type: 'percent', value: new Decimal(entry.percent.toString()) };
+    }
+    const weight = entry.weight ?? 1;
+    if (typeof weight !== 'number' || !(weight > 0) || !Number.isFinite(weight)) {
+        throw new Error(`Invalid targetDescriptors[${index}].weight: must be a positive number.`);
+    }
+    return { descriptor: entry.descriptor, type: 'weight', value: new Decimal(weight.toString()) };
+}
+
+// Problems with the targetDescriptors section: every invalid entry, or, when all entries are valid, the
+// shares they add up to
+function targetAllocationProblems(targetDescriptors) {
+    if (!Array.isArray(targetDescriptors) || targetDescriptors.length === 0) {
+        return ["targetDescriptors must be a non-empty array."];
+    }
+    const problems = [];
+    const allocations = [];
+    targetDescriptors.forEach((entry, index) => {
+        try {
+            allocations.push(parseTargetEntry(entry, index));
+        } catch (error) {
+            problems.push(error.message);
+        }
+    });
+    if (problems.length > 0) return problems;
+
+    const totalPercent = allocations
+        .filter(a => a.type === 'percent')
+        .reduce((sum, a) => sum.add(a.value), new Decimal(0));
+    const hasWeights = allocations.some(a => a.type === 'weight');
+    const hasPercents = allocations.some(a => a.type === 'percent');
+
+    if (totalPercent.greaterThan(100)) {
+        problems.push(`Target percentages add up to ${totalPercent.toFixed()}%, which exceeds 100%.`);
+    } else if (hasWeights && totalPercent.equals(100)) {
+        problems.push("Target percentages add up to 100%, leaving nothing for the weighted targets.");
+    } else if (!hasWeights && !hasPercents) {
+        problems.push("At least one target must receive a share of the remaining value (weight or percent); fixed amounts alone cannot absorb the balance.");
+    } else if (!hasWeights && !totalPercent.equals(100)) {
+        problems.push(`Target percentages add up to ${totalPercent.toFixed()}% with no weighted targets; they must add up to exactly 100%.`);
+    }
+
+    return problems;
+}
+
+// Normalizes the targetDescriptors config entries into allocation objects (see parseTargetEntry)
+function parseTargetAllocations(targetDescriptors) {
+    const problems = targetAllocationProblems(targetDescriptors);
+    if (problems.length > 0) throw new Error(problems.join(' '));
+    return targetDescriptors.map(parseTargetEntry);
+}
+
+// Returns true if every target is an equal weight, i.e. the classic even split
+function isEvenAllocation(allocations) {
+    return allocations.every(a => a.type === 'weight' && a.value.equals(allocations[0].value));
+}
+
+// Short human-readable description of an allocation rule (for summaries)
+function describeAllocation(allocation, allocations) {
+    if (allocation.type === 'fixed') return `fixed ${allocation.value} sats`;
+    if (allocation.type === 'percent') return `${allocation.value.toFixed()}%`;
+    if (isEvenAllocation(allocations)) return 'even share';
+    return `weight ${allocation.value.toFixed()}`;
+}
+
+// Splits valueToDistribute (BigInt) across the allocations.
+// Fixed amounts are served first, then percentages of what is left, then weights share the rest.
+// Every share is floored; the indivisible remainder is either returned (to be absorbed by the fee)
+// or, with remainderMode 'outputs', handed out one satoshi at a time by largest fractional part,
+// ties broken by config order. The result is fully deterministic.
+// Returns { amounts: BigInt[] (same order as allocations), remainder: BigInt } or null if the fixed
+// amounts cannot be covered.
+function allocateOutputs(valueToDistribute, allocations, remainderMode = 'fee') {
+    const fixedTotal = allocations
+        .filter(a => a.type === 'fixed')
+        .reduce((sum, a) => sum + a.value, 0n);
+    if (valueToDistribute < fixedTotal) {
+        return null;
+    }
+
+    const afterFixed = new Decimal((valueToDistribute - fixedTotal).toString());
+    const exactShares = allocations.map(() => null); // Decimal, for non-fixed targets only
+
+    allocations.forEach((a, i) => {
+        if (a.type === 'percent') {
+            exactShares[i] = afterFixed.mul(a.value).div(100);
+        }
+    });
+    const percentTotalFloored = exactShares.reduce((sum, s) => (s ? sum.add(s.floor()) : sum), new Decimal(0));
+    const afterPercent = afterFixed.sub(percentTotalFloored);
+
+    const totalWeight = allocations
+        .filter(a => a.type === 'weight')
+        .reduce((sum, a) => sum.add(a.value), new Decimal(0));
+    allocations.forEach((a, i) => {
+        if (a.type === 'weight') {
+            exactShares[i] = afterPercent.mul(a.value).div(totalWeight);
+        }
+    });
+
+    const amounts = allocations.map((a, i) => (a.type === 'fixed' ? a.value : BigInt(exactShares[i].floor().toFixed())));
+    let remainder = valueToDistribute - amounts.reduce((sum, amount) => sum + amount, 0n);
+
+    if (remainderMode === 'outputs' && remainder > 0n) {
+        const order = allocations
+            .map((a, i) => ({ i, fraction: exactShares[i] ? exactShares[i].sub(exactShares[i].floor()) : null }))
+            .filter(entry => entry.fraction !== null)
+            .sort((x, y) => y.fraction.comparedTo(x.fraction) || x.i - y.i);
+        for (let k = 0; remainder > 0n; k = (k + 1) % order.length) {
+            amounts[order[k].i] += 1n;
+            remainder -= 1n;
+        }
+    }
+
+    return { amounts, remainder };
+}
+
+export { parseTargetAllocations, targetAllocationProblems, allocateOutputs, isEvenAllocation, describeAllocation, REMAINDER_MODES };
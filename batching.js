@@ -0,0 +1,119 @@
+// batching.js
+// Splits a large consolidation into several standard-size transactions. Each batch gets its own
+// fee, outputs and PSBT file; see buildConsolidationPlans() in consolidation.js.
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import { estimateInputWeights, inputSpendVBytes } from './inputWeights.js';
+
+const MAX_STANDARD_TX_VBYTES = 100000; // Bitcoin Core's MAX_STANDARD_TX_WEIGHT (400000 WU)
+const BATCH_ADDRESS_MODES = ['successive', 'same'];
+// Conservative size of everything but the inputs: version, locktime, counts, segwit marker/flag,
+// and the largest standard output (P2TR/P2WSH, 43 vB) per target
+const TX_OVERHEAD_VBYTES = 11;
+const MAX_OUTPUT_VBYTES = 43;
+
+// Batching settings from config.batching, with defaults. Without a batching section a consolidation
+// is still split when it would exceed the standard size limit.
+function batchingSettings(config) {
+    const batching = config.batching ?? {};
+    return {
+        maxInputs: batching.maxInputsPerBatch ?? null,
+        maxVBytes: batching.maxVBytesPerBatch ?? MAX_STANDARD_TX_VBYTES,
+        addresses: batching.addresses ?? 'successive',
+    };
+}
+
+// Partitions the selected inputs (in selection order) into batches that stay under the input count
+// and vsize caps. The vsize of a batch is estimated from the signed size of each input plus the
+// worst-case overhead for outputCount outputs; the fee search measures the real size afterwards.
+// Returns utxo[][]
+function partitionInputs(config, inputs, outputCount) {
+    const settings = batchingSettings(config);
+    const weights = estimateInputWeights(inputs, config.feeOptions?.estimatedWitnessVBytesPerInput);
+    const spendVBytes = new Map(weights.inputs.map(input => [input.key, inputSpendVBytes(input)]));
+    const overhead = TX_OVERHEAD_VBYTES + MAX_OUTPUT_VBYTES * outputCount;
+
+    const batches = [];
+    let current = [];
+    let currentVBytes = overhead;
+    for (const utxo of inputs) {
+        const vbytes = spendVBytes.get(`${utxo.txid}:${utxo.vout}`);
+        if (overhead + vbytes > settings.maxVBytes) {
+            throw new Error(`Input ${utxo.txid}:${utxo.vout} (~${Math.ceil(vbytes)} vB) does not fit in a batch of at most ${settings.maxVBytes} vB with ${outputCount} output(s); raise batching.maxVBytesPerBatch.`);
+        }
+        const full = (settings.maxInputs !== null && current.length >= settings.maxInputs) || currentVBytes + vbytes > settings.maxVBytes;
+        if (current.length > 0 && full) {
+            batches.push(current);
+            current = [];
+            currentVBytes = overhead;
+        }
+        current.push(utxo);
+        currentVBytes += vbytes;
+    }
+    if (current.length > 0) batches.push(current);
+
+    if (batches.length > 1) {
+        logger.info(`Splitting ${inputs.length} inputs into ${batches.length} batches (at most ${settings.maxInputs !== null ? `${settings.maxInputs} inputs and ` : ''}${settings.maxVBytes} vB each).`);
+    }
+    return batches;
+}
+
+// Conservative signed vsize of one batch spending inputs to outputCount outputs, as partitionInputs estimates it
+// (without building the transaction). Fractional, as witness data is counted in WU / 4.
+function estimateBatchVBytes(config, inputs, outputCount) {
+    const weights = estimateInputWeights(inputs, config.feeOptions?.estimatedWitnessVBytesPerInput);
+    return TX_OVERHEAD_VBYTES + MAX_OUTPUT_VBYTES * outputCount + weights.inputs.reduce((sum, input) => sum + inputSpendVBytes(input), 0);
+}
+
+// PSBT file of batch number (1-based) out of count: the configured file itself for a single batch,
+// otherwise "<name>.batch<number>.psbt"
+function batchPsbtFilePath(psbtFilePath, number, count) {
+    if (count === 1) return psbtFilePath;
+    const base = psbtFilePath.endsWith('.psbt') ? psbtFilePath.slice(0, -5) : psbtFilePath;
+    return `${base}.batch${number}.psbt`;
+}
+
+// Totals over the plans of all batches (sats as BigInt, economics as Decimals)
+function combinePlans(plans) {
+    const sum = select => plans.reduce((total, plan) => total + select(plan), 0n);
+    const sumDecimal = select => plans.reduce((total, plan) => total.add(select(plan)), new Decimal(0));
+    const withFuture = plans.every(plan => plan.economics.costLaterSats !== null);
+    return {
+        batchCount: plans.length,
+        inputCount: plans.reduce((total, plan) => total + plan.inputs.length, 0),
+        outputCount: plans.reduce((total, plan) => total + plan.outputs.length, 0),
+        totalInputValue: sum(plan => plan.totalInputValue),
+        totalOutputValue: sum(plan => plan.totalOutputValue),
+        totalFee: sum(plan => plan.fee.finalFee),
+        estimatedVBytes: plans.reduce((total, plan) => total + plan.fee.breakdown.estimatedVBytes, 0),
+        feeNowSats: sumDecimal(plan => plan.economics.feeNowSats),
+        costLaterSats: withFuture ? sumDecimal(plan => plan.economics.costLaterSats) : null,
+        savingsSats: withFuture ? sumDecimal(plan => plan.economics.savingsSats) : null,
+    };
+}
+
+// Plain JSON view of combinePlans()
+function combinedToJson(combined) {
+    return {
+        batchCount: combined.batchCount,
+        inputCount: combined.inputCount,
+        outputCount: combined.outputCount,
+        totalInputSats: Number(combined.totalInputValue),
+        totalOutputSats: Number(combined.totalOutputValue),
+        totalFeeSats: Number(combined.totalFee),
+        estimatedVBytes: combined.estimatedVBytes,
+        costLaterSats: combined.costLaterSats?.toNumber() ?? null,
+        savingsSats: combined.savingsSats?.toNumber() ?? null,
+    };
+}
+
+export {
+    batchingSettings,
+    partitionInputs,
+    estimateBatchVBytes,
+    batchPsbtFilePath,
+    combinePlans,
+    combinedToJson,
+    MAX_STANDARD_TX_VBYTES,
+    BATCH_ADDRESS_MODES
+};
@@ -0,0 +1,178 @@
+// bip32.js
+// Public-key-only BIP-32 derivation and the secp256k1 arithmetic it needs (no private keys are ever handled).
+import { base58CheckDecode, hash160, hmacSha512, taggedHash } from './bitcoinEncoding.js';
+
+const P = 0xfffffffffffffffffffffffffffffffffffffffffffffffffffffffefffffc2fn;
+const N = 0xfffffffffffffffffffffffffffffffebaaedce6af48a03bbfd25e8cd0364141n;
+const G = {
+    x: 0x79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798n,
+    y: 0x483ada7726a3c4655da4fbfc0e1108a8fd17b448a68554199c47d08ffb10d4b8n,
+};
+
+const XPUB_VERSIONS = {
+    '0488b21e': 'mainnet', // xpub
+    '043587cf': 'testnet', // tpub (also used on regtest/signet)
+};
+
+function mod(a, m = P) {
+    const r = a % m;
+    return r >= 0n ? r : r + m;
+}
+
+function modPow(base, exponent, m = P) {
+    let result = 1n;
+    let b = mod(base, m);
+    let e = exponent;
+    while (e > 0n) {
+        if (e & 1n) result = (result * b) % m;
+        b = (b * b) % m;
+        e >>= 1n;
+    }
+    return result;
+}
+
+function modInverse(a, m = P) {
+    // Extended Euclid; m is prime so the inverse exists for a != 0
+    let [oldR, r] = [mod(a, m), m];
+    let [oldS, s] = [1n, 0n];
+    while (r !== 0n) {
+        const q = oldR / r;
+        [oldR, r] = [r, oldR - q * r];
+        [oldS, s] = [s, oldS - q * s];
+    }
+    return mod(oldS, m);
+}
+
+// Affine point addition; null is the point at infinity
+function pointAdd(a, b) {
+    if (a === null) return b;
+    if (b === null) return a;
+    if (a.x === b.x) {
+        if (mod(a.y + b.y) === 0n) return null;
+        const lambda = mod(3n * a.x * a.x * modInverse(2n * a.y));
+        const x = mod(lambda * lambda - 2n * a.x);
+        return { x, y: mod(lambda * (a.x - x) - a.y) };
+    }
+    const lambda = mod((b.y - a.y) * modInverse(b.x - a.x));
+    const x = mod(lambda * lambda - a.x - b.x);
+    return { x, y: mod(lambda * (a.x - x) - a.y) };
+}
+
+function pointMultiply(point, scalar) {
+    let result = null;
+    let addend = point;
+    let k = scalar;
+    while (k > 0n) {
+        if (k & 1n) result = pointAdd(result, addend);
+        addend = pointAdd(addend, addend);
+        k >>= 1n;
+    }
+    return result;
+}
+
+function bufferToBigInt(buffer) {
+    return BigInt('0x' + buffer.toString('hex'));
+}
+
+function bigIntToBuffer(value, length = 32) {
+    return Buffer.from(value.toString(16).padStart(length * 2, '0'), 'hex');
+}
+
+// Lifts an x coordinate to the point with the requested y parity
+function liftX(x, oddY = false) {
+    if (x >= P) throw new Error("Public key x coordinate is out of range.");
+    const ySquared = mod(x * x * x + 7n);
+    const y = modPow(ySquared, (P + 1n) / 4n);
+    if (mod(y * y) !== ySquared) throw new Error("Public key is not on the secp256k1 curve.");
+    return { x, y: (y & 1n) === (oddY ? 1n : 0n) ? y : P - y };
+}
+
+function decodePublicKey(buffer) {
+    if (buffer.length === 33 && (buffer[0] === 0x02 || buffer[0] === 0x03)) {
+        return liftX(bufferToBigInt(buffer.subarray(1)), buffer[0] === 0x03);
+    }
+    if (buffer.length === 65 && buffer[0] === 0x04) {
+        const point = { x: bufferToBigInt(buffer.subarray(1, 33)), y: bufferToBigInt(buffer.subarray(33)) };
+        if (mod(point.y * point.y) !== mod(point.x ** 3n + 7n)) throw new Error("Public key is not on the secp256k1 curve.");
+        return point;
+    }
+    if (buffer.length === 32) {
+        return liftX(bufferToBigInt(buffer)); // x-only key (BIP-340)
+    }
+    throw new Error(`Invalid public key encoding (${buffer.length} bytes).`);
+}
+
+function encodePublicKey(point) {
+    return Buffer.concat([Buffer.from([(point.y & 1n) ? 0x03 : 0x02]), bigIntToBuffer(point.x)]);
+}
+
+// Parses a base58 extended public key into its components
+function parseExtendedPublicKey(xpub) {
+    const data = base58CheckDecode(xpub);
+    if (data.length !== 78) throw new Error(`Extended key '${xpub}' has invalid length ${data.length}.`);
+    const versionHex = data.subarray(0, 4).toString('hex');
+    const network = XPUB_VERSIONS[versionHex];
+    if (!network) {
+        throw new Error(`Extended key '${xpub.slice(0, 8)}...' is not an xpub/tpub (version ${versionHex}). Private keys are not supported.`);
+    }
+    const publicKey = data.subarray(45, 78);
+    decodePublicKey(publicKey); // Validates the point
+    return {
+        network,
+        depth: data[4],
+        parentFingerprint: data.subarray(5, 9),
+        childNumber: data.readUInt32BE(9),
+        chainCode: data.subarray(13, 45),
+        publicKey,
+    };
+}
+
+// Non-hardened public child derivation (CKDpub)
+function deriveChildPublicKey(node, index) {
+    if (index >= 0x80000000) {
+        throw new Error(`Cannot derive hardened child ${index - 0x80000000}' from a public key.`);
+    }
+    const indexBuffer = Buffer.alloc(4);
+    indexBuffer.writeUInt32BE(index);
+    const I = hmacSha512(node.chainCode, Buffer.concat([node.publicKey, indexBuffer]));
+    const tweak = bufferToBigInt(I.subarray(0, 32));
+    if (tweak >= N) throw new Error(`Invalid child key at index ${index} (tweak out of range).`);
+    const childPoint = pointAdd(pointMultiply(G, tweak), decodePublicKey(node.publicKey));
+    if (childPoint === null) throw new Error(`Invalid child key at index ${index} (point at infinity).`);
+    return {
+        network: node.network,
+        depth: node.depth + 1,
+        parentFingerprint: fingerprint(node.publicKey),
+        childNumber: index,
+        chainCode: I.subarray(32),
+        publicKey: encodePublicKey(childPoint),
+    };
+}
+
+function derivePublicPath(node, path) {
+    return path.reduce((current, index) => deriveChildPublicKey(current, index), node);
+}
+
+// First 4 bytes of HASH160 of a compressed public key
+function fingerprint(publicKey) {
+    return hash160(publicKey).subarray(0, 4);
+}
+
+// BIP-341 key-path-only output key: P + H_TapTweak(P) * G, returned x-only
+function taprootOutputKey(internalKey /* 32-byte x-only Buffer */) {
+    const internalPoint = liftX(bufferToBigInt(internalKey));
+    const tweak = bufferToBigInt(taggedHash('TapTweak', internalKey));
+    if (tweak >= N) throw new Error("Taproot tweak out of range.");
+    const outputPoint = pointAdd(internalPoint, pointMultiply(G, tweak));
+    return bigIntToBuffer(outputPoint.x);
+}
+
+export {
+    parseExtendedPublicKey,
+    deriveChildPublicKey,
+    derivePublicPath,
+    decodePublicKey,
+    encodePublicKey,
+    fingerprint,
+    taprootOutputKey
+};
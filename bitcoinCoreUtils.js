@@ -1,9 +1,15 @@
 // bitcoinCoreUtils.js
+import Decimal from 'decimal.js';
 import logger from './logger.js';
-import { makeRpcCall } from './rpcClient.js';
-import { btcToSats } from './utils.js';
+import { makeRpcCall, makeRpcBatch } from './rpcClient.js';
+import { descriptorAtIndex } from './descriptorParser.js';
+import { pickUnusedIndex, checkDerivationRange } from './addressUsage.js';
+import { btcToSats, convertFeeRateWithSource } from './utils.js';
+import { isWitnessProgram } from './bitcoinEncoding.js';
+import { SNAPSHOT_VERSION } from './offlineNode.js';
 
 const MIN_CORE_VERSION = 240000; // Format used by getnetworkinfo (e.g., 240100)
+const RPC_INVALID_ADDRESS_OR_KEY = -5;
 
 // Verify Bitcoin Core version
 async function checkCoreVersion(config) {
@@ -23,9 +29,8 @@ async function checkCoreVersion(config) {
   logger.info(`Bitcoin Core version check passed (Version: ${networkInfo.version}).`);
 }
 
-// Verify the operating wallet is a descriptor wallet
-async function checkWalletIsDescriptor(config) {
-  const walletName = config.sourceContext.operatingWalletName;
+// Verify a wallet (default: the operating wallet) is a descriptor wallet
+async function checkWalletIsDescriptor(config, walletName = config.sourceContext.operatingWalletName) {
   logger.debug(`Checking if wallet '${walletName}' is a descriptor wallet...`);
   try {
     const walletInfo = await makeRpcCall(config, 'getwalletinfo', [], walletName);
@@ -50,26 +55,27 @@ async function checkWalletIsDescriptor(config) {
     }
   } catch (error) {
      if (error.message.includes("Requested wallet does not exist") || error.message.includes("Wallet not found")) {
-        throw new Error(`Wallet '${config.sourceContext.operatingWalletName}' not found or not loaded in Bitcoin Core.`);
+        throw new Error(`Wallet '${walletName}' not found or not loaded in Bitcoin Core.`);
      }
       // Re-throw other errors (like connection errors, auth errors)
       throw new Error(`Failed to check wallet status for '${walletName}'. Ensure it exists, is loaded, and is a descriptor wallet. Original error: ${error.message}`);
   }
 }
 
-// List confirmed, spendable UTXOs for the sourceAddress
-async function listSourceUtxos(config) {
-  const { operatingWalletName, sourceAddress } = config.sourceContext;
-  logger.debug(`Listing UTXOs for source address: ${sourceAddress} in wallet: ${operatingWalletName}`);
+// List confirmed, spendable UTXOs at the source addresses of one source (default: the operating wallet's, see sources.js)
+// minConfirmations: 1 (confirmed only) unless the caller filters confirmations itself (see inputSelection.js)
+async function listSourceUtxos(config, minConfirmations = 1, source = config.sources[0]) {
+  const { wallet, addresses } = source;
+  if (addresses.length === 0) return [];
+  logger.debug(`Listing UTXOs for source addresses: ${addresses.join(', ')} in wallet: ${wallet}`);
 
-  const minConfirmations = 1; // Must be confirmed
   const utxos = await makeRpcCall(config, 'listunspent', [
     minConfirmations, // minconf
     9999999,        // maxconf
-    [sourceAddress], // addresses array
+    addresses,      // addresses array
     true,           // include_unsafe (true needed to get spendable flag reliably)
     { minimumAmount: 0.00000001 } // filter dust if desired
-  ], operatingWalletName);
+  ], wallet);
 
   // Filter further for 'spendable' and convert amount to BigInt sats
   const spendableUtxos = utxos
@@ -81,27 +87,28 @@ async function listSourceUtxos(config) {
       amount: btcToSats(utxo.amount), // Convert to BigInt sats immediately
       confirmations: utxo.confirmations,
       spendable: utxo.spendable,
+      scriptPubKey: utxo.scriptPubKey,
+      desc: utxo.desc, // Fully-resolved descriptor (when solvable), used for signed size estimation
       parent_descs: utxo.parent_descs || [], // Ensure parent_descs exists
+      wallet, // The wallet that can sign for it
     }));
 
-  logger.info(`Found ${spendableUtxos.length} confirmed, spendable UTXOs for source address ${sourceAddress}.`);
+  logger.info(`Found ${spendableUtxos.length} spendable UTXOs with at least ${minConfirmations} confirmation(s) for source address${addresses.length === 1 ? '' : 'es'} ${addresses.join(', ')} in wallet '${wallet}'.`);
   logger.trace('Source Address UTXOs:', spendableUtxos);
   return spendableUtxos;
 }
 
-// List all confirmed, spendable UTXOs in the wallet to check parent_descs
-async function listWalletUtxos(config) {
-    const { operatingWalletName } = config.sourceContext;
-    logger.debug(`Listing all confirmed, spendable UTXOs in wallet: ${operatingWalletName} to check target descriptor derivation...`);
+// List all confirmed, spendable UTXOs in a wallet (default: the operating wallet) to check parent_descs
+async function listWalletUtxos(config, minConfirmations = 1, walletName = config.sourceContext.operatingWalletName) {
+    logger.debug(`Listing all spendable UTXOs with at least ${minConfirmations} confirmation(s) in wallet: ${walletName} to check target descriptor derivation...`);
 
-    const minConfirmations = 1; // Must be confirmed
     const utxos = await makeRpcCall(config, 'listunspent', [
         minConfirmations, // minconf
         9999999,        // maxconf
         [],             // addresses array - empty for all
         true,           // include_unsafe
         { minimumAmount: 0.00000001 }
-    ], operatingWalletName);
+    ], walletName);
 
     // Filter for spendable, ensure parent_descs, convert amount to BigInt sats
     const allSpendableUtxos = utxos
@@ -113,32 +120,102 @@ async function listWalletUtxos(config) {
             amount: btcToSats(utxo.amount),
             confirmations: utxo.confirmations,
             spendable: utxo.spendable,
+            scriptPubKey: utxo.scriptPubKey,
+            desc: utxo.desc,
             parent_descs: utxo.parent_descs,
+            wallet: walletName,
         }));
 
-    logger.debug(`Found ${allSpendableUtxos.length} total confirmed, spendable UTXOs in wallet ${operatingWalletName}.`);
+    logger.debug(`Found ${allSpendableUtxos.length} total spendable UTXOs in wallet ${walletName}.`);
     logger.trace('All Wallet UTXOs (candidates for target matching):', allSpendableUtxos);
     return allSpendableUtxos;
 }
 
 
+// Outpoints locked in a wallet (default: the operating wallet) with lockunspent, as a Set of "txid:vout"
+async function listLockedOutpoints(config, walletName = config.sourceContext.operatingWalletName) {
+    const locked = await makeRpcCall(config, 'listlockunspent', [], walletName);
+    return new Set((locked ?? []).map(entry => `${entry.txid}:${entry.vout}`));
+}
+
+// Locks outpoints ("txid:vout") in the wallet that owns them (default: the operating wallet). persistent: the
+// locks survive a node restart (stored in the wallet database, Core >= 23).
+async function lockOutpoints(config, outpoints, persistent = true, walletName = config.sourceContext.operatingWalletName) {
+    if (outpoints.length === 0) return;
+    const result = await makeRpcCall(config, 'lockunspent', [false, outpoints.map(parseOutpoint), persistent], walletName);
+    if (result !== true) {
+        throw new Error(`lockunspent did not lock the inputs. Response: ${JSON.stringify(result)}`);
+    }
+    logger.info(`Locked ${outpoints.length} input(s) in wallet '${walletName}'${persistent ? ' (persistent)' : ''}.`);
+}
+
+// Unlocks outpoints; ones that are not locked (any more) are skipped, as lockunspent would reject them
+async function unlockOutpoints(config, outpoints, walletName = config.sourceContext.operatingWalletName) {
+    const locked = await listLockedOutpoints(config, walletName);
+    const toUnlock = outpoints.filter(outpoint => locked.has(outpoint));
+    if (toUnlock.length === 0) return 0;
+    const result = await makeRpcCall(config, 'lockunspent', [true, toUnlock.map(parseOutpoint)], walletName);
+    if (result !== true) {
+        throw new Error(`lockunspent did not unlock the inputs. Response: ${JSON.stringify(result)}`);
+    }
+    return toUnlock.length;
+}
+
+// Outpoints ("txid:vout") that are no longer unspent: gettxout (mempool included) returns null for them
+async function findSpentOutpoints(config, outpoints) {
+    const results = await makeRpcBatch(config, outpoints.map(outpoint => {
+        const { txid, vout } = parseOutpoint(outpoint);
+        return { method: 'gettxout', params: [txid, vout, true] };
+    }));
+    return new Set(outpoints.filter((outpoint, i) => results[i] === null));
+}
+
+// Confirmation status of a wallet transaction: { confirmations, blockHeight } (confirmations < 0: conflicted),
+// or null if the wallet does not know the txid
+async function getWalletTxStatus(config, txid) {
+    let walletTx;
+    try {
+        walletTx = await makeRpcCall(config, 'gettransaction', [txid], config.sourceContext.operatingWalletName);
+    } catch (error) {
+        if (error.rpcCode === RPC_INVALID_ADDRESS_OR_KEY) return null; // "Invalid or non-wallet transaction id"
+        throw error;
+    }
+    return { confirmations: walletTx.confirmations, blockHeight: walletTx.blockheight ?? null };
+}
+
+function parseOutpoint(outpoint) {
+    const [txid, vout] = outpoint.split(':');
+    return { txid, vout: Number(vout) };
+}
+
 // Filter wallet UTXOs based on matching targetDescriptors in parent_descs
-function filterTargetUtxos(walletUtxos, targetDescriptors) {
-    logger.debug(`Filtering wallet UTXOs against ${targetDescriptors.length} target descriptors...`);
+// label: what the descriptors are, for logging ('target' or 'source')
+function filterTargetUtxos(walletUtxos, targetDescriptors, label = 'target') {
+    logger.debug(`Filtering wallet UTXOs against ${targetDescriptors.length} ${label} descriptors...`);
     const targetDescriptorSet = new Set(targetDescriptors); // Efficient lookup
 
-    const matchedUtxos = walletUtxos.filter(utxo =>
-        utxo.parent_descs.some(desc => targetDescriptorSet.has(desc))
-    );
+    const matchedUtxos = walletUtxos
+        .filter(utxo => utxo.parent_descs.some(desc => targetDescriptorSet.has(desc)))
+        .map(utxo => ({ ...utxo, matchedDescriptor: utxo.parent_descs.find(desc => targetDescriptorSet.has(desc)) }));
 
-    logger.info(`Found ${matchedUtxos.length} UTXOs derived from target descriptors.`);
+    logger.info(`Found ${matchedUtxos.length} UTXOs derived from ${label} descriptors.`);
     logger.trace('Target Descriptor Matched UTXOs:', matchedUtxos);
     return matchedUtxos;
 }
 
 
 // Derive the next unused address for each target descriptor (CORRECTED - uses getdescriptorinfo)
+// Returns Map<targetDescriptorString, derivedAddressString>
 async function deriveOutputAddresses(config) {
+    const details = await deriveOutputAddressDetails(config);
+    return new Map(details.map(d => [d.descriptor, d.address]));
+}
+
+// Same derivation, returning [{ descriptor, address, index, derivedDescriptor }] in config order
+// indexOffset: derive the address that many unused indexes after next_index (successive addresses for batches)
+// freeIndexes: Map<descriptor, first index not handed out yet> (see journal.js); used when above next_index.
+// Used addresses are skipped and the index is checked against the descriptor's range (see addressUsage.js)
+async function deriveOutputAddressDetails(config, indexOffset = 0, freeIndexes = new Map()) {
     const { operatingWalletName } = config.sourceContext;
     const { targetDescriptors } = config;
     logger.debug(`Deriving next addresses for ${targetDescriptors.length} target descriptors in wallet: ${operatingWalletName}`);
@@ -153,8 +230,8 @@ async function deriveOutputAddresses(config) {
     const descriptorMap = new Map();
     listResult.descriptors.forEach(d => descriptorMap.set(d.desc, d));
 
-    const derivedAddresses = new Map(); // Map<targetDescriptorString, derivedAddressString>
-
+    // Work out every concrete descriptor first, so all targets can be resolved in one batch
+    const specifics = [];
     for (const targetDesc of targetDescriptors) {
         logger.trace(`Processing target descriptor: ${targetDesc}`);
         const descInfoFromList = descriptorMap.get(targetDesc); // Get info listed in wallet
@@ -173,87 +250,167 @@ async function deriveOutputAddresses(config) {
             throw new Error(`Could not find 'next_index' for target descriptor '${targetDesc}' in listdescriptors output. Is the range set correctly? Descriptor details: ${JSON.stringify(descInfoFromList)}`);
         }
 
-        const nextIndex = descInfoFromList.next_index;
-        logger.debug(`Found next_index ${nextIndex} for descriptor ${targetDesc}`);
-
-        // --- CHECKSUM FIX V2: Use getdescriptorinfo ---
-
-        // 1. Ensure the expected patterns exist before splitting/replacing
-        if (!targetDesc.includes('/*')) {
-            throw new Error(`Target descriptor '${targetDesc}' does not contain the expected '/*' wildcard pattern for derivation.`);
+        const firstFree = Math.max(descInfoFromList.next_index, freeIndexes.get(targetDesc) ?? 0);
+        if (firstFree > descInfoFromList.next_index) {
+            const skipped = firstFree - 1 > descInfoFromList.next_index ? `indexes ${descInfoFromList.next_index}..${firstFree - 1}` : `index ${descInfoFromList.next_index}`;
+            logger.info(`Skipping ${skipped} of ${targetDesc}: already handed out by earlier runs (see journalFile).`);
         }
-        if (!targetDesc.includes('#')) {
-             logger.warn(`Input target descriptor '${targetDesc}' seems to be missing a checksum ('#').`);
+        // Addresses that already received funds (restored wallet, addresses handed out elsewhere) are skipped too
+        const { index: nextIndex, skipped: usedSkipped, lastUsed } = await pickUnusedIndex(config, targetDesc, descInfoFromList, firstFree, indexOffset);
+        if (usedSkipped.length > 0) {
+            logger.warn(`Skipping used ${usedSkipped.length > 1 ? `indexes ${usedSkipped.join(', ')}` : `index ${usedSkipped[0]}`} of ${targetDesc}: already received funds although next_index is ${descInfoFromList.next_index}.`);
         }
+        logger.debug(`Found next_index ${descInfoFromList.next_index} for descriptor ${targetDesc}${nextIndex !== descInfoFromList.next_index ? `, deriving index ${nextIndex}` : ''}`);
+        await checkDerivationRange(config, targetDesc, descInfoFromList, nextIndex, lastUsed);
 
-        // 2. Get the descriptor part BEFORE the original checksum
-        const descriptorBase = targetDesc.split('#')[0];
-
-        // 3. Replace the wildcard /* with the specific /index
-        const specificDescPath = descriptorBase.replace('/*', `/${nextIndex}`);
+        // 1. The concrete descriptor of that index: every wildcard of every key (multisig, script trees) replaced,
+        //    hardened ones keeping their marker. Its checksum is computed locally (BIP-380), so deriveaddresses
+        //    does not have to wait for getdescriptorinfo
+        const { body: specificDescPath, descriptor: withChecksum } = descriptorAtIndex(targetDesc, nextIndex);
         logger.trace(`Constructed specific descriptor path (checksum-less): ${specificDescPath}`);
+        specifics.push({ targetDesc, nextIndex, specificDescPath, withChecksum });
+    }
 
-        // 4. Call getdescriptorinfo to get the descriptor WITH the correct checksum
-        //    This command works at the node level, does not need wallet context here.
-        let descriptorWithCorrectChecksum;
-        try {
-             logger.trace(`Calling getdescriptorinfo for: ${specificDescPath}`);
-             const descInfoResult = await makeRpcCall(config, 'getdescriptorinfo', [specificDescPath]); // No wallet needed
-             if (!descInfoResult || typeof descInfoResult.descriptor !== 'string') {
-                 throw new Error(`getdescriptorinfo did not return expected descriptor string. Result: ${JSON.stringify(descInfoResult)}`);
-             }
-             descriptorWithCorrectChecksum = descInfoResult.descriptor;
-             logger.debug(`getdescriptorinfo returned descriptor with checksum: ${descriptorWithCorrectChecksum}`);
-        } catch (error) {
-             logger.error(`getdescriptorinfo failed for path '${specificDescPath}': ${error.message}`);
-             throw new Error(`Could not get descriptor info (and checksum) for path '${specificDescPath}'. Original error: ${error.message}`);
-        }
-
-
-        // 5. Call deriveaddresses using the descriptor WITH the correct checksum
-        logger.trace(`Calling deriveaddresses with: ${descriptorWithCorrectChecksum}`);
-        // This *does* need the wallet context
-        const deriveResult = await makeRpcCall(config, 'deriveaddresses', [descriptorWithCorrectChecksum], operatingWalletName);
-        // --- END OF FIX ---
+    // 2. One round-trip: getdescriptorinfo (checksum cross-check) and deriveaddresses for every target.
+    //    Both are node-level utility RPCs and need no wallet context.
+    const calls = specifics.flatMap(({ specificDescPath, withChecksum }) => [
+        { method: 'getdescriptorinfo', params: [specificDescPath] },
+        { method: 'deriveaddresses', params: [withChecksum] },
+    ]);
+    let results;
+    try {
+        results = await makeRpcBatch(config, calls);
+    } catch (error) {
+        throw new Error(`Could not derive the target addresses: ${error.message}`);
+    }
 
+    const derivedAddresses = specifics.map(({ targetDesc, nextIndex, specificDescPath, withChecksum }, i) => {
+        const descInfoResult = results[2 * i];
+        const deriveResult = results[2 * i + 1];
+        if (!descInfoResult || typeof descInfoResult.checksum !== 'string') {
+            throw new Error(`getdescriptorinfo did not return a checksum for '${specificDescPath}'. Result: ${JSON.stringify(descInfoResult)}`);
+        }
+        if (`${specificDescPath}#${descInfoResult.checksum}` !== withChecksum) {
+            throw new Error(`Checksum mismatch for '${specificDescPath}': computed '${withChecksum.split('#')[1]}', node reports '${descInfoResult.checksum}'.`);
+        }
+        logger.debug(`getdescriptorinfo confirmed descriptor checksum: ${withChecksum}`);
 
         if (!deriveResult || !Array.isArray(deriveResult) || deriveResult.length !== 1 || typeof deriveResult[0] !== 'string') {
-            throw new Error(`Failed to derive address for descriptor '${descriptorWithCorrectChecksum}'. Unexpected result from deriveaddresses: ${JSON.stringify(deriveResult)}`);
+            throw new Error(`Failed to derive address for descriptor '${withChecksum}'. Unexpected result from deriveaddresses: ${JSON.stringify(deriveResult)}`);
         }
 
         const derivedAddress = deriveResult[0];
-        derivedAddresses.set(targetDesc, derivedAddress); // Store using original full descriptor string as key
         logger.info(`Derived address for ${targetDesc} (index ${nextIndex}): ${derivedAddress}`);
-    }
+        return { descriptor: targetDesc, address: derivedAddress, index: nextIndex, derivedDescriptor: withChecksum };
+    });
 
-    if (derivedAddresses.size !== targetDescriptors.length) {
-        throw new Error(`Internal error: Mismatch in derived addresses count. Expected ${targetDescriptors.length}, got ${derivedAddresses.size}.`);
+    if (derivedAddresses.length !== targetDescriptors.length) {
+        throw new Error(`Internal error: Mismatch in derived addresses count. Expected ${targetDescriptors.length}, got ${derivedAddresses.length}.`);
     }
 
-    return derivedAddresses; // Map<targetDescriptorString, derivedAddressString>
+    return derivedAddresses;
 }
 
 
-// Estimate fee rate
+const ESTIMATE_MODES = ['CONSERVATIVE', 'ECONOMICAL'];
+const DEFAULT_ESTIMATE_MODE = 'CONSERVATIVE';
+const ESTIMATE_FAILURE_ACTIONS = ['fallback', 'fail'];
+
+// estimatesmartfee mode from feeOptions.estimateMode
+function estimateModeFor(config) {
+    return config.feeOptions?.estimateMode ?? DEFAULT_ESTIMATE_MODE;
+}
+
+// Estimate fee rate, returning the feerate in BTC/kvB
 async function estimateFeeRate(config) {
+    const { feeRateBtcPerKvB } = await estimateFeeRateDetails(config);
+    return feeRateBtcPerKvB;
+}
+
+// Estimate fee rate and report where it came from:
+// { feeRateBtcPerKvB, source: 'fixed' | 'estimatesmartfee' | 'fallback', mode, targetBlocks, blocks, errors }
+// A fixed rate also comes as satPerVb (Decimal), exactly as configured.
+async function estimateFeeRateDetails(config) {
     const { feeTargetBlocks } = config;
-    const estimateMode = 'CONSERVATIVE';
+    const estimateMode = estimateModeFor(config);
+
+    // A fixed feerate (feeOptions.feeRateSatPerVb or --feerate) skips estimation entirely
+    const fixedRate = config.feeOptions?.feeRateSatPerVb;
+    if (fixedRate !== undefined) {
+        logger.info(`Using fixed feerate: ${fixedRate} sat/vB (estimatesmartfee skipped).`);
+        const satPerVb = new Decimal(fixedRate.toString());
+        // sat/vB -> BTC/kvB (for reports): * 1000 vB/kvB / 100_000_000 sat/BTC
+        const feeRateBtcPerKvB = satPerVb.div(100000).toNumber();
+        return { feeRateBtcPerKvB, satPerVb, source: 'fixed', mode: null, targetBlocks: feeTargetBlocks, blocks: null, errors: [] };
+    }
     logger.debug(`Estimating smart fee rate for target ${feeTargetBlocks} blocks (mode: ${estimateMode})...`);
 
     // Node-level command
     const result = await makeRpcCall(config, 'estimatesmartfee', [feeTargetBlocks, estimateMode]);
+    const details = { mode: estimateMode, targetBlocks: feeTargetBlocks, blocks: result?.blocks ?? null, errors: result?.errors ?? [] };
 
+    let problem = null;
     if (result && Array.isArray(result.errors) && result.errors.length > 0) {
-         logger.warn(`estimatesmartfee returned errors: ${result.errors.join(', ')}. Falling back to minimum feerate.`);
-         return 0.00001000; // Min rate in BTC/kB = 1 sat/vB
+        problem = `estimatesmartfee returned errors: ${result.errors.join(', ')}`;
+    } else if (!result || typeof result.feerate !== 'number' || result.feerate <= 0) {
+        problem = `estimatesmartfee returned invalid feerate or no feerate (result: ${JSON.stringify(result)})`;
     }
-    if (!result || typeof result.feerate !== 'number' || result.feerate <= 0) {
-        logger.warn(`estimatesmartfee returned invalid feerate or no feerate. Falling back to minimum. Result: ${JSON.stringify(result)}`);
-        return 0.00001000;
+    if (problem) {
+        // A 1 sat/vB fallback can leave the transaction unconfirmed for a long time, so it can be refused
+        if (config.feeOptions?.onEstimateFailure === 'fail') {
+            throw new Error(`${problem}. Not falling back to the minimum feerate (feeOptions.onEstimateFailure is 'fail'); set a fixed feerate (feeOptions.feeRateSatPerVb or --feerate) to proceed.`);
+        }
+        logger.warn(`${problem}. Falling back to minimum feerate.`);
+        return { ...details, feeRateBtcPerKvB: 0.00001000, source: 'fallback' }; // Min rate in BTC/kB = 1 sat/vB
     }
 
     logger.info(`Estimated feerate (BTC/kvB): ${result.feerate} (Blocks until confirmation: ${result.blocks ?? 'N/A'})`);
-    return result.feerate; // Feerate in BTC per Kilo-vByte
+    return { ...details, feeRateBtcPerKvB: result.feerate, source: 'estimatesmartfee' }; // Feerate in BTC per Kilo-vByte
+}
+
+// Applies the fee policy to the estimate and reports which rule produced the final rate:
+// { ...estimateFeeRateDetails, satPerVb: Decimal, appliedBy, mempoolFloor: Decimal | null }
+// appliedBy: 'fixed' | 'estimatesmartfee' | 'fallback' (the rate as obtained), 'minimum' (raised to
+// 1 sat/vB) or 'mempool-floor' (raised to the node's mempoolminfee/minrelaytxfee).
+// Limits (feeOptions.maxFeeRateSatPerVb, maxFeeSats) are checked by checkFeeLimits once the fee is known.
+async function resolveFeeRate(config) {
+    const details = await estimateFeeRateDetails(config);
+    // A fixed rate is used as configured (at least 1 sat/vB, see validateConfig), not converted back from BTC/kvB
+    const converted = details.satPerVb ? { satPerVb: details.satPerVb, source: 'rate' } : convertFeeRateWithSource(details.feeRateBtcPerKvB);
+    let satPerVb = converted.satPerVb;
+    let appliedBy = converted.source === 'minimum' ? 'minimum' : details.source;
+
+    let mempoolFloor = null;
+    if (config.feeOptions?.mempoolFloor !== false) {
+        try {
+            const floor = await getMempoolFeeFloor(config);
+            mempoolFloor = Decimal.max(floor.mempoolMinFee, floor.minRelayTxFee);
+        } catch (error) {
+            logger.warn(`Could not read the mempool fee floor, so the feerate is not checked against it: ${error.message}`);
+        }
+    }
+    if (mempoolFloor && satPerVb.lessThan(mempoolFloor)) {
+        if (details.source === 'fixed') {
+            // An explicit rate is never changed, only flagged
+            logger.warn(`Fixed feerate ${satPerVb.toFixed()} sat/vB is below the node's mempool minimum of ${mempoolFloor.toFixed()} sat/vB; the transaction may not be relayed.`);
+        } else {
+            logger.info(`Raising feerate from ${satPerVb.toFixed()} to the node's mempool minimum of ${mempoolFloor.toFixed()} sat/vB.`);
+            satPerVb = mempoolFloor;
+            appliedBy = 'mempool-floor';
+        }
+    }
+    return { ...details, satPerVb, appliedBy, mempoolFloor };
+}
+
+// Aborts when the solved fee breaks feeOptions.maxFeeRateSatPerVb or feeOptions.maxFeeSats
+function checkFeeLimits(config, satPerVb /* Decimal */, feeSats /* BigInt */) {
+    const { maxFeeRateSatPerVb, maxFeeSats } = config.feeOptions ?? {};
+    if (maxFeeRateSatPerVb !== undefined && satPerVb.greaterThan(maxFeeRateSatPerVb)) {
+        throw new Error(`Feerate ${satPerVb.toFixed(2)} sat/vB exceeds feeOptions.maxFeeRateSatPerVb (${maxFeeRateSatPerVb} sat/vB); aborting.`);
+    }
+    if (maxFeeSats !== undefined && feeSats > BigInt(maxFeeSats)) {
+        throw new Error(`Fee of ${feeSats} sats exceeds feeOptions.maxFeeSats (${maxFeeSats} sats); aborting.`);
+    }
 }
 
 // Create Raw Transaction (Helper)
@@ -301,22 +458,232 @@ async function convertToPsbt(config, rawTxHex) {
 }
 
 // Process PSBT using walletprocesspsbt (Helper)
-async function processPsbt(config, psbtBase64) {
-    const { operatingWalletName } = config.sourceContext;
-    logger.trace(`Processing PSBT with wallet ${operatingWalletName} (sign=false, bip32derivs=true)...`);
+// walletNames: every wallet that owns inputs or outputs. Each processes the same unsigned PSBT and adds
+// its own UTXO data and BIP32 derivations; several results are merged with combinepsbt.
+async function processPsbt(config, psbtBase64, walletNames = [config.sourceContext.operatingWalletName]) {
+    const processed = [];
+    for (const walletName of walletNames) {
+        const { psbt } = await walletProcessPsbt(config, psbtBase64, false, walletName);
+        processed.push(psbt);
+    }
+    logger.info(`walletprocesspsbt successful, added wallet data and derivation paths${walletNames.length > 1 ? ` from ${walletNames.length} wallets` : ''}.`);
+    return processed.length === 1 ? processed[0] : combinePsbts(config, processed); // Returns the processed Base64 encoded PSBT
+}
+
+// combinepsbt: merges PSBTs of the same transaction. Returns the combined Base64 PSBT.
+async function combinePsbts(config, psbts) {
+    // Node-level command
+    const combined = await makeRpcCall(config, 'combinepsbt', [psbts]);
+    if (typeof combined !== 'string' || combined.length === 0) {
+        throw new Error("combinepsbt did not return a valid PSBT string.");
+    }
+    return combined;
+}
+
+// Signs with every source wallet in turn (see sources.js); each adds the signatures it can make.
+// Returns { psbt, complete }
+async function signWithSourceWallets(config, psbtBase64) {
+    let result = { psbt: psbtBase64, complete: false };
+    for (const source of config.sources) {
+        result = await walletProcessPsbt(config, result.psbt, true, source.wallet);
+        if (result.complete) break;
+    }
+    return result;
+}
+
+// walletprocesspsbt with optional signing in a wallet (default: the operating wallet). Returns { psbt, complete }.
+async function walletProcessPsbt(config, psbtBase64, sign, walletName = config.sourceContext.operatingWalletName) {
+    logger.trace(`Processing PSBT with wallet ${walletName} (sign=${sign}, bip32derivs=true)...`);
     // Wallet-level command
     const result = await makeRpcCall(config, 'walletprocesspsbt', [
         psbtBase64,
-        false, // sign = false
+        sign,
         "ALL", // sighashtype
         true   // bip32derivs = true
-    ], operatingWalletName);
+    ], walletName);
 
     if (!result || typeof result.psbt !== 'string' || result.psbt.length === 0) {
         throw new Error(`walletprocesspsbt did not return a valid PSBT string in the result. Response: ${JSON.stringify(result)}`);
     }
-    logger.info('walletprocesspsbt successful, added wallet data and derivation paths.');
-    return result.psbt; // Returns the processed Base64 encoded PSBT
+    return { psbt: result.psbt, complete: Boolean(result.complete) };
+}
+
+// decodepsbt + analyzepsbt for a PSBT. Returns { decoded, analysis }.
+async function inspectPsbt(config, psbtBase64) {
+    // Node-level commands, sent together
+    const [decoded, analysis] = await makeRpcBatch(config, [
+        { method: 'decodepsbt', params: [psbtBase64] },
+        { method: 'analyzepsbt', params: [psbtBase64] },
+    ]);
+    return { decoded, analysis };
+}
+
+// finalizepsbt. Returns { hex, complete }; hex is only present once every input is signed.
+async function finalizePsbt(config, psbtBase64) {
+    // Node-level command
+    const result = await makeRpcCall(config, 'finalizepsbt', [psbtBase64, true]);
+    return { hex: result?.hex ?? null, complete: Boolean(result?.complete) };
+}
+
+// testmempoolaccept for one transaction. Returns the node's result entry
+// ({ txid, allowed, vsize, fees: { base }, 'reject-reason' }).
+async function testMempoolAccept(config, rawTxHex) {
+    // Node-level command
+    const result = await makeRpcCall(config, 'testmempoolaccept', [[rawTxHex]]);
+    if (!Array.isArray(result) || result.length !== 1) {
+        throw new Error(`testmempoolaccept returned an unexpected result: ${JSON.stringify(result)}`);
+    }
+    return result[0];
+}
+
+// Lowest feerates the node will currently relay/accept, in sat/vB:
+// { mempoolMinFee, minRelayTxFee } (Decimals; mempoolminfee rises above minrelaytxfee when the mempool is full)
+async function getMempoolFeeFloor(config) {
+    // Node-level command
+    const info = await makeRpcCall(config, 'getmempoolinfo');
+    if (typeof info?.mempoolminfee !== 'number' || typeof info?.minrelaytxfee !== 'number') {
+        throw new Error(`getmempoolinfo did not return mempoolminfee/minrelaytxfee. Result: ${JSON.stringify(info)}`);
+    }
+    // Not convertFeeRateToSatPerVb: its 1 sat/vB floor would hide node settings below 1 sat/vB
+    const toSatPerVb = btcPerKvB => new Decimal(btcPerKvB.toString()).mul(100000);
+    return { mempoolMinFee: toSatPerVb(info.mempoolminfee), minRelayTxFee: toSatPerVb(info.minrelaytxfee) };
+}
+
+// BIP-125 incremental relay feerate (getnetworkinfo incrementalfee), Decimal sat/vB
+async function getIncrementalRelayFee(config) {
+    const info = await makeRpcCall(config, 'getnetworkinfo');
+    if (typeof info?.incrementalfee !== 'number') {
+        throw new Error(`getnetworkinfo did not return incrementalfee. Result: ${JSON.stringify(info)}`);
+    }
+    return new Decimal(info.incrementalfee.toString()).mul(100000);
+}
+
+// A fresh change address of the operating wallet (getrawchangeaddress); addressType: e.g. "bech32", or null for the
+// wallet's -changetype. Handing it out advances the wallet's internal keypool.
+async function getRawChangeAddress(config, addressType = null) {
+    const address = await makeRpcCall(config, 'getrawchangeaddress', addressType ? [addressType] : [], config.sourceContext.operatingWalletName);
+    if (typeof address !== 'string' || address.length === 0) {
+        throw new Error(`getrawchangeaddress did not return an address. Result: ${JSON.stringify(address)}`);
+    }
+    return address;
+}
+
+// getmempoolentry, or null if the transaction is not in the mempool
+async function getMempoolEntry(config, txid) {
+    try {
+        return await makeRpcCall(config, 'getmempoolentry', [txid]);
+    } catch (error) {
+        if (error.rpcCode === RPC_INVALID_ADDRESS_OR_KEY) return null; // "Transaction not in mempool"
+        throw error;
+    }
+}
+
+// Decoded transaction from the mempool (or the wallet, for transactions it knows)
+async function getDecodedTransaction(config, txid) {
+    let hex;
+    try {
+        hex = await makeRpcCall(config, 'getrawtransaction', [txid]);
+    } catch (error) {
+        if (error.rpcCode !== RPC_INVALID_ADDRESS_OR_KEY) throw error;
+        hex = (await makeRpcCall(config, 'gettransaction', [txid], config.sourceContext.operatingWalletName)).hex;
+    }
+    return decodeRawTx(config, hex);
+}
+
+// An output as listunspent would describe it ({ txid, vout, address, amount (BigInt sats), scriptPubKey, desc, wallet }),
+// looked up with gettxout ignoring the mempool, so outputs spent by an unconfirmed transaction are still found.
+// An output of an unconfirmed parent is not in the UTXO set yet; it is taken from the parent in the mempool
+// (confirmations 0). desc and wallet come from the first source wallet that owns the address (getaddressinfo);
+// without one, desc is undefined and the operating wallet is assumed. Returns null if the output is spent on chain.
+async function getChainOutput(config, txid, vout) {
+    let output = await makeRpcCall(config, 'gettxout', [txid, vout, false]);
+    if (!output) {
+        if (!(await getMempoolEntry(config, txid))) return null;
+        const parentOutput = (await getDecodedTransaction(config, txid)).vout.find(candidate => candidate.n === vout);
+        if (!parentOutput) return null;
+        output = { ...parentOutput, confirmations: 0 };
+    }
+    const address = output.scriptPubKey.address ?? null;
+    let info = null;
+    for (const source of address ? config.sources : []) {
+        const candidate = await makeRpcCall(config, 'getaddressinfo', [address], source.wallet);
+        if (candidate?.ismine) {
+            info = { ...candidate, wallet: source.wallet };
+            break;
+        }
+    }
+    return {
+        txid, vout, address, amount: btcToSats(output.value), scriptPubKey: output.scriptPubKey.hex, desc: info?.desc,
+        confirmations: output.confirmations, wallet: info?.wallet ?? config.sourceContext.operatingWalletName,
+    };
+}
+
+// sendrawtransaction. Returns the txid.
+async function sendRawTx(config, rawTxHex) {
+    // Node-level command
+    const txid = await makeRpcCall(config, 'sendrawtransaction', [rawTxHex]);
+    if (typeof txid !== 'string' || txid.length !== 64) {
+        throw new Error(`sendrawtransaction did not return a txid. Response: ${JSON.stringify(txid)}`);
+    }
+    return txid;
+}
+
+// Chain, node and wallet overview for the status command
+async function getNodeStatus(config) {
+    const { operatingWalletName } = config.sourceContext;
+    const chain = await makeRpcCall(config, 'getblockchaininfo');
+    const network = await makeRpcCall(config, 'getnetworkinfo');
+    const wallet = await makeRpcCall(config, 'getwalletinfo', [], operatingWalletName);
+    return { chain, network, wallet };
+}
+
+// Current chain tip: { blocks, bestBlockHash }
+async function getChainTip(config) {
+    // Node-level command
+    const chain = await makeRpcCall(config, 'getblockchaininfo');
+    return { blocks: chain.blocks, bestBlockHash: chain.bestblockhash };
+}
+
+// Collect everything offline mode needs into a JSON-serializable snapshot (see offlineNode.js)
+async function exportSnapshot(config) {
+    const { operatingWalletName } = config.sourceContext;
+    logger.info(`Exporting offline snapshot of wallet '${operatingWalletName}'...`);
+
+    const networkInfo = await makeRpcCall(config, 'getnetworkinfo');
+    // minconf 0 so the snapshot is complete; confirmations are filtered again when it is used
+    const utxos = await makeRpcCall(config, 'listunspent', [0, 9999999, [], true], operatingWalletName);
+    const listResult = await makeRpcCall(config, 'listdescriptors', [false], operatingWalletName);
+    if (!listResult || !Array.isArray(listResult.descriptors)) {
+        throw new Error("Failed to list descriptors or received invalid format.");
+    }
+    const feeResult = await makeRpcCall(config, 'estimatesmartfee', [config.feeTargetBlocks, estimateModeFor(config)]);
+    const mempoolInfo = await makeRpcCall(config, 'getmempoolinfo'); // For the mempool fee floor offline
+    const lockedUnspents = await makeRpcCall(config, 'listlockunspent', [], operatingWalletName);
+
+    // Non-segwit inputs need their full previous transaction in the PSBT
+    const rawTransactions = {};
+    const legacyTxids = new Set(utxos
+        .filter(utxo => !isWitnessProgram(utxo.scriptPubKey ?? ''))
+        .map(utxo => utxo.txid));
+    for (const txid of legacyTxids) {
+        const walletTx = await makeRpcCall(config, 'gettransaction', [txid], operatingWalletName);
+        rawTransactions[txid] = walletTx.hex;
+    }
+
+    logger.info(`Snapshot contains ${utxos.length} UTXOs, ${listResult.descriptors.length} descriptors and ${legacyTxids.size} raw transactions.`);
+    return {
+        version: SNAPSHOT_VERSION,
+        network: config.bitcoinCore.network,
+        createdAt: new Date().toISOString(),
+        walletName: operatingWalletName,
+        node: { version: networkInfo.version },
+        utxos,
+        descriptors: listResult.descriptors,
+        feeEstimate: { targetBlocks: config.feeTargetBlocks, mode: estimateModeFor(config), result: feeResult },
+        mempoolInfo,
+        lockedUnspents,
+        rawTransactions,
+    };
 }
 
 
@@ -325,11 +692,39 @@ export {
   checkWalletIsDescriptor,
   listSourceUtxos,
   listWalletUtxos,
+  listLockedOutpoints,
+  lockOutpoints,
+  unlockOutpoints,
+  findSpentOutpoints,
+  getWalletTxStatus,
+  getIncrementalRelayFee,
+  getRawChangeAddress,
+  getMempoolEntry,
+  getDecodedTransaction,
+  getChainOutput,
   filterTargetUtxos,
   deriveOutputAddresses, // Corrected version exported
+  deriveOutputAddressDetails,
   estimateFeeRate,
+  estimateFeeRateDetails,
+  resolveFeeRate,
+  checkFeeLimits,
+  ESTIMATE_MODES,
+  DEFAULT_ESTIMATE_MODE,
+  ESTIMATE_FAILURE_ACTIONS,
   createRawTx,
   decodeRawTx,
   convertToPsbt,
-  processPsbt
+  processPsbt,
+  combinePsbts,
+  signWithSourceWallets,
+  walletProcessPsbt,
+  inspectPsbt,
+  finalizePsbt,
+  testMempoolAccept,
+  getMempoolFeeFloor,
+  sendRawTx,
+  getNodeStatus,
+  getChainTip,
+  exportSnapshot
 };
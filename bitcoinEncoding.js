@@ -0,0 +1,268 @@
+// bitcoinEncoding.js
+// Low-level encodings used by the offline (no-node) code paths: hashes, CompactSize, base58check and bech32/bech32m.
+import crypto from 'crypto';
+
+// --- Hashes ---
+function sha256(data) {
+    return crypto.createHash('sha256').update(data).digest();
+}
+
+function hash256(data) {
+    return sha256(sha256(data));
+}
+
+function hash160(data) {
+    return crypto.createHash('ripemd160').update(sha256(data)).digest();
+}
+
+function hmacSha512(key, data) {
+    return crypto.createHmac('sha512', key).update(data).digest();
+}
+
+// BIP-340 tagged hash: SHA256(SHA256(tag) || SHA256(tag) || data)
+function taggedHash(tag, data) {
+    const tagHash = sha256(Buffer.from(tag, 'utf-8'));
+    return sha256(Buffer.concat([tagHash, tagHash, data]));
+}
+
+// --- CompactSize ---
+function encodeCompactSize(n) {
+    const value = BigInt(n);
+    if (value < 0xfdn) return Buffer.from([Number(value)]);
+    if (value <= 0xffffn) {
+        const buf = Buffer.alloc(3);
+        buf[0] = 0xfd;
+        buf.writeUInt16LE(Number(value), 1);
+        return buf;
+    }
+    if (value <= 0xffffffffn) {
+        const buf = Buffer.alloc(5);
+        buf[0] = 0xfe;
+        buf.writeUInt32LE(Number(value), 1);
+        return buf;
+    }
+    const buf = Buffer.alloc(9);
+    buf[0] = 0xff;
+    buf.writeBigUInt64LE(value, 1);
+    return buf;
+}
+
+// Sequential reader over a Buffer, throwing on truncated data
+class BufferReader {
+    constructor(buffer) {
+        this.buffer = buffer;
+        this.offset = 0;
+    }
+
+    ensure(length) {
+        if (this.offset + length > this.buffer.length) {
+            throw new Error(`Unexpected end of data at offset ${this.offset} (needed ${length} more bytes).`);
+        }
+    }
+
+    readBytes(length) {
+        this.ensure(length);
+        const slice = this.buffer.subarray(this.offset, this.offset + length);
+        this.offset += length;
+        return Buffer.from(slice);
+    }
+
+    readUInt8() {
+        this.ensure(1);
+        return this.buffer[this.offset++];
+    }
+
+    readUInt32LE() {
+        this.ensure(4);
+        const value = this.buffer.readUInt32LE(this.offset);
+        this.offset += 4;
+        return value;
+    }
+
+    readBigUInt64LE() {
+        this.ensure(8);
+        const value = this.buffer.readBigUInt64LE(this.offset);
+        this.offset += 8;
+        return value;
+    }
+
+    readCompactSize() {
+        const first = this.readUInt8();
+        if (first < 0xfd) return first;
+        if (first === 0xfd) {
+            this.ensure(2);
+            const value = this.buffer.readUInt16LE(this.offset);
+            this.offset += 2;
+            return value;
+        }
+        if (first === 0xfe) return this.readUInt32LE();
+        return Number(this.readBigUInt64LE());
+    }
+
+    readVarBytes() {
+        return this.readBytes(this.readCompactSize());
+    }
+
+    get remaining() {
+        return this.buffer.length - this.offset;
+    }
+}
+
+// --- Base58Check ---
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+function base58Encode(buffer) {
+    let value = BigInt('0x' + (buffer.length ? buffer.toString('hex') : '0'));
+    let encoded = '';
+    while (value > 0n) {
+        encoded = BASE58_ALPHABET[Number(value % 58n)] + encoded;
+        value /= 58n;
+    }
+    for (const byte of buffer) {
+        if (byte !== 0) break;
+        encoded = '1' + encoded;
+    }
+    return encoded;
+}
+
+function base58Decode(str) {
+    let value = 0n;
+    for (const ch of str) {
+        const digit = BASE58_ALPHABET.indexOf(ch);
+        if (digit < 0) throw new Error(`Invalid base58 character '${ch}'.`);
+        value = value * 58n + BigInt(digit);
+    }
+    let hex = value === 0n ? '' : value.toString(16);
+    if (hex.length % 2) hex = '0' + hex;
+    let leadingZeros = 0;
+    for (const ch of str) {
+        if (ch !== '1') break;
+        leadingZeros++;
+    }
+    return Buffer.concat([Buffer.alloc(leadingZeros), Buffer.from(hex, 'hex')]);
+}
+
+function base58CheckEncode(payload) {
+    return base58Encode(Buffer.concat([payload, hash256(payload).subarray(0, 4)]));
+}
+
+function base58CheckDecode(str) {
+    const data = base58Decode(str);
+    if (data.length < 4) throw new Error("Base58Check string is too short.");
+    const payload = data.subarray(0, data.length - 4);
+    const checksum = data.subarray(data.length - 4);
+    if (!hash256(payload).subarray(0, 4).equals(checksum)) {
+        throw new Error(`Invalid Base58Check checksum in '${str}'.`);
+    }
+    return Buffer.from(payload);
+}
+
+// --- Bech32 / Bech32m (BIP-173 / BIP-350) ---
+const BECH32_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const BECH32_CONST = 1;
+const BECH32M_CONST = 0x2bc830a3;
+
+function bech32Polymod(values) {
+    const generator = [0x3b6a57b2, 0x26508e6d, 0x1ea119fa, 0x3d4233dd, 0x2a1462b3];
+    let chk = 1;
+    for (const value of values) {
+        const top = chk >>> 25;
+        chk = ((chk & 0x1ffffff) << 5) ^ value;
+        for (let i = 0; i < 5; i++) {
+            if ((top >>> i) & 1) chk ^= generator[i];
+        }
+    }
+    return chk >>> 0;
+}
+
+function bech32HrpExpand(hrp) {
+    return [...hrp].map(c => c.charCodeAt(0) >> 5)
+        .concat([0])
+        .concat([...hrp].map(c => c.charCodeAt(0) & 31));
+}
+
+// Regroups bits (e.g. 8-bit bytes into 5-bit words and back)
+function convertBits(data, fromBits, toBits, pad) {
+    let acc = 0;
+    let bits = 0;
+    const result = [];
+    const maxValue = (1 << toBits) - 1;
+    for (const value of data) {
+        acc = (acc << fromBits) | value;
+        bits += fromBits;
+        while (bits >= toBits) {
+            bits -= toBits;
+            result.push((acc >> bits) & maxValue);
+        }
+    }
+    if (pad) {
+        if (bits > 0) result.push((acc << (toBits - bits)) & maxValue);
+    } else if (bits >= fromBits || ((acc << (toBits - bits)) & maxValue)) {
+        throw new Error("Invalid padding in bech32 data.");
+    }
+    return result;
+}
+
+function encodeSegwitAddress(hrp, witnessVersion, program) {
+    const data = [witnessVersion, ...convertBits(program, 8, 5, true)];
+    const constant = witnessVersion === 0 ? BECH32_CONST : BECH32M_CONST;
+    const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...data, 0, 0, 0, 0, 0, 0]) ^ constant;
+    const checksum = [0, 1, 2, 3, 4, 5].map(i => (polymod >>> (5 * (5 - i))) & 31);
+    return `${hrp}1${[...data, ...checksum].map(v => BECH32_CHARSET[v]).join('')}`;
+}
+
+// Decodes a segwit address, returning { hrp, witnessVersion, program } (throws on any inconsistency)
+function decodeSegwitAddress(address) {
+    const lower = address.toLowerCase();
+    if (lower !== address && address.toUpperCase() !== address) {
+        throw new Error(`Mixed-case bech32 address '${address}'.`);
+    }
+    const separator = lower.lastIndexOf('1');
+    if (separator < 1 || separator + 7 > lower.length) {
+        throw new Error(`Malformed bech32 address '${address}'.`);
+    }
+    const hrp = lower.slice(0, separator);
+    const data = [...lower.slice(separator + 1)].map(c => {
+        const value = BECH32_CHARSET.indexOf(c);
+        if (value < 0) throw new Error(`Invalid bech32 character '${c}' in '${address}'.`);
+        return value;
+    });
+    const polymod = bech32Polymod([...bech32HrpExpand(hrp), ...data]);
+    const witnessVersion = data[0];
+    const expectedConst = witnessVersion === 0 ? BECH32_CONST : BECH32M_CONST;
+    if (polymod !== expectedConst) {
+        throw new Error(`Invalid bech32 checksum in '${address}'.`);
+    }
+    const program = Buffer.from(convertBits(data.slice(1, -6), 5, 8, false));
+    if (witnessVersion > 16 || program.length < 2 || program.length > 40) {
+        throw new Error(`Invalid witness program in '${address}'.`);
+    }
+    if (witnessVersion === 0 && program.length !== 20 && program.length !== 32) {
+        throw new Error(`Invalid v0 witness program length in '${address}'.`);
+    }
+    return { hrp, witnessVersion, program };
+}
+
+// True if a scriptPubKey (hex) is a witness program (BIP-141): a version opcode (OP_0 or OP_1..OP_16)
+// followed by a single direct push of 2 to 40 bytes, and nothing else
+function isWitnessProgram(scriptHex) {
+    const script = Buffer.from(scriptHex, 'hex');
+    if (script.length < 4 || script.length > 42) return false;
+    if (script[0] !== 0x00 && !(script[0] >= 0x51 && script[0] <= 0x60)) return false;
+    return script[1] === script.length - 2;
+}
+
+export {
+    sha256,
+    hash256,
+    hash160,
+    hmacSha512,
+    taggedHash,
+    encodeCompactSize,
+    BufferReader,
+    base58CheckEncode,
+    base58CheckDecode,
+    encodeSegwitAddress,
+    decodeSegwitAddress,
+    isWitnessProgram
+};
@@ -0,0 +1,128 @@
+// broadcast.js
+// Sign -> finalize -> testmempoolaccept -> review -> confirm -> sendrawtransaction.
+// Nothing is sent until the reviewed transaction has been explicitly confirmed.
+import fs from 'fs/promises';
+import path from 'path';
+import readline from 'readline/promises';
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import {
+    signWithSourceWallets,
+    finalizePsbt,
+    decodeRawTx,
+    inspectPsbt,
+    testMempoolAccept,
+    sendRawTx
+} from './bitcoinCoreUtils.js';
+import { btcToSats, satsToBtcString } from './utils.js';
+
+// Signs the PSBT with the source wallets (see sources.js) if it cannot be finalized yet, then finalizes it,
+// measures the real transaction and asks the node whether it would accept it.
+// Returns { psbt, hex, txid, vsize, weight, inputCount, outputs: [{ address, amount }], feeSats, feeRate: Decimal, mempool }
+async function prepareBroadcast(config, psbtBase64) {
+    let psbt = psbtBase64;
+    let finalized = await finalizePsbt(config, psbt);
+    if (!finalized.complete) {
+        logger.info(`PSBT is not fully signed; signing with wallet${config.sources.length > 1 ? 's' : ''} ${config.sources.map(source => `'${source.wallet}'`).join(', ')}...`);
+        ({ psbt } = await signWithSourceWallets(config, psbt));
+        finalized = await finalizePsbt(config, psbt);
+        if (!finalized.complete || !finalized.hex) {
+            throw new Error("The PSBT is still not fully signed after signing with the source wallets; collect the remaining signatures first (node cli.js sign).");
+        }
+    }
+    const measured = await measureFinalTransaction(config, psbt, finalized.hex);
+    const mempool = await testMempoolAccept(config, finalized.hex);
+    return { ...measured, mempool: { allowed: Boolean(mempool.allowed), rejectReason: mempool['reject-reason'] ?? null } };
+}
+
+// Real size and fee of a finalized transaction (hex) and the PSBT it came from.
+// Returns { psbt, hex, txid, vsize, weight, inputs: [{ txid, vout }], inputCount, outputs, feeSats, feeRate: Decimal }
+async function measureFinalTransaction(config, psbt, hex) {
+    const decoded = await decodeRawTx(config, hex);
+    const { decoded: decodedPsbt } = await inspectPsbt(config, psbt);
+    if (decodedPsbt.fee === undefined) {
+        throw new Error("The node could not determine the fee of this PSBT (missing UTXO information).");
+    }
+    const feeSats = btcToSats(decodedPsbt.fee);
+    return {
+        psbt,
+        hex,
+        txid: decoded.txid,
+        vsize: decoded.vsize,
+        weight: decoded.weight,
+        inputs: decoded.vin.map(input => ({ txid: input.txid, vout: input.vout })),
+        inputCount: decoded.vin.length,
+        outputs: decoded.vout.map(output => ({ address: output.scriptPubKey.address ?? output.scriptPubKey.hex, amount: btcToSats(output.value) })),
+        feeSats,
+        feeRate: new Decimal(feeSats.toString()).div(decoded.vsize),
+    };
+}
+
+function printReview(review) {
+    console.log(`\n--- Final Review ---`);
+    console.log(`Txid:              ${review.txid}`);
+    console.log(`Inputs:            ${review.inputCount}`);
+    console.log(`Outputs:           ${review.outputs.length}`);
+    review.outputs.forEach((output, i) => {
+        console.log(`  [${i+1}] ${output.amount} sats (${satsToBtcString(output.amount)} BTC) -> ${output.address}`);
+    });
+    console.log(`Signed VSize:      ${review.vsize} vBytes (weight ${review.weight} WU)`);
+    console.log(`Fee:               ${review.feeSats} sats (${satsToBtcString(review.feeSats)} BTC)`);
+    console.log(`Effective Feerate: ${review.feeRate.toFixed(2)} sat/vB`);
+    console.log(`Mempool Check:     ${review.mempool.allowed ? 'accepted (testmempoolaccept)' : `REJECTED: ${review.mempool.rejectReason}`}`);
+    console.log(`------------------------------------`);
+}
+
+// True when broadcasting was confirmed by --yes or by typing "yes" at an interactive prompt.
+// Without a terminal and without --yes there is nobody to ask, so the answer is no.
+async function confirmBroadcast(assumeYes) {
+    if (assumeYes) {
+        logger.info("Broadcast confirmed with --yes.");
+        return true;
+    }
+    if (!process.stdin.isTTY) {
+        logger.error("Refusing to broadcast without confirmation: pass --yes or run in an interactive terminal.");
+        return false;
+    }
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+        const answer = await prompt.question("Type 'yes' to broadcast this transaction: ");
+        return answer.trim() === 'yes';
+    } finally {
+        prompt.close();
+    }
+}
+
+// Default broadcast log: broadcasts.jsonl next to outputPsbtFile
+function broadcastLogPath(config) {
+    return path.resolve(config.broadcastLogFile ?? path.join(path.dirname(config.outputPsbtFile), 'broadcasts.jsonl'));
+}
+
+// Appends one JSON line per broadcast transaction to the broadcast log. Returns the log path.
+async function recordBroadcast(config, review, psbtFilePath) {
+    const logFile = broadcastLogPath(config);
+    const entry = {
+        txid: review.txid,
+        broadcastAt: new Date().toISOString(),
+        wallet: config.sourceContext.operatingWalletName,
+        psbtFile: psbtFilePath,
+        vsize: review.vsize,
+        weight: review.weight,
+        feeSats: Number(review.feeSats),
+        feeRateSatPerVb: review.feeRate.toDecimalPlaces(3).toString(),
+        outputs: review.outputs.map(output => ({ address: output.address, amountSats: Number(output.amount) })),
+    };
+    await fs.appendFile(logFile, JSON.stringify(entry) + '\n', 'utf-8');
+    return logFile;
+}
+
+// Sends the reviewed transaction. Returns the txid reported by the node.
+async function broadcastReviewed(config, review) {
+    const txid = await sendRawTx(config, review.hex);
+    if (txid !== review.txid) {
+        logger.warn(`Node reported txid ${txid}, expected ${review.txid}.`);
+    }
+    return txid;
+}
+
+export { prepareBroadcast, measureFinalTransaction, printReview, confirmBroadcast, recordBroadcast, broadcastReviewed, broadcastLogPath };
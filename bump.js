@@ -0,0 +1,133 @@
+// bump.js
+// Fee bump by replacement (BIP-125): rebuilds a broadcast consolidation with the same inputs and the same
+// target addresses at a higher feerate. The node only accepts the replacement if it pays at a higher feerate,
+// and at least the fees of everything it evicts (the original and its descendants) plus the incremental
+// relay fee for its own size.
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import {
+    resolveFeeRate,
+    checkFeeLimits,
+    getIncrementalRelayFee,
+    getMempoolEntry,
+    getDecodedTransaction,
+    getChainOutput
+} from './bitcoinCoreUtils.js';
+import { solvePlan } from './consolidation.js';
+import { checkStandardness } from './standardness.js';
+import { loadJournal } from './journal.js';
+import { btcToSats } from './utils.js';
+
+const MAX_BUMP_ROUNDS = 5;
+
+// The unconfirmed transaction to replace: { txid, vsize, feeSats, feeRate (Decimal), evictedFeeSats, descendantCount, decoded }
+async function findOriginal(config, txid) {
+    const entry = await getMempoolEntry(config, txid);
+    if (!entry) {
+        throw new Error(`Transaction ${txid} is not in the node's mempool: it is confirmed, was never broadcast, or was already replaced. Nothing to bump.`);
+    }
+    if (entry['bip125-replaceable'] === false) {
+        logger.warn(`Transaction ${txid} does not signal replaceability (BIP-125); only nodes with full RBF will accept the replacement.`);
+    }
+    const feeSats = btcToSats(entry.fees.base);
+    return {
+        txid,
+        vsize: entry.vsize,
+        feeSats,
+        feeRate: new Decimal(feeSats.toString()).div(entry.vsize),
+        // Rule 3: the replacement pays for everything it evicts, descendants included
+        evictedFeeSats: btcToSats(entry.fees.descendant),
+        descendantCount: entry.descendantcount,
+        decoded: await getDecodedTransaction(config, txid),
+    };
+}
+
+// The original's inputs, as UTXOs for the fee search (they are still unspent on chain, or outputs of an
+// unconfirmed parent that is still in the mempool)
+async function originalInputs(config, original) {
+    const inputs = [];
+    for (const input of original.decoded.vin) {
+        const utxo = await getChainOutput(config, input.txid, input.vout);
+        if (!utxo) {
+            throw new Error(`Input ${input.txid}:${input.vout} of ${original.txid} is already spent on chain (or its parent is no longer in the mempool); the transaction cannot be replaced.`);
+        }
+        inputs.push({ ...utxo, matchedBy: ['replacement'] });
+    }
+    return inputs;
+}
+
+// The original's outputs as target derivations in config order ([{ descriptor, address, index }]) and, with
+// config.change, its change output ({ descriptor, address, index }, or null if the change was folded into the fee).
+// Descriptors and indexes come from the run journal (or the plan record); without either, the outputs are
+// taken to be in config order with the change last, as the tool writes them.
+// Returns { targets, change }
+async function originalOutputs(config, original, planRecord) {
+    const spent = new Set(original.decoded.vin.map(input => `${input.txid}:${input.vout}`));
+    const run = (await loadJournal(config)).find(candidate => candidate.txid === original.txid
+        || (candidate.inputs.length === spent.size && candidate.inputs.every(input => spent.has(input.outpoint))));
+    const recorded = run?.outputs ?? planRecord?.outputs ?? null;
+    const recordedChange = run?.change ?? planRecord?.change ?? null;
+
+    const addresses = original.decoded.vout.map(output => output.scriptPubKey.address);
+    const expected = config.targetDescriptors.length;
+    if (addresses.length !== expected && !(config.change && addresses.length === expected + 1)) {
+        throw new Error(`${original.txid} has ${addresses.length} outputs but the config has ${expected} target descriptors${config.change ? ' and change' : ''}; it is not a consolidation made with this config.`);
+    }
+    let targets;
+    if (!recorded) {
+        logger.warn(`No journal entry or plan record for ${original.txid}; assuming its outputs follow the config's target order.`);
+        targets = config.targetDescriptors.map((descriptor, i) => ({ descriptor, address: addresses[i], index: null }));
+    } else {
+        targets = config.targetDescriptors.map(descriptor => {
+            const output = recorded.find(candidate => candidate.descriptor === descriptor);
+            if (!output || !addresses.includes(output.address)) {
+                throw new Error(`Target descriptor ${descriptor} was not paid by ${original.txid}; the config's targets changed since it was built.`);
+            }
+            return { descriptor, address: output.address, index: output.index };
+        });
+    }
+    // The change keeps its address; the replacement pays the higher fee out of it
+    const changeAddress = addresses.find(address => !targets.some(target => target.address === address)) ?? null;
+    const change = changeAddress
+        ? { descriptor: recordedChange?.address === changeAddress ? recordedChange.descriptor : null, address: changeAddress, index: recordedChange?.address === changeAddress ? recordedChange.index : null }
+        : null;
+    return { targets, change };
+}
+
+// Builds the replacement plan. planRecord: the original's plan record if it was given as a PSBT (else null).
+// The feerate is the fee policy's (or --feerate), raised until the BIP-125 rules hold: above the original's
+// feerate by the incremental relay fee, and an absolute fee of at least the evicted fees plus the incremental
+// relay fee for the replacement's estimated size.
+// Returns { plan, original, incrementalSatPerVb, minFeeSats }
+async function buildBumpPlan(config, txid, planRecord = null) {
+    const original = await findOriginal(config, txid);
+    const incremental = await getIncrementalRelayFee(config);
+    logger.info(`Replacing ${txid}: ${original.feeSats} sats for ${original.vsize} vB (${original.feeRate.toFixed(2)} sat/vB)` +
+        `${original.descendantCount > 1 ? `, ${original.descendantCount - 1} descendant(s) evicted too (${original.evictedFeeSats} sats in total)` : ''}.`);
+
+    const inputs = await originalInputs(config, original);
+    const { targets: derivations, change } = await originalOutputs(config, original, planRecord);
+
+    const policy = await resolveFeeRate(config);
+    const minRate = original.feeRate.add(incremental).toDecimalPlaces(3, Decimal.ROUND_UP);
+    let satPerVb = Decimal.max(policy.satPerVb, minRate);
+    let appliedBy = satPerVb.greaterThan(policy.satPerVb) ? 'bip125' : policy.appliedBy;
+    for (let round = 1; round <= MAX_BUMP_ROUNDS; round++) {
+        const plan = await solvePlan(config, inputs, derivations, { ...policy, satPerVb, appliedBy }, change);
+        const minFeeSats = original.evictedFeeSats + BigInt(incremental.mul(plan.fee.breakdown.estimatedVBytes).ceil().toFixed());
+        if (plan.fee.finalFee >= minFeeSats) {
+            checkFeeLimits(config, satPerVb, plan.fee.finalFee);
+            await checkStandardness(config, plan); // testmempoolaccept also checks the BIP-125 rules against the original
+            plan.excludedInputs = [];
+            plan.batch = { number: 1, count: 1 };
+            return { plan, original, incrementalSatPerVb: incremental, minFeeSats };
+        }
+        // Raise the rate so the size-based fee alone covers the minimum, rounded up to 0.001 sat/vB
+        satPerVb = new Decimal(minFeeSats.toString()).div(plan.fee.breakdown.estimatedVBytes).toDecimalPlaces(3, Decimal.ROUND_UP);
+        appliedBy = 'bip125';
+        logger.debug(`Fee ${plan.fee.finalFee} sats is below the BIP-125 minimum of ${minFeeSats} sats; retrying at ${satPerVb.toFixed()} sat/vB.`);
+    }
+    throw new Error(`Could not reach the BIP-125 minimum fee after ${MAX_BUMP_ROUNDS} rounds.`);
+}
+
+export { buildBumpPlan };
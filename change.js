@@ -0,0 +1,68 @@
+// change.js
+// Keep-back: with a change section only part of the source value is distributed to the targets (a fixed
+// allowance or a percentage of the inputs); the rest, less the fee, returns to a change address of the
+// operating wallet. Change below the dust threshold is not worth an output and is added to the fee instead.
+import logger from './logger.js';
+import { deriveOutputAddressDetails, getRawChangeAddress } from './bitcoinCoreUtils.js';
+import { parseTargetAllocations } from './allocation.js';
+import { descriptorProblems, descriptorBranches } from './descriptorParser.js';
+
+const CHANGE_ADDRESS_TYPES = ['legacy', 'p2sh-segwit', 'bech32', 'bech32m'];
+
+// Problems with the change section: { distributeSats | distributePercent, descriptor?, addressType? }
+// offline: offline mode is configured (no getrawchangeaddress there); network: bitcoinCore.network, for the extended keys
+function changeProblems(change, offline, network = null) {
+    if (typeof change !== 'object' || change === null) return ["change must be an object."];
+    const problems = [];
+    const { distributeSats, distributePercent, descriptor, addressType } = change;
+    if ((distributeSats === undefined) === (distributePercent === undefined)) {
+        problems.push("change needs exactly one of distributeSats or distributePercent (how much of the source value goes to the targets).");
+    }
+    if (distributeSats !== undefined && !(Number.isSafeInteger(distributeSats) && distributeSats > 0)) {
+        problems.push("change.distributeSats must be a positive integer number of satoshis.");
+    }
+    if (distributePercent !== undefined && !(typeof distributePercent === 'number' && distributePercent > 0 && distributePercent < 100)) {
+        problems.push("change.distributePercent must be a number greater than 0 and below 100.");
+    }
+    if (descriptor !== undefined) problems.push(...descriptorProblems(descriptor, 'change.descriptor', { requireRange: true, network }));
+    if (addressType !== undefined && !CHANGE_ADDRESS_TYPES.includes(addressType)) {
+        problems.push(`change.addressType must be one of ${CHANGE_ADDRESS_TYPES.join(', ')}.`);
+    }
+    if (descriptor !== undefined && addressType !== undefined) problems.push("change.addressType only applies without change.descriptor.");
+    if (offline && descriptor === undefined) problems.push("change.descriptor is required in offline mode (getrawchangeaddress needs the node).");
+    return problems;
+}
+
+// The change descriptor to derive from: the change branch (the second) of a multipath descriptor, else the descriptor itself
+function changeBranch(descriptor) {
+    const branches = descriptorBranches(descriptor);
+    if (branches.length === 1) return descriptor;
+    logger.info(`change.descriptor is a multipath descriptor; change goes to its change branch ${branches[1]}.`);
+    return branches[1];
+}
+
+// What the targets receive out of totalInputValue (BigInt): change.distributeSats, or distributePercent of the
+// inputs rounded down
+function distributionAmount(config, totalInputValue) {
+    const { distributeSats, distributePercent } = config.change;
+    if (distributeSats !== undefined) return BigInt(distributeSats);
+    return totalInputValue * BigInt(Math.round(distributePercent * 1e6)) / 100_000_000n;
+}
+
+// The change destination: the next free address of change.descriptor (skipping addresses in the journal, like
+// the targets), or a fresh getrawchangeaddress. Returns { descriptor, address, index } (descriptor and index null
+// for getrawchangeaddress)
+async function deriveChangeAddress(config, freeIndexes = new Map()) {
+    const { descriptor, addressType } = config.change;
+    if (descriptor) {
+        const changeConfig = { ...config, targetDescriptors: [descriptor], targetAllocations: parseTargetAllocations([descriptor]) };
+        const [derived] = await deriveOutputAddressDetails(changeConfig, 0, freeIndexes);
+        logger.info(`Change goes to ${derived.address} (index ${derived.index} of ${descriptor}).`);
+        return { descriptor, address: derived.address, index: derived.index };
+    }
+    const address = await getRawChangeAddress(config, addressType ?? null);
+    logger.info(`Change goes to ${address} (getrawchangeaddress).`);
+    return { descriptor: null, address, index: null };
+}
+
+export { changeProblems, changeBranch, distributionAmount, deriveChangeAddress, CHANGE_ADDRESS_TYPES };
@@ -2,260 +2,1021 @@
 // cli.js
 import fs from 'fs/promises';
 import path from 'path';
+import { parseArgs } from 'util';
+import Decimal from 'decimal.js';
 import logger from './logger.js';
-import { makeRpcCall } from './rpcClient.js';
+import { loadConfigFile, loadPlanConfigs, LOG_LEVEL_NAMES } from './config.js';
 import {
-    checkCoreVersion,
-    checkWalletIsDescriptor,
+    exportSnapshot,
+    inspectPsbt,
+    signWithSourceWallets,
+    getNodeStatus,
     listSourceUtxos,
     listWalletUtxos,
     filterTargetUtxos,
-    deriveOutputAddresses,
-    estimateFeeRate,
-    createRawTx,
-    convertToPsbt,
-    processPsbt,
-    decodeRawTx // <--- FIX: Import decodeRawTx here
+    resolveFeeRate
 } from './bitcoinCoreUtils.js';
-import { calculateOptimalFee } from './feeCalculator.js';
-import { btcToSats, satsToBtcString, convertFeeRateToSatPerVb, SATS_PER_BTC, ceilToBigInt } from './utils.js'; // Import ceilToBigInt
-import Decimal from 'decimal.js';
+import {
+    attachOfflineNode,
+    runPreflightChecks,
+    buildConsolidationPlans,
+    createPsbtFromPlan,
+    planToJson,
+    plansToJson,
+    feePolicyToJson
+} from './consolidation.js';
+import {
+    verifySignedPsbt,
+    printVerification,
+    planFilePath,
+    loadPlanRecord,
+    DEFAULT_TOLERANCE_PERCENT
+} from './verification.js';
+import { prepareBroadcast, printReview, confirmBroadcast, recordBroadcast, broadcastReviewed } from './broadcast.js';
+import { watchForCheapFees } from './watch.js';
+import { buildBumpPlan } from './bump.js';
+import { buildCpfpPlan } from './cpfp.js';
+import { batchPsbtFilePath, combinePlans } from './batching.js';
+import {
+    loadPendingPsbts,
+    savePendingPsbts,
+    detectStalePsbts,
+    checkNotPending,
+    pendingRecord,
+    registerPendingPsbts,
+    markBroadcast,
+    releasePendingPsbts,
+    pendingFilePath
+} from './pending.js';
+import {
+    loadJournal,
+    saveJournal,
+    recordRuns,
+    recordRunBroadcast,
+    runState,
+    refreshConfirmations,
+    historyByDescriptor,
+    journalFilePath
+} from './journal.js';
+import { sourceWallets, describeSources } from './sources.js';
+import { planDueState, describeCadence } from './schedule.js';
+import { describeInputTypes } from './inputWeights.js';
+import { isEvenAllocation } from './allocation.js';
+import { btcToSats, satsToBtcString, convertFeeRateToSatPerVb } from './utils.js';
+
+
+// --- Configuration Loading ---
+// Reads the config file, applies environment variables and command-line overrides, and validates
+// the result; exits the process on failure.
+async function loadConfig(configFilePath, overrides = {}) {
+    let config;
+    try {
+        config = await loadConfigFile(configFilePath, overrides);
+        logger.setLogLevel(config.logLevel || 'info'); // Set log level from config
+        const { rpcPassword, ...bitcoinCore } = config.bitcoinCore;
+        logger.debug("Configuration loaded:", { ...config, bitcoinCore: { ...bitcoinCore, rpcPassword: rpcPassword ? '[REDACTED]' : rpcPassword } });
 
+    } catch (error) {
+        logger.error(`Failed to load or validate configuration: ${error.message}`);
+        process.exit(1);
+    }
+    return config;
+}
 
-// --- Configuration Validation ---
-function validateConfig(config) {
-    if (!config) throw new Error("Configuration is missing.");
-    if (!config.bitcoinCore?.rpcUrl) throw new Error("Missing bitcoinCore.rpcUrl in config.");
-    if (typeof config.bitcoinCore.rpcUser !== 'string') logger.warn("bitcoinCore.rpcUser is not a string or missing.");
-    if (typeof config.bitcoinCore.rpcPassword !== 'string') logger.warn("bitcoinCore.rpcPassword is not a string or missing.");
-    if (!['mainnet', 'testnet', 'regtest'].includes(config.bitcoinCore.network)) throw new Error("Invalid bitcoinCore.network value.");
-    if (!config.sourceContext?.operatingWalletName) throw new Error("Missing sourceContext.operatingWalletName.");
-    if (!config.sourceContext?.sourceAddress) throw new Error("Missing sourceContext.sourceAddress.");
-    if (!Array.isArray(config.targetDescriptors) || config.targetDescriptors.length === 0) throw new Error("targetDescriptors must be a non-empty array.");
-    if (!Number.isInteger(config.feeTargetBlocks) || config.feeTargetBlocks <= 0) throw new Error("feeTargetBlocks must be a positive integer.");
-    if (!config.outputPsbtFile) throw new Error("Missing outputPsbtFile path.");
-    if (config.logLevel && !['trace', 'debug', 'info', 'warn', 'error'].includes(config.logLevel)) {
-         logger.warn(`Invalid logLevel '${config.logLevel}', using default 'info'.`);
-         config.logLevel = 'info'; // Default if invalid
-    }
-
-    // Validate descriptor format superficially (presence of #checksum and /*)
-    for (const desc of config.targetDescriptors) {
-        if (typeof desc !== 'string' || !desc.includes('#') || !desc.includes('/*')) {
-            throw new Error(`Invalid target descriptor format: "${desc}". Must be a string including a checksum (#...) and wildcard derivation (/*).`);
-        }
+
+// --- Summary Output ---
+// Human-readable summary of a plan; psbtFilePath is null when no PSBT was written (plan mode)
+function printSummary(config, plan, psbtFilePath, configFilePath) {
+    const { fee, feeRate } = plan;
+    console.log(`\n--- ${psbtFilePath ? 'PSBT Consolidation Summary' : 'Consolidation Plan (no PSBT written)'} ---`);
+    if (config.plan) console.log(`Plan:              ${config.plan.name} (${describeCadence(config.plan)})`);
+    console.log(`Operating Wallet:  ${config.sourceContext.operatingWalletName}`);
+    printSources(config);
+    console.log(`Target Descriptors:${config.targetDescriptors.length > 0 ? '' : ' (None Specified)'}`);
+    plan.outputs.forEach((output, i) => console.log(`  [${i+1}] ${output.descriptor} -> ${output.address} (index ${output.index})`));
+    console.log(`------------------------------------`);
+    console.log(`Inputs Found:      ${plan.inputs.length} (${describeInputTypes(fee.inputWeights.countsByType)})`);
+    console.log(`Total Input Value: ${plan.totalInputValue} sats (${satsToBtcString(plan.totalInputValue)} BTC)`);
+    if (plan.excludedInputs.length > 0) {
+        console.log(`Inputs Skipped:    ${plan.excludedInputs.length} (input selection, see inputSelection)`);
+        plan.excludedInputs.forEach(entry => console.log(`  ${entry.utxo.txid}:${entry.utxo.vout} ${entry.utxo.amount} sats [${entry.reason}]: ${entry.detail}`));
     }
+    console.log(`------------------------------------`);
+    console.log(`Outputs Created:   ${plan.outputs.length}${isEvenAllocation(config.targetAllocations) ? ' (even split)' : ''}`);
+    plan.outputs.forEach((output, i) => {
+        console.log(`  [${i+1}] ${output.amount} sats (${satsToBtcString(output.amount)} BTC) -> ${output.address} [${output.allocation}]`);
+    });
+    if (config.change) printChange(plan);
+    console.log(`Total Output Value:${plan.totalOutputValue} sats`);
+    console.log(`Final Fee:         ${fee.finalFee} sats`);
+
+    // --- Fee Breakdown (from the solved fee) ---
+    console.log(`  Fee Policy:      ${describeFeePolicy(config)}`);
+    console.log(`  Fee Rate Target: ~${feeRate.satPerVb.toFixed(2)} sat/vB (${describeFeeRateSource(feeRate)})`);
+    console.log(`  Est. Final VSize: ${fee.breakdown.estimatedVBytes} vBytes (Base: ${fee.breakdown.baseVBytes}, Est. Signatures: ${fee.breakdown.signatureVBytes})`);
+    console.log(`  Fee Size Comp.:  ${fee.breakdown.sizeBasedFee} sats`);
+    console.log(`  ${fee.change ? 'Folded Change:  ' : 'Fee Remainder:  '} ${fee.remainderSats} sats`);
+    console.log(`  Minimal Fee:     yes, ${fee.minimality.detail}`);
+    // --- End Fee Breakdown ---
+    printStandardness(plan);
+    printEconomics(plan);
+
+    console.log(`------------------------------------`);
+    if (!psbtFilePath) {
+        console.log(`Run 'node cli.js create ${configArgument(config, configFilePath)}' to create the PSBT.`);
+        return;
+    }
+    console.log(`PSBT saved to:     ${psbtFilePath}`);
+    console.log(`------------------------------------`);
+    console.log("\nNext Steps:");
+    console.log(`1. Inspect the PSBT: node cli.js inspect ${configArgument(config, configFilePath)}`);
+    console.log(`2. Sign the PSBT:    node cli.js sign ${configArgument(config, configFilePath)}`);
+    console.log(`3. Finalize & Send:  node cli.js broadcast ${configArgument(config, configFilePath)}   (shows a final review and asks before sending)`);
+}
 
-    // Validate optional feeOptions
-    if (config.feeOptions) {
-        if (config.feeOptions.estimatedWitnessVBytesPerInput !== undefined) {
-            if (!Number.isInteger(config.feeOptions.estimatedWitnessVBytesPerInput) || config.feeOptions.estimatedWitnessVBytesPerInput < 0) {
-                throw new Error("Invalid feeOptions.estimatedWitnessVBytesPerInput: must be a non-negative integer.");
-            }
-        }
+// The change output of a plan with config.change (see change.js), or why there is none
+function printChange(plan) {
+    const { change, fee } = plan;
+    if (change) {
+        const origin = change.descriptor ? `index ${change.index} of ${change.descriptor}` : 'getrawchangeaddress';
+        console.log(`  Change: ${change.amount} sats (${satsToBtcString(change.amount)} BTC) -> ${change.address} (${origin})`);
+    } else if (fee.change.dustThreshold !== null) {
+        console.log(`  Change: none, ${fee.change.dustChangeSats} sats would be below the ${fee.change.dustThreshold}-sat dust threshold (${fee.change.foldedSats} sats added to the fee without the output)`);
+    } else {
+        console.log(`  Change: none`);
+    }
+}
+
+// Outcome of the relay policy checks (see standardness.js); only passing plans get this far, so the warnings
+// are what is worth showing
+function printStandardness(plan) {
+    const { standardness } = plan;
+    if (!standardness) return;
+    const tested = standardness.mempool ? 'dust, weight, fee share, testmempoolaccept' : 'dust, weight, fee share';
+    console.log(`  Relay Policy:    passed (${tested})`);
+    standardness.checks.filter(check => check.level === 'warn').forEach(check => console.log(`    [WARN] ${check.message}`));
+}
+
+// The single source address as before, or every source (see sources.js) by wallet
+function printSources(config) {
+    const [first] = config.sources;
+    if (config.sources.length === 1 && first.addresses.length === 1 && first.descriptors.length === 0) {
+        console.log(`Source Address:    ${first.addresses[0]}`);
+        return;
     }
+    console.log(`Sources:`);
+    describeSources(config).forEach(line => console.log(`  ${line}`));
+}
 
-    logger.debug("Configuration validated successfully.");
+// Combined summary of a consolidation split into several transactions; psbtFiles is null in plan mode
+function printBatchSummary(config, plans, psbtFiles, configFilePath) {
+    const combined = combinePlans(plans);
+    const { feeRate, excludedInputs } = plans[0];
+    console.log(`\n--- ${psbtFiles ? 'PSBT Consolidation Summary' : 'Consolidation Plan (no PSBT written)'}: ${combined.batchCount} batches ---`);
+    if (config.plan) console.log(`Plan:              ${config.plan.name} (${describeCadence(config.plan)})`);
+    console.log(`Operating Wallet:  ${config.sourceContext.operatingWalletName}`);
+    printSources(config);
+    console.log(`Fee Policy:        ${describeFeePolicy(config)}`);
+    console.log(`Fee Rate Target:   ~${feeRate.satPerVb.toFixed(2)} sat/vB (${describeFeeRateSource(feeRate)})`);
+    if (excludedInputs.length > 0) {
+        console.log(`Inputs Skipped:    ${excludedInputs.length} (input selection, see inputSelection)`);
+        excludedInputs.forEach(entry => console.log(`  ${entry.utxo.txid}:${entry.utxo.vout} ${entry.utxo.amount} sats [${entry.reason}]: ${entry.detail}`));
+    }
+    plans.forEach((plan, i) => {
+        console.log(`------------------------------------`);
+        console.log(`Batch ${plan.batch.number}/${plan.batch.count}:${psbtFiles ? ` ${psbtFiles[i]}` : ''}`);
+        console.log(`  Inputs:          ${plan.inputs.length} (${describeInputTypes(plan.fee.inputWeights.countsByType)}), ${plan.totalInputValue} sats`);
+        plan.outputs.forEach(output => {
+            console.log(`  Output:          ${output.amount} sats -> ${output.address} (index ${output.index}) [${output.allocation}]`);
+        });
+        console.log(`  Fee:             ${plan.fee.finalFee} sats (~${plan.fee.breakdown.estimatedVBytes} vB; ${plan.fee.minimality.detail})`);
+        printStandardness(plan);
+    });
+    console.log(`------------------------------------`);
+    console.log(`Total Inputs:      ${combined.inputCount} (${combined.totalInputValue} sats, ${satsToBtcString(combined.totalInputValue)} BTC)`);
+    console.log(`Total Outputs:     ${combined.outputCount} (${combined.totalOutputValue} sats)`);
+    console.log(`Total Fee:         ${combined.totalFee} sats (~${combined.estimatedVBytes} vB in ${combined.batchCount} transactions)`);
+    if (combined.savingsSats !== null) {
+        const verdict = combined.savingsSats.isPositive() ? `saves ${combined.savingsSats.toFixed()} sats` : `costs ${combined.savingsSats.neg().toFixed()} sats more`;
+        console.log(`Now vs Later:      ${combined.feeNowSats.toFixed()} sats now vs ${combined.costLaterSats.toFixed()} sats later: consolidating now ${verdict}`);
+    }
+    console.log(`------------------------------------`);
+    if (!psbtFiles) {
+        console.log(`Run 'node cli.js create ${configArgument(config, configFilePath)}' to create the PSBTs.`);
+        return;
+    }
+    console.log("\nNext Steps (for each batch's PSBT file):");
+    console.log(`1. Inspect the PSBT: node cli.js inspect ${configArgument(config, configFilePath)} <psbt file>`);
+    console.log(`2. Sign the PSBT:    node cli.js sign ${configArgument(config, configFilePath)} <psbt file>`);
+    console.log(`3. Finalize & Send:  node cli.js broadcast ${configArgument(config, configFilePath)} <signed psbt file>`);
+}
+
+function describeFeeRateSource(feeRate) {
+    let source = `estimatesmartfee ${feeRate.targetBlocks} blocks, ${feeRate.mode}`;
+    if (feeRate.source === 'fixed') source = 'fixed feerate';
+    if (feeRate.source === 'fallback') source = 'fallback minimum';
+    if (feeRate.appliedBy === 'minimum') return `${source}, raised to 1 sat/vB`;
+    if (feeRate.appliedBy === 'mempool-floor') return `${source}, raised to the mempool minimum`;
+    if (feeRate.appliedBy === 'bip125') return `${source}, raised for BIP-125 replacement`;
+    if (feeRate.appliedBy === 'cpfp') return `${source}, for parent and child together`;
+    return source;
+}
+
+// Cost now vs later, break-even feerate, per-input cost and dust flags (see economics.js)
+function printEconomics(plan) {
+    const { economics } = plan;
+    const costs = economics.inputs.map(input => input.costNowSats.toNumber());
+    console.log(`------------------------------------`);
+    console.log(`Economics:`);
+    console.log(`  Per-Input Cost:  ${Math.min(...costs)}-${Math.max(...costs)} sats at ${economics.satPerVb.toFixed(2)} sat/vB (${economics.inputCostNowSats.toFixed()} sats for all ${economics.inputs.length} inputs)`);
+    if (economics.futureSatPerVb) {
+        const verdict = economics.savingsSats.isPositive() ? `saves ${economics.savingsSats.toFixed()} sats` : `costs ${economics.savingsSats.neg().toFixed()} sats more`;
+        console.log(`  Now vs Later:    ${economics.feeNowSats.toFixed()} sats now vs ${economics.costLaterSats.toFixed()} sats at ${economics.futureSatPerVb.toFixed()} sat/vB later: consolidating now ${verdict}`);
+    } else {
+        console.log(`  Now vs Later:    set economics.futureFeeRateSatPerVb (or --future-feerate) to compare`);
+    }
+    console.log(`  Break-Even Rate: ${economics.breakEvenSatPerVb.toFixed(2)} sat/vB (consolidating pays off if the inputs would otherwise be spent above this)`);
+    if (economics.uneconomicalCount > 0) {
+        console.log(`  Uneconomical:    ${economics.uneconomicalCount} input(s) worth no more than their spend cost:`);
+        economics.inputs.filter(input => input.uneconomical).forEach(input => {
+            console.log(`    ${input.outpoint}: ${input.amountSats} sats, costs ${input.costNowSats.toFixed()} sats to spend`);
+        });
+    }
+}
+
+// One-line view of the configured fee policy (feeOptions)
+function describeFeePolicy(config) {
+    const policy = feePolicyToJson(config);
+    const parts = [policy.feeRateSatPerVb !== null ? `fixed ${policy.feeRateSatPerVb} sat/vB` : `${policy.estimateMode} estimate`];
+    parts.push(policy.mempoolFloor ? 'mempool floor' : 'no mempool floor');
+    if (policy.maxFeeRateSatPerVb !== null) parts.push(`max ${policy.maxFeeRateSatPerVb} sat/vB`);
+    if (policy.maxFeeSats !== null) parts.push(`max ${policy.maxFeeSats} sats`);
+    if (policy.feeRateSatPerVb === null) parts.push(policy.onEstimateFailure === 'fail' ? 'fail without estimate' : 'fallback 1 sat/vB');
+    return parts.join(', ');
+}
+
+// The config argument for follow-up commands; a plan of a config with plans is named with --plan
+function configArgument(config, configFilePath) {
+    return config.plan ? `${configFilePath} --plan ${config.plan.name}` : configFilePath;
+}
+
+// Default path for the signed copy of a PSBT: "x.psbt" -> "x.signed.psbt"
+function signedPsbtPath(psbtFilePath) {
+    return psbtFilePath.endsWith('.psbt') ? `${psbtFilePath.slice(0, -5)}.signed.psbt` : `${psbtFilePath}.signed`;
+}
+
+// Loads the config and prepares the node connection (or offline snapshot); exits on failure
+async function prepare(configFilePath, overrides) {
+    const config = await loadConfig(configFilePath, overrides);
+    try {
+        await attachOfflineNode(config);
+    } catch (error) {
+        logger.error(`Failed to load offline snapshot: ${error.message}`);
+        process.exit(1);
+    }
+
+    // --- Signed Size Estimation ---
+    // By default each input's signed size is worked out from its script type (see inputWeights.js).
+    // feeOptions.estimatedWitnessVBytesPerInput, if set, overrides this with a flat per-input estimate.
+    const witnessOverride = config.feeOptions?.estimatedWitnessVBytesPerInput;
+    if (witnessOverride !== undefined) {
+        logger.info(`Using configured flat witness estimate: ${witnessOverride} vBytes/input.`);
+    } else {
+        logger.info("Estimating signed size per input from its script type.");
+    }
+    // --- End Signed Size Estimation ---
+    return config;
+}
+
+function failAndExit(title, error) {
+    logger.error(`\n--- ${title} ---`);
+    logger.error(`Error: ${error.message}`);
+    // Log stack trace only at trace level for cleaner error output
+    logger.trace(error.stack);
+    process.exit(1);
+}
+
+
+// Commands other than create/plan talk to the node directly and cannot run from a snapshot
+function requireOnline(config, command) {
+    if (config.offline) {
+        logger.error(`'${command}' needs a running Bitcoin Core node and is not available in offline mode.`);
+        process.exit(1);
+    }
+}
+
+async function readPsbtFile(psbtFilePath) {
+    const psbtBase64 = (await fs.readFile(psbtFilePath, 'utf-8')).trim();
+    if (psbtBase64.length === 0) throw new Error(`PSBT file '${psbtFilePath}' is empty.`);
+    return psbtBase64;
 }
 
 
 // --- Main Application Logic ---
-async function runConsolidator(configFilePath) {
-    let config;
+async function runCreate(configFilePath, options) {
+    const config = await prepare(configFilePath, options.overrides);
     try {
-        logger.info(`Loading configuration from: ${configFilePath}`);
-        const configFileContent = await fs.readFile(configFilePath, 'utf-8');
-        config = JSON.parse(configFileContent);
-        validateConfig(config);
-        logger.setLogLevel(config.logLevel || 'info'); // Set log level from config
-        logger.debug("Configuration loaded:", config);
+        await runPreflightChecks(config);
+        const plans = await buildConsolidationPlans(config);
+        await savePsbts(config, plans, configFilePath);
+    } catch (error) {
+        failAndExit('Consolidation Failed', error);
+    }
+}
+
+// Creates the PSBT of every batch, writes each with its plan record and prints the summary.
+// A single batch is written to outputPsbtFile, several to outputPsbtFile's .batch<N>.psbt siblings.
+async function savePsbts(config, plans, configFilePath) {
+    const files = await writePsbts(config, plans);
+    if (plans.length === 1) {
+        printSummary(config, plans[0], files[0], configFilePath);
+    } else {
+        printBatchSummary(config, plans, files, configFilePath);
+    }
+    console.log("\n--- Consolidation Complete ---");
+}
+
+// Writes the PSBTs and plan records of all batches, registers them as pending and records the runs.
+// run: extra fields of the journal records (scheduledFor). Returns the PSBT files in batch order.
+async function writePsbts(config, plans, run = {}) {
+    const outputFilePath = path.resolve(config.outputPsbtFile); // Resolve to absolute path
+    const files = plans.map(plan => batchPsbtFilePath(outputFilePath, plan.batch.number, plan.batch.count));
+    await checkNotPending(config, files);
+    for (const [i, plan] of plans.entries()) {
+        const { psbtBase64 } = await createPsbtFromPlan(config, plan);
+        const file = files[i];
+        logger.info(`Saving final PSBT to: ${file}`);
+        await fs.writeFile(file, psbtBase64, 'utf-8');
+        // The plan record lets 'verify' compare the signed transaction with what the fee was solved for
+        await fs.writeFile(planFilePath(file), JSON.stringify(planToJson(config, plan), null, 2), 'utf-8');
+    }
+    // Registered (and with lockInputs locked) so later runs leave these inputs alone
+    await registerPendingPsbts(config, plans.map((plan, i) => pendingRecord(config, files[i], plan.inputs)));
+    await recordRuns(config, plans.map((plan, i) => ({ plan, psbtFile: files[i], ...run })));
+    return files;
+}
 
+// --- Watch ---
+// Polls until fees are cheap enough (see watch.js), then creates the PSBT like runCreate
+async function runWatch(configFilePath, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'watch');
+    try {
+        await runPreflightChecks(config);
+        const result = await watchForCheapFees(config);
+        logger.info(`Building the PSBT (${result.reason} condition met after ${result.polls} poll${result.polls === 1 ? '' : 's'}).`);
+        await savePsbts(config, result.plans, configFilePath);
+    } catch (error) {
+        failAndExit('Watch Failed', error);
+    }
+}
+
+// --- Recurring Plans ---
+// Builds every plan of a config with plans that is due (see schedule.js), one PSBT per plan (or per batch),
+// and prints a combined report. options.at evaluates the schedule at that time instead of now; --plan
+// limits the run to one plan. A failing plan does not stop the others, but makes the exit status 1.
+async function runDue(configFilePath, options) {
+    let configs;
+    try {
+        configs = await loadPlanConfigs(configFilePath, options.overrides);
+        logger.setLogLevel(configs[0].logLevel || 'info');
     } catch (error) {
         logger.error(`Failed to load or validate configuration: ${error.message}`);
         process.exit(1);
     }
+    const now = options.at !== undefined ? Date.parse(options.at) : Date.now();
+    if (Number.isNaN(now)) usageError(`--at ${options.at} is not a date and time, e.g. 2026-11-02T08:00:00Z.`);
+    const selected = configs.filter(config => !options.overrides.plan || config.plan.name === options.overrides.plan);
+    if (selected.length === 0) {
+        logger.error(`No plan '${options.overrides.plan}' in '${configFilePath}' (plans: ${configs.map(config => config.plan.name).join(', ')}).`);
+        process.exit(1);
+    }
 
-    // --- Determine Witness VBytes Estimate ---
-    // Use value from config if provided, otherwise use a default (as specified in feeCalculator)
-    // This ensures consistency between cli.js summary and feeCalculator logic.
-    const ESTIMATED_WITNESS_VBYTES_PER_INPUT = config.feeOptions?.estimatedWitnessVBytesPerInput ?? 28; // Default to 28 if not in config
-    logger.info(`Using estimated witness size: ${ESTIMATED_WITNESS_VBYTES_PER_INPUT} vBytes/input for calculations and summary.`);
-    // Add this resolved value back into the config object for easy passing to feeCalculator
-    config.feeOptions = {
-        ...config.feeOptions, // Keep other potential fee options
-        estimatedWitnessVBytesPerInput: ESTIMATED_WITNESS_VBYTES_PER_INPUT
-    };
-    // --- End Witness VBytes Estimate ---
+    const results = [];
+    for (const config of selected) {
+        const result = { config };
+        try {
+            result.state = await planDueState(config, now);
+            if (result.state.due) {
+                logger.info(`Plan '${config.plan.name}' is due (scheduled ${result.state.scheduledFor.toISOString()}), building.`);
+                await attachOfflineNode(config);
+                await runPreflightChecks(config);
+                result.plans = await buildConsolidationPlans(config);
+                result.files = await writePsbts(config, result.plans, { scheduledFor: result.state.scheduledFor.toISOString() });
+            }
+        } catch (error) {
+            logger.error(`Plan '${config.plan.name}' failed: ${error.message}`);
+            logger.trace(error.stack);
+            result.error = error;
+        }
+        results.push(result);
+    }
+    printDueReport(results, now, configFilePath);
+    if (results.some(result => result.error)) process.exit(1);
+}
 
+// Combined report of run-due: what each plan built, or why it did not
+function printDueReport(results, now, configFilePath) {
+    console.log(`\n--- Recurring Plans (as of ${new Date(now).toISOString()}) ---`);
+    for (const { config, state, plans, files, error } of results) {
+        console.log(`${config.plan.name}: ${describeCadence(config.plan)}`);
+        if (error) {
+            console.log(`  Failed:          ${error.message}`);
+        } else if (!state.due) {
+            const last = state.lastRun;
+            console.log(`  Not due:         last run ${last.createdAt}${last.scheduledFor ? ` (for ${last.scheduledFor})` : ''}, next due ${state.nextAt.toISOString()}`);
+        } else {
+            const combined = combinePlans(plans);
+            console.log(`  Built:           ${combined.inputCount} input(s), ${combined.totalInputValue} sats -> ${combined.outputCount} output(s), fee ${combined.totalFee} sats (scheduled ${state.scheduledFor.toISOString()})`);
+            plans.forEach((plan, i) => {
+                console.log(`  PSBT:            ${files[i]}`);
+                plan.outputs.forEach(output => console.log(`    ${output.amount} sats -> ${output.address} (index ${output.index})`));
+            });
+        }
+    }
+    const built = results.filter(result => result.files);
+    const failed = results.filter(result => result.error);
+    console.log(`------------------------------------`);
+    console.log(`Built ${built.length} of ${results.length} plan(s)` +
+        `${failed.length > 0 ? `, ${failed.length} failed` : ''}, ${results.length - built.length - failed.length} not due.`);
+    if (built.length === 0) return;
+    console.log("\nNext Steps (for each built plan):");
+    console.log(`1. Inspect the PSBT: node cli.js inspect ${configFilePath} --plan <name> [psbt file]`);
+    console.log(`2. Sign the PSBT:    node cli.js sign ${configFilePath} --plan <name> [psbt file]`);
+    console.log(`3. Finalize & Send:  node cli.js broadcast ${configFilePath} --plan <name> [signed psbt file]`);
+}
+
+// --- Plan (Dry Run) ---
+// Same discovery and fee solving as runCreate, but writes nothing.
+// With --json, the plan is printed as JSON on stdout and all logging goes to stderr.
+async function runPlan(configFilePath, options) {
+    if (options.json) logger.setLogToStderr(true);
+    const config = await prepare(configFilePath, options.overrides);
+    config.dryRun = true; // Nothing is changed in the wallet either (addressDerivation.extendRange)
     try {
-        // 1. Initial Checks
-        logger.info("Performing initial Bitcoin Core checks...");
-        await makeRpcCall(config, 'echo', ['Connection test successful!']); // Basic connectivity test
-        await checkCoreVersion(config);
-        await checkWalletIsDescriptor(config);
-        logger.info("Bitcoin Core checks passed.");
-
-        // 2. Discover Inputs
-        logger.info("Discovering input UTXOs...");
-        const sourceUtxos = await listSourceUtxos(config);
-        const allWalletUtxos = await listWalletUtxos(config);
-        const targetUtxos = filterTargetUtxos(allWalletUtxos, config.targetDescriptors);
-
-        // Combine and deduplicate UTXOs
-        const utxoMap = new Map(); // Use Map<txid:vout, utxoObject> for deduplication
-        [...sourceUtxos, ...targetUtxos].forEach(utxo => {
-            const key = `${utxo.txid}:${utxo.vout}`;
-            if (!utxoMap.has(key)) {
-                utxoMap.set(key, utxo);
-            } else {
-                 logger.trace(`Duplicate UTXO found and skipped: ${key}`);
-            }
+        await runPreflightChecks(config);
+        const plans = await buildConsolidationPlans(config);
+        if (options.json) {
+            process.stdout.write(JSON.stringify(plansToJson(config, plans), null, 2) + '\n');
+        } else if (plans.length === 1) {
+            printSummary(config, plans[0], null, configFilePath);
+        } else {
+            printBatchSummary(config, plans, null, configFilePath);
+        }
+    } catch (error) {
+        failAndExit('Planning Failed', error);
+    }
+}
+
+// --- Inspect ---
+// Decodes and analyzes a PSBT (default: outputPsbtFile) with the node
+async function runInspect(configFilePath, psbtFile, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'inspect');
+    const psbtFilePath = path.resolve(psbtFile ?? config.outputPsbtFile);
+    try {
+        const { decoded, analysis } = await inspectPsbt(config, await readPsbtFile(psbtFilePath));
+        console.log(`\n--- PSBT Inspection ---`);
+        console.log(`File:              ${psbtFilePath}`);
+        console.log(`Txid (unsigned):   ${decoded.tx.txid}`);
+        console.log(`Inputs:            ${decoded.inputs.length}`);
+        (analysis.inputs ?? []).forEach((input, i) => {
+            const outpoint = `${decoded.tx.vin[i].txid}:${decoded.tx.vin[i].vout}`;
+            const missing = input.missing ? ` (missing: ${Object.keys(input.missing).join(', ')})` : '';
+            console.log(`  [${i+1}] ${outpoint} ${input.is_final ? 'final' : input.next}${missing}`);
+        });
+        console.log(`Outputs:           ${decoded.tx.vout.length}`);
+        decoded.tx.vout.forEach((output, i) => {
+            const sats = btcToSats(output.value);
+            console.log(`  [${i+1}] ${sats} sats (${satsToBtcString(sats)} BTC) -> ${output.scriptPubKey.address ?? output.scriptPubKey.hex}`);
         });
+        if (decoded.fee !== undefined) console.log(`Fee:               ${btcToSats(decoded.fee)} sats`);
+        if (analysis.estimated_vsize !== undefined) {
+            console.log(`Est. VSize:        ${analysis.estimated_vsize} vBytes`);
+            console.log(`Est. Fee Rate:     ~${convertFeeRateToSatPerVb(analysis.estimated_feerate).toFixed(2)} sat/vB`);
+        }
+        console.log(`Next Role:         ${analysis.next}`);
+        if (analysis.error) console.log(`Error:             ${analysis.error}`);
+    } catch (error) {
+        failAndExit('Inspection Failed', error);
+    }
+}
 
-        const finalInputs = Array.from(utxoMap.values());
-        if (finalInputs.length === 0) {
-            throw new Error("No spendable, confirmed UTXOs found for the source address or matching target descriptors.");
+// --- Sign ---
+// Signs a PSBT (default: outputPsbtFile) with every source wallet (see sources.js) and writes the result to --output
+// (default: "<name>.signed.psbt" next to the input)
+async function runSign(configFilePath, psbtFile, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'sign');
+    const psbtFilePath = path.resolve(psbtFile ?? config.outputPsbtFile);
+    const signedFilePath = path.resolve(options.output ?? signedPsbtPath(psbtFilePath));
+    try {
+        logger.info(`Signing ${psbtFilePath} with wallet${config.sources.length > 1 ? 's' : ''} ${sourceWallets(config).map(wallet => `'${wallet}'`).join(', ')}...`);
+        const { psbt, complete } = await signWithSourceWallets(config, await readPsbtFile(psbtFilePath));
+        await fs.writeFile(signedFilePath, psbt, 'utf-8');
+        console.log(`\nSigned PSBT saved to: ${signedFilePath}`);
+        if (complete) {
+            console.log(`All inputs are signed. Broadcast with: node cli.js broadcast ${configArgument(config, configFilePath)} ${signedFilePath}`);
+        } else {
+            console.log(`Not all inputs could be signed by ${config.sources.length > 1 ? 'these wallets' : 'this wallet'}; pass the signed PSBT to the remaining signers.`);
         }
-        const numInputs = finalInputs.length; // Store NumInputs
-        logger.info(`Found a total of ${numInputs} unique UTXOs to consolidate.`);
-        logger.trace("Final unique input UTXOs:", finalInputs);
+    } catch (error) {
+        failAndExit('Signing Failed', error);
+    }
+}
 
+// --- Broadcast ---
+// Signs (if needed) and finalizes a PSBT, shows the final review and sends it only after confirmation.
+// Default input: the signed copy of outputPsbtFile if it exists, else outputPsbtFile itself.
+async function runBroadcast(configFilePath, psbtFile, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'broadcast');
+    try {
+        const psbtFilePath = path.resolve(psbtFile ?? await defaultBroadcastInput(config));
+        logger.info(`Preparing ${psbtFilePath} for broadcast...`);
+        const review = await prepareBroadcast(config, await readPsbtFile(psbtFilePath));
+        printReview(review);
+        if (!review.mempool.allowed) {
+            throw new Error(`The node would reject this transaction: ${review.mempool.rejectReason}. Nothing was broadcast.`);
+        }
+        if (!await confirmBroadcast(options.yes)) {
+            console.log("Broadcast cancelled. Nothing was sent.");
+            process.exit(1);
+        }
 
-        const totalInputValue = finalInputs.reduce((sum, utxo) => sum + utxo.amount, 0n); // Sum using BigInt
-        logger.info(`Total input value: ${totalInputValue} sats (${satsToBtcString(totalInputValue)} BTC)`);
-        if (totalInputValue <= 0n) {
-             throw new Error("Total value of discovered UTXOs is zero or negative.");
+        const txid = await broadcastReviewed(config, review);
+        console.log(`\nTransaction broadcast. Txid: ${txid}`);
+        try {
+            const logFile = await recordBroadcast(config, { ...review, txid }, psbtFilePath);
+            console.log(`Recorded in:       ${logFile}`);
+        } catch (error) {
+            // The transaction is already out; losing the record must not look like a failed broadcast
+            logger.warn(`Transaction was broadcast, but recording it failed: ${error.message}`);
         }
+        const spentInputs = review.inputs.map(input => `${input.txid}:${input.vout}`);
+        try {
+            const settled = await markBroadcast(config, spentInputs, txid);
+            settled.forEach(entry => console.log(`Pending PSBT settled: ${entry.psbtFile}${entry.locked ? ' (inputs unlocked)' : ''}`));
+        } catch (error) {
+            logger.warn(`Transaction was broadcast, but updating the pending PSBT registry failed: ${error.message}`);
+        }
+        try {
+            await recordRunBroadcast(config, spentInputs, txid);
+        } catch (error) {
+            logger.warn(`Transaction was broadcast, but updating the run journal failed: ${error.message}`);
+        }
+    } catch (error) {
+        failAndExit('Broadcast Failed', error);
+    }
+}
 
+async function defaultBroadcastInput(config) {
+    const unsigned = path.resolve(config.outputPsbtFile);
+    const signed = signedPsbtPath(unsigned);
+    try {
+        await fs.access(signed);
+        return signed;
+    } catch {
+        return unsigned;
+    }
+}
 
-        // 3. Derive Output Addresses
-        logger.info("Deriving target output addresses...");
-        // derivedAddresses: Map<targetDescriptorString, derivedAddressString>
-        const derivedAddresses = await deriveOutputAddresses(config);
-        if (derivedAddresses.size !== config.targetDescriptors.length) {
-             throw new Error(`Internal Error: Mismatch - Expected ${config.targetDescriptors.length} derived addresses, but got ${derivedAddresses.size}.`);
-        }
-         logger.info(`Successfully derived ${derivedAddresses.size} output addresses.`);
-
-
-        // 4. Determine Optimal Fee & Distribution
-        logger.info("Calculating optimal fee and distribution...");
-        const estimatedFeeRateBtcPerKvB = await estimateFeeRate(config);
-        const feeRateSatPerVbyte = convertFeeRateToSatPerVb(estimatedFeeRateBtcPerKvB); // Returns Decimal, >= 1.0
-
-        const inputsForTx = finalInputs.map(utxo => ({ txid: utxo.txid, vout: utxo.vout }));
-
-        // Pass the main config object (including resolved feeOptions) to the fee calculator
-        const { finalFee, amountPerOutput } = await calculateOptimalFee(
-            config,             // Pass full config including feeOptions
-            config,             // Duplicate argument for RPC client config source
-            inputsForTx,
-            derivedAddresses,   // The Map<descriptor, address>
-            totalInputValue,    // BigInt
-            feeRateSatPerVbyte  // Decimal
-        );
-        // finalFee and amountPerOutput are BigInt
-
-
-        // 5. Construct Final PSBT
-        logger.info("Constructing final transaction and PSBT...");
-        // Prepare outputs object: { address: amountBTCString, ... }
-        const outputsForTx = {};
-        const amountBtcString = satsToBtcString(amountPerOutput);
-        for (const address of derivedAddresses.values()) {
-             outputsForTx[address] = amountBtcString;
+// --- Verify ---
+// Measures a fully signed PSBT and checks its effective feerate against the target it was built for
+// (--feerate, else the plan record written by 'create', else the current estimate) and the node's minimum.
+async function runVerify(configFilePath, psbtFile, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'verify');
+    try {
+        const psbtFilePath = path.resolve(psbtFile ?? await defaultBroadcastInput(config));
+        const psbtBase64 = await readPsbtFile(psbtFilePath);
+        const tolerancePercent = options.tolerance !== undefined ? Number(options.tolerance) : (config.feeOptions?.verifyTolerancePercent ?? DEFAULT_TOLERANCE_PERCENT);
+        if (!Number.isFinite(tolerancePercent) || tolerancePercent < 0) {
+            throw new Error(`Invalid --tolerance '${options.tolerance}': must be a non-negative percentage.`);
         }
 
-        logger.debug("Creating final raw transaction...", { inputsForTx, outputsForTx });
-        const finalRawTxHex = await createRawTx(config, inputsForTx, outputsForTx); // Store this hex
+        const result = await verifySignedPsbt(config, psbtBase64, await verificationTarget(config, psbtFilePath, options.overrides.feeRate !== undefined), tolerancePercent);
+        printVerification(result);
+        if (!result.passed) process.exit(1);
+    } catch (error) {
+        failAndExit('Verification Failed', error);
+    }
+}
 
-        logger.debug("Converting final raw transaction to PSBT...");
-        const initialPsbt = await convertToPsbt(config, finalRawTxHex);
+async function verificationTarget(config, psbtFilePath, feeRateFlagGiven) {
+    if (feeRateFlagGiven) {
+        return { satPerVb: new Decimal(config.feeOptions.feeRateSatPerVb.toString()), source: '--feerate' };
+    }
+    // A signed copy has no record of its own; fall back to the record of the PSBT it was made from
+    // ("<name>.signed.psbt" -> "<name>.psbt", e.g. one batch's PSBT), then to outputPsbtFile's
+    const unsigned = psbtFilePath.endsWith('.signed.psbt') ? `${psbtFilePath.slice(0, -12)}.psbt` : null;
+    const record = await loadPlanRecord(psbtFilePath)
+        ?? (unsigned ? await loadPlanRecord(unsigned) : null)
+        ?? await loadPlanRecord(path.resolve(config.outputPsbtFile));
+    if (record) {
+        if (record.plan.inputs && record.plan.fee) {
+            return {
+                satPerVb: new Decimal(record.plan.feeRate.satPerVb),
+                source: `plan record ${record.file}`,
+                estimatedVBytes: record.plan.fee.estimatedVBytes,
+                plan: record.plan,
+            };
+        }
+        logger.warn(`Plan record ${record.file} is incomplete; ignoring it.`);
+    }
+    logger.warn("No plan record found for this PSBT; comparing against the current fee estimate instead of the one it was built with.");
+    const feeRate = await resolveFeeRate(config);
+    return { satPerVb: feeRate.satPerVb, source: `current ${describeFeeRateSource(feeRate)}` };
+}
 
-        logger.info("Processing PSBT with wallet data (derivation paths)...");
-        const finalPsbtBase64 = await processPsbt(config, initialPsbt);
+// --- Bump and CPFP ---
+// A broadcast transaction given as its txid, or as the PSBT it was broadcast from (default: as for broadcast).
+// Returns { txid, planRecord (the PSBT's plan, or null), basePath (for derived file names) }
+async function resolveTransactionRef(config, ref) {
+    if (/^[0-9a-f]{64}$/i.test(ref ?? '')) {
+        return { txid: ref, planRecord: null, basePath: path.resolve(config.outputPsbtFile) };
+    }
+    const psbtFilePath = path.resolve(ref ?? await defaultBroadcastInput(config));
+    const { decoded } = await inspectPsbt(config, await readPsbtFile(psbtFilePath));
+    const unsigned = psbtFilePath.endsWith('.signed.psbt') ? `${psbtFilePath.slice(0, -12)}.psbt` : psbtFilePath;
+    const record = await loadPlanRecord(psbtFilePath) ?? await loadPlanRecord(unsigned);
+    return { txid: decoded.tx.txid, planRecord: record?.plan ?? null, basePath: unsigned };
+}
 
+// "<name>.psbt" -> "<name>.<suffix>.psbt"
+function derivedPsbtPath(basePath, suffix) {
+    return `${basePath.endsWith('.psbt') ? basePath.slice(0, -5) : basePath}.${suffix}.psbt`;
+}
 
-        // 6. Output
-        const outputFilePath = path.resolve(config.outputPsbtFile); // Resolve to absolute path
-        logger.info(`Saving final PSBT to: ${outputFilePath}`);
-        await fs.writeFile(outputFilePath, finalPsbtBase64, 'utf-8');
+// Writes the PSBT of a single follow-up plan (bump or CPFP child) with its plan record, and registers it
+// in the pending registry and the run journal. journal: extra run fields ({ replaces } or { childOf })
+async function saveFollowUpPsbt(config, plan, file, lock, journal) {
+    const { psbtBase64 } = await createPsbtFromPlan(config, plan);
+    logger.info(`Saving PSBT to: ${file}`);
+    await fs.writeFile(file, psbtBase64, 'utf-8');
+    await fs.writeFile(planFilePath(file), JSON.stringify(planToJson(config, plan), null, 2), 'utf-8');
+    await registerPendingPsbts(config, [pendingRecord(config, file, plan.inputs, journal.replaces)], lock);
+    await recordRuns(config, [{ plan, psbtFile: file, ...journal }]);
+}
 
-        // --- Display Summary ---
-        console.log("\n--- PSBT Consolidation Summary ---");
-        console.log(`Operating Wallet:  ${config.sourceContext.operatingWalletName}`);
-        console.log(`Source Address:    ${config.sourceContext.sourceAddress}`);
-        console.log(`Target Descriptors:${config.targetDescriptors.length > 0 ? '' : ' (None Specified)'}`);
-        config.targetDescriptors.forEach((desc, i) => console.log(`  [${i+1}] ${desc} -> ${derivedAddresses.get(desc)}`));
+// Rebuilds a broadcast consolidation at a higher feerate (see bump.js). Writes "<name>.bump.psbt" unless --output is given.
+async function runBump(configFilePath, ref, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'bump');
+    try {
+        const { txid, planRecord, basePath } = await resolveTransactionRef(config, ref);
+        const file = path.resolve(options.output ?? derivedPsbtPath(basePath, 'bump'));
+        await checkNotPending(config, [file]);
+        const { plan, original, incrementalSatPerVb, minFeeSats } = await buildBumpPlan(config, txid, planRecord);
+        // Not locked: the inputs are already spent by the original in the mempool
+        await saveFollowUpPsbt(config, plan, file, false, { replaces: txid });
+
+        const { fee, feeRate } = plan;
+        console.log(`\n--- Fee Bump (BIP-125 Replacement) ---`);
+        console.log(`Replaces:          ${original.txid}`);
+        console.log(`  Original Fee:    ${original.feeSats} sats for ${original.vsize} vB (${original.feeRate.toFixed(2)} sat/vB)`);
+        if (original.descendantCount > 1) {
+            console.log(`  Evicted:         ${original.descendantCount - 1} descendant(s), ${original.evictedFeeSats} sats in fees with the original`);
+        }
+        console.log(`  Incremental Fee: ${incrementalSatPerVb.toFixed()} sat/vB`);
         console.log(`------------------------------------`);
-        console.log(`Inputs Found:      ${numInputs}`);
-        console.log(`Total Input Value: ${totalInputValue} sats (${satsToBtcString(totalInputValue)} BTC)`);
+        console.log(`Inputs:            ${plan.inputs.length} (${plan.totalInputValue} sats, same as the original)`);
+        console.log(`Outputs:           ${plan.outputs.length}${isEvenAllocation(config.targetAllocations) ? ' (even split)' : ''}`);
+        plan.outputs.forEach((output, i) => {
+            console.log(`  [${i+1}] ${output.amount} sats (${satsToBtcString(output.amount)} BTC) -> ${output.address} [${output.allocation}]`);
+        });
+        if (config.change) printChange(plan);
+        console.log(`New Fee:           ${fee.finalFee} sats (+${fee.finalFee - original.feeSats}, BIP-125 minimum ${minFeeSats} sats)`);
+        console.log(`  Fee Rate Target: ~${feeRate.satPerVb.toFixed(2)} sat/vB (${describeFeeRateSource(feeRate)})`);
+        console.log(`  Est. Final VSize: ${fee.breakdown.estimatedVBytes} vBytes`);
+        printStandardness(plan);
         console.log(`------------------------------------`);
-        console.log(`Outputs Created:   ${derivedAddresses.size}`);
-        console.log(`Amount Per Output: ${amountPerOutput} sats (${satsToBtcString(amountPerOutput)} BTC)`);
-        console.log(`Total Output Value:${amountPerOutput * BigInt(derivedAddresses.size)} sats`);
-        console.log(`Final Fee:         ${finalFee} sats`);
-
-        // --- Fee Breakdown Calculation for Summary ---
-        let sizeBasedFeeDisplay = 'N/A';
-        let remainderFeeDisplay = 'N/A';
-        let estimatedVBytesDisplay = 'N/A';
-        try {
-            // Use the *final* rawTxHex created just before PSBT generation
-            // Use the imported decodeRawTx function
-            const decodedFinalTx = await decodeRawTx(config, finalRawTxHex);
-            const finalBaseVBytes = decodedFinalTx.vsize;
-            const finalEstimatedWitnessVBytes = numInputs * ESTIMATED_WITNESS_VBYTES_PER_INPUT;
-            const finalEstimatedVBytes = finalBaseVBytes + finalEstimatedWitnessVBytes;
-            estimatedVBytesDisplay = `${finalEstimatedVBytes} vBytes (Base: ${finalBaseVBytes}, Est. Witness: ${finalEstimatedWitnessVBytes})`;
-
-            // Recalculate SizeBasedFee based on this final estimation
-            const finalSizeBasedFeeDecimal = new Decimal(finalEstimatedVBytes).mul(feeRateSatPerVbyte);
-            const finalSizeBasedFee = ceilToBigInt(finalSizeBasedFeeDecimal); // Use imported ceilToBigInt
-
-            // Calculate remainder component based on the actual FinalFee paid
-            const finalRemainderFee = finalFee - finalSizeBasedFee;
-
-            sizeBasedFeeDisplay = `${finalSizeBasedFee} sats`;
-            // Ensure remainder isn't displayed as negative if fee was slightly higher than calculation due to edge cases
-            remainderFeeDisplay = `${finalRemainderFee >= 0n ? finalRemainderFee : 0n} sats`;
-
-        } catch (decodeError) {
-             // Log the error using the logger, respecting logLevel
-             logger.warn(`Could not decode final transaction or calculate fee breakdown for summary: ${decodeError.message}`);
-             // Keep display values as 'N/A'
-        }
-        console.log(`  Fee Rate Target: ~${feeRateSatPerVbyte.toFixed(2)} sat/vB`);
-        console.log(`  Est. Final VSize: ${estimatedVBytesDisplay}`);
-        console.log(`  Fee Size Comp.:  ${sizeBasedFeeDisplay}`);
-        console.log(`  Fee Remainder:   ${remainderFeeDisplay}`);
-        // --- End Fee Breakdown ---
+        console.log(`PSBT saved to:     ${file}`);
+        console.log("\nNext Steps:");
+        console.log(`1. Sign the PSBT:    node cli.js sign ${configArgument(config, configFilePath)} ${file}`);
+        console.log(`2. Finalize & Send:  node cli.js broadcast ${configArgument(config, configFilePath)} ${signedPsbtPath(file)}   (replaces ${original.txid})`);
+    } catch (error) {
+        failAndExit('Fee Bump Failed', error);
+    }
+}
 
+// Builds a child that pays for a stuck consolidation (see cpfp.js). Writes "<name>.cpfp.psbt" unless --output is given.
+async function runCpfp(configFilePath, ref, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'cpfp');
+    try {
+        const { txid, basePath } = await resolveTransactionRef(config, ref);
+        const file = path.resolve(options.output ?? derivedPsbtPath(basePath, 'cpfp'));
+        await checkNotPending(config, [file]);
+        const { plan, parent, targetSatPerVb, packageFeeRate } = await buildCpfpPlan(config, txid);
+        await saveFollowUpPsbt(config, plan, file, Boolean(config.lockInputs), { childOf: txid });
+
+        const { fee, feeRate } = plan;
+        const [input] = plan.inputs;
+        const [output] = plan.outputs;
+        console.log(`\n--- Child Pays For Parent ---`);
+        console.log(`Parent:            ${parent.txid}`);
+        console.log(`  Parent Fee:      ${parent.feeSats} sats for ${parent.vsize} vB (${parent.feeRate.toFixed(2)} sat/vB)`);
+        if (parent.ancestorCount > 1) {
+            console.log(`  With Ancestors:  ${parent.packageFeeSats} sats for ${parent.packageVBytes} vB (${parent.ancestorCount - 1} unconfirmed ancestor(s))`);
+        }
         console.log(`------------------------------------`);
-        console.log(`PSBT saved to:     ${outputFilePath}`);
+        console.log(`Child Input:       ${input.txid}:${input.vout} ${input.amount} sats (${output.descriptor})`);
+        console.log(`Child Output:      ${output.amount} sats (${satsToBtcString(output.amount)} BTC) -> ${output.address} (index ${output.index})`);
+        console.log(`Child Fee:         ${fee.finalFee} sats for ~${fee.breakdown.estimatedVBytes} vB (~${feeRate.satPerVb.toFixed(2)} sat/vB)`);
+        console.log(`Package Fee Rate:  ~${packageFeeRate.toFixed(2)} sat/vB (target ${targetSatPerVb.toFixed(2)} sat/vB, ${describeFeeRateSource(feeRate)})`);
+        printStandardness(plan);
         console.log(`------------------------------------`);
+        console.log(`PSBT saved to:     ${file}`);
         console.log("\nNext Steps:");
-        console.log(`1. Inspect the PSBT: bitcoin-cli -rpcwallet=${config.sourceContext.operatingWalletName} decodepsbt "$(cat ${outputFilePath})"`);
-        console.log(`2. Sign the PSBT:    bitcoin-cli -rpcwallet=${config.sourceContext.operatingWalletName} walletprocesspsbt "$(cat ${outputFilePath})" true | jq -r .psbt > signed.psbt`);
-        console.log(`3. Finalize & Send:  bitcoin-cli finalizepsbt "$(cat signed.psbt)" | jq -r .hex`);
-        console.log(`                     bitcoin-cli sendrawtransaction <hex_from_above>`);
-        console.log("\n--- Consolidation Complete ---");
+        console.log(`1. Sign the PSBT:    node cli.js sign ${configArgument(config, configFilePath)} ${file}`);
+        console.log(`2. Finalize & Send:  node cli.js broadcast ${configArgument(config, configFilePath)} ${signedPsbtPath(file)}   (the parent must still be in the mempool)`);
+    } catch (error) {
+        failAndExit('CPFP Failed', error);
+    }
+}
 
+// --- Pending PSBTs ---
+// Lists the PSBTs in the pending registry and marks those whose inputs were spent elsewhere as stale
+async function runPending(configFilePath, options) {
+    const config = await prepare(configFilePath, options.overrides);
+    try {
+        const entries = await loadPendingPsbts(config);
+        const stale = await detectStalePsbts(config, entries);
+        if (stale.length > 0) await savePendingPsbts(config, entries);
+        console.log(`\n--- Pending PSBTs (${pendingFilePath(config)}) ---`);
+        if (entries.length === 0) console.log("None recorded.");
+        for (const entry of entries) {
+            console.log(`${entry.status.toUpperCase().padEnd(10)} ${entry.psbtFile}`);
+            console.log(`           created ${entry.createdAt}${entry.plan ? ` (plan ${entry.plan})` : ''}, ${entry.inputs.length} input(s)${entry.locked && ['pending', 'stale'].includes(entry.status) ? ', locked in the wallet' : ''}`);
+            if (entry.status === 'stale') console.log(`           spent elsewhere: ${entry.spentInputs.join(', ')}`);
+            if (entry.status === 'broadcast') console.log(`           txid ${entry.txid}`);
+        }
+        if (config.offlineNode) console.log("(Offline: spent inputs are not checked.)");
+    } catch (error) {
+        failAndExit('Pending Check Failed', error);
+    }
+}
 
+// Abandons a pending PSBT (default: all pending and stale ones), unlocking its inputs
+async function runRelease(configFilePath, psbtFile, options) {
+    const config = await prepare(configFilePath, options.overrides);
+    try {
+        const released = await releasePendingPsbts(config, psbtFile ? path.resolve(psbtFile) : null);
+        if (released.length === 0) console.log("No pending PSBTs to release.");
+        released.forEach(({ entry, unlocked }) => {
+            console.log(`Released ${entry.psbtFile}${entry.locked ? ` (${unlocked} input(s) unlocked)` : ''}`);
+        });
     } catch (error) {
-        logger.error(`\n--- Consolidation Failed ---`);
-        logger.error(`Error: ${error.message}`);
-        // Log stack trace only at trace level for cleaner error output
-        logger.trace(error.stack);
-        process.exit(1);
+        failAndExit('Release Failed', error);
     }
 }
 
-// --- Script Execution ---
-if (process.argv.length !== 3) {
-    console.error("Usage: node cli.js <path_to_config.json>");
+// --- History ---
+// Past consolidations per target descriptor from the run journal (confirmations refreshed when online).
+// descriptor: only this target descriptor
+async function runHistory(configFilePath, descriptor, options) {
+    if (options.json) logger.setLogToStderr(true);
+    const config = await prepare(configFilePath, options.overrides);
+    try {
+        const runs = await loadJournal(config);
+        if (await refreshConfirmations(config, runs)) await saveJournal(config, runs);
+        const pending = await loadPendingPsbts(config);
+        // Runs that were never broadcast take their state from the pending registry (pending, stale, released)
+        const stateOf = run => runState(run, pending);
+
+        const history = [...historyByDescriptor(runs)].filter(([desc]) => !descriptor || desc === descriptor);
+        if (options.json) {
+            const json = history.map(([desc, entries]) => ({
+                descriptor: desc,
+                runs: entries.map(({ run, output }) => ({
+                    id: run.id,
+                    createdAt: run.createdAt,
+                    status: stateOf(run),
+                    psbtFile: run.psbtFile,
+                    address: output.address,
+                    index: output.index,
+                    amountSats: output.amountSats,
+                    feeSats: run.feeSats,
+                    txid: run.txid ?? null,
+                    confirmations: run.confirmations ?? null,
+                    plan: run.plan ?? null,
+                    replaces: run.replaces ?? null,
+                    childOf: run.childOf ?? null,
+                })),
+            }));
+            process.stdout.write(JSON.stringify(json, null, 2) + '\n');
+            return;
+        }
+
+        console.log(`\n--- Consolidation History (${journalFilePath(config)}) ---`);
+        if (history.length === 0) console.log(descriptor ? `No runs paid ${descriptor}.` : "No runs recorded.");
+        for (const [desc, entries] of history) {
+            const confirmed = entries.filter(({ run }) => run.status === 'confirmed').reduce((sum, { output }) => sum + BigInt(output.amountSats), 0n);
+            console.log(`${desc}`);
+            console.log(`  ${entries.length} payment(s), ${confirmed} sats confirmed`);
+            for (const { run, output } of entries) {
+                const state = stateOf(run);
+                const detail = run.txid ? ` txid ${run.txid}${run.confirmations !== undefined ? ` (${run.confirmations} conf.)` : ''}` : ` ${run.psbtFile}`;
+                const relation = run.replaces ? `, replaces ${run.replaces}` : (run.childOf ? `, child of ${run.childOf}` : '');
+                console.log(`  ${run.createdAt}  ${state.padEnd(10)} index ${String(output.index ?? '?').padEnd(5)} ${output.amountSats} sats -> ${output.address}${detail}${relation}`);
+            }
+        }
+        if (config.offlineNode) console.log("(Offline: confirmations are not refreshed.)");
+    } catch (error) {
+        failAndExit('History Failed', error);
+    }
+}
+
+// --- Status ---
+// Node, wallet, source address and fee estimate overview
+async function runStatus(configFilePath, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    requireOnline(config, 'status');
+    try {
+        const { chain, network, wallet } = await getNodeStatus(config);
+        const feeRate = await resolveFeeRate(config);
+        console.log(`\n--- Status ---`);
+        console.log(`Node:              ${network.subversion} (version ${network.version})`);
+        console.log(`Chain:             ${chain.chain}, ${chain.blocks}/${chain.headers} blocks${chain.initialblockdownload ? ' (initial block download in progress)' : ''}`);
+        console.log(`Wallet:            ${wallet.walletname} (${wallet.descriptors ? 'descriptor' : 'legacy'} wallet, ${wallet.txcount} transactions)`);
+        printSources(config);
+        for (const source of config.sources) {
+            // Confirmed UTXOs at the source addresses and of the source descriptors
+            const matched = new Map((await listSourceUtxos(config, 1, source)).map(utxo => [`${utxo.txid}:${utxo.vout}`, utxo]));
+            if (source.descriptors.length > 0) {
+                filterTargetUtxos(await listWalletUtxos(config, 1, source.wallet), source.descriptors, 'source').forEach(utxo => matched.set(`${utxo.txid}:${utxo.vout}`, utxo));
+            }
+            const value = [...matched.values()].reduce((sum, utxo) => sum + utxo.amount, 0n);
+            console.log(`  Spendable UTXOs${config.sources.length > 1 ? ` in '${source.wallet}'` : ''}: ${matched.size} (${value} sats, ${satsToBtcString(value)} BTC)`);
+        }
+        console.log(`Fee Rate:          ~${feeRate.satPerVb.toFixed(2)} sat/vB (${describeFeeRateSource(feeRate)})`);
+        console.log(`Fee Policy:        ${describeFeePolicy(config)}`);
+    } catch (error) {
+        failAndExit('Status Failed', error);
+    }
+}
+
+// --- Snapshot Export ---
+// Writes everything offline mode needs from a running node to snapshotFilePath
+async function runSnapshotExport(configFilePath, snapshotFilePath, options) {
+    const config = await loadConfig(configFilePath, options.overrides);
+    try {
+        await runPreflightChecks(config);
+        const snapshot = await exportSnapshot(config);
+        const outputFilePath = path.resolve(snapshotFilePath);
+        await fs.writeFile(outputFilePath, JSON.stringify(snapshot, null, 2), 'utf-8');
+        console.log(`\nOffline snapshot saved to: ${outputFilePath}`);
+        console.log(`Set "offline": { "snapshotFile": "${outputFilePath}" } in the config to build the PSBT without a node.`);
+    } catch (error) {
+        failAndExit('Snapshot Export Failed', error);
+    }
+}
+
+
+// --- Command Line ---
+const OPTIONS = {
+    json: { type: 'boolean' },
+    yes: { type: 'boolean', short: 'y' },
+    tolerance: { type: 'string' },
+    output: { type: 'string', short: 'o' },
+    'fee-target': { type: 'string' },
+    feerate: { type: 'string' },
+    wallet: { type: 'string' },
+    'log-level': { type: 'string' },
+    threshold: { type: 'string' },
+    deadline: { type: 'string' },
+    interval: { type: 'string' },
+    'future-feerate': { type: 'string' },
+    lock: { type: 'boolean' },
+    plan: { type: 'string' },
+    at: { type: 'string' },
+    help: { type: 'boolean', short: 'h' },
+};
+const COMMON_FLAGS = ['wallet', 'plan', 'log-level', 'help'];
+
+// args: positional arguments after the command ('?' suffix = optional); flags: accepted besides COMMON_FLAGS
+const COMMANDS = {
+    create: { args: ['config'], flags: ['output', 'fee-target', 'feerate', 'future-feerate', 'lock'], run: (a, o) => runCreate(a[0], o),
+        description: "Build the consolidation PSBT and write it to outputPsbtFile." },
+    plan: { args: ['config'], flags: ['json', 'fee-target', 'feerate', 'future-feerate'], run: (a, o) => runPlan(a[0], o),
+        description: "Show what 'create' would do without writing anything (--json for machine-readable output)." },
+    watch: { args: ['config'], flags: ['output', 'fee-target', 'feerate', 'future-feerate', 'threshold', 'deadline', 'interval', 'lock'], run: (a, o) => runWatch(a[0], o),
+        description: "Poll the node until fees are cheap enough (or the deadline passes), then create the PSBT." },
+    'run-due': { args: ['config'], flags: ['fee-target', 'feerate', 'future-feerate', 'lock', 'at'], run: (a, o) => runDue(a[0], o),
+        description: "Build a PSBT for every plan of the config that is due (see 'plans'), with a combined report." },
+    inspect: { args: ['config', 'psbt?'], flags: [], run: (a, o) => runInspect(a[0], a[1], o),
+        description: "Decode and analyze a PSBT (default: outputPsbtFile)." },
+    sign: { args: ['config', 'psbt?'], flags: ['output'], run: (a, o) => runSign(a[0], a[1], o),
+        description: "Sign a PSBT with the operating wallet (default output: <name>.signed.psbt)." },
+    broadcast: { args: ['config', 'psbt?'], flags: ['yes'], run: (a, o) => runBroadcast(a[0], a[1], o),
+        description: "Sign if needed, finalize, review and (after confirmation) broadcast a PSBT." },
+    verify: { args: ['config', 'psbt?'], flags: ['feerate', 'tolerance'], run: (a, o) => runVerify(a[0], a[1], o),
+        description: "Check a signed PSBT's real vsize and feerate against its fee target and the node's minimum." },
+    bump: { args: ['config', 'psbt-or-txid?'], flags: ['output', 'fee-target', 'feerate'], run: (a, o) => runBump(a[0], a[1], o),
+        description: "Replace a stuck consolidation (txid or its PSBT) with a higher-fee version under BIP-125 (default output: <name>.bump.psbt)." },
+    cpfp: { args: ['config', 'psbt-or-txid?'], flags: ['output', 'fee-target', 'feerate', 'lock'], run: (a, o) => runCpfp(a[0], a[1], o),
+        description: "Spend a stuck consolidation's target output in a child that pays for both (default output: <name>.cpfp.psbt)." },
+    pending: { args: ['config'], flags: [], run: (a, o) => runPending(a[0], o),
+        description: "List pending PSBTs and mark those whose inputs were spent elsewhere as stale." },
+    release: { args: ['config', 'psbt?'], flags: [], run: (a, o) => runRelease(a[0], a[1], o),
+        description: "Abandon a pending PSBT (default: all, or all of the --plan) and unlock its inputs." },
+    history: { args: ['config', 'descriptor?'], flags: ['json'], run: (a, o) => runHistory(a[0], a[1], o),
+        description: "List past consolidations per target descriptor from the run journal (--json for machine-readable output)." },
+    status: { args: ['config'], flags: ['fee-target', 'feerate'], run: (a, o) => runStatus(a[0], o),
+        description: "Show node, wallet, source address and fee estimate status." },
+    snapshot: { args: ['config', 'snapshot'], flags: [], run: (a, o) => runSnapshotExport(a[0], a[1], o),
+        description: "Export a wallet snapshot for offline mode." },
+};
+
+function printUsage() {
+    console.error("Usage: node cli.js <command> <path_to_config.json> [arguments] [flags]\n");
+    console.error("Commands:");
+    for (const [name, command] of Object.entries(COMMANDS)) {
+        const args = command.args.map(arg => arg.endsWith('?') ? `[${arg.slice(0, -1)}]` : `<${arg}>`).join(' ');
+        console.error(`  ${`${name} ${args}`.padEnd(32)} ${command.description}`);
+    }
+    console.error("\nFlags:");
+    console.error("  --fee-target <blocks>            Override feeTargetBlocks");
+    console.error("  --feerate <sat/vB>               Use a fixed feerate instead of estimatesmartfee");
+    console.error("  -o, --output <file>              Override outputPsbtFile (create, watch) or the path written by sign, bump or cpfp");
+    console.error("  --wallet <name>                  Override sourceContext.operatingWalletName");
+    console.error("  --plan <name>                    Use this plan of a config with plans (run-due: build only this one, if due)");
+    console.error("  --log-level <level>              Override logLevel (trace, debug, info, warn, error)");
+    console.error("  --json                           Print JSON on stdout (plan, history)");
+    console.error("  --tolerance <percent>            Allowed feerate deviation from the target (verify only, default 10)");
+    console.error("  --future-feerate <sat/vB>        Feerate the inputs would be spent at later, for the economics report");
+    console.error("  --threshold <sat/vB>             Build once the feerate is at or below this (watch only)");
+    console.error("  --deadline <time>                Build anyway after this date and time, e.g. 2026-11-01T08:00:00Z (watch only)");
+    console.error("  --interval <seconds>             Time between polls (watch only, default 600)");
+    console.error("  --lock                           Lock the chosen inputs in the wallet until the PSBT is broadcast or released (create, watch, cpfp)");
+    console.error("  --at <time>                      Decide which plans are due as of this date and time (run-due only)");
+    console.error("  -y, --yes                        Broadcast after the final review without asking (broadcast only)");
+    console.error("\nEnvironment:");
+    console.error("  PSBT_CONSOLIDATOR_RPC_URL, PSBT_CONSOLIDATOR_RPC_USER, PSBT_CONSOLIDATOR_RPC_PASSWORD, PSBT_CONSOLIDATOR_RPC_AUTH");
+    console.error("\n'node cli.js <path_to_config.json>' is short for 'create'.");
+}
+
+function usageError(message) {
+    console.error(`${message}\n`);
+    printUsage();
     process.exit(1);
 }
 
-const configFilePath = process.argv[2];
-runConsolidator(configFilePath);
+// Returns { name, command, args, options } or exits with usage information
+function parseCommandLine(argv) {
+    let parsed;
+    try {
+        parsed = parseArgs({ args: argv, options: OPTIONS, allowPositionals: true, strict: true });
+    } catch (error) {
+        usageError(error.message);
+    }
+    const { values, positionals } = parsed;
+    if (values.help || positionals.length === 0) {
+        printUsage();
+        process.exit(values.help ? 0 : 1);
+    }
+
+    // A lone config path keeps working as shorthand for 'create'
+    const name = COMMANDS[positionals[0]] ? positionals[0] : 'create';
+    const args = COMMANDS[positionals[0]] ? positionals.slice(1) : positionals;
+    const command = COMMANDS[name];
+
+    const required = command.args.filter(arg => !arg.endsWith('?')).length;
+    if (args.length < required || args.length > command.args.length) {
+        usageError(`'${name}' expects ${command.args.map(arg => arg.replace('?', ' (optional)')).join(', ')}.`);
+    }
+    for (const flag of Object.keys(values)) {
+        if (!COMMON_FLAGS.includes(flag) && !command.flags.includes(flag)) {
+            usageError(`--${flag} is not supported by '${name}'.`);
+        }
+    }
+
+    // Config overrides; 'sign' uses --output for the signed copy instead of outputPsbtFile
+    const overrides = {
+        feeTarget: values['fee-target'],
+        feeRate: values.feerate,
+        output: ['create', 'watch'].includes(name) ? values.output : undefined,
+        wallet: values.wallet,
+        logLevel: values['log-level'],
+        threshold: values.threshold,
+        deadline: values.deadline,
+        interval: values.interval,
+        futureFeeRate: values['future-feerate'],
+        lock: values.lock,
+        plan: values.plan,
+    };
+    return {
+        name,
+        command,
+        args,
+        options: { overrides, json: Boolean(values.json), yes: Boolean(values.yes), output: values.output, tolerance: values.tolerance, at: values.at },
+    };
+}
+
+// --- Script Execution ---
+const { command, args, options } = parseCommandLine(process.argv.slice(2));
+if (options.overrides.logLevel && LOG_LEVEL_NAMES.includes(options.overrides.logLevel)) {
+    logger.setLogLevel(options.overrides.logLevel); // Apply early so config loading already respects it
+}
+command.run(args, options);
@@ -0,0 +1,365 @@
+// config.js
+// Loads the JSON config, layers environment variables and command-line overrides on top,
+// and validates the merged result.
+import fs from 'fs/promises';
+import logger from './logger.js';
+import { parseTargetAllocations, targetAllocationProblems, REMAINDER_MODES } from './allocation.js';
+import { ESTIMATE_MODES, ESTIMATE_FAILURE_ACTIONS } from './bitcoinCoreUtils.js';
+import { INPUT_ORDERS } from './inputSelection.js';
+import { BATCH_ADDRESS_MODES, MAX_STANDARD_TX_VBYTES } from './batching.js';
+import { parseSources, sourceProblems } from './sources.js';
+import { changeProblems, changeBranch } from './change.js';
+import { descriptorProblems, descriptorBranches } from './descriptorParser.js';
+import { addressDerivationProblems } from './addressUsage.js';
+import { planProblems, planConfig } from './schedule.js';
+
+const LOG_LEVEL_NAMES = ['trace', 'debug', 'info', 'warn', 'error'];
+
+// Environment variables read on top of the config file, so credentials need not be stored in it
+const CONFIG_ENV_VARS = {
+    PSBT_CONSOLIDATOR_RPC_URL: ['bitcoinCore', 'rpcUrl'],
+    PSBT_CONSOLIDATOR_RPC_USER: ['bitcoinCore', 'rpcUser'],
+    PSBT_CONSOLIDATOR_RPC_PASSWORD: ['bitcoinCore', 'rpcPassword'],
+    PSBT_CONSOLIDATOR_RPC_AUTH: ['bitcoinCore', 'rpcAuth'],
+};
+
+function setPath(config, [section, field], value) {
+    if (typeof config[section] !== 'object' || config[section] === null) config[section] = {};
+    config[section][field] = value;
+}
+
+// Copies set environment variables into the config. Returns the names that were applied (never the values).
+function applyEnvironment(config, env = process.env) {
+    const applied = [];
+    for (const [name, fieldPath] of Object.entries(CONFIG_ENV_VARS)) {
+        if (env[name] !== undefined && env[name] !== '') {
+            setPath(config, fieldPath, env[name]);
+            applied.push(name);
+        }
+    }
+    return applied;
+}
+
+// Applies command-line overrides. overrides: { feeTarget, feeRate, output, wallet, logLevel, threshold, deadline, interval, futureFeeRate }
+// (all optional strings) and lock (optional boolean)
+function applyOverrides(config, overrides = {}) {
+    if (overrides.feeTarget !== undefined) config.feeTargetBlocks = Number(overrides.feeTarget);
+    if (overrides.feeRate !== undefined) setPath(config, ['feeOptions', 'feeRateSatPerVb'], Number(overrides.feeRate));
+    if (overrides.output !== undefined) config.outputPsbtFile = overrides.output;
+    if (overrides.wallet !== undefined) setPath(config, ['sourceContext', 'operatingWalletName'], overrides.wallet);
+    if (overrides.logLevel !== undefined) config.logLevel = overrides.logLevel;
+    if (overrides.threshold !== undefined) setPath(config, ['watch', 'thresholdSatPerVb'], Number(overrides.threshold));
+    if (overrides.deadline !== undefined) setPath(config, ['watch', 'deadline'], overrides.deadline);
+    if (overrides.interval !== undefined) setPath(config, ['watch', 'intervalSeconds'], Number(overrides.interval));
+    if (overrides.futureFeeRate !== undefined) setPath(config, ['economics', 'futureFeeRateSatPerVb'], Number(overrides.futureFeeRate));
+    if (overrides.lock) config.lockInputs = true;
+}
+
+// Checks the optional watch section (see watch.js); economics may supply the future feerate
+function watchProblems(watch, economics) {
+    if (typeof watch !== 'object' || watch === null) return ["watch must be an object."];
+    const problems = [];
+    const { intervalSeconds, thresholdSatPerVb, savingsRatio, futureFeeRateSatPerVb, deadline } = watch;
+    const isPositive = value => typeof value === 'number' && Number.isFinite(value) && value > 0;
+    if (intervalSeconds !== undefined && !isPositive(intervalSeconds)) problems.push("watch.intervalSeconds (or --interval) must be a positive number of seconds.");
+    if (thresholdSatPerVb !== undefined && !isPositive(thresholdSatPerVb)) problems.push("watch.thresholdSatPerVb (or --threshold) must be a positive number (sat/vB).");
+    if (savingsRatio !== undefined && !isPositive(savingsRatio)) problems.push("watch.savingsRatio must be a positive number.");
+    if (futureFeeRateSatPerVb !== undefined && !isPositive(futureFeeRateSatPerVb)) problems.push("watch.futureFeeRateSatPerVb must be a positive number (sat/vB).");
+    if (savingsRatio !== undefined && futureFeeRateSatPerVb === undefined && economics?.futureFeeRateSatPerVb === undefined) {
+        problems.push("watch.savingsRatio needs a future feerate (watch.futureFeeRateSatPerVb or economics.futureFeeRateSatPerVb), the feerate the inputs would be spent at later.");
+    }
+    if (deadline !== undefined && (typeof deadline !== 'string' || Number.isNaN(Date.parse(deadline)))) problems.push("watch.deadline (or --deadline) must be a date and time, e.g. 2026-11-01T08:00:00Z.");
+    return problems;
+}
+
+// Checks the optional inputSelection section (see inputSelection.js)
+function inputSelectionProblems(selection) {
+    if (typeof selection !== 'object' || selection === null) return ["inputSelection must be an object."];
+    const problems = [];
+    const { minConfirmations, minAmountSats, maxAmountSats, maxInputs, include, exclude, order } = selection;
+    const isPositiveInteger = value => Number.isInteger(value) && value > 0;
+    if (minConfirmations !== undefined && !(Number.isInteger(minConfirmations) && minConfirmations >= 0)) {
+        problems.push("inputSelection.minConfirmations must be a non-negative integer (0 allows unconfirmed UTXOs).");
+    }
+    if (minAmountSats !== undefined && !isPositiveInteger(minAmountSats)) problems.push("inputSelection.minAmountSats must be a positive integer number of satoshis.");
+    if (maxAmountSats !== undefined && !isPositiveInteger(maxAmountSats)) problems.push("inputSelection.maxAmountSats must be a positive integer number of satoshis.");
+    if (isPositiveInteger(minAmountSats) && isPositiveInteger(maxAmountSats) && minAmountSats > maxAmountSats) {
+        problems.push(`inputSelection.minAmountSats (${minAmountSats}) exceeds inputSelection.maxAmountSats (${maxAmountSats}).`);
+    }
+    if (maxInputs !== undefined && !isPositiveInteger(maxInputs)) problems.push("inputSelection.maxInputs must be a positive integer.");
+    for (const [name, list] of [['include', include], ['exclude', exclude]]) {
+        if (list === undefined) continue;
+        if (!Array.isArray(list)) {
+            problems.push(`inputSelection.${name} must be a list of outpoints ("txid:vout").`);
+            continue;
+        }
+        list.filter(entry => typeof entry !== 'string' || !/^[0-9a-f]{64}:\d+$/.test(entry)).forEach(entry => {
+            problems.push(`inputSelection.${name} entry ${JSON.stringify(entry)} is not an outpoint ("txid:vout", lowercase hex txid).`);
+        });
+    }
+    if (Array.isArray(include) && Array.isArray(exclude)) {
+        include.filter(entry => exclude.includes(entry)).forEach(entry => {
+            problems.push(`inputSelection lists ${entry} in both include and exclude.`);
+        });
+    }
+    if (order !== undefined && !INPUT_ORDERS.includes(order)) problems.push(`inputSelection.order must be one of ${INPUT_ORDERS.join(', ')}.`);
+    return problems;
+}
+
+// Checks the optional batching section (see batching.js)
+function batchingProblems(batching) {
+    if (typeof batching !== 'object' || batching === null) return ["batching must be an object."];
+    const problems = [];
+    const { maxInputsPerBatch, maxVBytesPerBatch, addresses } = batching;
+    if (maxInputsPerBatch !== undefined && !(Number.isInteger(maxInputsPerBatch) && maxInputsPerBatch > 0)) {
+        problems.push("batching.maxInputsPerBatch must be a positive integer.");
+    }
+    if (maxVBytesPerBatch !== undefined && !(Number.isInteger(maxVBytesPerBatch) && maxVBytesPerBatch > 0 && maxVBytesPerBatch <= MAX_STANDARD_TX_VBYTES)) {
+        problems.push(`batching.maxVBytesPerBatch must be a positive integer of at most ${MAX_STANDARD_TX_VBYTES} (the standard transaction size limit).`);
+    }
+    if (addresses !== undefined && !BATCH_ADDRESS_MODES.includes(addresses)) problems.push(`batching.addresses must be one of ${BATCH_ADDRESS_MODES.join(', ')}.`);
+    return problems;
+}
+
+// rpcAuth ("user:password") must not be the salted server-side line from bitcoin.conf
+const SERVER_RPCAUTH_PATTERN = /^[^:]+:[0-9a-f]{32}\$[0-9a-f]{64}$/;
+
+// Checks the RPC credential settings; warns when none (or several) are configured
+function credentialProblems(core) {
+    const problems = [];
+    const hasUserPassword = typeof core.rpcUser === 'string' && typeof core.rpcPassword === 'string';
+    if ((core.rpcUser !== undefined && core.rpcUser !== null) !== (core.rpcPassword !== undefined && core.rpcPassword !== null)) {
+        problems.push("bitcoinCore.rpcUser and bitcoinCore.rpcPassword must be set together (the password may come from PSBT_CONSOLIDATOR_RPC_PASSWORD).");
+    }
+    if (core.rpcAuth !== undefined) {
+        if (typeof core.rpcAuth !== 'string' || core.rpcAuth.indexOf(':') < 1) {
+            problems.push("bitcoinCore.rpcAuth must be 'user:password'.");
+        } else if (SERVER_RPCAUTH_PATTERN.test(core.rpcAuth)) {
+            problems.push("bitcoinCore.rpcAuth looks like the rpcauth= line from bitcoin.conf (user:salt$hash); use the user name and the password printed by rpcauth.py instead.");
+        }
+    }
+    const hasCookie = Boolean(core.rpcCookieFile || core.datadir);
+    const sources = [hasUserPassword && 'rpcUser/rpcPassword', core.rpcAuth && 'rpcAuth', hasCookie && 'cookie file'].filter(Boolean);
+    if (sources.length === 0) {
+        logger.warn("No RPC credentials configured (rpcUser/rpcPassword, rpcAuth, rpcCookieFile or datadir); requests will be sent without authentication.");
+    } else if (sources.length > 1) {
+        logger.warn(`Several RPC credential sources configured (${sources.join(', ')}); using ${sources[0]}.`);
+    }
+    return problems;
+}
+
+// --- Configuration Validation ---
+// Checks the merged config and normalizes targetDescriptors. Collects every problem and throws
+// a single error listing all of them (also available as error.problems).
+function validateConfig(config) {
+    if (!config || typeof config !== 'object') throw new Error("Configuration is missing.");
+    const problems = [];
+    const core = config.bitcoinCore;
+
+    if (!core) {
+        problems.push("Missing bitcoinCore section in config.");
+    } else {
+        // The RPC endpoint is only needed when talking to a node (not in offline mode); a Unix socket implies a local one
+        if (!config.offline && !core.rpcUrl && !core.rpcSocketPath) problems.push("Missing bitcoinCore.rpcUrl in config (or PSBT_CONSOLIDATOR_RPC_URL).");
+        if (core.rpcUrl && !/^https?:\/\//.test(core.rpcUrl)) problems.push("bitcoinCore.rpcUrl must start with http:// or https://.");
+        if (core.rpcSocketPath && core.rpcProxy) problems.push("bitcoinCore.rpcSocketPath and bitcoinCore.rpcProxy cannot be combined.");
+        if (core.rpcProxy && !/^http:\/\//.test(core.rpcProxy)) problems.push("bitcoinCore.rpcProxy must be an http:// proxy URL.");
+        if (core.rpcCaFile && !core.rpcUrl?.startsWith('https://')) logger.warn("bitcoinCore.rpcCaFile is only used with an https:// rpcUrl.");
+        problems.push(...credentialProblems(core));
+        if (core.rpcTimeoutMs !== undefined && !(Number.isInteger(core.rpcTimeoutMs) && core.rpcTimeoutMs > 0)) {
+            problems.push("bitcoinCore.rpcTimeoutMs must be a positive integer (milliseconds).");
+        }
+        if (core.rpcRetry !== undefined) {
+            const { attempts, initialDelayMs, maxDelayMs } = core.rpcRetry ?? {};
+            if (attempts !== undefined && !(Number.isInteger(attempts) && attempts >= 1)) problems.push("bitcoinCore.rpcRetry.attempts must be an integer of at least 1 (1 = no retries).");
+            for (const [name, value] of [['initialDelayMs', initialDelayMs], ['maxDelayMs', maxDelayMs]]) {
+                if (value !== undefined && !(Number.isInteger(value) && value >= 0)) problems.push(`bitcoinCore.rpcRetry.${name} must be a non-negative integer (milliseconds).`);
+            }
+        }
+        if (!['mainnet', 'testnet', 'regtest'].includes(core.network)) problems.push("Invalid bitcoinCore.network value (mainnet, testnet or regtest).");
+    }
+    // Extended keys in descriptors must belong to the configured network (only checked once it is valid)
+    const network = ['mainnet', 'testnet', 'regtest'].includes(core?.network) ? core.network : null;
+    if (config.offline !== undefined && typeof config.offline?.snapshotFile !== 'string') {
+        problems.push("offline.snapshotFile must be a path to a snapshot JSON file.");
+    }
+    if (!config.sourceContext?.operatingWalletName) problems.push("Missing sourceContext.operatingWalletName (or --wallet).");
+    if (config.sourceContext) {
+        // Normalize the sources (addresses, descriptors, further wallets) into config.sources, see sources.js
+        const sourceIssues = sourceProblems(config.sourceContext, config.offline !== undefined, network);
+        problems.push(...sourceIssues);
+        if (sourceIssues.length === 0) config.sources = parseSources(config.sourceContext);
+    }
+
+    // Normalize target entries (plain strings or { descriptor, weight | percent | amountSats } objects). Every
+    // entry is checked, and every descriptor parsed (checksum, keys, derivation paths).
+    const targetIssues = targetAllocationProblems(config.targetDescriptors);
+    (Array.isArray(config.targetDescriptors) ? config.targetDescriptors : []).forEach((entry, i) => {
+        const descriptor = typeof entry === 'string' ? entry : entry?.descriptor;
+        if (typeof descriptor !== 'string') return;
+        targetIssues.push(...descriptorProblems(descriptor, `targetDescriptors[${i}]`, { requireRange: true, network }));
+    });
+    problems.push(...targetIssues);
+    if (targetIssues.length === 0) {
+        config.targetAllocations = parseTargetAllocations(config.targetDescriptors);
+        // A multipath descriptor (<0;1>) pays to its receive branch
+        config.targetAllocations.forEach((allocation, i) => {
+            const [receive] = descriptorBranches(allocation.descriptor);
+            if (receive !== allocation.descriptor) {
+                logger.info(`targetDescriptors[${i}] is a multipath descriptor; paying to its receive branch ${receive}.`);
+                allocation.descriptor = receive;
+            }
+        });
+        config.targetDescriptors = config.targetAllocations.map(a => a.descriptor);
+        // Each target gets one derived address, so the same descriptor cannot be listed twice (checksums aside)
+        const firstIndex = new Map();
+        config.targetDescriptors.forEach((descriptor, i) => {
+            const key = descriptor.split('#')[0];
+            if (firstIndex.has(key)) {
+                problems.push(`targetDescriptors[${i}] pays to the same descriptor as targetDescriptors[${firstIndex.get(key)}]; list each target once.`);
+            } else {
+                firstIndex.set(key, i);
+            }
+        });
+    }
+    if (config.change !== undefined) {
+        const changeIssues = changeProblems(config.change, config.offline !== undefined, network);
+        problems.push(...changeIssues);
+        if (changeIssues.length === 0 && config.change.descriptor !== undefined) config.change.descriptor = changeBranch(config.change.descriptor);
+        if (config.targetDescriptors?.includes?.(config.change?.descriptor)) problems.push("change.descriptor cannot also be a target descriptor.");
+    }
+    if (config.distribution?.remainder !== undefined && !REMAINDER_MODES.includes(config.distribution.remainder)) {
+        problems.push(`Invalid distribution.remainder: must be one of ${REMAINDER_MODES.join(', ')}.`);
+    }
+
+    if (!Number.isInteger(config.feeTargetBlocks) || config.feeTargetBlocks <= 0) problems.push("feeTargetBlocks must be a positive integer.");
+    if (!config.outputPsbtFile) problems.push("Missing outputPsbtFile path (or --output).");
+    if (config.watch !== undefined) problems.push(...watchProblems(config.watch, config.economics));
+    if (config.inputSelection !== undefined) problems.push(...inputSelectionProblems(config.inputSelection));
+    if (config.batching !== undefined) problems.push(...batchingProblems(config.batching));
+    if (config.addressDerivation !== undefined) problems.push(...addressDerivationProblems(config.addressDerivation));
+    if (config.economics !== undefined) {
+        const { futureFeeRateSatPerVb, excludeUneconomical } = config.economics ?? {};
+        if (futureFeeRateSatPerVb !== undefined && !(typeof futureFeeRateSatPerVb === 'number' && Number.isFinite(futureFeeRateSatPerVb) && futureFeeRateSatPerVb > 0)) {
+            problems.push("economics.futureFeeRateSatPerVb (or --future-feerate) must be a positive number (sat/vB).");
+        }
+        if (excludeUneconomical !== undefined && typeof excludeUneconomical !== 'boolean') problems.push("economics.excludeUneconomical must be true or false.");
+    }
+    if (config.broadcastLogFile !== undefined && typeof config.broadcastLogFile !== 'string') problems.push("broadcastLogFile must be a file path.");
+    if (config.pendingFile !== undefined && typeof config.pendingFile !== 'string') problems.push("pendingFile must be a file path.");
+    if (config.journalFile !== undefined && typeof config.journalFile !== 'string') problems.push("journalFile must be a file path.");
+    if (config.lockInputs !== undefined && typeof config.lockInputs !== 'boolean') problems.push("lockInputs must be true or false.");
+    if (config.logLevel && !LOG_LEVEL_NAMES.includes(config.logLevel)) {
+         logger.warn(`Invalid logLevel '${config.logLevel}', using default 'info'.`);
+         config.logLevel = 'info'; // Default if invalid
+    }
+
+    // Validate optional feeOptions
+    if (config.feeOptions) {
+        const { estimatedWitnessVBytesPerInput, feeRateSatPerVb, verifyTolerancePercent, estimateMode, mempoolFloor, maxFeeRateSatPerVb, maxFeeSats, maxFeePercent, onEstimateFailure } = config.feeOptions;
+        if (estimatedWitnessVBytesPerInput !== undefined) {
+            if (!Number.isInteger(estimatedWitnessVBytesPerInput) || estimatedWitnessVBytesPerInput < 0) {
+                problems.push("Invalid feeOptions.estimatedWitnessVBytesPerInput: must be a non-negative integer.");
+            }
+        }
+        if (feeRateSatPerVb !== undefined && !(typeof feeRateSatPerVb === 'number' && Number.isFinite(feeRateSatPerVb) && feeRateSatPerVb >= 1)) {
+            problems.push("Invalid feeOptions.feeRateSatPerVb (or --feerate): must be a number of at least 1 sat/vB.");
+        }
+        if (verifyTolerancePercent !== undefined && !(typeof verifyTolerancePercent === 'number' && Number.isFinite(verifyTolerancePercent) && verifyTolerancePercent >= 0)) {
+            problems.push("Invalid feeOptions.verifyTolerancePercent: must be a finite non-negative number.");
+        }
+        if (estimateMode !== undefined && !ESTIMATE_MODES.includes(estimateMode)) {
+            problems.push(`Invalid feeOptions.estimateMode: must be one of ${ESTIMATE_MODES.join(', ')}.`);
+        }
+        if (mempoolFloor !== undefined && typeof mempoolFloor !== 'boolean') {
+            problems.push("Invalid feeOptions.mempoolFloor: must be true or false.");
+        }
+        if (onEstimateFailure !== undefined && !ESTIMATE_FAILURE_ACTIONS.includes(onEstimateFailure)) {
+            problems.push(`Invalid feeOptions.onEstimateFailure: must be one of ${ESTIMATE_FAILURE_ACTIONS.join(', ')}.`);
+        }
+        if (maxFeeRateSatPerVb !== undefined && !(typeof maxFeeRateSatPerVb === 'number' && Number.isFinite(maxFeeRateSatPerVb) && maxFeeRateSatPerVb >= 1)) {
+            problems.push("Invalid feeOptions.maxFeeRateSatPerVb: must be a number of at least 1 sat/vB.");
+        } else if (maxFeeRateSatPerVb !== undefined && typeof feeRateSatPerVb === 'number' && feeRateSatPerVb > maxFeeRateSatPerVb) {
+            problems.push(`feeOptions.feeRateSatPerVb (or --feerate) of ${feeRateSatPerVb} sat/vB exceeds feeOptions.maxFeeRateSatPerVb (${maxFeeRateSatPerVb}).`);
+        }
+        if (maxFeeSats !== undefined && !(Number.isSafeInteger(maxFeeSats) && maxFeeSats > 0)) {
+            problems.push("Invalid feeOptions.maxFeeSats: must be a positive integer number of satoshis.");
+        }
+        if (maxFeePercent !== undefined && !(typeof maxFeePercent === 'number' && maxFeePercent > 0 && maxFeePercent <= 100)) {
+            problems.push("Invalid feeOptions.maxFeePercent: must be a number greater than 0 and at most 100.");
+        }
+    }
+
+    if (problems.length > 0) throw configError(problems);
+    logger.debug("Configuration validated successfully.");
+}
+
+// A single error listing every problem (also available as error.problems)
+function configError(problems) {
+    const error = new Error(`Invalid configuration (${problems.length} problem${problems.length === 1 ? '' : 's'}):\n  - ${problems.join('\n  - ')}`);
+    error.problems = problems;
+    return error;
+}
+
+// Reads the config file and applies environment variables
+async function readConfigFile(configFilePath, env) {
+    logger.info(`Loading configuration from: ${configFilePath}`);
+    let config;
+    try {
+        config = JSON.parse(await fs.readFile(configFilePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Could not read '${configFilePath}': ${error.message}`);
+    }
+    const fromEnv = applyEnvironment(config, env);
+    if (fromEnv.length > 0) logger.info(`Using environment overrides: ${fromEnv.join(', ')}`);
+    return config;
+}
+
+// Reads the config file and applies environment variables, then overrides, then validation.
+// A config with plans (see schedule.js) is loaded as the plan named by overrides.plan (--plan).
+async function loadConfigFile(configFilePath, overrides = {}, env = process.env) {
+    let config = await readConfigFile(configFilePath, env);
+    if (config.plans !== undefined) {
+        const problems = planProblems(config.plans);
+        if (problems.length > 0) throw configError(problems);
+        const names = config.plans.map(plan => plan.name);
+        if (overrides.plan === undefined) {
+            throw new Error(`'${configFilePath}' defines plans (${names.join(', ')}); choose one with --plan <name>, or build the due ones with 'run-due'.`);
+        }
+        const plan = config.plans.find(candidate => candidate.name === overrides.plan);
+        if (!plan) throw new Error(`No plan '${overrides.plan}' in '${configFilePath}' (plans: ${names.join(', ')}).`);
+        config = planConfig(config, plan);
+    } else if (overrides.plan !== undefined) {
+        throw new Error(`--plan ${overrides.plan}: '${configFilePath}' defines no plans.`);
+    }
+    applyOverrides(config, overrides);
+    validateConfig(config);
+    return config;
+}
+
+// Reads a config with plans and returns the config of every plan, in plan order, each with the overrides
+// applied and validated on its own. The problems of all plans are reported together.
+async function loadPlanConfigs(configFilePath, overrides = {}, env = process.env) {
+    const config = await readConfigFile(configFilePath, env);
+    if (config.plans === undefined) {
+        throw new Error(`'${configFilePath}' defines no plans (a "plans" list of named plans with a cadence, see the README).`);
+    }
+    const problems = planProblems(config.plans);
+    if (problems.length > 0) throw configError(problems);
+    const configs = [];
+    for (const plan of config.plans) {
+        // Each plan gets its own copy, as validation and overrides write into the config
+        const merged = planConfig(structuredClone(config), plan);
+        applyOverrides(merged, overrides);
+        try {
+            validateConfig(merged);
+            configs.push(merged);
+        } catch (error) {
+            problems.push(...(error.problems ?? [error.message]).map(problem => `plan '${plan.name}': ${problem}`));
+        }
+    }
+    if (problems.length > 0) throw configError(problems);
+    return configs;
+}
+
+export { loadConfigFile, loadPlanConfigs, validateConfig, applyEnvironment, applyOverrides, CONFIG_ENV_VARS, LOG_LEVEL_NAMES };
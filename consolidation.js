@@ -0,0 +1,342 @@
+// consolidation.js
+// Builds the consolidation plan (inputs, outputs, fee) and turns it into a PSBT.
+// Shared by the CLI commands that create a PSBT and those that only report the plan.
+import path from 'path';
+import logger from './logger.js';
+import { makeRpcCall } from './rpcClient.js';
+import {
+    checkCoreVersion,
+    checkWalletIsDescriptor,
+    listSourceUtxos,
+    listWalletUtxos,
+    listLockedOutpoints,
+    filterTargetUtxos,
+    deriveOutputAddressDetails,
+    resolveFeeRate,
+    checkFeeLimits,
+    DEFAULT_ESTIMATE_MODE,
+    createRawTx,
+    convertToPsbt,
+    processPsbt
+} from './bitcoinCoreUtils.js';
+import { calculateOptimalFee, calculateFeeWithChange } from './feeCalculator.js';
+import { distributionAmount, deriveChangeAddress } from './change.js';
+import { computeEconomics, economicsToJson, futureFeeRate } from './economics.js';
+import { selectInputs } from './inputSelection.js';
+import { batchingSettings, partitionInputs, combinePlans, combinedToJson } from './batching.js';
+import { pendingOutpoints } from './pending.js';
+import { checkStandardness } from './standardness.js';
+import { nextFreeIndexes } from './journal.js';
+import { describeAllocation } from './allocation.js';
+import { loadSnapshot, createOfflineNode } from './offlineNode.js';
+import { satsToBtcString } from './utils.js';
+
+// With offline.snapshotFile set, every RPC is answered from the snapshot (see offlineNode.js)
+async function attachOfflineNode(config) {
+    if (!config.offline) return;
+    const snapshot = await loadSnapshot(path.resolve(config.offline.snapshotFile), config.bitcoinCore.network);
+    config.offlineNode = createOfflineNode(snapshot, config.bitcoinCore.network);
+    logger.info("Running in OFFLINE mode: no Bitcoin Core connection will be made.");
+}
+
+// Connectivity, version and wallet checks (skipped offline: the snapshot was validated when it was exported)
+async function runPreflightChecks(config) {
+    if (config.offlineNode) return;
+    logger.info("Performing initial Bitcoin Core checks...");
+    await makeRpcCall(config, 'echo', ['Connection test successful!']); // Basic connectivity test
+    await checkCoreVersion(config);
+    for (const source of config.sources) await checkWalletIsDescriptor(config, source.wallet);
+    logger.info("Bitcoin Core checks passed.");
+}
+
+// Discovers the candidate UTXOs, resolves the feerate and applies the input selection rules.
+// Returns { inputs, excludedInputs, feeRate }
+async function gatherInputs(config, feeRate) {
+    // 1. Discover Inputs
+    // Unconfirmed UTXOs are listed too: inputSelection.minConfirmations decides (and reports) which are spent
+    logger.info("Discovering input UTXOs...");
+    // Every source wallet (see sources.js) contributes its source address and source descriptor UTXOs;
+    // the target descriptors live in the operating wallet
+    const tagged = [];
+    const allWalletUtxos = [];
+    const lockedOutpoints = new Set();
+    for (const source of config.sources) {
+        const walletUtxos = await listWalletUtxos(config, 0, source.wallet);
+        allWalletUtxos.push(...walletUtxos);
+        (await listLockedOutpoints(config, source.wallet)).forEach(outpoint => lockedOutpoints.add(outpoint));
+        (await listSourceUtxos(config, 0, source)).forEach(utxo => tagged.push({ utxo, reason: 'sourceAddress' }));
+        if (source.descriptors.length > 0) {
+            filterTargetUtxos(walletUtxos, source.descriptors, 'source').forEach(utxo => tagged.push({ utxo, reason: utxo.matchedDescriptor }));
+        }
+    }
+    // With change (see change.js) the targets' own coins are left alone: the change would take them out of their hands
+    if (!config.change) {
+        const operatingUtxos = allWalletUtxos.filter(utxo => utxo.wallet === config.sourceContext.operatingWalletName);
+        filterTargetUtxos(operatingUtxos, config.targetDescriptors).forEach(utxo => tagged.push({ utxo, reason: utxo.matchedDescriptor }));
+    }
+    const pending = await pendingOutpoints(config); // Inputs of PSBTs created earlier and not broadcast yet
+
+    // Combine and deduplicate UTXOs, remembering why each was selected
+    const utxoMap = new Map(); // Use Map<txid:vout, utxoObject> for deduplication
+    tagged.forEach(({ utxo, reason }) => {
+        const key = `${utxo.txid}:${utxo.vout}`;
+        if (!utxoMap.has(key)) {
+            utxoMap.set(key, { ...utxo, matchedBy: [reason] });
+        } else {
+             logger.trace(`Duplicate UTXO found and skipped: ${key}`);
+             utxoMap.get(key).matchedBy.push(reason);
+        }
+    });
+
+    const candidates = Array.from(utxoMap.values());
+    // listunspent leaves locked coins out, so they can only be reported here
+    const unlisted = [...lockedOutpoints].filter(outpoint => !utxoMap.has(outpoint));
+    const held = unlisted.filter(outpoint => pending.has(outpoint)).length;
+    if (unlisted.length > 0) {
+        logger.info(`${unlisted.length} UTXO(s) locked in the wallet were not considered${held > 0 ? ` (${held} held by pending PSBTs)` : ''}: ${unlisted.join(', ')}`);
+    }
+    if (candidates.length === 0 && !config.inputSelection?.include?.length) {
+        const hint = held > 0 ? ` ${held} locked UTXO(s) are held by pending PSBTs; broadcast them or run 'node cli.js release'.` : '';
+        throw new Error(`No spendable UTXOs found for the sources (addresses, descriptors) or matching target descriptors.${hint}`);
+    }
+
+    // The feerate is needed before the fee search to judge which inputs are worth spending
+    feeRate = feeRate ?? await resolveFeeRate(config); // Fee policy applied; feeRate.satPerVb is a Decimal >= 1.0
+    checkFeeLimits(config, feeRate.satPerVb, 0n); // Abort on an excessive rate before measuring anything
+    const { selected: finalInputs, excluded: excludedInputs } = selectInputs(config, candidates, {
+        walletUtxos: allWalletUtxos,
+        lockedOutpoints,
+        pendingOutpoints: pending,
+        satPerVb: feeRate.satPerVb,
+    });
+    if (finalInputs.length === 0) {
+        const reasons = [...new Set(excludedInputs.map(entry => entry.reason))].join(', ');
+        const hint = excludedInputs.some(entry => entry.reason === 'pending') ? " Inputs of pending PSBTs are freed by broadcasting those PSBTs or with 'node cli.js release'." : '';
+        throw new Error(`All ${excludedInputs.length} candidate UTXOs were excluded by the input selection rules (${reasons || 'none matched'}); nothing to consolidate.${hint}`);
+    }
+    logger.info(`Found a total of ${finalInputs.length} unique UTXOs to consolidate.`);
+    logger.trace("Final unique input UTXOs:", finalInputs);
+
+    const totalInputValue = finalInputs.reduce((sum, utxo) => sum + utxo.amount, 0n); // Sum using BigInt
+    logger.info(`Total input value: ${totalInputValue} sats (${satsToBtcString(totalInputValue)} BTC)`);
+    if (totalInputValue <= 0n) {
+         throw new Error("Total value of discovered UTXOs is zero or negative.");
+    }
+    return { inputs: finalInputs, excludedInputs, feeRate };
+}
+
+// Gathers inputs, splits them into batches (see batching.js), derives the outputs and solves the fee
+// of every batch. Nothing is written and no PSBT is created.
+// feeRate: an already resolved feerate (resolveFeeRate) to use instead of asking the node again
+// Returns one plan per batch (a single plan unless the consolidation had to be split), each with
+// batch: { number, count }
+async function buildConsolidationPlans(config, feeRate = null) {
+    const gathered = await gatherInputs(config, feeRate);
+    const batches = partitionInputs(config, gathered.inputs, config.targetAllocations.length + (config.change ? 1 : 0));
+    if (batches.length > 1 && config.targetAllocations.some(allocation => allocation.type === 'fixed')) {
+        throw new Error(`The ${gathered.inputs.length} inputs need ${batches.length} transactions, but fixed amounts (amountSats) would be paid once per transaction; use weights or percentages, or raise the batching limits.`);
+    }
+    if (batches.length > 1 && config.change) {
+        throw new Error(`The ${gathered.inputs.length} inputs need ${batches.length} transactions, but the distributed amount (change) would be paid once per transaction; raise the batching limits or limit the inputs (inputSelection.maxInputs).`);
+    }
+    const { addresses } = batchingSettings(config);
+    const freeIndexes = await nextFreeIndexes(config); // Addresses of earlier runs are not handed out again
+    const change = config.change ? await deriveChangeAddress(config, freeIndexes) : null;
+
+    const plans = [];
+    let derivations = null;
+    for (const [i, inputs] of batches.entries()) {
+        if (batches.length > 1) logger.info(`--- Batch ${i + 1} of ${batches.length}: ${inputs.length} inputs ---`);
+        // 'successive': batch i pays the i-th address after each descriptor's next_index; 'same': every batch pays the same addresses
+        if (derivations === null || addresses === 'successive') {
+            logger.info("Deriving target output addresses...");
+            derivations = await deriveOutputAddressDetails(config, addresses === 'successive' ? i : 0, freeIndexes);
+            logger.info(`Successfully derived ${derivations.length} output addresses.`);
+        }
+        const plan = await solvePlan(config, inputs, derivations, gathered.feeRate, change);
+        await checkStandardness(config, plan); // Dust, weight, fee share and testmempoolaccept; throws if nodes would not relay it
+        plan.excludedInputs = gathered.excludedInputs; // Selection is done once for the whole run
+        plan.batch = { number: i + 1, count: batches.length };
+        plans.push(plan);
+    }
+
+    // feeOptions.maxFeeSats caps what the whole consolidation pays
+    checkFeeLimits(config, gathered.feeRate.satPerVb, combinePlans(plans).totalFee);
+    return plans;
+}
+
+// Solves the fee and outputs of one transaction spending inputs to the derived addresses.
+// change: where the change goes with config.change ({ descriptor, address, index }, see change.js); null for no
+// change output (the amount not distributed is then fee)
+async function solvePlan(config, inputs, derivations, feeRate, change = null) {
+    const totalInputValue = inputs.reduce((sum, utxo) => sum + utxo.amount, 0n);
+    // derivedAddresses: Map<targetDescriptorString, derivedAddressString>
+    const derivedAddresses = new Map(derivations.map(d => [d.descriptor, d.address]));
+    if (derivedAddresses.size !== config.targetDescriptors.length) {
+         throw new Error(`Internal Error: Mismatch - Expected ${config.targetDescriptors.length} derived addresses, but got ${derivedAddresses.size}.`);
+    }
+
+    // Determine Optimal Fee & Distribution
+    logger.info("Calculating optimal fee and distribution...");
+    const feeResult = config.change
+        ? await calculateFeeWithChange(config, config, inputs, derivedAddresses, totalInputValue, feeRate.satPerVb,
+            { address: change?.address ?? null, distributeSats: distributionAmount(config, totalInputValue) })
+        : await calculateOptimalFee(
+            config,             // Pass full config including feeOptions
+            config,             // Duplicate argument for RPC client config source
+            inputs,             // Full UTXOs, needed for per-input size estimation
+            derivedAddresses,   // The Map<descriptor, address>
+            totalInputValue,    // BigInt
+            feeRate.satPerVb    // Decimal
+        );
+    const { maxVBytes } = batchingSettings(config);
+    if (feeResult.breakdown.estimatedVBytes > maxVBytes) {
+        throw new Error(`The transaction would be ~${feeResult.breakdown.estimatedVBytes} vB, above the ${maxVBytes} vB batch limit (batching.maxVBytesPerBatch); lower batching.maxInputsPerBatch.`);
+    }
+
+    const outputs = config.targetAllocations.map((allocation, i) => ({
+        descriptor: allocation.descriptor,
+        address: derivations[i].address,
+        index: derivations[i].index,
+        amount: feeResult.outputAmounts.get(allocation.descriptor),
+        allocation: describeAllocation(allocation, config.targetAllocations),
+    }));
+
+    // The change output, unless it was folded into the fee: { descriptor, address, index, amount }
+    const changeOutput = feeResult.change?.address ? { ...change, amount: feeResult.change.amount } : null;
+
+    const plan = {
+        inputs,
+        excludedInputs: [], // [{ utxo, reason, detail }], filled in by buildConsolidationPlans
+        totalInputValue,
+        outputs,
+        change: changeOutput,
+        totalOutputValue: outputs.reduce((sum, output) => sum + output.amount, 0n) + (changeOutput?.amount ?? 0n),
+        derivedAddresses,
+        feeRate,
+        fee: feeResult,
+    };
+    plan.economics = computeEconomics(plan, futureFeeRate(config));
+    return plan;
+}
+
+// Creates, converts and wallet-processes the final transaction of a plan. Returns { rawTxHex, psbtBase64 }.
+async function createPsbtFromPlan(config, plan) {
+    logger.info("Constructing final transaction and PSBT...");
+    const inputsForTx = plan.inputs.map(utxo => ({ txid: utxo.txid, vout: utxo.vout }));
+    // Prepare outputs object: { address: amountBTCString, ... }
+    const outputsForTx = {};
+    for (const output of plan.outputs) {
+         outputsForTx[output.address] = satsToBtcString(output.amount);
+    }
+    if (plan.change) outputsForTx[plan.change.address] = satsToBtcString(plan.change.amount); // Change goes last
+
+    logger.debug("Creating final raw transaction...", { inputsForTx, outputsForTx });
+    const rawTxHex = await createRawTx(config, inputsForTx, outputsForTx);
+
+    logger.debug("Converting final raw transaction to PSBT...");
+    const initialPsbt = await convertToPsbt(config, rawTxHex);
+
+    // The operating wallet knows the outputs; every other wallet that funds an input adds its own data
+    const wallets = [...new Set([config.sourceContext.operatingWalletName, ...plan.inputs.map(utxo => utxo.wallet ?? config.sourceContext.operatingWalletName)])];
+    logger.info(`Processing PSBT with wallet data (derivation paths)${wallets.length > 1 ? ` in ${wallets.join(', ')}` : ''}...`);
+    const psbtBase64 = await processPsbt(config, initialPsbt, wallets);
+    return { rawTxHex, psbtBase64 };
+}
+
+// The configured fee policy with its defaults filled in
+function feePolicyToJson(config) {
+    const options = config.feeOptions ?? {};
+    return {
+        feeRateSatPerVb: options.feeRateSatPerVb ?? null,
+        estimateMode: options.estimateMode ?? DEFAULT_ESTIMATE_MODE,
+        mempoolFloor: options.mempoolFloor !== false,
+        maxFeeRateSatPerVb: options.maxFeeRateSatPerVb ?? null,
+        maxFeeSats: options.maxFeeSats ?? null,
+        onEstimateFailure: options.onEstimateFailure ?? 'fallback',
+    };
+}
+
+// Plain JSON view of a plan. Satoshi values become numbers (always below 2^53), feerates strings.
+function planToJson(config, plan) {
+    const { fee, feeRate } = plan;
+    const weightsByKey = new Map(fee.inputWeights.inputs.map(input => [input.key, input]));
+    return {
+        batch: plan.batch,
+        wallet: config.sourceContext.operatingWalletName,
+        sourceAddress: config.sourceContext.sourceAddress ?? null,
+        sources: config.sources,
+        offline: Boolean(config.offlineNode),
+        inputs: plan.inputs.map(utxo => ({
+            outpoint: `${utxo.txid}:${utxo.vout}`,
+            address: utxo.address,
+            wallet: utxo.wallet,
+            amountSats: Number(utxo.amount),
+            confirmations: utxo.confirmations,
+            scriptType: weightsByKey.get(`${utxo.txid}:${utxo.vout}`)?.type ?? null,
+            matchedBy: utxo.matchedBy,
+        })),
+        excludedInputs: plan.excludedInputs.map(entry => ({
+            outpoint: `${entry.utxo.txid}:${entry.utxo.vout}`,
+            amountSats: Number(entry.utxo.amount),
+            reason: entry.reason,
+            detail: entry.detail,
+        })),
+        totalInputSats: Number(plan.totalInputValue),
+        outputs: plan.outputs.map(output => ({
+            descriptor: output.descriptor,
+            address: output.address,
+            index: output.index,
+            amountSats: Number(output.amount),
+            allocation: output.allocation,
+        })),
+        change: config.change ? {
+            distributeSats: Number(distributionAmount(config, plan.totalInputValue)),
+            descriptor: plan.change?.descriptor ?? null,
+            address: plan.change?.address ?? null,
+            index: plan.change?.index ?? null,
+            amountSats: Number(plan.change?.amount ?? 0n),
+            dustThresholdSats: fee.change.dustThreshold !== null ? Number(fee.change.dustThreshold) : null,
+            foldedIntoFeeSats: Number(fee.change.foldedSats),
+        } : null,
+        totalOutputSats: Number(plan.totalOutputValue),
+        feeRate: {
+            source: feeRate.source,
+            mode: feeRate.mode,
+            targetBlocks: feeRate.targetBlocks,
+            estimateBlocks: feeRate.blocks,
+            errors: feeRate.errors,
+            btcPerKvB: feeRate.feeRateBtcPerKvB,
+            satPerVb: feeRate.satPerVb.toFixed(),
+            appliedBy: feeRate.appliedBy,
+            mempoolFloorSatPerVb: feeRate.mempoolFloor?.toFixed() ?? null,
+            policy: feePolicyToJson(config),
+        },
+        fee: {
+            finalFeeSats: Number(fee.finalFee),
+            sizeBasedFeeSats: Number(fee.breakdown.sizeBasedFee),
+            remainderSats: Number(fee.remainderSats),
+            baseVBytes: fee.breakdown.baseVBytes,
+            signatureVBytes: fee.breakdown.signatureVBytes,
+            estimatedVBytes: fee.breakdown.estimatedVBytes,
+            inputTypes: fee.inputWeights.countsByType,
+            minimality: { feeMinusOneSats: Number(fee.minimality.feeMinusOne), reason: fee.minimality.reason, detail: fee.minimality.detail },
+        },
+        economics: economicsToJson(plan.economics),
+        standardness: plan.standardness ?? null,
+        feeSearch: fee.trace.map(step => Object.fromEntries(
+            Object.entries(step).map(([key, value]) => [key, typeof value === 'bigint' ? Number(value) : value])
+        )),
+    };
+}
+
+// JSON view of all batches: the plan itself for a single batch, otherwise the combined totals and every batch's plan
+function plansToJson(config, plans) {
+    if (plans.length === 1) return planToJson(config, plans[0]);
+    return {
+        combined: combinedToJson(combinePlans(plans)),
+        batches: plans.map(plan => planToJson(config, plan)),
+    };
+}
+
+export { attachOfflineNode, runPreflightChecks, gatherInputs, buildConsolidationPlans, solvePlan, createPsbtFromPlan, planToJson, plansToJson, feePolicyToJson };
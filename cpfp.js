@@ -0,0 +1,96 @@
+// cpfp.js
+// Child pays for parent: when a consolidation cannot be replaced (e.g. it was signed by an external signer),
+// one of its target outputs is spent back to the next address of the same descriptor, with a fee high
+// enough that parent and child together reach the target feerate. Miners select the pair as a package.
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import {
+    resolveFeeRate,
+    checkFeeLimits,
+    getMempoolEntry,
+    listWalletUtxos,
+    filterTargetUtxos,
+    deriveOutputAddressDetails
+} from './bitcoinCoreUtils.js';
+import { solvePlan } from './consolidation.js';
+import { checkStandardness } from './standardness.js';
+import { nextFreeIndexes } from './journal.js';
+import { parseTargetAllocations } from './allocation.js';
+import { btcToSats } from './utils.js';
+
+const MAX_CPFP_ROUNDS = 5;
+
+// The unconfirmed parent with its unconfirmed ancestors, which the child has to pay for as well:
+// { txid, vsize, feeSats, feeRate (Decimal), packageVBytes, packageFeeSats, ancestorCount }
+async function findParent(config, txid) {
+    const entry = await getMempoolEntry(config, txid);
+    if (!entry) {
+        throw new Error(`Transaction ${txid} is not in the node's mempool: it is confirmed, was never broadcast, or was replaced. Nothing to pay for.`);
+    }
+    const feeSats = btcToSats(entry.fees.base);
+    return {
+        txid,
+        vsize: entry.vsize,
+        feeSats,
+        feeRate: new Decimal(feeSats.toString()).div(entry.vsize),
+        packageVBytes: entry.ancestorsize ?? entry.vsize,
+        packageFeeSats: entry.fees.ancestor !== undefined ? btcToSats(entry.fees.ancestor) : feeSats,
+        ancestorCount: entry.ancestorcount ?? 1,
+    };
+}
+
+// The parent's output to spend: the largest unspent one paying a target descriptor
+async function childInput(config, parent) {
+    const walletUtxos = await listWalletUtxos(config, 0);
+    const candidates = filterTargetUtxos(walletUtxos.filter(utxo => utxo.txid === parent.txid), config.targetDescriptors);
+    if (candidates.length === 0) {
+        throw new Error(`No unspent output of ${parent.txid} pays a target descriptor of this config (or it is already spent by another child).`);
+    }
+    return candidates.reduce((largest, utxo) => (utxo.amount > largest.amount ? utxo : largest));
+}
+
+// Builds the child plan: the parent's largest target output, spent to the next address of its descriptor.
+// The target feerate is the fee policy's (or --feerate); the child fee makes up the difference between what the
+// package (parent and its unconfirmed ancestors) pays and what it would pay at that rate, child included.
+// Returns { plan, parent, targetSatPerVb, packageFeeRate }
+async function buildCpfpPlan(config, txid) {
+    const parent = await findParent(config, txid);
+    logger.info(`Parent ${txid}: ${parent.feeSats} sats for ${parent.vsize} vB (${parent.feeRate.toFixed(2)} sat/vB)` +
+        `${parent.ancestorCount > 1 ? `, with ${parent.ancestorCount - 1} unconfirmed ancestor(s): ${parent.packageFeeSats} sats for ${parent.packageVBytes} vB` : ''}.`);
+
+    const policy = await resolveFeeRate(config);
+    const target = policy.satPerVb;
+    const packageRate = new Decimal(parent.packageFeeSats.toString()).div(parent.packageVBytes);
+    if (packageRate.greaterThanOrEqualTo(target)) {
+        throw new Error(`The parent already pays ${packageRate.toFixed(2)} sat/vB, at or above the target of ${target.toFixed(2)} sat/vB; a child would not speed it up. Use --feerate for a higher target.`);
+    }
+
+    const input = await childInput(config, parent);
+    const descriptor = input.matchedDescriptor;
+    // The child pays a single target: the spent output's own descriptor, without change
+    const childConfig = { ...config, targetDescriptors: [descriptor], targetAllocations: parseTargetAllocations([descriptor]), change: undefined };
+    const derivations = await deriveOutputAddressDetails(childConfig, 0, await nextFreeIndexes(config));
+    logger.info(`Spending ${input.txid}:${input.vout} (${input.amount} sats) back to ${derivations[0].address} (index ${derivations[0].index}).`);
+
+    let satPerVb = target;
+    for (let round = 1; round <= MAX_CPFP_ROUNDS; round++) {
+        const plan = await solvePlan(childConfig, [input], derivations, { ...policy, satPerVb, appliedBy: round > 1 ? 'cpfp' : policy.appliedBy });
+        const childVBytes = plan.fee.breakdown.estimatedVBytes;
+        const requiredFee = BigInt(target.mul(parent.packageVBytes + childVBytes).ceil().toFixed()) - parent.packageFeeSats;
+        if (plan.fee.finalFee >= requiredFee) {
+            // The effective rate is what counts against maxFeeRateSatPerVb; the child's own rate is much higher
+            checkFeeLimits(config, target, plan.fee.finalFee);
+            await checkStandardness(childConfig, plan);
+            plan.excludedInputs = [];
+            plan.batch = { number: 1, count: 1 };
+            const packageFeeRate = new Decimal((parent.packageFeeSats + plan.fee.finalFee).toString()).div(parent.packageVBytes + childVBytes);
+            return { plan, parent, targetSatPerVb: target, packageFeeRate };
+        }
+        // Raise the child's own rate so its size-based fee covers the package shortfall, rounded up to 0.001 sat/vB
+        satPerVb = new Decimal(requiredFee.toString()).div(childVBytes).toDecimalPlaces(3, Decimal.ROUND_UP);
+        logger.debug(`Child fee ${plan.fee.finalFee} sats leaves the package below ${target.toFixed()} sat/vB; retrying at ${satPerVb.toFixed()} sat/vB.`);
+    }
+    throw new Error(`Could not reach the package feerate after ${MAX_CPFP_ROUNDS} rounds.`);
+}
+
+export { buildCpfpPlan };
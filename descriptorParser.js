@@ -0,0 +1,419 @@
+// descriptorParser.js
+// Output descriptor parsing (BIP-380 to BIP-389): script expressions and where they may be nested, key
+// expressions with origins, derivation paths with multipath groups (<0;1>) and hardened or unhardened
+// wildcards, taproot script trees and the miniscript fragments found in them. Errors name the character
+// of the descriptor where parsing failed. Keys are checked for their encoding only (no derivation here,
+// see descriptors.js).
+import { descriptorChecksum, INPUT_CHARSET, CHECKSUM_CHARSET } from './descriptors.js';
+import { parseExtendedPublicKey } from './bip32.js';
+
+const HARDENED = 0x80000000;
+const MAX_MULTISIG_KEYS = { multi: 20, sortedmulti: 20, multi_a: 999, sortedmulti_a: 999 };
+
+// Script expressions: the contexts they may appear in and the form of their arguments.
+// Contexts: 'top', 'sh' (inside sh()), 'wsh' (inside wsh()), 'tap' (a leaf of a tr() script tree)
+const SCRIPTS = {
+    sh: { contexts: ['top'], args: 'script', inner: 'sh' },
+    wsh: { contexts: ['top', 'sh'], args: 'script', inner: 'wsh' },
+    pk: { contexts: ['top', 'sh', 'wsh', 'tap'], args: 'key' },
+    pkh: { contexts: ['top', 'sh', 'wsh', 'tap'], args: 'key' },
+    wpkh: { contexts: ['top', 'sh'], args: 'key' },
+    combo: { contexts: ['top'], args: 'key' },
+    multi: { contexts: ['top', 'sh', 'wsh'], args: 'multi' },
+    sortedmulti: { contexts: ['top', 'sh', 'wsh'], args: 'multi' },
+    multi_a: { contexts: ['tap'], args: 'multi' },
+    sortedmulti_a: { contexts: ['tap'], args: 'multi' },
+    tr: { contexts: ['top'], args: 'tree' },
+    rawtr: { contexts: ['top'], args: 'key' },
+    addr: { contexts: ['top'], args: 'text' },
+    raw: { contexts: ['top'], args: 'hex' },
+};
+
+// Miniscript fragments accepted inside wsh() and script trees, by the form of their arguments
+// (a number: that many sub-expressions)
+const MINISCRIPT = {
+    pk_k: 'key', pk_h: 'key',
+    older: 'number', after: 'number',
+    sha256: 'hex', hash256: 'hex', ripemd160: 'hex', hash160: 'hex',
+    and_v: 2, and_b: 2, and_n: 2, or_b: 2, or_c: 2, or_d: 2, or_i: 2, andor: 3,
+    thresh: 'thresh',
+};
+
+// An error pointing at `position` (0-based) of the descriptor text: the message, then an excerpt with a caret.
+// error.position is the 0-based position.
+function descriptorError(text, position, message) {
+    const start = Math.max(0, position - 40);
+    const end = Math.min(text.length, position + 30);
+    const excerpt = `${start > 0 ? '...' : ''}${text.slice(start, end)}${end < text.length ? '...' : ''}`;
+    const caret = ' '.repeat(position - start + (start > 0 ? 3 : 0)) + '^';
+    const error = new Error(`${message} (at character ${position + 1}):\n      ${excerpt}\n      ${caret}`);
+    error.position = position;
+    return error;
+}
+
+// Recursive-descent parser over the descriptor body; every node records its [start, end) span
+function createParser(text, body, network) {
+    let pos = 0;
+    const fail = (message, at = pos) => { throw descriptorError(text, at, message); };
+    const peek = () => body[pos];
+    const expect = (ch, what) => {
+        if (body[pos] !== ch) fail(`Expected '${ch}'${what ? ` ${what}` : ''}${pos < body.length ? `, found '${body[pos]}'` : ', but the descriptor ends'}`);
+        pos++;
+    };
+    // Text up to the next argument separator at this nesting level
+    const readToken = (stops = ',)}') => {
+        const start = pos;
+        while (pos < body.length && !stops.includes(body[pos])) pos++;
+        return { value: body.slice(start, pos), start };
+    };
+
+    function parseScript(context) {
+        const start = pos;
+        const match = /^([a-z0-9_]+:)?([a-z0-9_]+)/.exec(body.slice(pos));
+        if (!match) fail(pos < body.length ? `Expected a script expression such as wpkh(...), found '${peek()}'` : "Expected a script expression, but the descriptor ends");
+        const [, wrappers, name] = match;
+        const script = SCRIPTS[name];
+        const miniscript = ['wsh', 'tap'].includes(context) && (wrappers || !script || !script.contexts.includes(context));
+        if (miniscript) return parseMiniscript(context, start, wrappers, name);
+        if (wrappers) fail(`Miniscript wrappers ('${wrappers}') are only allowed inside wsh() and tr() script trees`);
+        if (!script) fail(`Unknown script expression '${name}()'`);
+        if (!script.contexts.includes(context)) fail(`${name}() is not allowed ${describeContext(context)}`);
+        pos += name.length;
+        expect('(', `after '${name}'`);
+        const node = { kind: 'script', name, start, end: null, args: [] };
+        if (script.args === 'script') {
+            node.args.push(parseScript(script.inner));
+        } else if (script.args === 'key') {
+            node.args.push(parseKey(name === 'wpkh' ? 'segwit' : keyContext(context)));
+        } else if (script.args === 'multi') {
+            node.args.push(...parseMulti(name, context));
+        } else if (script.args === 'tree') {
+            node.args.push(parseKey('taproot'));
+            if (peek() === ',') {
+                pos++;
+                node.args.push(parseTree());
+            }
+        } else if (script.args === 'hex') {
+            const token = readToken(')');
+            if (!/^([0-9a-fA-F]{2})*$/.test(token.value)) fail("raw() takes a hex script", token.start);
+            node.args.push({ kind: 'text', value: token.value, start: token.start, end: pos });
+        } else {
+            const token = readToken(')');
+            if (token.value.length === 0) fail("addr() takes an address", token.start);
+            node.args.push({ kind: 'text', value: token.value, start: token.start, end: pos });
+        }
+        expect(')', `to close ${name}(`);
+        node.end = pos;
+        return node;
+    }
+
+    function parseMiniscript(context, start, wrappers, name) {
+        pos += (wrappers?.length ?? 0) + name.length;
+        const node = { kind: 'script', name, wrappers: wrappers ? wrappers.slice(0, -1) : null, start, end: null, args: [] };
+        if ((name === '0' || name === '1') && peek() !== '(') {
+            node.end = pos;
+            return node;
+        }
+        const form = SCRIPTS[name] && ['pk', 'pkh', 'multi', 'multi_a', 'sortedmulti', 'sortedmulti_a'].includes(name)
+            ? (name.includes('multi') ? 'multi' : 'key')
+            : MINISCRIPT[name];
+        if (form === undefined) fail(`Unknown miniscript fragment '${name}()'`, start + (wrappers?.length ?? 0));
+        if (SCRIPTS[name]?.args === 'multi' && !SCRIPTS[name].contexts.includes(context)) {
+            fail(`${name}() is not allowed ${describeContext(context)}${context === 'tap' ? '; use multi_a() or sortedmulti_a()' : ''}`, start);
+        }
+        expect('(', `after '${name}'`);
+        if (form === 'key') {
+            node.args.push(parseKey(keyContext(context)));
+        } else if (form === 'multi') {
+            node.args.push(...parseMulti(name, context));
+        } else if (form === 'number') {
+            node.args.push(parseNumber(`${name}() takes a positive number`, 1, 0x7fffffff));
+        } else if (form === 'hex') {
+            const token = readToken(')');
+            const bytes = name === 'sha256' || name === 'hash256' ? 32 : 20;
+            if (!new RegExp(`^[0-9a-fA-F]{${bytes * 2}}$`).test(token.value)) fail(`${name}() takes a ${bytes}-byte hex hash`, token.start);
+            node.args.push({ kind: 'text', value: token.value, start: token.start, end: pos });
+        } else if (form === 'thresh') {
+            const k = parseNumber("thresh() takes a threshold first", 1);
+            const subs = [];
+            while (peek() === ',') {
+                pos++;
+                subs.push(parseScript(context));
+            }
+            if (k.value > subs.length) fail(`thresh() threshold ${k.value} is above its ${subs.length} sub-expressions`, k.start);
+            node.args.push(k, ...subs);
+        } else {
+            for (let i = 0; i < form; i++) {
+                if (i > 0) expect(',', `between the ${form} arguments of ${name}()`);
+                node.args.push(parseScript(context));
+            }
+        }
+        expect(')', `to close ${name}(`);
+        node.end = pos;
+        return node;
+    }
+
+    function parseMulti(name, context) {
+        const threshold = parseNumber(`${name}() takes a threshold first`, 1);
+        const keys = [];
+        while (peek() === ',') {
+            pos++;
+            keys.push(parseKey(name.endsWith('_a') ? 'taproot' : keyContext(context)));
+        }
+        if (keys.length === 0) fail(`${name}() needs at least one key`);
+        if (threshold.value > keys.length) fail(`${name}() threshold ${threshold.value} is above its ${keys.length} keys`, threshold.start);
+        if (keys.length > MAX_MULTISIG_KEYS[name]) fail(`${name}() takes at most ${MAX_MULTISIG_KEYS[name]} keys`, keys[MAX_MULTISIG_KEYS[name]].start);
+        return [threshold, ...keys];
+    }
+
+    function parseNumber(message, min, max = Number.MAX_SAFE_INTEGER) {
+        const token = readToken();
+        if (!/^\d+$/.test(token.value) || Number(token.value) < min || Number(token.value) > max) fail(message, token.start);
+        return { kind: 'number', value: Number(token.value), start: token.start, end: pos };
+    }
+
+    // A taproot script tree: a script expression, or {tree,tree}
+    function parseTree() {
+        if (peek() !== '{') return parseScript('tap');
+        const start = pos;
+        pos++;
+        const left = parseTree();
+        expect(',', "between the two branches of a script tree");
+        const right = parseTree();
+        expect('}', "to close the script tree branch");
+        return { kind: 'tree', start, end: pos, branches: [left, right] };
+    }
+
+    // Key expression: [origin]key/path with the path only after an extended key.
+    // keyContext: 'legacy' (any key), 'segwit' (compressed only), 'taproot' (x-only or compressed)
+    function parseKey(context) {
+        const token = readToken();
+        const { value, start } = token;
+        if (value.length === 0) fail("Expected a key");
+        const node = { kind: 'key', start, end: pos, text: value, origin: null, key: null, keyType: null, path: [] };
+        let offset = 0;
+        if (value.startsWith('[')) {
+            const close = value.indexOf(']');
+            if (close < 0) fail("Key origin is not closed with ']'", start);
+            const [fingerprint, ...steps] = value.slice(1, close).split('/');
+            if (!/^[0-9a-fA-F]{8}$/.test(fingerprint)) fail("Key origin must start with an 8-hex-digit fingerprint", start + 1);
+            let at = start + 2 + fingerprint.length;
+            node.origin = { fingerprint: fingerprint.toLowerCase(), path: steps.map(step => {
+                const parsed = parseStep(step, at, false);
+                at += step.length + 1;
+                return parsed;
+            }) };
+            offset = close + 1;
+        }
+        const [key, ...steps] = value.slice(offset).split('/');
+        const keyStart = start + offset;
+        if (key.length === 0) fail("Expected a key after the key origin", keyStart);
+        if (/^[0-9a-fA-F]+$/.test(key)) {
+            node.keyType = hexKeyType(key, context, keyStart);
+            if (steps.length > 0) fail("A derivation path can only follow an extended key (xpub/tpub)", keyStart + key.length);
+        } else {
+            node.keyType = 'extended';
+            checkExtendedKey(key, keyStart);
+        }
+        node.key = key;
+        let at = keyStart + key.length + 1;
+        node.path = steps.map((step, i) => {
+            const parsed = parseStep(step, at, true);
+            if (parsed.type === 'wildcard' && i !== steps.length - 1) fail("The wildcard must be the last derivation step", at);
+            at += step.length + 1;
+            return parsed;
+        });
+        const groups = node.path.filter(step => step.type === 'multipath');
+        if (groups.length > 1) fail("A key can have only one multipath group (<a;b;...>)", groups[1].start);
+        return node;
+    }
+
+    // One derivation step: "5", "5'", "5h", "<0;1>" (multipath, if allowed) or "*", "*'", "*h" (if allowed)
+    function parseStep(step, at, ranged) {
+        const hardened = /['h]$/.test(step);
+        const bare = hardened ? step.slice(0, -1) : step;
+        if (bare === '*') {
+            if (!ranged) fail("A key origin cannot contain a wildcard", at);
+            return { type: 'wildcard', hardened, start: at, end: at + step.length };
+        }
+        if (step.startsWith('<')) {
+            if (!ranged) fail("A key origin cannot contain a multipath group", at);
+            if (!step.endsWith('>')) fail("Multipath group is not closed with '>'", at);
+            const values = step.slice(1, -1).split(';');
+            if (values.length < 2) fail("A multipath group needs at least two alternatives (<a;b>)", at);
+            let valueAt = at + 1;
+            const alternatives = values.map(text => {
+                const parsed = parseIndex(text, valueAt);
+                valueAt += text.length + 1;
+                return { ...parsed, text };
+            });
+            const seen = new Set();
+            alternatives.forEach(alternative => {
+                if (seen.has(alternative.index)) fail("Multipath alternatives must all be different", alternative.start);
+                seen.add(alternative.index);
+            });
+            return { type: 'multipath', alternatives, start: at, end: at + step.length };
+        }
+        return { type: 'step', ...parseIndex(step, at), end: at + step.length };
+    }
+
+    function parseIndex(text, at) {
+        const hardened = /['h]$/.test(text);
+        const digits = hardened ? text.slice(0, -1) : text;
+        if (text.length === 0) fail("Empty derivation step (two '/' in a row?)", at);
+        if (!/^\d+$/.test(digits)) fail(`Invalid derivation step '${text}'`, at);
+        if (Number(digits) >= HARDENED) fail(`Derivation step ${digits} is out of range (at most ${HARDENED - 1})`, at);
+        return { index: Number(digits) + (hardened ? HARDENED : 0), hardened, start: at };
+    }
+
+    function hexKeyType(key, context, at) {
+        if (key.length === 64) {
+            if (context !== 'taproot') fail("x-only (32-byte) keys are only allowed in tr()", at);
+            return 'xonly';
+        }
+        if (key.length === 66 && /^0[23]/.test(key)) return 'compressed';
+        if (key.length === 130 && /^04/.test(key)) {
+            if (context !== 'legacy') fail("Uncompressed keys are not allowed in segwit or taproot scripts", at);
+            return 'uncompressed';
+        }
+        return fail(`'${key.slice(0, 12)}${key.length > 12 ? '...' : ''}' is not a public key (66 hex digits for a compressed key)`, at);
+    }
+
+    function checkExtendedKey(key, at) {
+        if (/^[xt]prv/.test(key)) fail("Private keys do not belong in this config; use the public descriptor (listdescriptors without private keys)", at);
+        if (!/^[xt]pub/.test(key)) fail(`'${key.slice(0, 12)}${key.length > 12 ? '...' : ''}' is not a key (expected an xpub/tpub or a hex public key)`, at);
+        let node;
+        try {
+            node = parseExtendedPublicKey(key);
+        } catch (error) {
+            const reason = /checksum/i.test(error.message) ? "its base58 checksum does not match (a mistyped character?)" : error.message.replace(` '${key}'`, '');
+            fail(`Invalid extended key: ${reason}`, at);
+        }
+        const expected = network === 'mainnet' ? 'mainnet' : 'testnet';
+        if (network && node.network !== expected) fail(`This is a ${node.network} key, but the configured network is ${network}`, at);
+    }
+
+    function parse() {
+        const root = parseScript('top');
+        if (pos < body.length) fail(`Unexpected '${body[pos]}' after the end of the descriptor`);
+        return root;
+    }
+
+    return { parse };
+}
+
+function describeContext(context) {
+    return { top: 'at the top level', sh: 'inside sh()', wsh: 'inside wsh()', tap: 'in a tr() script tree' }[context];
+}
+
+// Which keys a script context accepts (see parseKey)
+function keyContext(context) {
+    if (context === 'tap') return 'taproot';
+    if (context === 'wsh') return 'segwit';
+    return 'legacy';
+}
+
+// Every key node of a parsed tree, in order
+function collectKeys(node, keys = []) {
+    if (node.kind === 'key') keys.push(node);
+    for (const child of node.args ?? node.branches ?? []) collectKeys(child, keys);
+    return keys;
+}
+
+// Parses and validates a descriptor. options: { requireChecksum, network } (network: also check that extended
+// keys belong to it). Returns { body, checksum, root, keys, isRange, branchCount }: branchCount is the number of
+// multipath alternatives (1 without multipath), isRange whether any key ends in a wildcard.
+function parseDescriptor(descriptor, { requireChecksum = false, network = null } = {}) {
+    if (typeof descriptor !== 'string' || descriptor.length === 0) throw new Error("A descriptor must be a non-empty string.");
+    for (let i = 0; i < descriptor.length; i++) {
+        if (!INPUT_CHARSET.includes(descriptor[i])) throw descriptorError(descriptor, i, `Invalid character '${descriptor[i]}' in descriptor`);
+    }
+    const hash = descriptor.indexOf('#');
+    const body = hash < 0 ? descriptor : descriptor.slice(0, hash);
+    const checksum = hash < 0 ? null : descriptor.slice(hash + 1);
+    if (checksum === null && requireChecksum) {
+        throw descriptorError(descriptor, descriptor.length, "Missing checksum: add '#' and the 8-character checksum listdescriptors shows");
+    }
+    if (checksum !== null) {
+        if (checksum.length !== 8 || [...checksum].some(ch => !CHECKSUM_CHARSET.includes(ch))) {
+            throw descriptorError(descriptor, hash + 1, `'${checksum}' is not a descriptor checksum (8 characters of ${CHECKSUM_CHARSET})`);
+        }
+        const expected = descriptorChecksum(body);
+        if (checksum !== expected) {
+            throw descriptorError(descriptor, hash + 1, `Checksum '${checksum}' does not match the descriptor (expected '${expected}'); the descriptor was changed or mistyped`);
+        }
+    }
+
+    const root = createParser(descriptor, body, network).parse();
+    const keys = collectKeys(root);
+    const multipath = keys.filter(key => key.path.some(step => step.type === 'multipath'));
+    const counts = multipath.map(key => key.path.find(step => step.type === 'multipath').alternatives.length);
+    const mismatched = multipath.find((key, i) => counts[i] !== counts[0]);
+    if (mismatched) {
+        const group = mismatched.path.find(step => step.type === 'multipath');
+        throw descriptorError(descriptor, group.start, `Multipath groups must all have the same number of alternatives (${counts[0]} in the first one)`);
+    }
+    return {
+        body,
+        checksum,
+        root,
+        keys,
+        isRange: keys.some(key => key.path.some(step => step.type === 'wildcard')),
+        branchCount: counts[0] ?? 1,
+    };
+}
+
+// The body with `replace(step)` (a string or null to keep) applied to every multipath group and wildcard
+function rewriteSteps(parsed, replace) {
+    const edits = parsed.keys.flatMap(key => key.path)
+        .filter(step => step.type !== 'step')
+        .map(step => ({ step, text: replace(step) }))
+        .filter(edit => edit.text !== null)
+        .sort((a, b) => b.step.start - a.step.start);
+    let body = parsed.body;
+    for (const { step, text } of edits) body = body.slice(0, step.start) + text + body.slice(step.end);
+    return body;
+}
+
+// The single-path descriptors of a multipath descriptor (BIP-389), with checksums: by convention the first is the
+// receive branch and the second the change branch. A descriptor without multipath is returned as it is.
+function descriptorBranches(descriptor) {
+    const parsed = parseDescriptor(descriptor);
+    if (parsed.branchCount === 1) return [descriptor];
+    return Array.from({ length: parsed.branchCount }, (unused, branch) => {
+        const body = rewriteSteps(parsed, step => (step.type === 'multipath' ? step.alternatives[branch].text : null));
+        return `${body}#${descriptorChecksum(body)}`;
+    });
+}
+
+// The descriptor of one index of a ranged single-path descriptor: every wildcard (of every key) replaced by index,
+// hardened wildcards by the index with the marker they were written with ("'" or "h"). Returns { body, descriptor } (descriptor with its checksum)
+function descriptorAtIndex(descriptor, index) {
+    const parsed = parseDescriptor(descriptor);
+    if (parsed.branchCount > 1) throw new Error(`'${descriptor}' is a multipath descriptor; pick a branch first (descriptorBranches).`);
+    if (!parsed.isRange) throw new Error(`'${descriptor}' has no wildcard (/*) to derive index ${index} from.`);
+    const body = rewriteSteps(parsed, step => (step.type === 'wildcard' ? `${index}${step.hardened ? parsed.body[step.end - 1] : ''}` : null));
+    return { body, descriptor: `${body}#${descriptorChecksum(body)}` };
+}
+
+// Config problems with a descriptor, [] if there are none. label: where it is configured, for the message.
+// options: { requireChecksum, requireRange, allowMultipath, network }
+function descriptorProblems(descriptor, label, { requireChecksum = true, requireRange = false, allowMultipath = true, network = null } = {}) {
+    let parsed;
+    try {
+        parsed = parseDescriptor(descriptor, { requireChecksum, network });
+    } catch (error) {
+        return [`${label}: ${error.message}`];
+    }
+    const problems = [];
+    if (requireRange && !parsed.isRange) problems.push(`${label}: the descriptor has no wildcard (/*); a ranged descriptor is needed to derive fresh addresses.`);
+    // Addresses are derived from the public descriptor, and an xpub has no hardened children
+    const hardened = requireRange && parsed.keys.flatMap(key => key.path).find(step => step.hardened || step.alternatives?.some(alternative => alternative.hardened));
+    if (hardened) {
+        problems.push(`${label}: ${descriptorError(descriptor, hardened.start, "Hardened derivation after an extended public key cannot be derived without its private key; move the hardened steps into the key origin ([fingerprint/path]) and use the account xpub").message}`);
+    }
+    if (!allowMultipath && parsed.branchCount > 1) problems.push(`${label}: multipath descriptors (<a;b>) are not supported here; use a single branch.`);
+    return problems;
+}
+
+export { parseDescriptor, descriptorBranches, descriptorAtIndex, descriptorProblems, descriptorError };
@@ -0,0 +1,231 @@
+// descriptors.js
+// Output descriptor support for offline mode: BIP-380 checksums and derivation of
+// single-path descriptors (pkh, wpkh, sh, wsh, multi/sortedmulti, key-path tr) to scripts and addresses.
+import { sha256, hash160 } from './bitcoinEncoding.js';
+import { parseExtendedPublicKey, derivePublicPath, decodePublicKey, fingerprint, taprootOutputKey } from './bip32.js';
+import { scriptPubKeyToAddress } from './transaction.js';
+
+// --- BIP-380 Checksum ---
+const INPUT_CHARSET = "0123456789()[],'/*abcdefgh@:$%{}IJKLMNOPQRSTUVWXYZ&+-.;<=>?!^_|~ijklmnopqrstuvwxyzABCDEFGH`#\"\\ ";
+const CHECKSUM_CHARSET = 'qpzry9x8gf2tvdw0s3jn54khce6mua7l';
+const GENERATOR = [0xf5dee51989n, 0xa9fdca3312n, 0x1bab10e32dn, 0x3706b1677an, 0x644d626ffdn];
+
+function descsumPolymod(symbols) {
+    let chk = 1n;
+    for (const value of symbols) {
+        const top = chk >> 35n;
+        chk = ((chk & 0x7ffffffffn) << 5n) ^ BigInt(value);
+        for (let i = 0; i < 5; i++) {
+            if ((top >> BigInt(i)) & 1n) chk ^= GENERATOR[i];
+        }
+    }
+    return chk;
+}
+
+function descsumExpand(body) {
+    const symbols = [];
+    const groups = [];
+    for (const ch of body) {
+        const v = INPUT_CHARSET.indexOf(ch);
+        if (v < 0) throw new Error(`Invalid character '${ch}' in descriptor.`);
+        symbols.push(v & 31);
+        groups.push(v >> 5);
+        if (groups.length === 3) {
+            symbols.push(groups[0] * 9 + groups[1] * 3 + groups[2]);
+            groups.length = 0;
+        }
+    }
+    if (groups.length === 1) symbols.push(groups[0]);
+    if (groups.length === 2) symbols.push(groups[0] * 3 + groups[1]);
+    return symbols;
+}
+
+// Computes the 8-character checksum for a descriptor body (without '#')
+function descriptorChecksum(body) {
+    const checksum = descsumPolymod([...descsumExpand(body), 0, 0, 0, 0, 0, 0, 0, 0]) ^ 1n;
+    let result = '';
+    for (let i = 0; i < 8; i++) {
+        result += CHECKSUM_CHARSET[Number((checksum >> BigInt(5 * (7 - i))) & 31n)];
+    }
+    return result;
+}
+
+// Returns the descriptor body with its correct checksum appended (same as getdescriptorinfo's "descriptor")
+function addDescriptorChecksum(descriptor) {
+    const body = descriptor.split('#')[0];
+    return `${body}#${descriptorChecksum(body)}`;
+}
+
+// Verifies a '#checksum' if present and returns the body. Throws on mismatch.
+function verifyDescriptorChecksum(descriptor, requireChecksum = false) {
+    const [body, checksum, ...rest] = descriptor.split('#');
+    if (rest.length > 0) throw new Error(`Descriptor '${descriptor}' contains more than one '#'.`);
+    if (checksum === undefined) {
+        if (requireChecksum) throw new Error(`Descriptor '${descriptor}' is missing a checksum.`);
+        return body;
+    }
+    const expected = descriptorChecksum(body);
+    if (checksum !== expected) {
+        throw new Error(`Descriptor checksum mismatch for '${body}': got '${checksum}', expected '${expected}'.`);
+    }
+    return body;
+}
+
+// --- Parsing ---
+
+// Splits "name(args)" at top-level commas
+function parseFunction(expr) {
+    const open = expr.indexOf('(');
+    if (open < 1 || !expr.endsWith(')')) return null;
+    const args = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of expr.slice(open + 1, -1)) {
+        if ('([{'.includes(ch)) depth++;
+        if (')]}'.includes(ch)) depth--;
+        if (ch === ',' && depth === 0) {
+            args.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    args.push(current);
+    return { name: expr.slice(0, open), args };
+}
+
+function parsePathStep(step) {
+    const hardened = /['h]$/.test(step);
+    const digits = hardened ? step.slice(0, -1) : step;
+    if (!/^\d+$/.test(digits) || Number(digits) >= 0x80000000) {
+        throw new Error(`Invalid derivation step '${step}'.`);
+    }
+    return Number(digits) + (hardened ? 0x80000000 : 0);
+}
+
+// Resolves a key expression ("[fp/path]xpub/0/5", "[fp/path]02ab..", x-only hex) to a concrete public key
+function resolveKey(keyExpr, network, xonly = false) {
+    let origin = null;
+    let rest = keyExpr;
+    const originMatch = /^\[([0-9a-fA-F]{8})((?:\/[0-9]+['h]?)*)\](.*)$/.exec(keyExpr);
+    if (originMatch) {
+        origin = {
+            fingerprint: Buffer.from(originMatch[1], 'hex'),
+            path: originMatch[2].split('/').filter(Boolean).map(parsePathStep),
+        };
+        rest = originMatch[3];
+    } else if (keyExpr.startsWith('[')) {
+        throw new Error(`Malformed key origin in '${keyExpr}'.`);
+    }
+
+    if (/^[0-9a-fA-F]+$/.test(rest)) {
+        const publicKey = Buffer.from(rest, 'hex');
+        decodePublicKey(publicKey); // Validates encoding and curve membership
+        // Without origin info there is no derivation path to report (origin stays null)
+        return { publicKey: xonly && publicKey.length === 33 ? publicKey.subarray(1) : publicKey, origin };
+    }
+
+    const [xpub, ...steps] = rest.split('/');
+    if (steps.includes('*') || steps.some(s => s.startsWith('*'))) {
+        throw new Error(`Key '${keyExpr}' still contains a wildcard; derive a specific index first.`);
+    }
+    const node = parseExtendedPublicKey(xpub);
+    const expectedNetwork = network === 'mainnet' ? 'mainnet' : 'testnet';
+    if (node.network !== expectedNetwork) {
+        throw new Error(`Extended key '${xpub.slice(0, 8)}...' belongs to ${node.network}, but the configured network is ${network}.`);
+    }
+    const path = steps.map(parsePathStep);
+    const derived = derivePublicPath(node, path);
+    const keyOrigin = origin
+        ? { fingerprint: origin.fingerprint, path: [...origin.path, ...path] }
+        : { fingerprint: fingerprint(node.publicKey), path };
+    return { publicKey: xonly ? derived.publicKey.subarray(1) : derived.publicKey, origin: keyOrigin };
+}
+
+function pushData(data) {
+    if (data.length > 75) throw new Error("Push data too large for this script template.");
+    return Buffer.concat([Buffer.from([data.length]), data]);
+}
+
+function multisigScript(args, network, sorted) {
+    const m = Number(args[0]);
+    const keys = args.slice(1).map(k => resolveKey(k, network));
+    if (!Number.isInteger(m) || m < 1 || m > keys.length || keys.length > 16) {
+        throw new Error(`Invalid multisig threshold ${args[0]} for ${keys.length} keys.`);
+    }
+    const ordered = sorted ? [...keys].sort((a, b) => Buffer.compare(a.publicKey, b.publicKey)) : keys;
+    const script = Buffer.concat([
+        Buffer.from([0x50 + m]),
+        ...ordered.map(k => pushData(k.publicKey)),
+        Buffer.from([0x50 + keys.length, 0xae]), // OP_n OP_CHECKMULTISIG
+    ]);
+    return { script, keys };
+}
+
+// Builds the inner script of a wsh()/sh() and its keys
+function innerScript(expr, network) {
+    const fn = parseFunction(expr);
+    if (fn && (fn.name === 'multi' || fn.name === 'sortedmulti')) {
+        return multisigScript(fn.args, network, fn.name === 'sortedmulti');
+    }
+    throw new Error(`Unsupported script expression '${expr}' (offline mode supports multi() and sortedmulti()).`);
+}
+
+// Derives the output script, address and signing metadata for a descriptor without wildcards.
+// Returns { scriptPubKey, address, redeemScript?, witnessScript?, keys: [{ publicKey, origin }], taprootInternalKey? }
+function deriveDescriptor(descriptor, network) {
+    const body = verifyDescriptorChecksum(descriptor);
+    const top = parseFunction(body);
+    if (!top) throw new Error(`Unsupported descriptor '${body}'.`);
+
+    const result = (() => {
+        switch (top.name) {
+            case 'pkh': {
+                const key = resolveKey(top.args[0], network);
+                return { scriptPubKey: Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), hash160(key.publicKey), Buffer.from([0x88, 0xac])]), keys: [key] };
+            }
+            case 'wpkh': {
+                const key = resolveKey(top.args[0], network);
+                return { scriptPubKey: Buffer.concat([Buffer.from([0x00, 0x14]), hash160(key.publicKey)]), keys: [key] };
+            }
+            case 'wsh': {
+                const { script, keys } = innerScript(top.args[0], network);
+                return { scriptPubKey: Buffer.concat([Buffer.from([0x00, 0x20]), sha256(script)]), witnessScript: script, keys };
+            }
+            case 'tr': {
+                if (top.args.length > 1) {
+                    throw new Error("Offline mode only supports key-path tr() descriptors without script trees.");
+                }
+                const key = resolveKey(top.args[0], network, true);
+                return {
+                    scriptPubKey: Buffer.concat([Buffer.from([0x51, 0x20]), taprootOutputKey(key.publicKey)]),
+                    keys: [key],
+                    taprootInternalKey: key.publicKey,
+                };
+            }
+            case 'sh': {
+                const inner = parseFunction(top.args[0]);
+                let redeem;
+                if (inner && (inner.name === 'wpkh' || inner.name === 'wsh')) {
+                    redeem = deriveDescriptor(top.args[0], network);
+                    redeem = { ...redeem, redeemScript: redeem.scriptPubKey };
+                } else {
+                    const { script, keys } = innerScript(top.args[0], network);
+                    redeem = { redeemScript: script, keys };
+                }
+                return {
+                    scriptPubKey: Buffer.concat([Buffer.from([0xa9, 0x14]), hash160(redeem.redeemScript), Buffer.from([0x87])]),
+                    redeemScript: redeem.redeemScript,
+                    witnessScript: redeem.witnessScript,
+                    keys: redeem.keys,
+                };
+            }
+            default:
+                throw new Error(`Unsupported descriptor type '${top.name}()' in offline mode.`);
+        }
+    })();
+
+    return { ...result, address: scriptPubKeyToAddress(result.scriptPubKey, network) };
+}
+
+export { descriptorChecksum, addDescriptorChecksum, verifyDescriptorChecksum, deriveDescriptor, INPUT_CHARSET, CHECKSUM_CHARSET };
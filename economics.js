@@ -0,0 +1,101 @@
+// economics.js
+// Is consolidating worth it? Compares what the inputs cost to spend now with what they would cost
+// at a future feerate, and flags inputs worth less than their own spend cost (uneconomical dust).
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import { estimateInputWeights, inputSpendVBytes } from './inputWeights.js';
+
+// Future feerate (Decimal sat/vB) from economics.futureFeeRateSatPerVb, or null if not configured
+function futureFeeRate(config) {
+    const rate = config.economics?.futureFeeRateSatPerVb;
+    return rate !== undefined ? new Decimal(rate.toString()) : null;
+}
+
+// Spend cost of each UTXO at satPerVb: [{ utxo, type, spendVBytes, costSats: Decimal, uneconomical }]
+// An input is uneconomical when its value does not exceed the fee its own spend adds.
+function inputSpendCosts(utxos, inputWeights, satPerVb) {
+    const weightsByKey = new Map(inputWeights.inputs.map(input => [input.key, input]));
+    return utxos.map(utxo => {
+        const weight = weightsByKey.get(`${utxo.txid}:${utxo.vout}`);
+        const spendVBytes = inputSpendVBytes(weight);
+        const costSats = new Decimal(spendVBytes).mul(satPerVb).ceil();
+        return { utxo, type: weight.type, spendVBytes, costSats, uneconomical: new Decimal(utxo.amount.toString()).lessThanOrEqualTo(costSats) };
+    });
+}
+
+// Splits candidate inputs into kept and uneconomical ones at satPerVb (used for economics.excludeUneconomical).
+// Returns { kept: utxo[], excluded: [{ utxo, reason, detail }] }
+function excludeUneconomicalInputs(config, utxos, satPerVb) {
+    const weights = estimateInputWeights(utxos, config.feeOptions?.estimatedWitnessVBytesPerInput);
+    const costs = inputSpendCosts(utxos, weights, satPerVb);
+    const kept = costs.filter(cost => !cost.uneconomical).map(cost => cost.utxo);
+    const excluded = costs.filter(cost => cost.uneconomical).map(cost => ({
+        utxo: cost.utxo,
+        reason: 'uneconomical',
+        detail: `worth ${cost.utxo.amount} sats, spending it costs ${cost.costSats.toFixed()} sats at ${satPerVb.toFixed(2)} sat/vB`,
+    }));
+    excluded.forEach(entry => logger.info(`Excluding uneconomical input ${entry.utxo.txid}:${entry.utxo.vout}: ${entry.detail}.`));
+    return { kept, excluded };
+}
+
+// Economics of a plan at its feerate, and against futureRate (Decimal sat/vB or null).
+// Returns { satPerVb, futureSatPerVb, inputs: [{ outpoint, amountSats, type, spendVBytes, costNowSats, costLaterSats, uneconomical }],
+//           inputVBytes, inputCostNowSats, feeNowSats, costLaterSats, savingsSats, breakEvenSatPerVb, uneconomicalCount }
+// Sat values are Decimals; the *Later, savings and break-even fields are null without a future feerate.
+// Savings compare spending these inputs later (one by one, at futureRate) with this transaction's whole fee now;
+// the break-even feerate is the future feerate at which both cost the same.
+function computeEconomics(plan, futureRate) {
+    const satPerVb = plan.feeRate.satPerVb;
+    const costs = inputSpendCosts(plan.inputs, plan.fee.inputWeights, satPerVb);
+    const inputVBytes = costs.reduce((sum, cost) => sum + cost.spendVBytes, 0);
+    const feeNowSats = new Decimal(plan.fee.finalFee.toString());
+    const costLaterSats = futureRate ? new Decimal(inputVBytes).mul(futureRate).ceil() : null;
+    return {
+        satPerVb,
+        futureSatPerVb: futureRate,
+        inputs: costs.map(cost => ({
+            outpoint: `${cost.utxo.txid}:${cost.utxo.vout}`,
+            amountSats: cost.utxo.amount,
+            type: cost.type,
+            spendVBytes: cost.spendVBytes,
+            costNowSats: cost.costSats,
+            costLaterSats: futureRate ? new Decimal(cost.spendVBytes).mul(futureRate).ceil() : null,
+            uneconomical: cost.uneconomical,
+        })),
+        inputVBytes,
+        inputCostNowSats: new Decimal(inputVBytes).mul(satPerVb).ceil(),
+        feeNowSats,
+        costLaterSats,
+        savingsSats: costLaterSats ? costLaterSats.minus(feeNowSats) : null,
+        breakEvenSatPerVb: inputVBytes > 0 ? feeNowSats.div(inputVBytes) : null,
+        uneconomicalCount: costs.filter(cost => cost.uneconomical).length,
+    };
+}
+
+// Plain JSON view of computeEconomics() (sats as numbers, feerates as strings)
+function economicsToJson(economics) {
+    const sats = value => (value === null ? null : value.toNumber());
+    const rate = value => (value === null ? null : value.toDecimalPlaces(3).toString());
+    return {
+        satPerVb: rate(economics.satPerVb),
+        futureSatPerVb: rate(economics.futureSatPerVb),
+        inputVBytes: economics.inputVBytes,
+        inputCostNowSats: sats(economics.inputCostNowSats),
+        feeNowSats: sats(economics.feeNowSats),
+        costLaterSats: sats(economics.costLaterSats),
+        savingsSats: sats(economics.savingsSats),
+        breakEvenSatPerVb: rate(economics.breakEvenSatPerVb),
+        uneconomicalCount: economics.uneconomicalCount,
+        inputs: economics.inputs.map(input => ({
+            outpoint: input.outpoint,
+            amountSats: Number(input.amountSats),
+            type: input.type,
+            spendVBytes: input.spendVBytes,
+            costNowSats: sats(input.costNowSats),
+            costLaterSats: sats(input.costLaterSats),
+            uneconomical: input.uneconomical,
+        })),
+    };
+}
+
+export { computeEconomics, economicsToJson, excludeUneconomicalInputs, futureFeeRate };
@@ -2,190 +2,326 @@
 import logger from './logger.js';
 import { createRawTx, decodeRawTx } from './bitcoinCoreUtils.js';
 import { satsToBtcString, ceilToBigInt } from './utils.js';
+import { allocateOutputs, parseTargetAllocations } from './allocation.js';
+import { estimateInputWeights, estimateFinalVBytes, describeInputTypes, dustThresholdSats } from './inputWeights.js';
 import Decimal from 'decimal.js';
 
-// Calculates the optimal fee based on the specification, iterating to find minimum
-async function calculateOptimalFee(config, rpcClientConfig, inputs, derivedAddressesMap, totalInputValue /* BigInt */, feeRateSatPerVbyte /* Decimal */) {
-    const numInputs = inputs.length;
-    const estimatedWitnessVBytesPerInput = config.feeOptions?.estimatedWitnessVBytesPerInput ?? 28; // Get from config or default
+// How the fee is solved
+// A fee "guess" g leaves TotalInputValue - g to be split by the allocation rules. The split's indivisible
+// remainder is not paid to any output, so the fee actually paid is effectiveFee(g) = g + remainder.
+// A guess is valid when effectiveFee(g) >= SizeBasedFee = ceil(estimatedVBytes * feerate) and every
+// target gets a positive amount.
+// Every floored share loses less than 1 sat, so remainder <= (number of shared targets - 1) = maxRemainder.
+// Any guess below SizeBasedFee - maxRemainder therefore falls short, and since effectiveFee(g) >= g, no
+// guess at or above the best effective fee found so far can beat it. Checking the guesses between those
+// two bounds (at most 2 * maxRemainder + 1 of them) is exhaustive: the cheapest valid one is the minimal
+// fee, found directly instead of iterating towards it.
+//
+// Amounts are serialized as fixed 8-byte integers (CTxOut nValue), so the size does not depend on them:
+// it is measured once, with a provisional split, and serves every guess.
+
+// Largest remainder allocateOutputs can leave in 'fee' mode: under 1 sat per floored (non-fixed) share.
+// In 'outputs' mode the remainder is handed out, so it is always 0.
+function maxAllocationRemainder(allocations, remainderMode) {
+    if (remainderMode === 'outputs') return 0n;
+    const shared = allocations.filter(a => a.type !== 'fixed').length;
+    return BigInt(Math.max(shared - 1, 0));
+}
+
+// Measures the signed size of a transaction spending inputs to outputs ({ address: btcString }): one
+// createrawtransaction + decoderawtransaction. Returns { baseVBytes, signatureVBytes, estimatedVBytes,
+// sizeBasedFee, decoded }
+async function measureTransaction(rpcClientConfig, inputs, outputs, inputWeights, feeRateSatPerVbyte) {
+    let decoded;
+    try {
+        const rawTxHex = await createRawTx(rpcClientConfig, inputs, outputs);
+        decoded = await decodeRawTx(rpcClientConfig, rawTxHex);
+    } catch (error) {
+        logger.debug(error.stack);
+        throw new Error(`Failed to measure the transaction size for the fee calculation: ${error.message}`);
+    }
+    const baseVBytes = decoded.vsize; // Size without witness data
+    const finalSize = estimateFinalVBytes(baseVBytes, inputWeights);
+    const sizeBasedFeeDecimal = new Decimal(finalSize.totalVBytes).mul(feeRateSatPerVbyte);
+    logger.debug(`Measured: Base VBytes = ${baseVBytes}, Est. Signature VBytes = ${finalSize.signatureVBytes}, Total Est. VBytes = ${finalSize.totalVBytes}, SizeBasedFee = ${ceilToBigInt(sizeBasedFeeDecimal)} sats (from ${sizeBasedFeeDecimal.toFixed()})`);
+    return {
+        baseVBytes,
+        signatureVBytes: finalSize.signatureVBytes,
+        estimatedVBytes: finalSize.totalVBytes,
+        sizeBasedFee: ceilToBigInt(sizeBasedFeeDecimal),
+        decoded,
+    };
+}
+
+// Calculates the minimal fee for the given inputs, targets and feerate, with a proof that fee - 1 is not valid
+// inputUtxos are the full UTXO objects (txid, vout, desc, scriptPubKey, parent_descs...) being spent
+async function calculateOptimalFee(config, rpcClientConfig, inputUtxos, derivedAddressesMap, totalInputValue /* BigInt */, feeRateSatPerVbyte /* Decimal */) {
+    const numInputs = inputUtxos.length;
+    const inputs = inputUtxos.map(utxo => ({ txid: utxo.txid, vout: utxo.vout }));
+    // Signed size per input from its script type, unless a flat witness estimate is configured
+    const inputWeights = estimateInputWeights(inputUtxos, config.feeOptions?.estimatedWitnessVBytesPerInput);
 
     logger.info(`Starting optimal fee calculation.`);
     logger.info(`  Inputs: ${numInputs}, Outputs: ${derivedAddressesMap.size}`);
     logger.info(`  Total Input Value: ${totalInputValue} sats`);
     logger.info(`  Target Feerate: ${feeRateSatPerVbyte.toFixed()} sat/vB`);
-    logger.info(`  Using estimated witness size: ${estimatedWitnessVBytesPerInput} vBytes/input`);
+    logger.info(`  Input types: ${describeInputTypes(inputWeights.countsByType)} (${inputWeights.totalAddedWU} WU added by signatures)`);
 
     const numTargets = BigInt(derivedAddressesMap.size);
     if (numTargets === 0n) {
         throw new Error("Cannot calculate fee with zero target outputs.");
     }
+    // Allocation rules per target (even split unless weights/percentages/fixed amounts are configured)
+    const allocations = config.targetAllocations ?? parseTargetAllocations(config.targetDescriptors);
+    const remainderMode = config.distribution?.remainder ?? 'fee';
+    if (allocations.length !== derivedAddressesMap.size) {
+        throw new Error(`Internal error: ${allocations.length} target allocations but ${derivedAddressesMap.size} derived addresses.`);
+    }
     if (totalInputValue <= 0n) {
         throw new Error("Total input value must be positive.");
     }
+    const fixedTotal = allocations.filter(a => a.type === 'fixed').reduce((sum, a) => sum + a.value, 0n);
+    if (fixedTotal >= totalInputValue) {
+        throw new Error(`Insufficient funds: fixed target amounts add up to ${fixedTotal} sats, but the inputs hold only ${totalInputValue} sats (nothing left for the fee and the shared targets).`);
+    }
 
-    let finalFee = -1n;
-    let amountPerOutput = -1n;
-    let lastCalculatedBaseVBytes = 0;
-    let lastEstimatedWitnessVBytes = 0;
-    let lastTotalEstimatedVBytes = 0;
-    let lastSizeBasedFee = 0n;
-    let lastRemainderSats = 0n;
-    let lastRequiredFee = 0n;
-
-    // Start with a minimal fee guess (1 satoshi)
-    let currentFeeGuess = 1n;
-
-    const MAX_FEE_ITERATIONS = 20; // Safety break
-    let i; // <<<< FIX: Declare loop counter 'i' outside the loop scope
-
-    for (i = 0; i < MAX_FEE_ITERATIONS; i++) { // Initialize i here
-        logger.debug(`Fee Iteration ${i + 1}: Trying Fee = ${currentFeeGuess} sats`);
+    const trace = []; // Size measurements and every checked guess, for plan output and diagnostics
 
-        if (currentFeeGuess >= totalInputValue) {
-            logger.warn(`Fee guess (${currentFeeGuess}) meets or exceeds total input value (${totalInputValue}). Cannot find valid fee.`);
-            finalFee = -1n; // Mark as failed
-            amountPerOutput = 0n;
-            break; // Exit loop
-        }
+    // Measures the signed size for a set of output amounts
+    async function measureSize(amounts) {
+        const outputs = {};
+        allocations.forEach((a, idx) => {
+            outputs[derivedAddressesMap.get(a.descriptor)] = satsToBtcString(amounts[idx]);
+        });
+        const { decoded, ...measured } = await measureTransaction(rpcClientConfig, inputs, outputs, inputWeights, feeRateSatPerVbyte);
+        trace.push({ step: 'measure', baseVBytes: measured.baseVBytes, estimatedVBytes: measured.estimatedVBytes, sizeBasedFee: measured.sizeBasedFee });
+        return measured;
+    }
 
-        // Calculate potential AmountPerOutput based on this fee guess
-        const valueToDistribute = totalInputValue - currentFeeGuess;
-        const currentAmountPerOutput = valueToDistribute / numTargets; // BigInt division floors automatically
-
-        if (currentAmountPerOutput <= 0n) {
-            logger.debug(` Fee Iteration ${i + 1}: Fee ${currentFeeGuess} results in ${currentAmountPerOutput} amount per output. Fee is too high.`);
-             if(currentFeeGuess === lastRequiredFee && i > 0) { // Check i > 0 to avoid check on first iteration
-                 logger.error(`Fee calculation stuck: Fee ${currentFeeGuess} results in non-positive output amount.`);
-                 finalFee = -1n;
-                 amountPerOutput = 0n;
-                 break;
-             }
-             // This case usually means the required fee calculated previously already pushed it over the edge.
-             logger.warn(`Fee ${currentFeeGuess} results in non-positive amount per output. Check total funds vs estimated minimum fee.`);
-             finalFee = -1n;
-             amountPerOutput = 0n;
-             break; // Exit loop, error handled after loop.
+    // Checks one fee guess against a measured size
+    function checkGuess(feeGuess, size) {
+        const allocation = allocateOutputs(totalInputValue - feeGuess, allocations, remainderMode);
+        if (!allocation) {
+            return { feeGuess, result: 'fixed-not-covered' };
         }
-
-        // Construct the outputs object for createrawtransaction
-        const outputs = {};
-        const amountBtcString = satsToBtcString(currentAmountPerOutput);
-        for (const address of derivedAddressesMap.values()) {
-            outputs[address] = amountBtcString;
+        const effectiveFee = feeGuess + allocation.remainder;
+        let result = 'valid';
+        if (allocation.amounts.some(amount => amount <= 0n)) {
+            result = 'non-positive-output';
+        } else if (effectiveFee < size.sizeBasedFee) {
+            result = 'below-size-fee';
         }
+        return { feeGuess, remainderSats: allocation.remainder, effectiveFee, result, allocation };
+    }
 
-        try {
-            // 1. Determine Actual *Base* VBytes (unsigned tx)
-            const rawTxHex = await createRawTx(rpcClientConfig, inputs, outputs);
-            const decodedTx = await decodeRawTx(rpcClientConfig, rawTxHex);
-            lastCalculatedBaseVBytes = decodedTx.vsize; // Size without witness data
-
-            // 2. Estimate Witness VBytes and Total VBytes
-            lastEstimatedWitnessVBytes = numInputs * estimatedWitnessVBytesPerInput;
-            lastTotalEstimatedVBytes = lastCalculatedBaseVBytes + lastEstimatedWitnessVBytes;
-            logger.debug(` Fee Iteration ${i + 1}: Base VBytes = ${lastCalculatedBaseVBytes}, Est. Witness VBytes = ${lastEstimatedWitnessVBytes}, Total Est. VBytes = ${lastTotalEstimatedVBytes}`);
-
-            // 3. Calculate SizeBasedFee based on TOTAL estimated size
-            const sizeBasedFeeDecimal = new Decimal(lastTotalEstimatedVBytes).mul(feeRateSatPerVbyte);
-            lastSizeBasedFee = ceilToBigInt(sizeBasedFeeDecimal);
-            logger.debug(` Fee Iteration ${i + 1}: SizeBasedFee = ${lastSizeBasedFee} sats (from ${sizeBasedFeeDecimal.toFixed()} based on ${lastTotalEstimatedVBytes} vBytes)`);
-
-            // 4. Calculate RemainderSats = (TotalInputValue - currentFeeGuess) % NumTargets
-            lastRemainderSats = valueToDistribute % numTargets;
-            logger.debug(` Fee Iteration ${i + 1}: RemainderSats = ${lastRemainderSats} sats (for fee guess ${currentFeeGuess})`);
-
-            // 5. Calculate the required fee for *this* iteration's size/remainder
-            lastRequiredFee = lastSizeBasedFee + lastRemainderSats; // Store for potential next guess
-            logger.debug(` Fee Iteration ${i + 1}: Required Fee (SizeBasedFee + Remainder) = ${lastRequiredFee} sats`);
-
-            // Convergence Check (Previous Fix Applied)
-            if (currentFeeGuess >= lastRequiredFee) {
-                logger.info(`Fee condition met: currentFeeGuess (${currentFeeGuess}) >= requiredFee (${lastRequiredFee}). Optimal fee found.`);
-                finalFee = currentFeeGuess;
-                amountPerOutput = currentAmountPerOutput;
-                break; // Exit loop, we found the minimum valid fee.
+    // Finds the cheapest valid guess for one measured size (see the comment at the top of this file)
+    function solveForSize(size) {
+        const maxRemainder = maxAllocationRemainder(allocations, remainderMode);
+        const low = size.sizeBasedFee > maxRemainder ? size.sizeBasedFee - maxRemainder : 0n;
+        let best = null;
+        // Without a valid guess yet, give up past SizeBasedFee + maxRemainder: larger guesses only leave less to split
+        const limit = () => (best ? best.effectiveFee - 1n : size.sizeBasedFee + maxRemainder);
+        let high = low;
+        for (let feeGuess = low; feeGuess <= limit() && feeGuess < totalInputValue; feeGuess++) {
+            high = feeGuess;
+            const candidate = checkGuess(feeGuess, size);
+            if (candidate.remainderSats !== undefined && candidate.remainderSats > maxRemainder) {
+                throw new Error(`Internal error: allocation remainder ${candidate.remainderSats} exceeds the bound of ${maxRemainder} sats the fee search relies on.`);
             }
-            else { // currentFeeGuess < lastRequiredFee
-                logger.debug(`Fee condition NOT met: currentFeeGuess (${currentFeeGuess}) < requiredFee (${lastRequiredFee}). Increasing fee guess to required fee.`);
-                currentFeeGuess = lastRequiredFee;
-                // Loop will continue with this new, higher guess.
+            trace.push({ step: 'guess', feeGuess, remainderSats: candidate.remainderSats, effectiveFee: candidate.effectiveFee, result: candidate.result });
+            if (candidate.result === 'valid' && (!best || candidate.effectiveFee < best.effectiveFee)) {
+                best = candidate;
             }
-
-        } catch (error) {
-            logger.error(`Error during fee calculation iteration ${i + 1} (Fee Guess: ${currentFeeGuess}): ${error.message}`);
-            // Add stack trace for debug level
-            logger.debug(error.stack);
-            throw new Error(`Failed during fee calculation iteration: ${error.message}`);
         }
+        return { best, low, high };
+    }
 
-        // Defensive check: Ensure fee doesn't become excessively large or negative accidentally
-        if (currentFeeGuess < 0n) {
-             logger.error(`Negative fee guess encountered (${currentFeeGuess}). Aborting calculation.`);
-             finalFee = -1n;
-             amountPerOutput = 0n;
-             break;
-        }
+    // 1. Measure the size with a provisional split (no fee); fixed amounts are already known to fit
+    const size = await measureSize(allocateOutputs(totalInputValue, allocations, remainderMode).amounts);
+    if (size.sizeBasedFee >= totalInputValue) {
+        throw new Error(`Insufficient funds: Total input (${totalInputValue} sats) is less than or equal to the minimum required fee (${size.sizeBasedFee} sats size fee) calculated for Est. VBytes=${size.estimatedVBytes}.`);
+    }
 
-    } // End of iteration loop
-
-
-    // Error Handling after loop
-    // Now 'i' is accessible here
-    if (finalFee <= 0n || amountPerOutput <= 0n) { // Check finalFee > 0 strictly
-        logger.error("Failed to find a valid positive fee and distribution after iterations.", {
-            totalInputValue,
-            numTargets,
-            lastFeeGuess: currentFeeGuess, // Show the last guess attempted
-            lastBaseVBytes: lastCalculatedBaseVBytes,
-            lastEstWitnessVBytes: lastEstimatedWitnessVBytes,
-            lastTotalEstVBytes: lastTotalEstimatedVBytes,
-            lastSizeBasedFee,
-            lastRemainderSats,
-            lastRequiredFee // Show the last calculated required fee
-        });
-         if (lastTotalEstimatedVBytes > 0 && lastRequiredFee >= totalInputValue) {
-             throw new Error(`Insufficient funds: Total input (${totalInputValue} sats) is less than or equal to the minimum required fee (${lastRequiredFee} sats = size fee ${lastSizeBasedFee} + remainder ${lastRemainderSats}) calculated for Est. VBytes=${lastTotalEstimatedVBytes}.`);
-         } else if (currentFeeGuess >= totalInputValue) {
-              throw new Error(`Insufficient funds: Final fee guess (${currentFeeGuess} sats) reached or exceeded total input value (${totalInputValue} sats) during search.`);
-         } else if (i >= MAX_FEE_ITERATIONS) { // <<<< FIX: Use 'i' declared outside loop
-             throw new Error(`Failed to converge on an optimal fee within ${MAX_FEE_ITERATIONS} iterations. Check logs for details (oscillation likely). Last Guess: ${currentFeeGuess}, Last Required Fee: ${lastRequiredFee}.`);
-         } else {
-            // General error if loop exited unexpectedly (e.g., non-positive amount)
-            throw new Error(`Failed to determine a valid fee/distribution. Last guess: ${currentFeeGuess}. Possible insufficient funds or calculation error.`);
+    // 2. Solve for that size
+    const solution = solveForSize(size);
+
+    if (!solution.best) {
+        // Fails only when the value left after the size-based fee cannot give every target a positive amount
+        const atSizeFee = checkGuess(size.sizeBasedFee, size);
+        const left = totalInputValue - size.sizeBasedFee;
+        logger.error("No valid fee and distribution found.", { totalInputValue, numTargets, sizeBasedFee: size.sizeBasedFee, estimatedVBytes: size.estimatedVBytes, checkedGuesses: `${solution.low}..${solution.high}` });
+        if (atSizeFee.result === 'non-positive-output') {
+            const starved = allocations.filter((a, idx) => atSizeFee.allocation.amounts[idx] <= 0n).map(a => a.descriptor);
+            throw new Error(`Insufficient funds: after the size-based fee of ${size.sizeBasedFee} sats, ${left} sats remain, which cannot give every target a positive amount (none left for ${starved.join(', ')}).`);
         }
+        throw new Error(`Insufficient funds: after the size-based fee of ${size.sizeBasedFee} sats, ${left} sats remain, which do not cover the fixed target amounts (${fixedTotal} sats).`);
     }
 
+    const { best } = solution;
+    const finalFee = best.effectiveFee;
+    const outputAmounts = best.allocation.amounts; // BigInt[] in allocation order
+    const finalRemainder = best.remainderSats;
+
+    // 3. Proof of minimality: fee - 1 is either below the size-based fee, or not produced by any guess
+    //    (all guesses that could produce it were checked above and none is valid)
+    const feeMinusOne = finalFee - 1n;
+    const minimality = feeMinusOne < size.sizeBasedFee
+        ? { feeMinusOne, reason: 'below-size-fee', detail: `${feeMinusOne} sats is below the size-based fee of ${size.sizeBasedFee} sats` }
+        : { feeMinusOne, reason: 'unreachable', detail: `no fee guess in ${solution.low}..${solution.high} leaves a valid split paying ${feeMinusOne} sats or less (allocation remainder)` };
+
     // --- Final Summary Logging ---
-    const finalValueToDistribute = totalInputValue - finalFee;
-    const finalRemainder = finalValueToDistribute % numTargets;
+    const totalOutputValue = outputAmounts.reduce((sum, amount) => sum + amount, 0n);
     const finalSizeFeeComponent = finalFee - finalRemainder;
 
-
     logger.info(`Optimal Fee Calculation Complete:`);
-    logger.info(`  Final Fee: ${finalFee} sats`);
-    logger.info(`  Amount Per Output: ${amountPerOutput} sats`);
+    logger.info(`  Final Fee: ${finalFee} sats (minimal: ${minimality.detail})`);
+    allocations.forEach((a, idx) => logger.info(`  Output ${idx + 1}: ${outputAmounts[idx]} sats -> ${derivedAddressesMap.get(a.descriptor)}`));
     logger.info(`  Number of Outputs: ${numTargets}`);
-    logger.info(`  Total Output Value: ${amountPerOutput * numTargets} sats`);
-    logger.info(`  Total Spent (Outputs + Fee): ${amountPerOutput * numTargets + finalFee} sats`);
+    logger.info(`  Total Output Value: ${totalOutputValue} sats`);
+    logger.info(`  Total Spent (Outputs + Fee): ${totalOutputValue + finalFee} sats`);
     logger.info(`  Total Input Value: ${totalInputValue} sats`);
     logger.info(`  Fee Breakdown (derived from final fee):`);
-    logger.info(`    Size Fee Component (Est): ${finalSizeFeeComponent} sats (Targeting ~${lastSizeBasedFee} sats for ~${lastTotalEstimatedVBytes} vBytes)`);
+    logger.info(`    Size Fee Component (Est): ${finalSizeFeeComponent} sats (Targeting ~${size.sizeBasedFee} sats for ~${size.estimatedVBytes} vBytes)`);
     logger.info(`    Remainder Fee Comp:     ${finalRemainder} sats (Absorbed remainder)`);
-    logger.info(`  Transaction Est. VBytes: ${lastTotalEstimatedVBytes} (Base: ${lastCalculatedBaseVBytes}, Witness: ${lastEstimatedWitnessVBytes})`);
-
+    logger.info(`  Transaction Est. VBytes: ${size.estimatedVBytes} (Base: ${size.baseVBytes}, Witness: ${size.signatureVBytes})`);
 
-     // Final sanity check: TotalInputValue = (AmountPerOutput * NumTargets) + FinalFee
-     const checkSum = (amountPerOutput * numTargets) + finalFee;
+     // Final sanity check: TotalInputValue = sum(OutputAmounts) + FinalFee
+     const checkSum = totalOutputValue + finalFee;
      if (checkSum !== totalInputValue) {
-         logger.error(`FATAL: Balance equation mismatch! Input ${totalInputValue} != Output ${amountPerOutput*numTargets} + Fee ${finalFee} = ${checkSum}`);
+         logger.error(`FATAL: Balance equation mismatch! Input ${totalInputValue} != Output ${totalOutputValue} + Fee ${finalFee} = ${checkSum}`);
          throw new Error("Internal error: Final balance equation does not hold.");
      }
 
+    // Map<targetDescriptorString, amountSats> in config order
+    const outputAmountsMap = new Map(allocations.map((a, idx) => [a.descriptor, outputAmounts[idx]]));
+
+    return {
+        finalFee,                       // BigInt
+        outputAmounts: outputAmountsMap, // Map<descriptor, BigInt>
+        remainderSats: finalRemainder,  // BigInt, part of finalFee
+        inputWeights,                   // Per-input signed size estimate used for the fee
+        breakdown: {                    // Size figures the fee was solved for
+            baseVBytes: size.baseVBytes,
+            signatureVBytes: size.signatureVBytes,
+            estimatedVBytes: size.estimatedVBytes,
+            sizeBasedFee: size.sizeBasedFee,
+        },
+        minimality,                     // { feeMinusOne, reason: 'below-size-fee' | 'unreachable', detail }
+        trace
+    };
+}
+
+// With a change output (see change.js) the targets receive exactly their share of change.distributeSats and the
+// change takes what is left, so the fee is simply the size-based fee of the transaction with the change output.
+// The allocation's indivisible remainder stays with the change, keeping the target amounts exact. If the change
+// would be below the dust threshold of its script, the transaction is built without it and the change is paid
+// as fee. change: { address (null: no change output), distributeSats (BigInt) }
+// Returns the result of calculateOptimalFee plus change: { address, amount, dustThreshold, dustChangeSats, foldedSats, keptRemainderSats }
+async function calculateFeeWithChange(config, rpcClientConfig, inputUtxos, derivedAddressesMap, totalInputValue /* BigInt */, feeRateSatPerVbyte /* Decimal */, change) {
+    const inputs = inputUtxos.map(utxo => ({ txid: utxo.txid, vout: utxo.vout }));
+    const inputWeights = estimateInputWeights(inputUtxos, config.feeOptions?.estimatedWitnessVBytesPerInput);
+    const allocations = config.targetAllocations ?? parseTargetAllocations(config.targetDescriptors);
+
+    logger.info(`Starting fee calculation with change.`);
+    logger.info(`  Inputs: ${inputUtxos.length}, Outputs: ${derivedAddressesMap.size} + change`);
+    logger.info(`  Total Input Value: ${totalInputValue} sats, distributing ${change.distributeSats} sats`);
+    logger.info(`  Target Feerate: ${feeRateSatPerVbyte.toFixed()} sat/vB`);
+
+    if (change.distributeSats >= totalInputValue) {
+        throw new Error(`Insufficient funds: distributing ${change.distributeSats} sats (change.distributeSats) needs more than the ${totalInputValue} sats the inputs hold, as the fee comes on top.`);
+    }
+    // Remainder mode 'fee' only floors the shares; the remainder is kept with the change rather than paid as fee
+    const allocation = allocateOutputs(change.distributeSats, allocations, 'fee');
+    if (!allocation) {
+        throw new Error(`The fixed target amounts do not fit in the ${change.distributeSats} sats to distribute (change).`);
+    }
+    if (allocation.amounts.some(amount => amount <= 0n)) {
+        const starved = allocations.filter((a, idx) => allocation.amounts[idx] <= 0n).map(a => a.descriptor);
+        throw new Error(`Distributing ${change.distributeSats} sats leaves nothing for ${starved.join(', ')}.`);
+    }
+    const targetTotal = allocation.amounts.reduce((sum, amount) => sum + amount, 0n);
+    const targetOutputs = {};
+    allocations.forEach((a, idx) => {
+        targetOutputs[derivedAddressesMap.get(a.descriptor)] = satsToBtcString(allocation.amounts[idx]);
+    });
+
+    const trace = [];
+    let size = null;
+    let changeAmount = 0n;
+    let dustThreshold = null;
+    if (change.address) {
+        const withChange = await measureTransaction(rpcClientConfig, inputs, { ...targetOutputs, [change.address]: satsToBtcString(totalInputValue - targetTotal) }, inputWeights, feeRateSatPerVbyte);
+        trace.push({ step: 'measure', withChange: true, baseVBytes: withChange.baseVBytes, estimatedVBytes: withChange.estimatedVBytes, sizeBasedFee: withChange.sizeBasedFee });
+        const script = withChange.decoded.vout?.find(output => output.scriptPubKey?.address === change.address)?.scriptPubKey?.hex;
+        if (!script) {
+            throw new Error(`Could not find the change output to ${change.address} in the decoded transaction.`);
+        }
+        dustThreshold = dustThresholdSats(script);
+        changeAmount = totalInputValue - targetTotal - withChange.sizeBasedFee;
+        if (changeAmount >= dustThreshold) {
+            size = withChange;
+        } else {
+            logger.info(`Change of ${changeAmount} sats would be below the ${dustThreshold}-sat dust threshold; it is added to the fee instead.`);
+        }
+    }
+    let foldedSats = 0n;
+    const dustChange = size ? null : changeAmount; // What the change output would have received
+    if (!size) {
+        size = await measureTransaction(rpcClientConfig, inputs, targetOutputs, inputWeights, feeRateSatPerVbyte);
+        trace.push({ step: 'measure', withChange: false, baseVBytes: size.baseVBytes, estimatedVBytes: size.estimatedVBytes, sizeBasedFee: size.sizeBasedFee });
+        const available = totalInputValue - targetTotal;
+        if (available < size.sizeBasedFee) {
+            throw new Error(`Insufficient funds: after distributing ${targetTotal} sats, ${available} sats remain, less than the size-based fee of ${size.sizeBasedFee} sats.`);
+        }
+        foldedSats = available - size.sizeBasedFee;
+        changeAmount = 0n;
+    }
+    const finalFee = totalInputValue - targetTotal - changeAmount;
+
+    // Every satoshi not paid to a target goes to the change, so the fee is the size-based fee, unless change was folded
+    const feeMinusOne = finalFee - 1n;
+    let minimality = { feeMinusOne, reason: 'below-size-fee', detail: `${feeMinusOne} sats is below the size-based fee of ${size.sizeBasedFee} sats` };
+    if (foldedSats > 0n) {
+        minimality = {
+            feeMinusOne,
+            reason: 'change-folded',
+            detail: dustThreshold !== null
+                ? `change of ${dustChange} sats would be below the ${dustThreshold}-sat dust threshold, so the ${foldedSats} sats above the size-based fee of ${size.sizeBasedFee} sats are paid as fee`
+                : `without a change output, the ${foldedSats} sats above the size-based fee of ${size.sizeBasedFee} sats cannot go anywhere else`,
+        };
+    }
+
+    logger.info(`Fee Calculation with Change Complete:`);
+    logger.info(`  Final Fee: ${finalFee} sats (${minimality.detail})`);
+    allocations.forEach((a, idx) => logger.info(`  Output ${idx + 1}: ${allocation.amounts[idx]} sats -> ${derivedAddressesMap.get(a.descriptor)}`));
+    logger.info(`  Change: ${changeAmount > 0n ? `${changeAmount} sats -> ${change.address}` : 'none'}`);
+    logger.info(`  Transaction Est. VBytes: ${size.estimatedVBytes} (Base: ${size.baseVBytes}, Witness: ${size.signatureVBytes})`);
+    if (targetTotal + changeAmount + finalFee !== totalInputValue) {
+        throw new Error("Internal error: Final balance equation does not hold.");
+    }
 
     return {
-        finalFee,       // BigInt
-        amountPerOutput // BigInt
+        finalFee,
+        outputAmounts: new Map(allocations.map((a, idx) => [a.descriptor, allocation.amounts[idx]])),
+        remainderSats: foldedSats,      // Folded change, part of finalFee
+        inputWeights,
+        breakdown: {
+            baseVBytes: size.baseVBytes,
+            signatureVBytes: size.signatureVBytes,
+            estimatedVBytes: size.estimatedVBytes,
+            sizeBasedFee: size.sizeBasedFee,
+        },
+        minimality,                     // reason: 'below-size-fee' | 'change-folded'
+        trace,
+        change: {
+            address: changeAmount > 0n ? change.address : null,
+            amount: changeAmount,       // BigInt, 0n when folded
+            dustThreshold,              // BigInt, null without a change address
+            dustChangeSats: dustChange, // BigInt: the change that was too small (may be negative), null if none was dropped
+            foldedSats,
+            keptRemainderSats: allocation.remainder, // Allocation remainder the change received
+        },
     };
 }
 
-export { calculateOptimalFee };
+export { calculateOptimalFee, calculateFeeWithChange };
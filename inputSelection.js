@@ -0,0 +1,102 @@
+// inputSelection.js
+// Chooses which of the candidate UTXOs are spent. Every UTXO that is left out gets a reason.
+import logger from './logger.js';
+import { excludeUneconomicalInputs } from './economics.js';
+
+const DEFAULT_MIN_CONFIRMATIONS = 1;
+const INPUT_ORDERS = ['largest', 'smallest'];
+
+const outpointOf = utxo => `${utxo.txid}:${utxo.vout}`;
+
+// Selection rules from config.inputSelection, with defaults
+function selectionRules(config) {
+    const rules = config.inputSelection ?? {};
+    return {
+        minConfirmations: rules.minConfirmations ?? DEFAULT_MIN_CONFIRMATIONS,
+        minAmount: rules.minAmountSats !== undefined ? BigInt(rules.minAmountSats) : null,
+        maxAmount: rules.maxAmountSats !== undefined ? BigInt(rules.maxAmountSats) : null,
+        maxInputs: rules.maxInputs ?? null,
+        include: new Set(rules.include ?? []),
+        exclude: new Set(rules.exclude ?? []),
+        order: rules.order ?? null,
+    };
+}
+
+// Selects the inputs to spend.
+// candidates: deduplicated UTXOs matched by a source (address or descriptor) or a target descriptor (with matchedBy)
+// context: { walletUtxos (of every source wallet, for inputSelection.include), lockedOutpoints: Set<"txid:vout">,
+//            pendingOutpoints: Map<"txid:vout", psbtFile> (see pending.js), satPerVb (Decimal) }
+// Order of the rules: exclude list, locks, inputs of pending PSBTs, confirmations, amount limits, uneconomical inputs
+// (economics.excludeUneconomical), then ordering and maxInputs. Included outpoints skip the amount
+// limits and are kept first under maxInputs.
+// Returns { selected: utxo[], excluded: [{ utxo, reason, detail }] }
+function selectInputs(config, candidates, context) {
+    const rules = selectionRules(config);
+    const excluded = [];
+    const exclude = (utxo, reason, detail) => excluded.push({ utxo, reason, detail });
+
+    // Explicitly included outpoints join the candidates even if nothing else matched them
+    const pool = [...candidates];
+    const known = new Set(candidates.map(outpointOf));
+    for (const outpoint of rules.include) {
+        if (known.has(outpoint)) continue;
+        const utxo = context.walletUtxos.find(candidate => outpointOf(candidate) === outpoint);
+        if (!utxo) {
+            logger.warn(`inputSelection.include lists ${outpoint}, which is not an unspent output of the wallet; ignoring it.`);
+            continue;
+        }
+        pool.push({ ...utxo, matchedBy: ['include'] });
+        known.add(outpoint);
+    }
+
+    let selected = [];
+    for (const utxo of pool) {
+        const outpoint = outpointOf(utxo);
+        const included = rules.include.has(outpoint);
+        if (rules.exclude.has(outpoint)) {
+            exclude(utxo, 'excluded', 'listed in inputSelection.exclude');
+        } else if (context.lockedOutpoints.has(outpoint)) {
+            exclude(utxo, 'locked', 'locked in the wallet (lockunspent)');
+        } else if (context.pendingOutpoints.has(outpoint)) {
+            exclude(utxo, 'pending', `already spent by pending PSBT ${context.pendingOutpoints.get(outpoint)}`);
+        } else if (utxo.confirmations < rules.minConfirmations) {
+            exclude(utxo, 'confirmations', `${utxo.confirmations} confirmation(s), ${rules.minConfirmations} required`);
+        } else if (!included && rules.minAmount !== null && utxo.amount < rules.minAmount) {
+            exclude(utxo, 'below-min-amount', `${utxo.amount} sats is below inputSelection.minAmountSats (${rules.minAmount})`);
+        } else if (!included && rules.maxAmount !== null && utxo.amount > rules.maxAmount) {
+            exclude(utxo, 'above-max-amount', `${utxo.amount} sats is above inputSelection.maxAmountSats (${rules.maxAmount})`);
+        } else {
+            selected.push(utxo);
+        }
+    }
+
+    if (config.economics?.excludeUneconomical && selected.length > 0) {
+        const { kept, excluded: uneconomical } = excludeUneconomicalInputs(config, selected, context.satPerVb);
+        selected = kept;
+        excluded.push(...uneconomical);
+    }
+
+    if (rules.order) {
+        const direction = rules.order === 'largest' ? -1 : 1;
+        // Stable sort: equal amounts keep their discovery order
+        selected = [...selected].sort((a, b) => (a.amount === b.amount ? 0 : (a.amount < b.amount ? -direction : direction)));
+    }
+    if (rules.maxInputs !== null && selected.length > rules.maxInputs) {
+        const forced = selected.filter(utxo => rules.include.has(outpointOf(utxo)));
+        const others = selected.filter(utxo => !rules.include.has(outpointOf(utxo)));
+        const kept = [...forced, ...others].slice(0, Math.max(rules.maxInputs, forced.length));
+        const keptSet = new Set(kept);
+        selected.filter(utxo => !keptSet.has(utxo)).forEach(utxo => {
+            exclude(utxo, 'max-inputs', `over inputSelection.maxInputs (${rules.maxInputs})${rules.order ? `, ${rules.order} first` : ''}`);
+        });
+        selected = selected.filter(utxo => keptSet.has(utxo));
+    }
+
+    for (const entry of excluded) {
+        logger.debug(`Skipping UTXO ${outpointOf(entry.utxo)} (${entry.reason}): ${entry.detail}.`);
+    }
+    logger.info(`Selected ${selected.length} of ${pool.length} candidate UTXOs${excluded.length > 0 ? ` (${excluded.length} skipped)` : ''}.`);
+    return { selected, excluded };
+}
+
+export { selectInputs, selectionRules, INPUT_ORDERS, DEFAULT_MIN_CONFIRMATIONS };
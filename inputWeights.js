@@ -0,0 +1,261 @@
+// inputWeights.js
+// Worst-case signed size estimation per input, based on the script type of the UTXO being spent.
+// All sizes are the weight (WU) an input adds on top of its unsigned form, where the unsigned
+// input already carries an empty scriptSig (1 byte length prefix) and no witness.
+import logger from './logger.js';
+
+const ECDSA_SIG_BYTES = 72;       // DER signature (max, low-S) + sighash byte
+const SCHNORR_SIG_BYTES = 65;     // 64-byte signature + explicit sighash byte (walletprocesspsbt uses "ALL")
+const COMPRESSED_PUBKEY_BYTES = 33;
+const UNCOMPRESSED_PUBKEY_BYTES = 65;
+const SEGWIT_MARKER_FLAG_WU = 2;  // Marker + flag bytes, counted once if any input has a witness
+const LEGACY_WITNESS_VBYTES_PER_INPUT = 28; // Previous flat default, used for inputs we cannot classify
+const UNSIGNED_INPUT_BYTES = 41;  // Outpoint (36) + empty scriptSig length (1) + sequence (4)
+
+// Size of a Bitcoin CompactSize (varint) for the given length
+function compactSizeLength(n) {
+    if (n < 0xfd) return 1;
+    if (n <= 0xffff) return 3;
+    if (n <= 0xffffffff) return 5;
+    return 9;
+}
+
+// Size of the opcode needed to push `n` bytes in a script
+function pushOpcodeLength(n) {
+    if (n <= 75) return 1;
+    if (n <= 0xff) return 2;  // OP_PUSHDATA1
+    if (n <= 0xffff) return 3; // OP_PUSHDATA2
+    return 5;                  // OP_PUSHDATA4
+}
+
+// Bytes of a witness stack given the byte length of each item
+function witnessStackBytes(itemLengths) {
+    return compactSizeLength(itemLengths.length) +
+        itemLengths.reduce((sum, len) => sum + compactSizeLength(len) + len, 0);
+}
+
+// Split descriptor arguments at top-level commas (ignoring nested (), [] and {})
+function splitTopLevelArgs(argString) {
+    const args = [];
+    let depth = 0;
+    let current = '';
+    for (const ch of argString) {
+        if ('([{'.includes(ch)) depth++;
+        if (')]}'.includes(ch)) depth--;
+        if (ch === ',' && depth === 0) {
+            args.push(current);
+            current = '';
+        } else {
+            current += ch;
+        }
+    }
+    args.push(current);
+    return args;
+}
+
+// Parses "name(args)" into { name, args } or null if the string is not a function expression
+function parseExpression(expr) {
+    const match = /^([a-z_]+)\((.*)\)$/s.exec(expr.trim());
+    if (!match) return null;
+    return { name: match[1], args: splitTopLevelArgs(match[2]) };
+}
+
+// Key size for a descriptor key expression (origin info and derivation paths allowed)
+function pubkeyBytes(keyExpr) {
+    const key = keyExpr.replace(/^\[[^\]]*\]/, '');
+    return /^04[0-9a-fA-F]{128}$/.test(key) ? UNCOMPRESSED_PUBKEY_BYTES : COMPRESSED_PUBKEY_BYTES;
+}
+
+// Script and signature sizes for multi()/sortedmulti() given its arguments
+function multisigInfo(args) {
+    const m = parseInt(args[0], 10);
+    const keys = args.slice(1);
+    if (!Number.isInteger(m) || m < 1 || m > keys.length) return null;
+    // OP_m <push key>... OP_n OP_CHECKMULTISIG
+    const scriptBytes = 3 + keys.reduce((sum, key) => sum + 1 + pubkeyBytes(key), 0);
+    return { m, n: keys.length, scriptBytes };
+}
+
+// Profile from the byte lengths of the scriptSig pushes and witness stack items
+function withItems(type, scriptSigItems, witnessItems, redeem = null) {
+    return {
+        type,
+        scriptSigBytes: scriptSigItems.length > 0 ? scriptSigBytesFor(scriptSigItems) : 0,
+        witnessBytes: witnessItems.length > 0 ? witnessStackBytes(witnessItems) : 0,
+        scriptSigItems,
+        witnessItems,
+        redeem,
+    };
+}
+
+// Bytes of a scriptSig pushing items of the given byte lengths (0 = OP_0)
+function scriptSigBytesFor(itemLengths) {
+    return itemLengths.reduce((sum, len) => sum + pushOpcodeLength(len) + len, 0);
+}
+
+// Size profile for a spend script described by a descriptor string (with or without checksum).
+// Returns { type, scriptSigBytes, witnessBytes, scriptSigItems, witnessItems, redeem } or null if the script type
+// is not supported. The items are byte lengths (for placeholder signatures, see standardness.js); redeem is what a
+// P2SH scriptSig pushes last: 'p2wpkh' / 'p2wsh' for a witness program, 'script' for a redeem script, else null.
+function profileFromDescriptor(descriptor) {
+    const top = parseExpression(descriptor.split('#')[0]);
+    if (!top) return null;
+
+    switch (top.name) {
+        case 'pkh':
+            return withItems('p2pkh', [ECDSA_SIG_BYTES, pubkeyBytes(top.args[0])], []);
+        case 'wpkh':
+            return withItems('p2wpkh', [], [ECDSA_SIG_BYTES, pubkeyBytes(top.args[0])]);
+        case 'tr':
+        case 'rawtr':
+            // Key-path spend; script-path spends depend on the leaf chosen by the signer
+            return withItems('p2tr', [], [SCHNORR_SIG_BYTES]);
+        case 'wsh': {
+            const inner = parseExpression(top.args[0]);
+            const multi = inner && ['multi', 'sortedmulti'].includes(inner.name) ? multisigInfo(inner.args) : null;
+            if (!multi) return null;
+            // Empty dummy element for the CHECKMULTISIG bug, m signatures, witness script
+            const items = [0, ...Array(multi.m).fill(ECDSA_SIG_BYTES), multi.scriptBytes];
+            return withItems(`p2wsh-multi(${multi.m}-of-${multi.n})`, [], items);
+        }
+        case 'sh': {
+            const inner = parseExpression(top.args[0]);
+            if (!inner) return null;
+            if (inner.name === 'wpkh') {
+                // scriptSig pushes the 22-byte P2WPKH redeem script
+                return withItems('p2sh-p2wpkh', [22], [ECDSA_SIG_BYTES, pubkeyBytes(inner.args[0])], 'p2wpkh');
+            }
+            if (inner.name === 'wsh') {
+                const nested = profileFromDescriptor(`wsh(${inner.args[0]})`);
+                if (!nested) return null;
+                // scriptSig pushes the 34-byte P2WSH redeem script
+                return withItems(`p2sh-${nested.type}`, [34], nested.witnessItems, 'p2wsh');
+            }
+            if (['multi', 'sortedmulti'].includes(inner.name)) {
+                const multi = multisigInfo(inner.args);
+                if (!multi) return null;
+                // OP_0, m signature pushes, redeem script push
+                return withItems(`p2sh-multi(${multi.m}-of-${multi.n})`, [0, ...Array(multi.m).fill(ECDSA_SIG_BYTES), multi.scriptBytes], [], 'script');
+            }
+            return null;
+        }
+        default:
+            return null;
+    }
+}
+
+// Size profile derived from the scriptPubKey alone, for single-key templates
+function profileFromScriptPubKey(scriptPubKey) {
+    if (typeof scriptPubKey !== 'string') return null;
+    if (/^0014[0-9a-f]{40}$/i.test(scriptPubKey)) return profileFromDescriptor('wpkh(K)');
+    if (/^5120[0-9a-f]{64}$/i.test(scriptPubKey)) return profileFromDescriptor('tr(K)');
+    if (/^76a914[0-9a-f]{40}88ac$/i.test(scriptPubKey)) return profileFromDescriptor('pkh(K)');
+    return null; // P2SH and P2WSH need the redeem/witness script, which only a descriptor gives us
+}
+
+// Works out the size profile of one UTXO, preferring the fully-resolved `desc` from listunspent,
+// then the ranged parent descriptors, then the scriptPubKey template.
+function profileInput(utxo) {
+    const candidates = [utxo.desc, ...(utxo.parent_descs || [])].filter(d => typeof d === 'string');
+    for (const descriptor of candidates) {
+        const profile = profileFromDescriptor(descriptor);
+        if (profile) return profile;
+    }
+    return profileFromScriptPubKey(utxo.scriptPubKey);
+}
+
+// Weight (WU) an input adds once signed, excluding the shared segwit marker/flag
+function addedWeight(profile, hasWitnessInTx) {
+    const scriptSigWU = profile.scriptSigBytes > 0
+        ? 4 * (profile.scriptSigBytes + compactSizeLength(profile.scriptSigBytes) - 1) // length prefix already counted as 1 byte
+        : 0;
+    // In a segwit-serialized tx every input carries a witness stack, empty ones as a single 0x00
+    const witnessWU = profile.witnessBytes > 0 ? profile.witnessBytes : (hasWitnessInTx ? 1 : 0);
+    return scriptSigWU + witnessWU;
+}
+
+// Estimates the weight each input adds when signed.
+// If overrideWitnessVBytesPerInput is a number, every input is assumed to add exactly that many vBytes
+// (the previous flat estimate). Returns { inputs: [{ key, type, addedWU }], totalAddedWU, countsByType }.
+function estimateInputWeights(utxos, overrideWitnessVBytesPerInput) {
+    if (typeof overrideWitnessVBytesPerInput === 'number') {
+        const inputs = utxos.map(utxo => ({
+            key: `${utxo.txid}:${utxo.vout}`,
+            type: 'override',
+            addedWU: overrideWitnessVBytesPerInput * 4,
+        }));
+        return {
+            inputs,
+            totalAddedWU: inputs.reduce((sum, input) => sum + input.addedWU, 0),
+            countsByType: { override: inputs.length },
+        };
+    }
+
+    const profiles = utxos.map(utxo => {
+        const profile = profileInput(utxo);
+        if (!profile) {
+            logger.warn(`Could not determine the script type of input ${utxo.txid}:${utxo.vout} (desc: ${utxo.desc ?? 'n/a'}, scriptPubKey: ${utxo.scriptPubKey ?? 'n/a'}). Assuming ${LEGACY_WITNESS_VBYTES_PER_INPUT} witness vBytes; set feeOptions.estimatedWitnessVBytesPerInput to override.`);
+            return { type: 'unknown', scriptSigBytes: 0, witnessBytes: LEGACY_WITNESS_VBYTES_PER_INPUT * 4 };
+        }
+        return profile;
+    });
+    const hasWitnessInTx = profiles.some(profile => profile.witnessBytes > 0);
+
+    const inputs = utxos.map((utxo, i) => ({
+        key: `${utxo.txid}:${utxo.vout}`,
+        type: profiles[i].type,
+        addedWU: addedWeight(profiles[i], hasWitnessInTx),
+    }));
+    const countsByType = {};
+    inputs.forEach(input => { countsByType[input.type] = (countsByType[input.type] ?? 0) + 1; });
+
+    return {
+        inputs,
+        totalAddedWU: inputs.reduce((sum, input) => sum + input.addedWU, 0) + (hasWitnessInTx ? SEGWIT_MARKER_FLAG_WU : 0),
+        countsByType,
+    };
+}
+
+// Estimated vsize of the final signed transaction from the unsigned (witness-less) vsize.
+// Returns { totalVBytes, signatureVBytes } where signatureVBytes is the estimated growth from signing.
+function estimateFinalVBytes(baseVBytes, inputWeights) {
+    const totalVBytes = Math.ceil((baseVBytes * 4 + inputWeights.totalAddedWU) / 4);
+    return { totalVBytes, signatureVBytes: totalVBytes - baseVBytes };
+}
+
+// Signed vsize one input adds to any transaction spending it: its unsigned part plus its signature data.
+// input is an entry of estimateInputWeights().inputs. Fractional, as witness data is counted in WU / 4.
+function inputSpendVBytes(input) {
+    return UNSIGNED_INPUT_BYTES + input.addedWU / 4;
+}
+
+// Bitcoin Core's dust threshold for an output (GetDustThreshold at the default -dustrelayfee of 3 sat/vB):
+// an output is dust when spending it would cost more than it is worth. The cost is the output's own size plus
+// the size of a typical input spending it: 67 vB for witness programs, 148 vB otherwise.
+const DUST_RELAY_FEE_SAT_PER_VB = 3;
+function dustThresholdSats(scriptPubKeyHex) {
+    const scriptBytes = scriptPubKeyHex.length / 2;
+    const outputBytes = 8 + compactSizeLength(scriptBytes) + scriptBytes;
+    // Witness program: OP_0..OP_16 followed by a single 2-40 byte push
+    const version = parseInt(scriptPubKeyHex.slice(0, 2), 16);
+    const isWitnessProgram = scriptBytes >= 4 && scriptBytes <= 42 && (version === 0 || (version >= 0x51 && version <= 0x60))
+        && parseInt(scriptPubKeyHex.slice(2, 4), 16) === scriptBytes - 2;
+    const spendBytes = isWitnessProgram ? 32 + 4 + 1 + Math.floor(107 / 4) + 4 : 32 + 4 + 1 + 107 + 4;
+    return BigInt((outputBytes + spendBytes) * DUST_RELAY_FEE_SAT_PER_VB);
+}
+
+// "2x p2wpkh, 1x p2tr" style summary of the input types
+function describeInputTypes(countsByType) {
+    return Object.entries(countsByType).map(([type, count]) => `${count}x ${type}`).join(', ');
+}
+
+export {
+    estimateInputWeights,
+    estimateFinalVBytes,
+    describeInputTypes,
+    inputSpendVBytes,
+    dustThresholdSats,
+    profileInput,
+    compactSizeLength,
+    LEGACY_WITNESS_VBYTES_PER_INPUT
+};
@@ -0,0 +1,162 @@
+// journal.js
+// Run history: every PSBT written by create/watch is recorded with its inputs, outputs (addresses and
+// derivation indexes) and fee, and later its broadcast txid and confirmations. The journal also keeps
+// addresses from being handed out twice: building a PSBT does not advance a descriptor's next_index.
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import logger from './logger.js';
+import { getWalletTxStatus } from './bitcoinCoreUtils.js';
+
+// Default journal: journal.json next to outputPsbtFile
+function journalFilePath(config) {
+    return path.resolve(config.journalFile ?? path.join(path.dirname(config.outputPsbtFile), 'journal.json'));
+}
+
+// Reads the journal. Returns [{ id, createdAt, configHash, plan?, scheduledFor?, wallet, psbtFile, batch, inputs, outputs, change?, feeSats,
+// feeRateSatPerVb, status, txid?, broadcastAt?, confirmations?, blockHeight? }]
+// status: 'created', 'broadcast', 'confirmed' or 'conflicted'
+async function loadJournal(config) {
+    const file = journalFilePath(config);
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Could not read the run journal '${file}': ${error.message}`);
+    }
+    try {
+        return JSON.parse(content).runs ?? [];
+    } catch (error) {
+        throw new Error(`The run journal '${file}' is not valid JSON: ${error.message}`);
+    }
+}
+
+async function saveJournal(config, runs) {
+    await fs.writeFile(journalFilePath(config), JSON.stringify({ runs }, null, 2) + '\n', 'utf-8');
+}
+
+// Short hash of the settings that shape a consolidation (not the node connection), so runs made with
+// the same settings can be recognized
+function configHash(config) {
+    const settings = {
+        sourceContext: config.sourceContext,
+        targets: config.targetAllocations.map(allocation => ({ descriptor: allocation.descriptor, type: allocation.type, value: allocation.value.toString() })),
+        feeTargetBlocks: config.feeTargetBlocks,
+        feeOptions: config.feeOptions ?? null,
+        distribution: config.distribution ?? null,
+        inputSelection: config.inputSelection ?? null,
+        batching: config.batching ?? null,
+        // Only when set, so runs made before change existed keep their hash
+        ...(config.change ? { change: config.change } : {}),
+    };
+    return crypto.createHash('sha256').update(JSON.stringify(settings)).digest('hex').slice(0, 16);
+}
+
+// First index each target descriptor may still hand out: one past the highest index in the journal.
+// Returns Map<descriptor, index>; deriveOutputAddressDetails never goes below the wallet's next_index.
+async function nextFreeIndexes(config) {
+    const free = new Map();
+    for (const run of await loadJournal(config)) {
+        for (const output of [...run.outputs, ...(run.change ? [run.change] : [])]) {
+            if (output.index === null) continue; // bump of a transaction the journal did not know, or getrawchangeaddress
+            free.set(output.descriptor, Math.max(free.get(output.descriptor) ?? 0, output.index + 1));
+        }
+    }
+    return free;
+}
+
+// Appends one run per written PSBT (records: [{ plan, psbtFile, replaces?, childOf?, scheduledFor? }]; replaces: txid
+// of a fee-bumped run, childOf: txid of the parent a CPFP child pays for, scheduledFor: the time run-due built it for).
+// Runs of a recurring plan (see schedule.js) carry its name.
+async function recordRuns(config, records) {
+    const runs = await loadJournal(config);
+    const createdAt = new Date().toISOString();
+    const hash = configHash(config);
+    for (const { plan, psbtFile, replaces, childOf, scheduledFor } of records) {
+        runs.push({
+            id: crypto.randomUUID(),
+            createdAt,
+            configHash: hash,
+            ...(config.plan ? { plan: config.plan.name } : {}),
+            ...(scheduledFor ? { scheduledFor } : {}),
+            wallet: config.sourceContext.operatingWalletName,
+            psbtFile,
+            batch: plan.batch,
+            inputs: plan.inputs.map(utxo => ({ outpoint: `${utxo.txid}:${utxo.vout}`, wallet: utxo.wallet, amountSats: Number(utxo.amount) })),
+            outputs: plan.outputs.map(output => ({ descriptor: output.descriptor, address: output.address, index: output.index, amountSats: Number(output.amount) })),
+            ...(plan.change ? { change: { descriptor: plan.change.descriptor, address: plan.change.address, index: plan.change.index, amountSats: Number(plan.change.amount) } } : {}),
+            feeSats: Number(plan.fee.finalFee),
+            feeRateSatPerVb: plan.feeRate.satPerVb.toFixed(),
+            status: 'created',
+            ...(replaces ? { replaces } : {}),
+            ...(childOf ? { childOf } : {}),
+        });
+    }
+    await saveJournal(config, runs);
+    logger.info(`Recorded ${records.length} run(s) in ${journalFilePath(config)}.`);
+}
+
+// After a broadcast: the runs spending exactly these inputs (["txid:vout"]) get the txid
+async function recordRunBroadcast(config, inputs, txid) {
+    const runs = await loadJournal(config);
+    const spent = new Set(inputs);
+    const matching = runs.filter(run => run.status === 'created'
+        && run.inputs.length === spent.size && run.inputs.every(input => spent.has(input.outpoint)));
+    for (const run of matching) {
+        run.status = 'broadcast';
+        run.txid = txid;
+        run.broadcastAt = new Date().toISOString();
+    }
+    if (matching.length > 0) await saveJournal(config, runs);
+    return matching;
+}
+
+// State of a run for display: its journal status, or for runs never broadcast by this tool the state of its
+// PSBT in the pending registry (pending, stale or released); pendingEntries: see loadPendingPsbts
+function runState(run, pendingEntries) {
+    if (run.status !== 'created') return run.status;
+    const entry = pendingEntries.find(candidate => candidate.psbtFile === run.psbtFile
+        && candidate.inputs.length === run.inputs.length && run.inputs.every(input => candidate.inputs.includes(input.outpoint)));
+    return entry && entry.status !== 'broadcast' ? entry.status : 'created';
+}
+
+// Updates the confirmation status of broadcast runs from the wallet (gettransaction); runs updated in place.
+// Offline nothing is checked. Returns true if anything changed.
+async function refreshConfirmations(config, runs) {
+    if (config.offlineNode) return false;
+    let changed = false;
+    for (const run of runs.filter(run => run.txid && run.status !== 'confirmed')) {
+        const status = await getWalletTxStatus(config, run.txid);
+        if (!status) continue;
+        const next = status.confirmations > 0 ? 'confirmed' : (status.confirmations < 0 ? 'conflicted' : 'broadcast');
+        if (next !== run.status || status.confirmations !== run.confirmations) changed = true;
+        Object.assign(run, { status: next, confirmations: status.confirmations, blockHeight: status.blockHeight });
+    }
+    return changed;
+}
+
+// Runs grouped by target descriptor: Map<descriptor, [{ run, output }]> (oldest first)
+function historyByDescriptor(runs) {
+    const history = new Map();
+    for (const run of runs) {
+        for (const output of run.outputs) {
+            if (!history.has(output.descriptor)) history.set(output.descriptor, []);
+            history.get(output.descriptor).push({ run, output });
+        }
+    }
+    return history;
+}
+
+export {
+    loadJournal,
+    saveJournal,
+    configHash,
+    nextFreeIndexes,
+    recordRuns,
+    recordRunBroadcast,
+    runState,
+    refreshConfirmations,
+    historyByDescriptor,
+    journalFilePath
+};
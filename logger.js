@@ -11,6 +11,8 @@ const LOG_LEVELS = {
 
 // Keep default level initialization - will be overridden by setLogLevel if called
 let currentLevel = LOG_LEVELS.info;
+// When true, log lines go to stderr so stdout stays clean for machine-readable output
+let logToStderr = false;
 
 // Internal log function: handles formatting and conditional output
 function log(level, ...args) {
@@ -24,7 +26,8 @@ function log(level, ...args) {
         : arg
     );
     // Output the log message to the console
-    console.log(`[${timestamp}] [${level.toUpperCase()}]`, ...formattedArgs);
+    const write = logToStderr ? console.error : console.log;
+    write(`[${timestamp}] [${level.toUpperCase()}]`, ...formattedArgs);
   }
 }
 
@@ -48,9 +51,15 @@ function setLogLevel(level) {
   }
 }
 
+// Route log output to stderr (true) or stdout (false, default)
+function setLogToStderr(enabled) {
+  logToStderr = Boolean(enabled);
+}
+
 // Export the public logger interface
 const logger = {
   setLogLevel, // Expose the function to set the level
+  setLogToStderr,
   // Define logging methods for each level, calling the internal 'log' function
   trace: (...args) => log('trace', ...args),
   debug: (...args) => log('debug', ...args),
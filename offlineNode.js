@@ -0,0 +1,227 @@
+// offlineNode.js
+// Answers the subset of Bitcoin Core RPCs this tool uses from an exported JSON snapshot,
+// so a PSBT can be built air-gapped. makeRpcCall routes here when config.offlineNode is set.
+import fs from 'fs/promises';
+import logger from './logger.js';
+import { btcToSats, satsToBtcString } from './utils.js';
+import { addDescriptorChecksum, deriveDescriptor } from './descriptors.js';
+import { parseDescriptor } from './descriptorParser.js';
+import {
+    SEQUENCE_RBF,
+    addressToScriptPubKey,
+    scriptPubKeyToAddress,
+    serializeTransaction,
+    parseTransaction,
+    computeTxid,
+    transactionSizes
+} from './transaction.js';
+import {
+    PSBT_IN,
+    PSBT_OUT,
+    createPsbt,
+    decodePsbt,
+    encodePsbt,
+    setEntry,
+    encodeWitnessUtxo,
+    encodeKeyOrigin,
+    encodeTapKeyOrigin
+} from './psbt.js';
+
+const SNAPSHOT_VERSION = 1;
+
+// Reads and sanity-checks a snapshot file written by exportSnapshot
+async function loadSnapshot(filePath, network) {
+    let snapshot;
+    try {
+        snapshot = JSON.parse(await fs.readFile(filePath, 'utf-8'));
+    } catch (error) {
+        throw new Error(`Failed to read offline snapshot '${filePath}': ${error.message}`);
+    }
+    if (snapshot.version !== SNAPSHOT_VERSION) {
+        throw new Error(`Unsupported snapshot version ${snapshot.version} in '${filePath}' (expected ${SNAPSHOT_VERSION}).`);
+    }
+    if (snapshot.network !== network) {
+        throw new Error(`Snapshot '${filePath}' was taken on ${snapshot.network}, but the configured network is ${network}.`);
+    }
+    if (!Array.isArray(snapshot.utxos) || !Array.isArray(snapshot.descriptors)) {
+        throw new Error(`Snapshot '${filePath}' must contain 'utxos' and 'descriptors' arrays.`);
+    }
+    if (!snapshot.feeEstimate?.result) {
+        throw new Error(`Snapshot '${filePath}' is missing 'feeEstimate.result'.`);
+    }
+    logger.info(`Loaded offline snapshot taken ${snapshot.createdAt ?? 'at an unknown time'} (${snapshot.utxos.length} UTXOs, ${snapshot.descriptors.length} descriptors).`);
+    return snapshot;
+}
+
+// Creates the RPC stand-in for a loaded snapshot
+function createOfflineNode(snapshot, network) {
+    // Derivation metadata for addresses handed out by deriveaddresses, keyed by scriptPubKey hex,
+    // so walletprocesspsbt can attach BIP32 paths to the outputs.
+    const derivedScripts = new Map();
+
+    const utxoByOutpoint = new Map(snapshot.utxos.map(u => [`${u.txid}:${u.vout}`, u]));
+
+    function listUnspent([minconf = 1, maxconf = 9999999, addresses = [], , options = {}] = []) {
+        const minimumAmount = options.minimumAmount !== undefined ? btcToSats(options.minimumAmount) : 0n;
+        return snapshot.utxos.filter(u =>
+            u.confirmations >= minconf &&
+            u.confirmations <= maxconf &&
+            (addresses.length === 0 || addresses.includes(u.address)) &&
+            btcToSats(u.amount) >= minimumAmount
+        );
+    }
+
+    function deriveAddresses([descriptor]) {
+        const derived = deriveDescriptor(descriptor, network);
+        derivedScripts.set(derived.scriptPubKey.toString('hex'), derived);
+        return [derived.address];
+    }
+
+    function estimateSmartFee([confTarget, mode]) {
+        const { targetBlocks, mode: snapshotMode, result } = snapshot.feeEstimate;
+        if (targetBlocks !== confTarget || (snapshotMode && snapshotMode !== mode)) {
+            logger.warn(`Snapshot fee estimate was taken for ${targetBlocks} blocks (${snapshotMode ?? 'unknown mode'}), but ${confTarget} blocks (${mode}) was requested. Using the snapshot value.`);
+        }
+        return result;
+    }
+
+    function createRawTransaction([inputs, outputs, locktime = 0, replaceable = true]) {
+        const tx = {
+            version: 2,
+            inputs: inputs.map(input => ({
+                txid: input.txid,
+                vout: input.vout,
+                scriptSig: Buffer.alloc(0),
+                sequence: input.sequence ?? (replaceable ? SEQUENCE_RBF : 0xffffffff),
+                witness: [],
+            })),
+            outputs: Object.entries(outputs).map(([address, amountBtc]) => ({
+                value: btcToSats(amountBtc),
+                scriptPubKey: addressToScriptPubKey(address, network),
+            })),
+            locktime,
+        };
+        return serializeTransaction(tx, false).toString('hex');
+    }
+
+    function decodeRawTransaction([hex]) {
+        const tx = parseTransaction(Buffer.from(hex, 'hex'));
+        const sizes = transactionSizes(tx);
+        return {
+            txid: computeTxid(tx),
+            version: tx.version,
+            size: sizes.size,
+            vsize: sizes.vsize,
+            weight: sizes.weight,
+            locktime: tx.locktime,
+            vin: tx.inputs.map(input => ({
+                txid: input.txid,
+                vout: input.vout,
+                scriptSig: { hex: input.scriptSig.toString('hex') },
+                txinwitness: input.witness.map(item => item.toString('hex')),
+                sequence: input.sequence,
+            })),
+            vout: tx.outputs.map((output, n) => ({
+                value: Number(satsToBtcString(output.value)),
+                n,
+                scriptPubKey: {
+                    hex: output.scriptPubKey.toString('hex'),
+                    address: scriptPubKeyToAddress(output.scriptPubKey, network) ?? undefined,
+                },
+            })),
+        };
+    }
+
+    // Attaches key origin data for every key of a derived descriptor to a PSBT map
+    function addDerivations(map, derived, types) {
+        if (derived.taprootInternalKey) {
+            setEntry(map, types.TAP_INTERNAL_KEY, Buffer.alloc(0), derived.taprootInternalKey);
+        }
+        for (const key of derived.keys) {
+            if (!key.origin) continue;
+            if (derived.taprootInternalKey) {
+                setEntry(map, types.TAP_BIP32_DERIVATION, key.publicKey, encodeTapKeyOrigin(key.origin));
+            } else {
+                setEntry(map, types.BIP32_DERIVATION, key.publicKey, encodeKeyOrigin(key.origin));
+            }
+        }
+        if (derived.redeemScript) setEntry(map, types.REDEEM_SCRIPT, Buffer.alloc(0), derived.redeemScript);
+        if (derived.witnessScript) setEntry(map, types.WITNESS_SCRIPT, Buffer.alloc(0), derived.witnessScript);
+    }
+
+    function walletProcessPsbt([psbtBase64, sign = true]) {
+        if (sign) {
+            throw new Error("Offline mode cannot sign; process the PSBT with sign=false and sign it on the signing device.");
+        }
+        const psbt = decodePsbt(psbtBase64);
+
+        psbt.tx.inputs.forEach((input, i) => {
+            const utxo = utxoByOutpoint.get(`${input.txid}:${input.vout}`);
+            if (!utxo) {
+                logger.warn(`Input ${input.txid}:${input.vout} is not in the snapshot; leaving it without UTXO data.`);
+                return;
+            }
+            const scriptPubKey = Buffer.from(utxo.scriptPubKey, 'hex');
+            // Legacy (non-segwit) inputs strictly need the full previous transaction, which the snapshot lacks
+            const prevTxHex = snapshot.rawTransactions?.[input.txid];
+            if (prevTxHex) {
+                setEntry(psbt.inputs[i], PSBT_IN.NON_WITNESS_UTXO, Buffer.alloc(0), Buffer.from(prevTxHex, 'hex'));
+            }
+            setEntry(psbt.inputs[i], PSBT_IN.WITNESS_UTXO, Buffer.alloc(0), encodeWitnessUtxo(btcToSats(utxo.amount), scriptPubKey));
+            if (utxo.desc) {
+                try {
+                    addDerivations(psbt.inputs[i], deriveDescriptor(utxo.desc, network), PSBT_IN);
+                } catch (error) {
+                    logger.warn(`Could not add derivation data for input ${input.txid}:${input.vout}: ${error.message}`);
+                }
+            }
+        });
+
+        psbt.tx.outputs.forEach((output, i) => {
+            const derived = derivedScripts.get(output.scriptPubKey.toString('hex'));
+            if (derived) addDerivations(psbt.outputs[i], derived, PSBT_OUT);
+        });
+
+        return { psbt: encodePsbt(psbt), complete: false };
+    }
+
+    const handlers = {
+        echo: params => params[0],
+        getnetworkinfo: () => ({ version: snapshot.node?.version ?? 0, subversion: 'offline-snapshot' }),
+        getwalletinfo: () => ({ walletname: snapshot.walletName, descriptors: true }),
+        listunspent: listUnspent,
+        listdescriptors: () => ({ wallet_name: snapshot.walletName, descriptors: snapshot.descriptors }),
+        getdescriptorinfo: ([descriptor]) => {
+            const withChecksum = addDescriptorChecksum(descriptor);
+            return { descriptor: withChecksum, checksum: withChecksum.split('#')[1], isrange: parseDescriptor(descriptor).isRange, hasprivatekeys: false };
+        },
+        deriveaddresses: deriveAddresses,
+        estimatesmartfee: estimateSmartFee,
+        listlockunspent: () => snapshot.lockedUnspents ?? [],
+        getmempoolinfo: () => {
+            // Older snapshots were exported without it
+            if (!snapshot.mempoolInfo) throw new Error("Snapshot has no mempool information (export it again to include it).");
+            return snapshot.mempoolInfo;
+        },
+        createrawtransaction: createRawTransaction,
+        decoderawtransaction: decodeRawTransaction,
+        converttopsbt: ([hex]) => encodePsbt(createPsbt(parseTransaction(Buffer.from(hex, 'hex')))),
+        walletprocesspsbt: walletProcessPsbt,
+    };
+
+    return {
+        async call(method, params = [], walletName = null) {
+            if (walletName && snapshot.walletName && walletName !== snapshot.walletName) {
+                throw new Error(`Offline snapshot is for wallet '${snapshot.walletName}', not '${walletName}'.`);
+            }
+            const handler = handlers[method];
+            if (!handler) {
+                throw new Error(`Offline mode does not support RPC method '${method}'.`);
+            }
+            logger.trace(`Offline RPC: ${method}`);
+            return handler(params);
+        },
+    };
+}
+
+export { loadSnapshot, createOfflineNode, SNAPSHOT_VERSION };
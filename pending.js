@@ -0,0 +1,229 @@
+// pending.js
+// Keeps track of PSBTs that were created but not broadcast yet, so their inputs are not spent twice.
+// A registry file lists every PSBT with its inputs and status; the inputs can also be locked in the
+// wallet (lockunspent). A PSBT whose inputs were spent elsewhere is marked stale.
+import fs from 'fs/promises';
+import path from 'path';
+import logger from './logger.js';
+import { lockOutpoints, unlockOutpoints, findSpentOutpoints, getMempoolEntry, getDecodedTransaction } from './bitcoinCoreUtils.js';
+
+// Default registry: pending.json next to outputPsbtFile
+function pendingFilePath(config) {
+    return path.resolve(config.pendingFile ?? path.join(path.dirname(config.outputPsbtFile), 'pending.json'));
+}
+
+// Reads the registry. Returns [{ psbtFile, createdAt, plan?, wallet, inputs: ["txid:vout"], inputWallets?, locked, status, ... }]
+// inputWallets: { "txid:vout": wallet } for inputs owned by another wallet than the operating one (see sources.js)
+// status: 'pending' (created, inputs unspent), 'stale' (some inputs were spent by another transaction),
+// 'broadcast' (sent by this tool) or 'released' (abandoned with 'release')
+async function loadPendingPsbts(config) {
+    const file = pendingFilePath(config);
+    let content;
+    try {
+        content = await fs.readFile(file, 'utf-8');
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`Could not read the pending PSBT registry '${file}': ${error.message}`);
+    }
+    try {
+        return JSON.parse(content).psbts ?? [];
+    } catch (error) {
+        throw new Error(`The pending PSBT registry '${file}' is not valid JSON: ${error.message}`);
+    }
+}
+
+async function savePendingPsbts(config, entries) {
+    await fs.writeFile(pendingFilePath(config), JSON.stringify({ psbts: entries }, null, 2) + '\n', 'utf-8');
+}
+
+// Inputs of a replacement (entry.replaces set) that the transaction it replaces spends in the mempool. The
+// replacement spends them too, so they are not spent "by another transaction" as long as that one is there.
+// Set of "txid:vout"
+async function heldByReplacedTransaction(config, entry) {
+    if (!(await getMempoolEntry(config, entry.replaces))) return new Set();
+    const replaced = await getDecodedTransaction(config, entry.replaces);
+    const spentByReplaced = new Set(replaced.vin.map(input => `${input.txid}:${input.vout}`));
+    return new Set(entry.inputs.filter(outpoint => spentByReplaced.has(outpoint)));
+}
+
+// Marks pending PSBTs whose inputs are no longer unspent as stale (entries are updated in place). The inputs of a
+// replacement that the transaction it replaces still spends in the mempool do not count as spent.
+// Needs the node (gettxout); offline the entries are left as they are. Returns the entries that became stale.
+async function detectStalePsbts(config, entries) {
+    const pending = entries.filter(entry => entry.status === 'pending');
+    if (pending.length === 0) return [];
+    if (config.offlineNode) {
+        logger.debug("Offline: cannot check whether the inputs of pending PSBTs were spent.");
+        return [];
+    }
+    const spent = await findSpentOutpoints(config, [...new Set(pending.flatMap(entry => entry.inputs))]);
+    const spentInputs = new Map();
+    for (const entry of pending) {
+        let inputs = entry.inputs.filter(outpoint => spent.has(outpoint));
+        if (inputs.length > 0 && entry.replaces) {
+            const held = await heldByReplacedTransaction(config, entry);
+            inputs = inputs.filter(outpoint => !held.has(outpoint));
+        }
+        if (inputs.length > 0) spentInputs.set(entry, inputs);
+    }
+    const stale = [...spentInputs.keys()];
+    for (const entry of stale) {
+        entry.status = 'stale';
+        entry.staleAt = new Date().toISOString();
+        entry.spentInputs = spentInputs.get(entry);
+        logger.warn(`PSBT ${entry.psbtFile} is stale: ${entry.spentInputs.length} of its ${entry.inputs.length} inputs were spent by another transaction. Run 'release' to unlock the rest.`);
+    }
+    return stale;
+}
+
+// Inputs held by PSBTs that are still pending: Map<"txid:vout", psbtFile>. Stale PSBTs are detected
+// first (without saving), so coins of a PSBT that can no longer be broadcast are free again.
+async function pendingOutpoints(config) {
+    const entries = await loadPendingPsbts(config);
+    await detectStalePsbts(config, entries);
+    const held = new Map();
+    entries.filter(entry => entry.status === 'pending').forEach(entry => {
+        entry.inputs.forEach(outpoint => held.set(outpoint, entry.psbtFile));
+    });
+    return held;
+}
+
+// Throws if one of psbtFiles still holds a pending PSBT: writing a new one there would lose it
+async function checkNotPending(config, psbtFiles) {
+    const entries = await loadPendingPsbts(config);
+    await detectStalePsbts(config, entries);
+    const busy = entries.filter(entry => entry.status === 'pending' && psbtFiles.includes(entry.psbtFile));
+    if (busy.length > 0) {
+        throw new Error(`${busy.map(entry => entry.psbtFile).join(', ')} still ${busy.length === 1 ? 'holds a pending PSBT' : 'hold pending PSBTs'}; broadcast ${busy.length === 1 ? 'it' : 'them'}, abandon with 'node cli.js release', or write elsewhere with --output.`);
+    }
+}
+
+// Registry record of a PSBT spending utxos: { psbtFile, inputs: ["txid:vout"], inputWallets?, replaces? }
+// replaces: for a replacement (bump), the txid of the transaction it replaces, which spends the same inputs
+function pendingRecord(config, psbtFile, utxos, replaces = null) {
+    const foreign = utxos.filter(utxo => utxo.wallet && utxo.wallet !== config.sourceContext.operatingWalletName);
+    return {
+        psbtFile,
+        inputs: utxos.map(utxo => `${utxo.txid}:${utxo.vout}`),
+        ...(foreign.length > 0 ? { inputWallets: Object.fromEntries(foreign.map(utxo => [`${utxo.txid}:${utxo.vout}`, utxo.wallet])) } : {}),
+        ...(replaces ? { replaces } : {}),
+    };
+}
+
+// Inputs of a record or entry grouped by the wallet that owns them: Map<wallet, ["txid:vout"]>
+function inputsByWallet(config, entry) {
+    const groups = new Map();
+    for (const outpoint of entry.inputs) {
+        const wallet = entry.inputWallets?.[outpoint] ?? config.sourceContext.operatingWalletName;
+        if (!groups.has(wallet)) groups.set(wallet, []);
+        groups.get(wallet).push(outpoint);
+    }
+    return groups;
+}
+
+// Unlocks whichever inputs of an entry are still locked, each in its own wallet. Returns the number unlocked.
+async function unlockEntry(config, entry) {
+    let unlocked = 0;
+    for (const [wallet, outpoints] of inputsByWallet(config, entry)) {
+        unlocked += await unlockOutpoints(config, outpoints, wallet);
+    }
+    return unlocked;
+}
+
+// Records newly written PSBTs (records: see pendingRecord) as pending, locking their inputs first when
+// lock is set (default: config.lockInputs). Entries of earlier PSBTs at the same paths are replaced.
+// The registry is read before anything is locked, and if locking or saving fails, the inputs locked so
+// far are unlocked again, so no lock is left that the registry does not know about.
+async function registerPendingPsbts(config, records, lock = Boolean(config.lockInputs)) {
+    const files = new Set(records.map(record => record.psbtFile));
+    const entries = (await loadPendingPsbts(config)).filter(entry => !files.has(entry.psbtFile));
+    const lockedGroups = [];
+    let locked = false;
+    try {
+        if (lock) {
+            if (config.offlineNode) {
+                logger.warn("Offline: the inputs cannot be locked in the wallet; they are only tracked in the pending PSBT registry.");
+            } else {
+                const groups = new Map();
+                for (const record of records) {
+                    for (const [wallet, outpoints] of inputsByWallet(config, record)) groups.set(wallet, [...(groups.get(wallet) ?? []), ...outpoints]);
+                }
+                for (const [wallet, outpoints] of groups) {
+                    await lockOutpoints(config, outpoints, true, wallet);
+                    lockedGroups.push([wallet, outpoints]);
+                }
+                locked = true;
+            }
+        }
+        const createdAt = new Date().toISOString();
+        for (const record of records) {
+            entries.push({ ...record, createdAt, ...(config.plan ? { plan: config.plan.name } : {}), wallet: config.sourceContext.operatingWalletName, locked, status: 'pending' });
+        }
+        await savePendingPsbts(config, entries);
+    } catch (error) {
+        for (const [wallet, outpoints] of lockedGroups) {
+            try {
+                await unlockOutpoints(config, outpoints, wallet);
+            } catch (unlockError) {
+                logger.error(`Could not unlock ${outpoints.join(', ')} in wallet '${wallet}' again: ${unlockError.message}`);
+            }
+        }
+        throw error;
+    }
+    logger.info(`Recorded ${records.length} pending PSBT(s) in ${pendingFilePath(config)}.`);
+}
+
+// After a broadcast: PSBTs spending exactly these inputs (["txid:vout"]) are marked broadcast and their locks
+// are lifted (the coins are spent now). Returns the updated entries.
+async function markBroadcast(config, inputs, txid) {
+    const entries = await loadPendingPsbts(config);
+    const spent = new Set(inputs);
+    const matching = entries.filter(entry => ['pending', 'stale'].includes(entry.status)
+        && entry.inputs.length === spent.size && entry.inputs.every(outpoint => spent.has(outpoint)));
+    for (const entry of matching) {
+        entry.status = 'broadcast';
+        entry.txid = txid;
+        entry.broadcastAt = new Date().toISOString();
+        if (entry.locked) await unlockEntry(config, entry);
+    }
+    if (matching.length > 0) await savePendingPsbts(config, entries);
+    return matching;
+}
+
+// Abandons pending (or stale) PSBTs: unlocks whichever of their inputs are still locked and marks them released.
+// psbtFile: only the PSBT at this path (its signed copy, "<name>.signed.psbt", is accepted too); null for all
+// (of the config's plan, for a recurring plan). Returns [{ entry, unlocked }]
+async function releasePendingPsbts(config, psbtFile = null) {
+    const entries = await loadPendingPsbts(config);
+    const unsigned = psbtFile?.endsWith('.signed.psbt') ? `${psbtFile.slice(0, -12)}.psbt` : psbtFile;
+    const open = entries.filter(entry => ['pending', 'stale'].includes(entry.status)
+        && (psbtFile === null ? !config.plan || entry.plan === config.plan.name : entry.psbtFile === psbtFile || entry.psbtFile === unsigned));
+    if (psbtFile !== null && open.length === 0) {
+        throw new Error(`No pending PSBT ${psbtFile} in ${pendingFilePath(config)}.`);
+    }
+    if (config.offlineNode && open.some(entry => entry.locked)) {
+        throw new Error("The inputs of these PSBTs are locked in the wallet; release them online so they can be unlocked.");
+    }
+    const released = [];
+    for (const entry of open) {
+        const unlocked = entry.locked ? await unlockEntry(config, entry) : 0;
+        entry.status = 'released';
+        entry.releasedAt = new Date().toISOString();
+        released.push({ entry, unlocked });
+    }
+    await savePendingPsbts(config, entries);
+    return released;
+}
+
+export {
+    loadPendingPsbts,
+    savePendingPsbts,
+    detectStalePsbts,
+    pendingOutpoints,
+    checkNotPending,
+    pendingRecord,
+    registerPendingPsbts,
+    markBroadcast,
+    releasePendingPsbts,
+    pendingFilePath
+};
@@ -0,0 +1,154 @@
+// psbt.js
+// Minimal BIP-174 PSBT (version 0) encoding and decoding for offline mode.
+import { encodeCompactSize, BufferReader } from './bitcoinEncoding.js';
+import { serializeTransaction, parseTransaction } from './transaction.js';
+
+const PSBT_MAGIC = Buffer.from([0x70, 0x73, 0x62, 0x74, 0xff]); // "psbt" + 0xff
+
+const PSBT_GLOBAL = { UNSIGNED_TX: 0x00 };
+const PSBT_IN = {
+    NON_WITNESS_UTXO: 0x00,
+    WITNESS_UTXO: 0x01,
+    PARTIAL_SIG: 0x02,
+    SIGHASH_TYPE: 0x03,
+    REDEEM_SCRIPT: 0x04,
+    WITNESS_SCRIPT: 0x05,
+    BIP32_DERIVATION: 0x06,
+    FINAL_SCRIPTSIG: 0x07,
+    FINAL_SCRIPTWITNESS: 0x08,
+    TAP_KEY_SIG: 0x13,
+    TAP_BIP32_DERIVATION: 0x16,
+    TAP_INTERNAL_KEY: 0x17,
+};
+const PSBT_OUT = {
+    REDEEM_SCRIPT: 0x00,
+    WITNESS_SCRIPT: 0x01,
+    BIP32_DERIVATION: 0x02,
+    TAP_INTERNAL_KEY: 0x05,
+    TAP_BIP32_DERIVATION: 0x07,
+};
+
+// Each map is an array of { keyType, keyData: Buffer, value: Buffer } in insertion order
+function readMap(reader) {
+    const entries = [];
+    for (;;) {
+        const keyLength = reader.readCompactSize();
+        if (keyLength === 0) return entries;
+        const key = reader.readBytes(keyLength);
+        const value = reader.readVarBytes();
+        const keyType = key[0];
+        const keyData = key.subarray(1);
+        if (entries.some(e => e.keyType === keyType && e.keyData.equals(keyData))) {
+            throw new Error(`Duplicate PSBT key (type 0x${keyType.toString(16)}).`);
+        }
+        entries.push({ keyType, keyData, value });
+    }
+}
+
+function writeMap(entries) {
+    const parts = [];
+    for (const { keyType, keyData, value } of entries) {
+        const key = Buffer.concat([Buffer.from([keyType]), keyData]);
+        parts.push(encodeCompactSize(key.length), key, encodeCompactSize(value.length), value);
+    }
+    parts.push(Buffer.from([0x00]));
+    return Buffer.concat(parts);
+}
+
+// Creates a PSBT around an unsigned transaction (what converttopsbt does)
+function createPsbt(unsignedTx) {
+    const stripped = {
+        ...unsignedTx,
+        inputs: unsignedTx.inputs.map(input => ({ ...input, scriptSig: Buffer.alloc(0), witness: [] })),
+    };
+    return {
+        tx: stripped,
+        global: [{ keyType: PSBT_GLOBAL.UNSIGNED_TX, keyData: Buffer.alloc(0), value: serializeTransaction(stripped, false) }],
+        inputs: stripped.inputs.map(() => []),
+        outputs: stripped.outputs.map(() => []),
+    };
+}
+
+function decodePsbt(base64) {
+    const reader = new BufferReader(Buffer.from(base64, 'base64'));
+    if (!reader.readBytes(5).equals(PSBT_MAGIC)) {
+        throw new Error("Not a PSBT (invalid magic bytes).");
+    }
+    const global = readMap(reader);
+    const unsignedTxEntry = global.find(e => e.keyType === PSBT_GLOBAL.UNSIGNED_TX);
+    if (!unsignedTxEntry) throw new Error("PSBT is missing the unsigned transaction.");
+    const tx = parseTransaction(unsignedTxEntry.value);
+    const inputs = tx.inputs.map(() => readMap(reader));
+    const outputs = tx.outputs.map(() => readMap(reader));
+    if (reader.remaining !== 0) throw new Error(`Trailing data after PSBT (${reader.remaining} bytes).`);
+    return { tx, global, inputs, outputs };
+}
+
+function encodePsbt(psbt) {
+    return Buffer.concat([
+        PSBT_MAGIC,
+        writeMap(psbt.global),
+        ...psbt.inputs.map(writeMap),
+        ...psbt.outputs.map(writeMap),
+    ]).toString('base64');
+}
+
+// Adds or replaces an entry in a PSBT map
+function setEntry(map, keyType, keyData, value) {
+    const existing = map.findIndex(e => e.keyType === keyType && e.keyData.equals(keyData));
+    const entry = { keyType, keyData, value };
+    if (existing >= 0) map[existing] = entry;
+    else map.push(entry);
+}
+
+function getEntries(map, keyType) {
+    return map.filter(e => e.keyType === keyType);
+}
+
+// WITNESS_UTXO value: 8-byte amount + scriptPubKey with length prefix
+function encodeWitnessUtxo(value /* BigInt */, scriptPubKey) {
+    const amount = Buffer.alloc(8);
+    amount.writeBigUInt64LE(value);
+    return Buffer.concat([amount, encodeCompactSize(scriptPubKey.length), scriptPubKey]);
+}
+
+function decodeWitnessUtxo(buffer) {
+    const reader = new BufferReader(buffer);
+    return { value: reader.readBigUInt64LE(), scriptPubKey: reader.readVarBytes() };
+}
+
+// BIP32_DERIVATION value: master fingerprint + uint32 LE path elements
+function encodeKeyOrigin(origin) {
+    const path = Buffer.alloc(4 * origin.path.length);
+    origin.path.forEach((step, i) => path.writeUInt32LE(step, i * 4));
+    return Buffer.concat([origin.fingerprint, path]);
+}
+
+// TAP_BIP32_DERIVATION value: leaf hashes (none for key-path) + key origin
+function encodeTapKeyOrigin(origin) {
+    return Buffer.concat([encodeCompactSize(0), encodeKeyOrigin(origin)]);
+}
+
+// Witness stack from a FINAL_SCRIPTWITNESS value
+function decodeWitnessStack(buffer) {
+    const reader = new BufferReader(buffer);
+    const count = reader.readCompactSize();
+    const items = [];
+    for (let i = 0; i < count; i++) items.push(reader.readVarBytes());
+    return items;
+}
+
+export {
+    PSBT_IN,
+    PSBT_OUT,
+    createPsbt,
+    decodePsbt,
+    encodePsbt,
+    setEntry,
+    getEntries,
+    encodeWitnessUtxo,
+    decodeWitnessUtxo,
+    encodeKeyOrigin,
+    encodeTapKeyOrigin,
+    decodeWitnessStack
+};
@@ -1,5 +1,28 @@
 // rpcClient.js
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
 import logger from './logger.js';
+import { resolveEndpoint, postJson, describeEndpoint } from './rpcTransport.js';
+
+// Where bitcoind keeps its .cookie inside the datadir, per network
+const COOKIE_SUBDIRS = { mainnet: '', testnet: 'testnet3', regtest: 'regtest' };
+
+function expandHome(filePath) {
+    return filePath === '~' || filePath.startsWith('~/') ? path.join(os.homedir(), filePath.slice(1)) : filePath;
+}
+
+// Cookie file from bitcoinCore.rpcCookieFile, or <datadir>/<network subdir>/.cookie. null if neither is set.
+function cookieFilePath(bitcoinCore) {
+    if (bitcoinCore.rpcCookieFile) {
+        return { file: path.resolve(expandHome(bitcoinCore.rpcCookieFile)), setting: 'bitcoinCore.rpcCookieFile' };
+    }
+    if (bitcoinCore.datadir) {
+        const subdir = COOKIE_SUBDIRS[bitcoinCore.network] ?? '';
+        return { file: path.resolve(expandHome(bitcoinCore.datadir), subdir, '.cookie'), setting: 'bitcoinCore.datadir' };
+    }
+    return null;
+}
 
 // Basic Authentication header
 function getAuthHeader(user, password) {
@@ -8,9 +31,57 @@ function getAuthHeader(user, password) {
   return { Authorization: `Basic ${credentials}` };
 }
 
+// Picks the credential source (rpcUser/rpcPassword, then rpcAuth, then the cookie file) and builds the header.
+// Returns { headers, kind: 'userpass' | 'rpcauth' | 'cookie' | 'none', source } where source names what was used.
+async function resolveCredentials(bitcoinCore) {
+    if (bitcoinCore.rpcUser && bitcoinCore.rpcPassword) {
+        return {
+            headers: getAuthHeader(bitcoinCore.rpcUser, bitcoinCore.rpcPassword),
+            kind: 'userpass',
+            source: `bitcoinCore.rpcUser/rpcPassword (user '${bitcoinCore.rpcUser}')`,
+        };
+    }
+    if (bitcoinCore.rpcAuth) {
+        // "user:password" as issued alongside an rpcauth= line (validated in config.js)
+        const separator = bitcoinCore.rpcAuth.indexOf(':');
+        const user = bitcoinCore.rpcAuth.slice(0, separator);
+        return {
+            headers: getAuthHeader(user, bitcoinCore.rpcAuth.slice(separator + 1)),
+            kind: 'rpcauth',
+            source: `bitcoinCore.rpcAuth (user '${user}')`,
+        };
+    }
+    const cookie = cookieFilePath(bitcoinCore);
+    if (cookie) {
+        let content;
+        try {
+            // Read on every call: bitcoind writes a new cookie each time it starts
+            content = (await fs.readFile(cookie.file, 'utf-8')).trim();
+        } catch (error) {
+            throw new Error(`Could not read RPC cookie file '${cookie.file}' (from ${cookie.setting}): ${error.message}. Is bitcoind running on ${bitcoinCore.network} with this datadir, and is the file readable by this user?`);
+        }
+        const separator = content.indexOf(':');
+        if (separator < 1) throw new Error(`RPC cookie file '${cookie.file}' is not in 'user:password' format.`);
+        return {
+            headers: getAuthHeader(content.slice(0, separator), content.slice(separator + 1)),
+            kind: 'cookie',
+            source: `cookie file ${cookie.file} (from ${cookie.setting})`,
+        };
+    }
+    return { headers: {}, kind: 'none', source: 'no credentials' };
+}
+
+const AUTH_HINTS = {
+    userpass: "Check that they match rpcuser/rpcpassword or an rpcauth entry in bitcoin.conf (they may also come from PSBT_CONSOLIDATOR_RPC_USER/PASSWORD).",
+    rpcauth: "Use the user name and the password printed by rpcauth.py, not the salted hash from bitcoin.conf.",
+    cookie: "The cookie is rewritten each time bitcoind starts; make sure the file belongs to the node answering at this URL and network.",
+    none: "Set bitcoinCore.rpcUser/rpcPassword, bitcoinCore.rpcAuth, bitcoinCore.rpcCookieFile or bitcoinCore.datadir.",
+};
+
 // Helper to construct the correct RPC URL (with or without wallet context)
 function getRpcUrl(config, walletName = null) {
-    let url = config.bitcoinCore.rpcUrl;
+    // A Unix socket endpoint only needs the URL for the request path and Host header
+    let url = config.bitcoinCore.rpcUrl ?? 'http://localhost/';
     if (walletName) {
         // Ensure no double slashes if rpcUrl already ends with /
         const separator = url.endsWith('/') ? '' : '/';
@@ -20,67 +91,168 @@ function getRpcUrl(config, walletName = null) {
 }
 
 
-async function makeRpcCall(config, method, params = [], walletName = null) {
-  const url = getRpcUrl(config, walletName);
-  const requestId = Date.now(); // Simple request ID
+// Defaults for bitcoinCore.rpcTimeoutMs and bitcoinCore.rpcRetry
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_RETRY = { attempts: 5, initialDelayMs: 500, maxDelayMs: 8000 };
 
-  const payload = {
-    jsonrpc: '2.0',
-    id: requestId,
-    method: method,
-    params: params,
-  };
+// Transient failures worth retrying: the node is (re)starting, overloaded or briefly unreachable
+const RETRYABLE_SOCKET_CODES = new Set(['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'ENOENT']); // ENOENT: socket file not there yet
+const RPC_IN_WARMUP = -28; // "Loading block index...", "Verifying blocks..."
+const HTTP_SERVICE_UNAVAILABLE = 503; // "Work queue depth exceeded"
 
-  const headers = {
-    'Content-Type': 'application/json',
-    ...getAuthHeader(config.bitcoinCore.rpcUser, config.bitcoinCore.rpcPassword),
-  };
+function isRetryable(error) {
+    return RETRYABLE_SOCKET_CODES.has(error.code) || error.httpStatus === HTTP_SERVICE_UNAVAILABLE || error.rpcCode === RPC_IN_WARMUP;
+}
 
-  logger.trace(`RPC Request (${requestId}) to ${url}:`, { method, params: (method === 'importdescriptors' ? '[REDACTED]' : params) }); // Avoid logging sensitive data like descriptors if needed
+// Request ids only need to be unique per process; a counter never collides the way Date.now() can
+let lastRequestId = 0;
+function nextRequestId() {
+    lastRequestId += 1;
+    return lastRequestId;
+}
 
-  try {
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: headers,
-      body: JSON.stringify(payload),
-    });
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
 
-    // Log raw response text for deep debugging if needed
-    // const responseText = await response.text();
-    // logger.trace(`RPC Raw Response Text (${requestId}):`, responseText);
-    // const data = JSON.parse(responseText); // Parse after logging raw text
+function rpcError(error, method) {
+    return Object.assign(new Error(`RPC Error: ${error.message} (Code: ${error.code}, Method: ${method})`), { rpcCode: error.code });
+}
 
-    const data = await response.json();
-    logger.trace(`RPC Response (${requestId}):`, data);
+// Runs send() and retries retryable failures with exponential backoff (initialDelayMs, doubling, capped at maxDelayMs)
+async function withRetries(config, label, send) {
+    const retry = { ...DEFAULT_RETRY, ...config.bitcoinCore.rpcRetry };
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await send();
+        } catch (error) {
+            if (!isRetryable(error) || attempt >= retry.attempts) throw error;
+            const delay = Math.min(retry.initialDelayMs * 2 ** (attempt - 1), retry.maxDelayMs);
+            logger.warn(`${label} failed (${error.message}); retrying in ${delay} ms (attempt ${attempt + 1}/${retry.attempts}).`);
+            await sleep(delay);
+        }
+    }
+}
 
+// One HTTP round-trip carrying payload (a request object or a batch array). Returns the parsed JSON body.
+async function postRpc(config, url, payload, label) {
+    const endpoint = await resolveEndpoint(config.bitcoinCore, url);
+    const credentials = await resolveCredentials(config.bitcoinCore);
+    const timeoutMs = config.bitcoinCore.rpcTimeoutMs ?? DEFAULT_TIMEOUT_MS;
+    const response = await postJson(endpoint, credentials.headers, JSON.stringify(payload), timeoutMs);
 
-    if (!response.ok) {
-      // Handle HTTP errors (e.g., 401 Unauthorized, 404 Not Found)
-      const errorMessage = data?.error?.message || `HTTP Error: ${response.status} ${response.statusText}`;
-      throw new Error(`RPC HTTP Error: ${errorMessage} (URL: ${url}, Method: ${method})`);
+    // Bitcoin Core answers auth failures with an empty body, so handle them before parsing
+    if (response.status === 401) {
+      throw new Error(`RPC authentication failed (HTTP 401) at ${describeEndpoint(endpoint)} using ${credentials.source}. ${AUTH_HINTS[credentials.kind]}`);
+    }
+    if (response.status === 403) {
+      throw new Error(`RPC access forbidden (HTTP 403) at ${describeEndpoint(endpoint)} using ${credentials.source}. Check rpcallowip and rpcwhitelist in bitcoin.conf.`);
+    }
+    if (response.status === HTTP_SERVICE_UNAVAILABLE) {
+      throw Object.assign(new Error(`RPC server busy (HTTP 503 ${response.text.trim() || response.statusText}) for ${label}`), { httpStatus: response.status });
     }
 
-    if (data.error) {
-      // Handle errors reported within the JSON-RPC response
-      throw new Error(`RPC Error: ${data.error.message} (Code: ${data.error.code}, Method: ${method})`);
+    let data;
+    try {
+      data = JSON.parse(response.text);
+    } catch {
+      // Handle cases where the response wasn't valid JSON
+      throw Object.assign(new Error(`Failed to parse RPC response as JSON (HTTP ${response.status} ${response.statusText}). Is Bitcoin Core running and reachable at ${describeEndpoint(endpoint)}?`), { httpStatus: response.status });
     }
 
-    if (data.id !== requestId) {
-        logger.warn(`RPC Response ID mismatch. Request: ${requestId}, Response: ${data.id}`);
-        // Decide if this is critical - usually not, but good to log.
+    // Bitcoin Core reports RPC errors with HTTP 404/500 and a JSON body; the caller reads the error from it
+    if ((response.status < 200 || response.status >= 300) && !data?.error) {
+      throw Object.assign(new Error(`RPC HTTP Error: ${response.status} ${response.statusText} (URL: ${url}, ${label})`), { httpStatus: response.status });
     }
+    return data;
+}
+
+
+async function makeRpcCall(config, method, params = [], walletName = null) {
+  // Offline mode: answer from the loaded snapshot instead of a running node
+  if (config.offlineNode) {
+    return config.offlineNode.call(method, params, walletName);
+  }
+
+  const url = getRpcUrl(config, walletName);
+  const logParams = method === 'importdescriptors' ? '[REDACTED]' : params; // Avoid logging sensitive data like descriptors if needed
+
+  try {
+    return await withRetries(config, `RPC ${method}`, async () => {
+      const requestId = nextRequestId();
+      const payload = {
+        jsonrpc: '2.0',
+        id: requestId,
+        method: method,
+        params: params,
+      };
+      logger.trace(`RPC Request (${requestId}) to ${url}:`, { method, params: logParams });
 
-    return data.result;
+      const data = await postRpc(config, url, payload, `Method: ${method}`);
+      logger.trace(`RPC Response (${requestId}):`, data);
 
+      if (data.error) {
+        // Handle errors reported within the JSON-RPC response
+        throw rpcError(data.error, method);
+      }
+      if (data.id !== requestId) {
+          logger.warn(`RPC Response ID mismatch. Request: ${requestId}, Response: ${data.id}`);
+          // Decide if this is critical - usually not, but good to log.
+      }
+      return data.result;
+    });
   } catch (error) {
-    logger.error(`RPC Call Failed: ${error.message}`, { url, method, params: (method === 'importdescriptors' ? '[REDACTED]' : params) });
-    if (error instanceof SyntaxError) {
-        // Handle cases where the response wasn't valid JSON
-        throw new Error(`Failed to parse RPC response as JSON. Is Bitcoin Core running and reachable at ${url}?`);
-    }
+    logger.error(`RPC Call Failed: ${error.message}`, { url, method, params: logParams });
     // Re-throw the original or wrapped error
     throw error;
   }
 }
 
-export { makeRpcCall };
+// Sends several calls in one JSON-RPC batch (one HTTP request). calls: [{ method, params }].
+// Returns the results in call order; throws if any call failed, naming each failed call.
+async function makeRpcBatch(config, calls, walletName = null) {
+  if (calls.length === 0) return [];
+  // Offline mode has no round-trips to save; answer each call in turn
+  if (config.offlineNode) {
+    const results = [];
+    for (const { method, params = [] } of calls) results.push(await config.offlineNode.call(method, params, walletName));
+    return results;
+  }
+
+  const url = getRpcUrl(config, walletName);
+  const label = `RPC batch of ${calls.length} (${[...new Set(calls.map(c => c.method))].join(', ')})`;
+  try {
+    return await withRetries(config, label, async () => {
+      const payload = calls.map(({ method, params = [] }) => ({ jsonrpc: '2.0', id: nextRequestId(), method, params }));
+      logger.trace(`${label} to ${url}:`, payload.map(({ id, method, params }) => ({ id, method, params: method === 'importdescriptors' ? '[REDACTED]' : params })));
+
+      const data = await postRpc(config, url, payload, label);
+      logger.trace(`RPC batch response:`, data);
+      if (!Array.isArray(data)) {
+        // A batch-level failure comes back as a single error object
+        if (data?.error) throw rpcError(data.error, 'batch');
+        throw new Error(`${label} returned a non-array response.`);
+      }
+
+      // Match responses to requests by id; the order is not guaranteed
+      const byId = new Map(data.map(entry => [entry.id, entry]));
+      const entries = payload.map(request => byId.get(request.id));
+      const failures = [];
+      entries.forEach((entry, i) => {
+        if (!entry) failures.push({ i, error: { code: null, message: 'no response' } });
+        else if (entry.error) failures.push({ i, error: entry.error });
+      });
+      if (failures.length > 0) {
+        // Warmup affects every call, so let the whole batch be retried
+        const warmup = failures.find(f => f.error.code === RPC_IN_WARMUP);
+        if (warmup) throw rpcError(warmup.error, calls[warmup.i].method);
+        throw new Error(`RPC batch: ${failures.length} of ${calls.length} calls failed: ${failures
+          .map(f => `#${f.i + 1} ${calls[f.i].method}: ${f.error.message} (Code: ${f.error.code})`).join('; ')}`);
+      }
+      return entries.map(entry => entry.result);
+    });
+  } catch (error) {
+    logger.error(`RPC Batch Failed: ${error.message}`, { url });
+    throw error;
+  }
+}
+
+export { makeRpcCall, makeRpcBatch, resolveCredentials, cookieFilePath };
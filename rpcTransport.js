@@ -0,0 +1,134 @@
+// rpcTransport.js
+// Sends one JSON-RPC HTTP POST over plain HTTP, HTTPS (optionally with a custom CA),
+// a Unix domain socket, or an HTTP proxy (CONNECT tunnel for HTTPS endpoints).
+import fs from 'fs/promises';
+import http from 'http';
+import https from 'https';
+import tls from 'tls';
+
+// Connection settings derived from config.bitcoinCore:
+// { url: URL, socketPath, proxy: URL | null, ca: Buffer | null }
+async function resolveEndpoint(bitcoinCore, url) {
+    const endpoint = {
+        url: new URL(url),
+        socketPath: bitcoinCore.rpcSocketPath ?? null,
+        proxy: bitcoinCore.rpcProxy ? new URL(bitcoinCore.rpcProxy) : null,
+        ca: null,
+    };
+    if (!['http:', 'https:'].includes(endpoint.url.protocol)) {
+        throw new Error(`Unsupported RPC URL scheme '${endpoint.url.protocol}' in '${url}' (use http:// or https://).`);
+    }
+    if (bitcoinCore.rpcCaFile) {
+        try {
+            endpoint.ca = await fs.readFile(bitcoinCore.rpcCaFile);
+        } catch (error) {
+            throw new Error(`Could not read bitcoinCore.rpcCaFile '${bitcoinCore.rpcCaFile}': ${error.message}`);
+        }
+    }
+    return endpoint;
+}
+
+function basicProxyAuth(proxy) {
+    if (!proxy.username) return {};
+    const credentials = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+    return { 'Proxy-Authorization': `Basic ${Buffer.from(credentials).toString('base64')}` };
+}
+
+// Opens a CONNECT tunnel through an HTTP proxy and resolves with the raw socket. A proxy that does not
+// answer within timeoutMs fails with error code ETIMEDOUT, like postJson.
+function connectTunnel(proxy, target, timeoutMs) {
+    return new Promise((resolve, reject) => {
+        const port = target.port || (target.protocol === 'https:' ? 443 : 80);
+        const request = http.request({
+            host: proxy.hostname,
+            port: proxy.port || 80,
+            method: 'CONNECT',
+            path: `${target.hostname}:${port}`,
+            headers: { Host: `${target.hostname}:${port}`, ...basicProxyAuth(proxy) },
+        });
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(Object.assign(new Error(`no answer to CONNECT within ${timeoutMs} ms`), { code: 'ETIMEDOUT' }));
+        });
+        request.once('connect', (response, socket) => {
+            socket.setTimeout(0); // The tunnel is timed by the request sent through it
+            if (response.statusCode !== 200) {
+                socket.destroy();
+                reject(new Error(`Proxy ${proxy.host} refused the tunnel to ${target.host}: HTTP ${response.statusCode}`));
+                return;
+            }
+            resolve(socket);
+        });
+        request.once('error', error => reject(Object.assign(new Error(`Proxy ${proxy.host} connection failed: ${error.message}`), { code: error.code })));
+        request.end();
+    });
+}
+
+// Builds the options for http(s).request for the given endpoint (timeoutMs: for a proxy tunnel)
+async function requestOptions(endpoint, headers, timeoutMs) {
+    const { url, socketPath, proxy, ca } = endpoint;
+    const isHttps = url.protocol === 'https:';
+    const options = {
+        method: 'POST',
+        headers: { Host: url.host, ...headers },
+        path: `${url.pathname}${url.search}`,
+    };
+    if (socketPath) {
+        return { module: isHttps ? https : http, options: { ...options, socketPath, ...(isHttps ? { ca, servername: url.hostname } : {}) } };
+    }
+    if (proxy && !isHttps) {
+        // Plain HTTP through a proxy: absolute-form request target
+        return {
+            module: http,
+            options: { ...options, host: proxy.hostname, port: proxy.port || 80, path: url.href, headers: { ...options.headers, ...basicProxyAuth(proxy) } },
+        };
+    }
+    const base = { ...options, host: url.hostname, port: url.port || (isHttps ? 443 : 80) };
+    if (!isHttps) return { module: http, options: base };
+    const tlsOptions = { ...base, servername: url.hostname, ...(ca ? { ca } : {}) };
+    if (proxy) {
+        const socket = await connectTunnel(proxy, url, timeoutMs);
+        tlsOptions.createConnection = () => tls.connect({ socket, servername: url.hostname, ...(ca ? { ca } : {}) });
+        tlsOptions.agent = false;
+    }
+    return { module: https, options: tlsOptions };
+}
+
+// POSTs body and resolves with { status, statusText, text }. Rejects only on transport errors,
+// including no complete response within timeoutMs (error code ETIMEDOUT).
+async function postJson(endpoint, headers, body, timeoutMs) {
+    const payload = Buffer.from(body);
+    const { module, options } = await requestOptions(endpoint, {
+        'Content-Type': 'application/json',
+        'Content-Length': payload.length,
+        ...headers,
+    }, timeoutMs);
+    return new Promise((resolve, reject) => {
+        const request = module.request(options, response => {
+            const chunks = [];
+            response.on('data', chunk => chunks.push(chunk));
+            response.on('end', () => resolve({
+                status: response.statusCode,
+                statusText: response.statusMessage,
+                text: Buffer.concat(chunks).toString('utf-8'),
+            }));
+            response.on('error', reject);
+        });
+        request.setTimeout(timeoutMs, () => {
+            request.destroy(Object.assign(new Error(`no response within ${timeoutMs} ms`), { code: 'ETIMEDOUT' }));
+        });
+        request.on('error', error => {
+            // Keep the system error code (ECONNREFUSED, CERT_HAS_EXPIRED, ...) for callers
+            reject(Object.assign(new Error(`Could not reach Bitcoin Core at ${describeEndpoint(endpoint)}: ${error.message}`), { code: error.code }));
+        });
+        request.end(payload);
+    });
+}
+
+// Human-readable endpoint description for log and error messages
+function describeEndpoint(endpoint) {
+    if (endpoint.socketPath) return `${endpoint.url.href} via socket ${endpoint.socketPath}`;
+    if (endpoint.proxy) return `${endpoint.url.href} via proxy ${endpoint.proxy.host}`;
+    return endpoint.url.href;
+}
+
+export { resolveEndpoint, postJson, describeEndpoint };
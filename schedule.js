@@ -0,0 +1,125 @@
+// schedule.js
+// Recurring plans: a config can describe several named plans (config.plans), each with its own sources,
+// targets, allocation and cadence, sharing the node connection and the run journal. A plan is due once
+// its latest scheduled time (UTC midnight of its weekday or day of the month) has no run in the journal.
+import { loadJournal, runState } from './journal.js';
+import { loadPendingPsbts } from './pending.js';
+
+const PLAN_CADENCES = ['weekly', 'monthly'];
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Settings every plan shares with the top level: the node, logging and the registries that tell plans apart
+const SHARED_FIELDS = ['bitcoinCore', 'offline', 'logLevel', 'journalFile', 'pendingFile', 'broadcastLogFile', 'plans'];
+// Fields of a plan entry that describe the plan itself rather than a config setting
+const PLAN_FIELDS = ['name', 'cadence', 'day'];
+
+// Problems with the plans section: [{ name, cadence: 'weekly' | 'monthly', day?, ...config settings }]
+function planProblems(plans) {
+    if (!Array.isArray(plans) || plans.length === 0) return ["plans must be a non-empty list of { name, cadence, ... }."];
+    const problems = [];
+    const names = new Set();
+    plans.forEach((plan, i) => {
+        if (typeof plan?.name !== 'string' || !/^[A-Za-z0-9_-]+$/.test(plan.name)) {
+            problems.push(`plans[${i}].name must be a name of letters, digits, '-' and '_' (it becomes part of the PSBT file name).`);
+            return;
+        }
+        const label = `plans[${i}] ('${plan.name}')`;
+        if (names.has(plan.name)) problems.push(`Plan '${plan.name}' is listed more than once.`);
+        names.add(plan.name);
+        if (!PLAN_CADENCES.includes(plan.cadence)) problems.push(`${label}.cadence must be one of ${PLAN_CADENCES.join(', ')}.`);
+        if (plan.cadence === 'weekly' && plan.day !== undefined && !WEEKDAYS.includes(plan.day)) {
+            problems.push(`${label}.day must be a weekday (${WEEKDAYS.join(', ')}).`);
+        }
+        if (plan.cadence === 'monthly' && plan.day !== undefined && !(Number.isInteger(plan.day) && plan.day >= 1 && plan.day <= 28)) {
+            problems.push(`${label}.day must be a day of the month from 1 to 28.`);
+        }
+        SHARED_FIELDS.filter(field => plan[field] !== undefined).forEach(field => {
+            problems.push(`${label} cannot set ${field}; it is shared by all plans.`);
+        });
+    });
+    return problems;
+}
+
+// Default PSBT path of a plan: "x.psbt" -> "x.<name>.psbt"
+function planPsbtFilePath(psbtFilePath, name) {
+    const base = psbtFilePath.endsWith('.psbt') ? psbtFilePath.slice(0, -5) : psbtFilePath;
+    return `${base}.${name}.psbt`;
+}
+
+// The config of one plan: the top level without plans, with the plan's settings in place of the top-level
+// ones (sections are replaced as a whole). A plan's sourceContext inherits operatingWalletName.
+// The plan itself is kept as config.plan: { name, cadence, day }
+function planConfig(config, plan) {
+    const { plans, ...shared } = config;
+    const settings = Object.fromEntries(Object.entries(plan).filter(([field]) => !PLAN_FIELDS.includes(field)));
+    return {
+        ...shared,
+        ...settings,
+        sourceContext: plan.sourceContext
+            ? { operatingWalletName: config.sourceContext?.operatingWalletName, ...plan.sourceContext }
+            : config.sourceContext,
+        outputPsbtFile: plan.outputPsbtFile ?? (config.outputPsbtFile ? planPsbtFilePath(config.outputPsbtFile, plan.name) : undefined),
+        plan: {
+            name: plan.name,
+            cadence: plan.cadence,
+            day: plan.day ?? (plan.cadence === 'weekly' ? 'monday' : 1),
+        },
+    };
+}
+
+// Latest scheduled time at or before now (ms): UTC midnight of the plan's weekday or day of the month
+function lastScheduledTime(plan, now) {
+    const date = new Date(now);
+    if (plan.cadence === 'weekly') {
+        const midnight = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+        const daysBack = (date.getUTCDay() - WEEKDAYS.indexOf(plan.day) + 7) % 7;
+        return new Date(midnight - daysBack * DAY_MS);
+    }
+    const thisMonth = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), plan.day);
+    return new Date(thisMonth <= now ? thisMonth : Date.UTC(date.getUTCFullYear(), date.getUTCMonth() - 1, plan.day));
+}
+
+// The scheduled time after `scheduled` (a Date from lastScheduledTime)
+function nextScheduledTime(plan, scheduled) {
+    if (plan.cadence === 'weekly') return new Date(scheduled.getTime() + 7 * DAY_MS);
+    return new Date(Date.UTC(scheduled.getUTCFullYear(), scheduled.getUTCMonth() + 1, plan.day));
+}
+
+// Latest run of a plan that still counts: not conflicted, and not released or stale before it was broadcast.
+// A run made by run-due counts for the time it was scheduled for, one made by hand for when it was created.
+function lastPlanRun(runs, pendingEntries, name) {
+    const counting = runs.filter(run => run.plan === name && !['conflicted', 'released', 'stale'].includes(runState(run, pendingEntries)));
+    const runTime = run => Date.parse(run.scheduledFor ?? run.createdAt);
+    return counting.reduce((latest, run) => (!latest || runTime(run) > runTime(latest) ? run : latest), null);
+}
+
+// Whether a plan (config from planConfig) is due at now (ms).
+// Returns { due, scheduledFor (Date), nextAt (Date), lastRun (journal run or null) }
+async function planDueState(config, now) {
+    const scheduledFor = lastScheduledTime(config.plan, now);
+    const lastRun = lastPlanRun(await loadJournal(config), await loadPendingPsbts(config), config.plan.name);
+    const lastTime = lastRun ? Date.parse(lastRun.scheduledFor ?? lastRun.createdAt) : null;
+    return {
+        due: lastTime === null || lastTime < scheduledFor.getTime(),
+        scheduledFor,
+        nextAt: nextScheduledTime(config.plan, scheduledFor),
+        lastRun,
+    };
+}
+
+// "weekly on monday" / "monthly on day 1"
+function describeCadence(plan) {
+    return plan.cadence === 'weekly' ? `weekly on ${plan.day}` : `monthly on day ${plan.day}`;
+}
+
+export {
+    planProblems,
+    planConfig,
+    planPsbtFilePath,
+    lastScheduledTime,
+    nextScheduledTime,
+    planDueState,
+    describeCadence,
+    PLAN_CADENCES
+};
@@ -0,0 +1,80 @@
+// sources.js
+// Where the inputs come from. Besides sourceAddress, sourceContext can list more addresses, source
+// descriptors (every UTXO the wallet derived from them) and further wallets loaded on the same node,
+// each with its own addresses and descriptors. All of them fund one transaction: every wallet adds its
+// own UTXO and BIP32 data to the PSBT (walletprocesspsbt) and the results are merged with combinepsbt.
+import { descriptorProblems, descriptorBranches } from './descriptorParser.js';
+
+// Normalizes sourceContext into [{ wallet, addresses, descriptors }], the operating wallet first. Multipath
+// descriptors (<0;1>) are expanded into their branches, as the wallet lists them.
+// sourceContext: { operatingWalletName, sourceAddress?, sourceAddresses?, sourceDescriptors?,
+//                  wallets?: [{ walletName, sourceAddresses?, sourceDescriptors? }] }
+function parseSources(sourceContext) {
+    const { operatingWalletName, sourceAddress, sourceAddresses = [], sourceDescriptors = [], wallets = [] } = sourceContext;
+    const operating = {
+        wallet: operatingWalletName,
+        addresses: [...new Set([...(sourceAddress ? [sourceAddress] : []), ...sourceAddresses])],
+        descriptors: sourceDescriptors.flatMap(desc => descriptorBranches(desc)),
+    };
+    return [operating, ...wallets.map(entry => ({
+        wallet: entry.walletName,
+        addresses: [...new Set(entry.sourceAddresses ?? [])],
+        descriptors: (entry.sourceDescriptors ?? []).flatMap(desc => descriptorBranches(desc)),
+    }))];
+}
+
+// Problems with the source settings of sourceContext (see parseSources); offline: offline mode is configured;
+// network: bitcoinCore.network, for the extended keys in descriptors
+function sourceProblems(sourceContext, offline, network = null) {
+    const problems = [];
+    const { sourceAddress, sourceAddresses, sourceDescriptors, wallets } = sourceContext;
+    const isStringList = value => Array.isArray(value) && value.every(entry => typeof entry === 'string' && entry.length > 0);
+    const checkDescriptors = (list, name) => {
+        if (list === undefined) return;
+        if (!isStringList(list)) {
+            problems.push(`${name} must be a list of descriptors with checksums (as listed by listdescriptors).`);
+            return;
+        }
+        list.forEach((desc, i) => problems.push(...descriptorProblems(desc, `${name}[${i}]`, { network })));
+    };
+    if (sourceAddress !== undefined && (typeof sourceAddress !== 'string' || sourceAddress.length === 0)) problems.push("sourceContext.sourceAddress must be an address.");
+    if (sourceAddresses !== undefined && !isStringList(sourceAddresses)) problems.push("sourceContext.sourceAddresses must be a list of addresses.");
+    checkDescriptors(sourceDescriptors, 'sourceContext.sourceDescriptors');
+    if (wallets !== undefined) {
+        if (!Array.isArray(wallets)) {
+            problems.push("sourceContext.wallets must be a list of { walletName, sourceAddresses, sourceDescriptors }.");
+        } else {
+            const names = new Set([sourceContext.operatingWalletName]);
+            wallets.forEach((entry, i) => {
+                if (typeof entry?.walletName !== 'string' || entry.walletName.length === 0) {
+                    problems.push(`sourceContext.wallets[${i}].walletName must be a wallet name.`);
+                    return;
+                }
+                if (names.has(entry.walletName)) problems.push(`Wallet '${entry.walletName}' is listed more than once in sourceContext.`);
+                names.add(entry.walletName);
+                if (entry.sourceAddresses !== undefined && !isStringList(entry.sourceAddresses)) problems.push(`sourceContext.wallets[${i}].sourceAddresses must be a list of addresses.`);
+                checkDescriptors(entry.sourceDescriptors, `sourceContext.wallets[${i}].sourceDescriptors`);
+                if (!entry.sourceAddresses?.length && !entry.sourceDescriptors?.length) {
+                    problems.push(`sourceContext.wallets[${i}] ('${entry.walletName}') needs sourceAddresses or sourceDescriptors.`);
+                }
+            });
+            if (offline && wallets.length > 0) problems.push("sourceContext.wallets cannot be used in offline mode: a snapshot holds a single wallet.");
+        }
+    }
+    if (problems.length === 0 && !sourceAddress && !sourceAddresses?.length && !sourceDescriptors?.length && !wallets?.length) {
+        problems.push("Missing sourceContext.sourceAddress (or sourceAddresses, sourceDescriptors or wallets).");
+    }
+    return problems;
+}
+
+// Names of all wallets that fund the consolidation, the operating wallet first
+function sourceWallets(config) {
+    return config.sources.map(source => source.wallet);
+}
+
+// One line per source for summaries, e.g. "alice: bc1q..., wpkh(...)#..."
+function describeSources(config) {
+    return config.sources.map(source => `${source.wallet}: ${[...source.addresses, ...source.descriptors].join(', ') || '(target descriptors only)'}`);
+}
+
+export { parseSources, sourceProblems, sourceWallets, describeSources };
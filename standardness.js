@@ -0,0 +1,169 @@
+// standardness.js
+// Relay policy checks on a solved plan, before its PSBT is written: nodes do not relay transactions with
+// outputs below the dust threshold of their script or above the standard weight, and a fee out of all
+// proportion to the value moved is almost always a mistake. Last, the node judges the transaction itself
+// (testmempoolaccept) with placeholder signatures of the estimated size. Bitcoin Core verifies scripts only
+// after every policy check, so a rejection of the signatures means the rest passed, and any other reason is
+// a problem that signing would not fix.
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import { createRawTx, decodeRawTx, testMempoolAccept } from './bitcoinCoreUtils.js';
+import { profileInput, dustThresholdSats } from './inputWeights.js';
+import { MAX_STANDARD_TX_VBYTES } from './batching.js';
+import { serializeTransaction, SEQUENCE_RBF } from './transaction.js';
+import { btcToSats, satsToBtcString } from './utils.js';
+
+const MAX_STANDARD_TX_WEIGHT = MAX_STANDARD_TX_VBYTES * 4;
+const DEFAULT_MAX_FEE_PERCENT = 10;
+
+// What the node's reject reasons mean for a consolidation, in the order they are matched
+const REJECT_REASONS = [
+    [/^dust$/, "an output is below the dust threshold of its script"],
+    [/^tx-size$/, "the transaction is above the standard weight; lower batching.maxInputsPerBatch"],
+    [/min relay fee not met|mempool min fee not met/, "the feerate is below what the node accepts (mempoolminfee / minrelaytxfee); raise the feerate"],
+    [/missing-inputs|bad-txns-inputs-missingorspent/, "an input is already spent or unknown to the node; list the UTXOs again"],
+    [/txn-mempool-conflict/, "an input is already spent by an unconfirmed transaction that does not allow replacement"],
+    [/insufficient fee/, "the transaction replaces unconfirmed ones but does not pay enough more than they do (BIP-125)"],
+    [/too-long-mempool-chain/, "an input has too many unconfirmed ancestors; wait for confirmations or raise inputSelection.minConfirmations"],
+    [/non-BIP68-final|non-final/, "an input is still time-locked"],
+    [/bad-txns-nonstandard-inputs|bad-witness-nonstandard/, "an input's script is non-standard and cannot be relayed"],
+    [/scriptpubkey|multi-op-return/, "an output script is non-standard"],
+];
+
+// "P2WPKH"-style name of an output script, for messages
+function scriptTypeName(scriptPubKeyHex) {
+    if (/^0014[0-9a-f]{40}$/i.test(scriptPubKeyHex)) return 'P2WPKH';
+    if (/^0020[0-9a-f]{64}$/i.test(scriptPubKeyHex)) return 'P2WSH';
+    if (/^5120[0-9a-f]{64}$/i.test(scriptPubKeyHex)) return 'P2TR';
+    if (/^76a914[0-9a-f]{40}88ac$/i.test(scriptPubKeyHex)) return 'P2PKH';
+    if (/^a914[0-9a-f]{40}87$/i.test(scriptPubKeyHex)) return 'P2SH';
+    return 'non-template';
+}
+
+// Script pushing data (OP_0 for empty data)
+function pushData(data) {
+    if (data.length === 0) return Buffer.from([0x00]);
+    if (data.length <= 75) return Buffer.concat([Buffer.from([data.length]), data]);
+    if (data.length <= 0xff) return Buffer.concat([Buffer.from([0x4c, data.length]), data]);
+    const length = Buffer.alloc(2);
+    length.writeUInt16LE(data.length);
+    return Buffer.concat([Buffer.from([0x4d]), length, data]);
+}
+
+// Placeholder spend data of the estimated signed size for one UTXO: zero-filled signatures and keys, with the
+// redeem and witness scripts from listunspent where relay policy inspects them (a P2SH input may only carry
+// a witness when its redeem script is a witness program). Returns { scriptSig, witness }, or null when the
+// script type is unknown.
+function mockSpendData(utxo) {
+    const profile = profileInput(utxo);
+    if (!profile) return null;
+    const scriptSigItems = profile.scriptSigItems.map(length => Buffer.alloc(length));
+    const witness = profile.witnessItems.map(length => Buffer.alloc(length));
+    if (profile.redeem) {
+        const last = scriptSigItems.length - 1;
+        if (utxo.redeemScript) {
+            scriptSigItems[last] = Buffer.from(utxo.redeemScript, 'hex');
+        } else if (profile.redeem !== 'script') {
+            scriptSigItems[last][1] = scriptSigItems[last].length - 2; // OP_0 <20 or 32 bytes>
+        }
+    }
+    if (profile.type.includes('p2wsh') && utxo.witnessScript) witness[witness.length - 1] = Buffer.from(utxo.witnessScript, 'hex');
+    return { scriptSig: Buffer.concat(scriptSigItems.map(pushData)), witness };
+}
+
+// The plan's transaction with placeholder signatures (see mockSpendData), from its decoded unsigned form.
+// Returns the hex, or null if an input's script type is unknown.
+function mockSignedTransaction(decoded, utxos) {
+    const spends = utxos.map(mockSpendData);
+    if (spends.some(spend => spend === null)) return null;
+    const tx = {
+        version: decoded.version ?? 2,
+        inputs: decoded.vin.map((input, i) => ({ txid: input.txid, vout: input.vout, sequence: input.sequence ?? SEQUENCE_RBF, ...spends[i] })),
+        outputs: decoded.vout.map(output => ({ value: btcToSats(output.value), scriptPubKey: Buffer.from(output.scriptPubKey.hex, 'hex') })),
+        locktime: decoded.locktime ?? 0,
+    };
+    return serializeTransaction(tx).toString('hex');
+}
+
+// Explanation of a testmempoolaccept rejection
+function explainRejection(reason) {
+    const known = REJECT_REASONS.find(([pattern]) => pattern.test(reason));
+    return known ? known[1] : "see the node's reject reason";
+}
+
+// Runs the checks on a solved plan (see solvePlan) and records them as plan.standardness:
+// { checks: [{ level: 'ok' | 'warn' | 'fail', message }], passed, mempool: { allowed, rejectReason } | null }.
+// Throws with every failed check, so nothing is written for a transaction nodes would not relay.
+async function checkStandardness(config, plan) {
+    const { fee } = plan;
+    const outputsForTx = {};
+    plan.outputs.forEach(output => { outputsForTx[output.address] = satsToBtcString(output.amount); });
+    if (plan.change) outputsForTx[plan.change.address] = satsToBtcString(plan.change.amount);
+    const decoded = await decodeRawTx(config, await createRawTx(config, plan.inputs.map(utxo => ({ txid: utxo.txid, vout: utxo.vout })), outputsForTx));
+    const checks = [];
+
+    // 1. Dust: every output against the threshold of its own script
+    const labels = [...plan.outputs.map((output, i) => `Output ${i + 1} (${output.descriptor})`), ...(plan.change ? ['The change output'] : [])];
+    const dusty = [];
+    decoded.vout.forEach((output, i) => {
+        const script = output.scriptPubKey?.hex;
+        if (!script) return;
+        const amount = btcToSats(output.value);
+        const threshold = dustThresholdSats(script);
+        if (amount < threshold) {
+            dusty.push(i);
+            checks.push({ level: 'fail', message: `${labels[i] ?? `Output ${i + 1}`} would receive ${amount} sats, below the ${threshold}-sat dust threshold of its ${scriptTypeName(script)} script (${output.scriptPubKey.address ?? script}); nodes do not relay transactions with dust outputs. Raise its share or the value spent, or pay fewer targets.` });
+        }
+    });
+    if (dusty.length === 0) checks.push({ level: 'ok', message: `All ${decoded.vout.length} outputs are above the dust threshold of their script.` });
+
+    // 2. Weight: the unsigned transaction plus what the signatures will add
+    const weight = (decoded.weight ?? decoded.vsize * 4) + fee.inputWeights.totalAddedWU;
+    if (weight > MAX_STANDARD_TX_WEIGHT) {
+        checks.push({ level: 'fail', message: `The signed transaction would weigh ~${weight} WU, above the standard limit of ${MAX_STANDARD_TX_WEIGHT} WU (${MAX_STANDARD_TX_VBYTES} vB); nodes do not relay it. Lower batching.maxInputsPerBatch or inputSelection.maxInputs.` });
+    } else {
+        checks.push({ level: 'ok', message: `Signed weight ~${weight} WU is within the standard limit of ${MAX_STANDARD_TX_WEIGHT} WU.` });
+    }
+
+    // 3. Fee against the value moved
+    const maxFeePercent = config.feeOptions?.maxFeePercent ?? DEFAULT_MAX_FEE_PERCENT;
+    const feePercent = new Decimal(fee.finalFee.toString()).div(plan.totalInputValue.toString()).mul(100);
+    if (feePercent.greaterThan(maxFeePercent)) {
+        checks.push({ level: 'fail', message: `The fee of ${fee.finalFee} sats is ${feePercent.toFixed(2)}% of the ${plan.totalInputValue} sats spent, above feeOptions.maxFeePercent (${maxFeePercent}%). At ${plan.feeRate.satPerVb.toFixed(2)} sat/vB the value spent is too small to be worth it: wait for lower fees, leave out small inputs (inputSelection.minAmountSats), or raise maxFeePercent.` });
+    } else {
+        checks.push({ level: 'ok', message: `The fee is ${feePercent.toFixed(2)}% of the value spent (limit ${maxFeePercent}%).` });
+    }
+
+    // 4. The node's own verdict, once the local checks pass (it would only repeat them otherwise)
+    let mempool = null;
+    if (checks.some(check => check.level === 'fail')) {
+        logger.debug("Skipping testmempoolaccept: the transaction already fails the local checks.");
+    } else if (config.offlineNode) {
+        checks.push({ level: 'warn', message: "Offline: testmempoolaccept was skipped; the node checks the transaction when it is broadcast." });
+    } else {
+        const mockHex = mockSignedTransaction(decoded, plan.inputs);
+        if (mockHex === null) {
+            checks.push({ level: 'warn', message: "testmempoolaccept was skipped: the script type of an input is unknown, so no placeholder signature can be sized for it." });
+        } else {
+            const result = await testMempoolAccept(config, mockHex);
+            const rejectReason = result['reject-reason'] ?? null;
+            mempool = { allowed: Boolean(result.allowed), rejectReason };
+            logger.debug(`testmempoolaccept with placeholder signatures: ${result.allowed ? 'allowed' : rejectReason}`);
+            if (result.allowed || /script-verify-flag/.test(rejectReason ?? '')) {
+                checks.push({ level: 'ok', message: "The node accepts the transaction under its relay policy (testmempoolaccept rejected only the placeholder signatures)." });
+            } else {
+                checks.push({ level: 'fail', message: `The node would reject the transaction with '${rejectReason}': ${explainRejection(rejectReason)}.` });
+            }
+        }
+    }
+
+    const failed = checks.filter(check => check.level === 'fail');
+    plan.standardness = { checks, passed: failed.length === 0, mempool };
+    logger.debug("Standardness checks:", checks);
+    if (failed.length > 0) {
+        throw new Error(`The transaction would not be relayed:\n  ${failed.map(check => check.message).join('\n  ')}`);
+    }
+    return plan.standardness;
+}
+
+export { checkStandardness, mockSignedTransaction, scriptTypeName, DEFAULT_MAX_FEE_PERCENT, MAX_STANDARD_TX_WEIGHT };
@@ -0,0 +1,78 @@
+// test/allocation.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTargetAllocations, targetAllocationProblems, allocateOutputs, isEvenAllocation, describeAllocation } from '../allocation.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, TARGETS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+const allocations = (...entries) => parseTargetAllocations(entries.map((extra, i) => (typeof extra === 'string' ? extra : { descriptor: `d${i}`, ...extra })));
+
+test('fixed amounts first, then percentages of the rest, then weights share what is left', () => {
+    const rules = allocations({ amountSats: 100000 }, { percent: 25 }, { weight: 1 }, { weight: 2 });
+    assert.deepEqual(allocateOutputs(500000n, rules), { amounts: [100000n, 100000n, 100000n, 200000n], remainder: 0n });
+    // 60/40 by weight
+    assert.deepEqual(allocateOutputs(1000n, allocations({ weight: 60 }, { weight: 40 })).amounts, [600n, 400n]);
+    // Plain strings are weight 1: the classic even split
+    assert.deepEqual(allocateOutputs(900n, allocations('a', 'b', 'c')).amounts, [300n, 300n, 300n]);
+});
+
+test('the indivisible remainder is returned, or handed out by largest fraction then config order', () => {
+    const thirds = allocations({}, {}, {});
+    assert.deepEqual(allocateOutputs(1001n, thirds), { amounts: [333n, 333n, 333n], remainder: 2n });
+    assert.deepEqual(allocateOutputs(1001n, thirds, 'outputs'), { amounts: [334n, 334n, 333n], remainder: 0n });
+    // 1000 * 1/6 = 166.67 and 1000 * 5/6 = 833.33: the larger fraction gets the satoshi
+    assert.deepEqual(allocateOutputs(1000n, allocations({ weight: 1 }, { weight: 5 }), 'outputs').amounts, [167n, 833n]);
+    // Fixed amounts never take part
+    assert.deepEqual(allocateOutputs(1002n, allocations({ amountSats: 1 }, {}, {}, {}), 'outputs').amounts, [1n, 334n, 334n, 333n]);
+    // Same input, same output
+    assert.deepEqual(allocateOutputs(987654321n, allocations({ percent: 33.3 }, { weight: 7 }, { weight: 3 }), 'outputs'),
+        allocateOutputs(987654321n, allocations({ percent: 33.3 }, { weight: 7 }, { weight: 3 }), 'outputs'));
+});
+
+test('fixed amounts that do not fit leave no allocation', () => {
+    const rules = allocations({ amountSats: 600 }, { amountSats: 500 }, {});
+    assert.equal(allocateOutputs(1099n, rules), null);
+    assert.deepEqual(allocateOutputs(1100n, rules).amounts, [600n, 500n, 0n]);
+});
+
+test('every invalid entry is reported, then the shares', () => {
+    assert.deepEqual(targetAllocationProblems([]), ['targetDescriptors must be a non-empty array.']);
+    assert.deepEqual(targetAllocationProblems([{ descriptor: 'a', weight: 0 }, { descriptor: 'b', amountSats: 1.5 }, { descriptor: 'c', percent: 101 }]), [
+        'Invalid targetDescriptors[0].weight: must be a positive number.',
+        'Invalid targetDescriptors[1].amountSats: must be a positive integer number of satoshis.',
+        'Invalid targetDescriptors[2].percent: must be a number greater than 0 and at most 100.',
+    ]);
+    assert.deepEqual(targetAllocationProblems([{ descriptor: 'a', percent: 100 }, 'b']), ['Target percentages add up to 100%, leaving nothing for the weighted targets.']);
+    assert.deepEqual(targetAllocationProblems([{ descriptor: 'a', amountSats: 5 }]),
+        ['At least one target must receive a share of the remaining value (weight or percent); fixed amounts alone cannot absorb the balance.']);
+    assert.deepEqual(targetAllocationProblems([{ descriptor: 'a', percent: 40 }, { descriptor: 'b', percent: 50 }]),
+        ['Target percentages add up to 90% with no weighted targets; they must add up to exactly 100%.']);
+    assert.deepEqual(targetAllocationProblems([{ descriptor: 'a', percent: 40 }, { descriptor: 'b', percent: 60 }, { descriptor: 'c', amountSats: '1000' }]), []);
+    assert.throws(() => parseTargetAllocations([{ descriptor: 'a', weight: 1, percent: 5 }]), /specify only one of weight, percent or amountSats \(got weight, percent\)/);
+});
+
+test('summaries describe each rule', () => {
+    const even = allocations('a', 'b');
+    assert.equal(isEvenAllocation(even), true);
+    assert.equal(describeAllocation(even[0], even), 'even share');
+    const mixed = allocations({ amountSats: 100 }, { percent: 12.5 }, { weight: 2 });
+    assert.equal(isEvenAllocation(mixed), false);
+    assert.deepEqual(mixed.map(a => describeAllocation(a, mixed)), ['fixed 100 sats', '12.5%', 'weight 2']);
+});
+
+test('a plan pays each target its configured share', async () => {
+    const config = await mockConfig(node, { targetDescriptors: [{ descriptor: TARGETS[0], weight: 3 }, { descriptor: TARGETS[1], amountSats: 1000000 }] });
+    const [plan] = await buildConsolidationPlans(config);
+    const [weighted, fixed] = plan.outputs;
+    assert.equal(fixed.amount, 1000000n);
+    assert.equal(fixed.allocation, 'fixed 1000000 sats');
+    assert.equal(weighted.allocation, 'weight 3');
+    // The weighted target takes everything the fixed amount and the fee leave
+    assert.equal(weighted.amount, plan.totalInputValue - 1000000n - plan.fee.finalFee);
+    assert.equal(plan.totalInputValue, 61000000n);
+});
@@ -0,0 +1,69 @@
+// test/batching.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { partitionInputs, estimateBatchVBytes, batchPsbtFilePath, combinePlans, combinedToJson } from '../batching.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, TARGETS, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+// P2WPKH inputs: 68 vB each once signed
+const coins = count => Array.from({ length: count }, (unused, i) => ({ txid: String(i + 1).repeat(64), vout: i, amount: 100000n, scriptPubKey: '0014' + '11'.repeat(20) }));
+const sizes = (config, count, outputs = 2) => partitionInputs(config, coins(count), outputs).map(batch => batch.length);
+
+test('inputs are split under the input count and vsize caps, in selection order', () => {
+    assert.deepEqual(sizes({}, 5), [5]);
+    assert.deepEqual(sizes({ batching: { maxInputsPerBatch: 2 } }, 5), [2, 2, 1]);
+    // 11 vB overhead + 2 outputs of at most 43 vB = 97 vB, then 68 vB per input: two fit in 250 vB
+    assert.equal(estimateBatchVBytes({}, coins(2), 2), 97 + 2 * 68);
+    assert.deepEqual(sizes({ batching: { maxVBytesPerBatch: 250 } }, 5), [2, 2, 1]);
+    assert.deepEqual(sizes({ batching: { maxVBytesPerBatch: 250, maxInputsPerBatch: 1 } }, 3), [1, 1, 1]);
+    // Without a batching section only the 100 kvB standard limit applies: 1469 inputs fit, not 1470
+    assert.deepEqual(sizes({}, 1470), [1469, 1]);
+    const [first] = partitionInputs({ batching: { maxInputsPerBatch: 2 } }, coins(3), 2);
+    assert.deepEqual(first.map(utxo => utxo.vout), [0, 1]);
+});
+
+test('an input that does not fit in any batch is reported', () => {
+    assert.throws(() => sizes({ batching: { maxVBytesPerBatch: 160 } }, 1),
+        new RegExp(`Input ${'1'.repeat(64)}:0 \\(~68 vB\\) does not fit in a batch of at most 160 vB with 2 output\\(s\\)`));
+});
+
+test('each batch gets its own PSBT file', () => {
+    assert.equal(batchPsbtFilePath('/tmp/out.psbt', 1, 1), '/tmp/out.psbt');
+    assert.equal(batchPsbtFilePath('/tmp/out.psbt', 2, 3), '/tmp/out.batch2.psbt');
+    assert.equal(batchPsbtFilePath('/tmp/out', 1, 2), '/tmp/out.batch1.psbt');
+});
+
+test('batches pay successive addresses, or the same ones, with their own fee', async () => {
+    const successive = await buildConsolidationPlans(await mockConfig(node, { batching: { maxInputsPerBatch: 2 } }));
+    assert.deepEqual(successive.map(plan => plan.batch), [{ number: 1, count: 2 }, { number: 2, count: 2 }]);
+    assert.deepEqual(successive.map(plan => plan.inputs.length), [2, 1]);
+    assert.deepEqual(successive.map(plan => plan.outputs.map(output => output.index)), [[0, 0], [1, 1]]);
+    assert.notEqual(successive[0].outputs[0].address, successive[1].outputs[0].address);
+    // Each batch solves its own fee for its own size
+    assert.ok(successive[0].fee.finalFee > successive[1].fee.finalFee);
+
+    const combined = combinePlans(successive);
+    assert.equal(combined.batchCount, 2);
+    assert.equal(combined.inputCount, 3);
+    assert.equal(combined.outputCount, 4);
+    assert.equal(combined.totalInputValue, 61000000n);
+    assert.equal(combined.totalFee, successive[0].fee.finalFee + successive[1].fee.finalFee);
+    assert.equal(combined.totalOutputValue + combined.totalFee, combined.totalInputValue);
+    assert.equal(combinedToJson(combined).totalFeeSats, Number(combined.totalFee));
+    assert.equal(combinedToJson(combined).savingsSats, null);
+
+    const same = await buildConsolidationPlans(await mockConfig(node, { batching: { maxInputsPerBatch: 2, addresses: 'same' } }));
+    const addresses = plan => plan.outputs.map(output => output.address);
+    assert.deepEqual(addresses(same[1]), addresses(same[0]));
+    assert.deepEqual(addresses(same[0]), addresses(successive[0]));
+});
+
+test('fixed amounts cannot be split across batches', async () => {
+    const config = await mockConfig(node, { batching: { maxInputsPerBatch: 2 }, targetDescriptors: [TARGETS[0], { descriptor: TARGETS[1], amountSats: 1000 }] });
+    await assert.rejects(buildConsolidationPlans(config), new RegExp(`The ${UTXOS.length} inputs need 2 transactions, but fixed amounts \\(amountSats\\) would be paid once per transaction`));
+});
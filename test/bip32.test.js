@@ -0,0 +1,79 @@
+// test/bip32.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseExtendedPublicKey, deriveChildPublicKey, fingerprint } from '../bip32.js';
+import { base58CheckEncode } from '../bitcoinEncoding.js';
+
+const H = 0x80000000;
+
+// BIP-32 test vectors 1-3: the extended public key of each chain, from m down the path
+const VECTORS = [
+    {
+        path: [H + 0, 1, H + 2, 2, 1000000000],
+        xpubs: [
+            'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8',
+            'xpub68Gmy5EdvgibQVfPdqkBBCHxA5htiqg55crXYuXoQRKfDBFA1WEjWgP6LHhwBZeNK1VTsfTFUHCdrfp1bgwQ9xv5ski8PX9rL2dZXvgGDnw',
+            'xpub6ASuArnXKPbfEwhqN6e3mwBcDTgzisQN1wXN9BJcM47sSikHjJf3UFHKkNAWbWMiGj7Wf5uMash7SyYq527Hqck2AxYysAA7xmALppuCkwQ',
+            'xpub6D4BDPcP2GT577Vvch3R8wDkScZWzQzMMUm3PWbmWvVJrZwQY4VUNgqFJPMM3No2dFDFGTsxxpG5uJh7n7epu4trkrX7x7DogT5Uv6fcLW5',
+            'xpub6FHa3pjLCk84BayeJxFW2SP4XRrFd1JYnxeLeU8EqN3vDfZmbqBqaGJAyiLjTAwm6ZLRQUMv1ZACTj37sR62cfN7fe5JnJ7dh8zL4fiyLHV',
+            'xpub6H1LXWLaKsWFhvm6RVpEL9P4KfRZSW7abD2ttkWP3SSQvnyA8FSVqNTEcYFgJS2UaFcxupHiYkro49S8yGasTvXEYBVPamhGW6cFJodrTHy',
+        ],
+    },
+    {
+        path: [0, H + 2147483647, 1, H + 2147483646, 2],
+        xpubs: [
+            'xpub661MyMwAqRbcFW31YEwpkMuc5THy2PSt5bDMsktWQcFF8syAmRUapSCGu8ED9W6oDMSgv6Zz8idoc4a6mr8BDzTJY47LJhkJ8UB7WEGuduB',
+            'xpub69H7F5d8KSRgmmdJg2KhpAK8SR3DjMwAdkxj3ZuxV27CprR9LgpeyGmXUbC6wb7ERfvrnKZjXoUmmDznezpbZb7ap6r1D3tgFxHmwMkQTPH',
+            'xpub6ASAVgeehLbnwdqV6UKMHVzgqAG8Gr6riv3Fxxpj8ksbH9ebxaEyBLZ85ySDhKiLDBrQSARLq1uNRts8RuJiHjaDMBU4Zn9h8LZNnBC5y4a',
+            'xpub6DF8uhdarytz3FWdA8TvFSvvAh8dP3283MY7p2V4SeE2wyWmG5mg5EwVvmdMVCQcoNJxGoWaU9DCWh89LojfZ537wTfunKau47EL2dhHKon',
+            'xpub6ERApfZwUNrhLCkDtcHTcxd75RbzS1ed54G1LkBUHQVHQKqhMkhgbmJbZRkrgZw4koxb5JaHWkY4ALHY2grBGRjaDMzQLcgJvLJuZZvRcEL',
+            'xpub6FnCn6nSzZAw5Tw7cgR9bi15UV96gLZhjDstkXXxvCLsUXBGXPdSnLFbdpq8p9HmGsApME5hQTZ3emM2rnY5agb9rXpVGyy3bdW6EEgAtqt',
+        ],
+    },
+    {
+        // Leading zeros in the private key (retention of leading zeros)
+        path: [H + 0],
+        xpubs: [
+            'xpub661MyMwAqRbcEZVB4dScxMAdx6d4nFc9nvyvH3v4gJL378CSRZiYmhRoP7mBy6gSPSCYk6SzXPTf3ND1cZAceL7SfJ1Z3GC8vBgp2epUt13',
+            'xpub68NZiKmJWnxxS6aaHmn81bvJeTESw724CRDs6HbuccFQN9Ku14VQrADWgqbhhTHBaohPX4CjNLf9fq9MYo6oDaPPLPxSb7gwQN3ih19Zm4Y',
+        ],
+    },
+];
+
+// Serializes a parsed mainnet node back to its xpub
+function serialize(node) {
+    const childNumber = Buffer.alloc(4);
+    childNumber.writeUInt32BE(node.childNumber);
+    return base58CheckEncode(Buffer.concat([
+        Buffer.from('0488b21e', 'hex'), Buffer.from([node.depth]), node.parentFingerprint, childNumber, node.chainCode, node.publicKey,
+    ]));
+}
+
+VECTORS.forEach(({ path, xpubs }, v) => {
+    test(`BIP-32 test vector ${v + 1}: parsing and public derivation`, () => {
+        const nodes = xpubs.map(parseExtendedPublicKey);
+        nodes.forEach((node, i) => {
+            assert.equal(node.network, 'mainnet');
+            assert.equal(node.depth, i);
+            assert.equal(serialize(node), xpubs[i]);
+            if (i === 0) return;
+            assert.equal(node.childNumber, path[i - 1]);
+            assert.deepEqual(node.parentFingerprint, fingerprint(nodes[i - 1].publicKey));
+        });
+        path.forEach((index, i) => {
+            if (index >= H) {
+                assert.throws(() => deriveChildPublicKey(nodes[i], index), /Cannot derive hardened child/);
+            } else {
+                assert.equal(serialize(deriveChildPublicKey(nodes[i], index)), xpubs[i + 1]);
+            }
+        });
+    });
+});
+
+test('extended private keys and corrupted keys are rejected', () => {
+    // BIP-32 test vector 1, chain m
+    assert.throws(() => parseExtendedPublicKey('xprv9s21ZrQH143K3QTDL4LXw2F7HEK3wJUD2nW2nRk4stbPy6cq3jPPqjiChkVvvNKmPGJxWUtg6LnF5kejMRNNU3TGtRBeJgk33yuGBxrMPHi'),
+        /Private keys are not supported/);
+    const xpub = VECTORS[0].xpubs[0];
+    assert.throws(() => parseExtendedPublicKey(xpub.slice(0, -1) + (xpub.endsWith('8') ? '9' : '8')), /Invalid Base58Check checksum/);
+});
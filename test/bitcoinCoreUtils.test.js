@@ -0,0 +1,68 @@
+// test/bitcoinCoreUtils.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getChainOutput, resolveFeeRate, exportSnapshot } from '../bitcoinCoreUtils.js';
+import { useTestEnvironment, startMockNode, mockConfig, UTXOS, PARENT_TXID } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+test('getChainOutput finds an output in the UTXO set', async () => {
+    const config = await mockConfig(node);
+    const output = await getChainOutput(config, UTXOS[0].txid, UTXOS[0].vout);
+    assert.equal(output.amount, 50000000n);
+    assert.equal(output.confirmations, 10);
+    assert.equal(output.wallet, 'w');
+});
+
+test('getChainOutput takes an output of an unconfirmed parent from the mempool', async () => {
+    const config = await mockConfig(node);
+    const output = await getChainOutput(config, PARENT_TXID, 0);
+    assert.equal(output.amount, 20000000n);
+    assert.equal(output.address, 'bcrt1qsource');
+    assert.equal(output.confirmations, 0);
+    assert.equal(await getChainOutput(config, PARENT_TXID, 1), null);
+});
+
+test('getChainOutput returns null for an output spent on chain', async () => {
+    const config = await mockConfig(node);
+    assert.equal(await getChainOutput(config, 'f'.repeat(64), 0), null);
+});
+
+test('resolveFeeRate keeps a fixed feerate exactly as configured', async () => {
+    const rate = 1.0000000000000002;
+    const config = await mockConfig(node, { feeOptions: { feeRateSatPerVb: rate } });
+    const feeRate = await resolveFeeRate(config);
+    assert.equal(feeRate.source, 'fixed');
+    assert.equal(feeRate.appliedBy, 'fixed');
+    assert.equal(feeRate.satPerVb.toString(), rate.toString());
+});
+
+test('resolveFeeRate converts an estimate from BTC/kvB', async () => {
+    const estimator = await startMockNode({ feeRates: [12.5] });
+    try {
+        const feeRate = await resolveFeeRate(await mockConfig(estimator));
+        assert.equal(feeRate.source, 'estimatesmartfee');
+        assert.equal(feeRate.satPerVb.toFixed(), '12.5');
+    } finally {
+        await estimator.close();
+    }
+});
+
+test('exportSnapshot keeps the previous transactions of non-witness inputs', async () => {
+    const multisig = '5221' + '02'.repeat(33) + '21' + '03'.repeat(33) + '52ae';
+    const utxos = [
+        { ...UTXOS[0] },
+        { ...UTXOS[1], scriptPubKey: multisig },
+        { ...UTXOS[2], scriptPubKey: '76a914' + '11'.repeat(20) + '88ac' },
+    ];
+    const wallet = await startMockNode({ utxos });
+    try {
+        const snapshot = await exportSnapshot(await mockConfig(wallet));
+        assert.deepEqual(Object.keys(snapshot.rawTransactions).sort(), [UTXOS[1].txid, UTXOS[2].txid]);
+    } finally {
+        await wallet.close();
+    }
+});
@@ -0,0 +1,57 @@
+// test/bitcoinEncoding.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    isWitnessProgram, encodeCompactSize, BufferReader, base58CheckEncode, base58CheckDecode, encodeSegwitAddress, decodeSegwitAddress,
+} from '../bitcoinEncoding.js';
+
+test('isWitnessProgram: version opcode and one 2-40 byte push', () => {
+    assert.equal(isWitnessProgram('0014' + '11'.repeat(20)), true); // P2WPKH
+    assert.equal(isWitnessProgram('0020' + '11'.repeat(32)), true); // P2WSH
+    assert.equal(isWitnessProgram('5120' + '11'.repeat(32)), true); // P2TR
+    assert.equal(isWitnessProgram('6002' + '1111'), true); // v16, shortest program
+    assert.equal(isWitnessProgram('5128' + '11'.repeat(40)), true); // longest program
+    assert.equal(isWitnessProgram('76a914' + '11'.repeat(20) + '88ac'), false); // P2PKH
+    assert.equal(isWitnessProgram('a914' + '11'.repeat(20) + '87'), false); // P2SH
+    // Bare multisig starts with OP_1..OP_16 too
+    assert.equal(isWitnessProgram('5221' + '02'.repeat(33) + '21' + '03'.repeat(33) + '52ae'), false);
+    assert.equal(isWitnessProgram('0014' + '11'.repeat(19)), false); // push length does not match
+    assert.equal(isWitnessProgram('0001' + '11'), false); // program too short
+    assert.equal(isWitnessProgram('5129' + '11'.repeat(41)), false); // program too long
+    assert.equal(isWitnessProgram(''), false);
+});
+
+test('CompactSize: each width at its boundaries, read back', () => {
+    const cases = [[0, '00'], [0xfc, 'fc'], [0xfd, 'fdfd00'], [0xffff, 'fdffff'], [0x10000, 'fe00000100'], [0xffffffff, 'feffffffff'], [2 ** 32, 'ff0000000001000000']];
+    for (const [n, hex] of cases) {
+        assert.equal(encodeCompactSize(n).toString('hex'), hex);
+        assert.equal(new BufferReader(Buffer.from(hex, 'hex')).readCompactSize(), n);
+    }
+    assert.throws(() => new BufferReader(Buffer.from('fd00', 'hex')).readCompactSize(), /Unexpected end of data at offset 1/);
+});
+
+test('Base58Check: encode, decode and a corrupted checksum', () => {
+    const payload = Buffer.from('00751e76e8199196d454941c45d1b3a323f1433bd6', 'hex');
+    assert.equal(base58CheckEncode(payload), '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH');
+    assert.deepEqual(base58CheckDecode('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH'), payload); // Leading zero byte kept
+    assert.throws(() => base58CheckDecode('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMh'), /Invalid Base58Check checksum/);
+    assert.throws(() => base58CheckDecode('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAM0'), /Invalid base58 character '0'/);
+});
+
+// BIP-173 (bech32, v0) and BIP-350 (bech32m, v1+) addresses
+test('segwit addresses: bech32 for v0, bech32m for later versions', () => {
+    const v0 = { hrp: 'bc', witnessVersion: 0, program: Buffer.from('751e76e8199196d454941c45d1b3a323f1433bd6', 'hex') };
+    const v1 = { hrp: 'bc', witnessVersion: 1, program: Buffer.from('79be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798', 'hex') };
+    assert.equal(encodeSegwitAddress(v0.hrp, v0.witnessVersion, v0.program), 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4');
+    assert.equal(encodeSegwitAddress(v1.hrp, v1.witnessVersion, v1.program), 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0');
+    assert.deepEqual(decodeSegwitAddress('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4'), v0);
+    assert.deepEqual(decodeSegwitAddress('bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0'), v1);
+
+    assert.throws(() => decodeSegwitAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t5'), /Invalid bech32 checksum/);
+    assert.throws(() => decodeSegwitAddress('tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sL5k7'), /Mixed-case/);
+    assert.throws(() => decodeSegwitAddress('bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kb8f3t4'), /Invalid bech32 character 'b'/);
+    // A v1 program under a bech32 (not bech32m) checksum
+    assert.throws(() => decodeSegwitAddress(encodeSegwitAddress('bc', 0, v1.program).replace('bc1q', 'bc1p')), /Invalid bech32 checksum/);
+    // A v0 program must be 20 or 32 bytes
+    assert.throws(() => decodeSegwitAddress(encodeSegwitAddress('bc', 0, Buffer.alloc(16, 1))), /Invalid v0 witness program length/);
+});
@@ -0,0 +1,72 @@
+// test/change.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { changeProblems, changeBranch, distributionAmount } from '../change.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { recordRuns } from '../journal.js';
+import { addDescriptorChecksum } from '../descriptors.js';
+import { useTestEnvironment, startMockNode, mockConfig, TPUB, TARGETS, CHANGE } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+const MULTIPATH = addDescriptorChecksum(`wpkh(${TPUB}/<2;3>/*)`);
+
+test('every problem with the change section is reported', () => {
+    assert.deepEqual(changeProblems(null, false), ['change must be an object.']);
+    assert.deepEqual(changeProblems({ distributeSats: 1000, distributePercent: 50 }, false),
+        ['change needs exactly one of distributeSats or distributePercent (how much of the source value goes to the targets).']);
+    assert.deepEqual(changeProblems({ distributeSats: 0.5 }, false), ['change.distributeSats must be a positive integer number of satoshis.']);
+    assert.deepEqual(changeProblems({ distributePercent: 100 }, false), ['change.distributePercent must be a number greater than 0 and below 100.']);
+    assert.deepEqual(changeProblems({ distributeSats: 1000, addressType: 'p2pk' }, false),
+        ['change.addressType must be one of legacy, p2sh-segwit, bech32, bech32m.']);
+    assert.deepEqual(changeProblems({ distributeSats: 1000, descriptor: CHANGE, addressType: 'bech32' }, false, 'regtest'),
+        ['change.addressType only applies without change.descriptor.']);
+    assert.deepEqual(changeProblems({ distributeSats: 1000 }, true), ['change.descriptor is required in offline mode (getrawchangeaddress needs the node).']);
+    assert.equal(changeProblems({ distributeSats: 1000, descriptor: addDescriptorChecksum(`wpkh(${TPUB}/3/0)`) }, false, 'regtest').length, 1);
+    assert.deepEqual(changeProblems({ distributePercent: 12.5, descriptor: MULTIPATH }, false, 'regtest'), []);
+});
+
+test('a multipath change descriptor pays to its change branch', () => {
+    assert.equal(changeBranch(MULTIPATH), CHANGE);
+    assert.equal(changeBranch(CHANGE), CHANGE);
+});
+
+test('the distributed amount is fixed, or a percentage of the inputs rounded down', () => {
+    assert.equal(distributionAmount({ change: { distributeSats: 1000 } }, 61000000n), 1000n);
+    assert.equal(distributionAmount({ change: { distributePercent: 50 } }, 61000001n), 30500000n);
+    assert.equal(distributionAmount({ change: { distributePercent: 12.345678 } }, 100000000n), 12345678n);
+});
+
+test('the change goes to the next free address of the change descriptor', async () => {
+    const config = await mockConfig(node, { change: { distributePercent: 50, descriptor: MULTIPATH } });
+    assert.equal(config.change.descriptor, CHANGE);
+    const [plan] = await buildConsolidationPlans(config);
+    assert.equal(plan.inputs.length, 3);
+    assert.deepEqual(plan.outputs.map(output => output.amount), [15250000n, 15250000n]);
+    assert.equal(plan.change.descriptor, CHANGE);
+    assert.equal(plan.change.index, 0);
+    assert.equal(plan.change.amount, 61000000n - 30500000n - plan.fee.finalFee);
+    assert.equal(plan.totalOutputValue + plan.fee.finalFee, 61000000n);
+
+    // Recorded change addresses are not handed out again
+    await recordRuns(config, [{ plan, psbtFile: config.outputPsbtFile }]);
+    const [next] = await buildConsolidationPlans(config);
+    assert.equal(next.change.index, 1);
+    assert.notEqual(next.change.address, plan.change.address);
+});
+
+test('without a change descriptor the wallet provides the change address', async () => {
+    const config = await mockConfig(node, { change: { distributeSats: 1000000, addressType: 'bech32m' } });
+    const [plan] = await buildConsolidationPlans(config);
+    assert.deepEqual(plan.change, { descriptor: null, address: 'bcrt1qchangebech32m', index: null, amount: 60000000n - plan.fee.finalFee });
+});
+
+test('change cannot be a target, and cannot be split across batches', async () => {
+    await assert.rejects(mockConfig(node, { change: { distributeSats: 1000, descriptor: TARGETS[0] } }),
+        error => error.problems.includes('change.descriptor cannot also be a target descriptor.'));
+    const config = await mockConfig(node, { change: { distributeSats: 1000000, descriptor: CHANGE }, batching: { maxInputsPerBatch: 2 } });
+    await assert.rejects(buildConsolidationPlans(config), /The 3 inputs need 2 transactions, but the distributed amount \(change\) would be paid once per transaction/);
+});
@@ -0,0 +1,65 @@
+// test/config.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateConfig } from '../config.js';
+import { addDescriptorChecksum } from '../descriptors.js';
+import { useTestEnvironment, TARGETS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+function configWith(targetDescriptors) {
+    return {
+        bitcoinCore: { rpcUrl: 'http://127.0.0.1:18443', rpcUser: 'u', rpcPassword: 'p', network: 'regtest' },
+        sourceContext: { operatingWalletName: 'w', sourceAddress: 'bcrt1qsource' },
+        targetDescriptors,
+        feeTargetBlocks: 6,
+        outputPsbtFile: 'out.psbt',
+        logLevel: 'error',
+    };
+}
+
+function problemsOf(config) {
+    try {
+        validateConfig(config);
+    } catch (error) {
+        return error.problems;
+    }
+    return [];
+}
+
+test('every invalid target entry is reported', () => {
+    const problems = problemsOf(configWith([
+        { descriptor: TARGETS[0], percent: 150 },
+        { descriptor: TARGETS[1], weight: 1, amountSats: 1000 },
+        { weight: 2 },
+        'wpkh(not-a-key)',
+    ]));
+    assert.equal(problems.length, 4);
+    assert.match(problems[0], /targetDescriptors\[0\]\.percent/);
+    assert.match(problems[1], /targetDescriptors\[1\]: specify only one/);
+    assert.match(problems[2], /targetDescriptors\[2\]: must be a descriptor string/);
+    assert.match(problems[3], /targetDescriptors\[3\]/);
+});
+
+test('the shares are checked once every entry is valid', () => {
+    const problems = problemsOf(configWith([{ descriptor: TARGETS[0], percent: 60 }, { descriptor: TARGETS[1], percent: 60 }]));
+    assert.deepEqual(problems, ['Target percentages add up to 120%, which exceeds 100%.']);
+    const config = configWith([TARGETS[0], { descriptor: TARGETS[1], amountSats: 1000 }]);
+    validateConfig(config);
+    assert.deepEqual(config.targetAllocations.map(a => a.type), ['weight', 'fixed']);
+});
+
+test('verifyTolerancePercent must be finite', () => {
+    const config = { ...configWith([TARGETS[0]]), feeOptions: { verifyTolerancePercent: Infinity } };
+    assert.deepEqual(problemsOf(config), ['Invalid feeOptions.verifyTolerancePercent: must be a finite non-negative number.']);
+    assert.deepEqual(problemsOf({ ...configWith([TARGETS[0]]), feeOptions: { verifyTolerancePercent: 0 } }), []);
+});
+
+test('a target descriptor listed twice is reported', () => {
+    assert.deepEqual(problemsOf(configWith([TARGETS[0], TARGETS[1], { descriptor: TARGETS[0], weight: 2 }])),
+        ['targetDescriptors[2] pays to the same descriptor as targetDescriptors[0]; list each target once.']);
+    // A multipath descriptor pays to its receive branch, so it collides with that branch listed on its own
+    const multipath = addDescriptorChecksum(TARGETS[0].split('#')[0].replace('/0/*', '/<0;1>/*'));
+    assert.deepEqual(problemsOf(configWith([multipath, TARGETS[0]])),
+        ['targetDescriptors[1] pays to the same descriptor as targetDescriptors[0]; list each target once.']);
+});
@@ -0,0 +1,55 @@
+// test/cpfp.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { buildCpfpPlan } from '../cpfp.js';
+import { recordRuns } from '../journal.js';
+import { useTestEnvironment, startMockNode, mockConfig, TARGETS, UTXOS, PARENT_TXID, ORIGINAL_TXID } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+// The stuck consolidation (10000 sats for 154 vB, ~64.9 sat/vB) paid both targets; its outputs are in the wallet
+const targetOutput = (vout, amount) => ({ txid: ORIGINAL_TXID, vout, address: `bcrt1qtarget${vout}`, amount, confirmations: 0,
+    spendable: true, scriptPubKey: '0014' + '22'.repeat(20), parent_descs: [TARGETS[vout]] });
+const node = await startMockNode({ stuck: true, utxos: [...UTXOS, targetOutput(0, 0.2999), targetOutput(1, 0.3)] });
+after(() => node.close());
+
+const atRate = feeRateSatPerVb => mockConfig(node, { feeOptions: { feeRateSatPerVb } });
+
+test('the child spends the largest target output back to its descriptor, lifting the package to the target', async () => {
+    const { plan, parent, targetSatPerVb, packageFeeRate } = await buildCpfpPlan(await atRate(100), ORIGINAL_TXID);
+    assert.deepEqual([parent.feeSats, parent.vsize, parent.packageVBytes, parent.ancestorCount], [10000n, 154, 154, 1]);
+    assert.deepEqual(plan.inputs.map(utxo => `${utxo.txid}:${utxo.vout}`), [`${ORIGINAL_TXID}:1`]);
+    assert.equal(plan.outputs.length, 1);
+    assert.equal(plan.outputs[0].descriptor, TARGETS[1]);
+    assert.equal(plan.outputs[0].index, 0);
+    assert.equal(plan.change, null);
+    assert.equal(plan.outputs[0].amount + plan.fee.finalFee, 30000000n);
+    // Parent and child together pay the target rate, and not a sat more than rounding needs
+    const childVBytes = plan.fee.breakdown.estimatedVBytes;
+    const required = BigInt(new Decimal(100).mul(154 + childVBytes).ceil().toFixed()) - 10000n;
+    assert.ok(plan.fee.finalFee >= required);
+    assert.ok(plan.fee.finalFee <= required + 1n);
+    assert.equal(targetSatPerVb.toFixed(), '100');
+    assert.ok(packageFeeRate.greaterThanOrEqualTo(100));
+    assert.ok(plan.feeRate.satPerVb.greaterThan(100));
+    assert.deepEqual(plan.batch, { number: 1, count: 1 });
+});
+
+test('the child pays to an address the journal has not handed out yet', async () => {
+    const config = await atRate(100);
+    const { plan } = await buildCpfpPlan(config, ORIGINAL_TXID);
+    await recordRuns(config, [{ plan, psbtFile: config.outputPsbtFile, childOf: ORIGINAL_TXID }]);
+    const { plan: next } = await buildCpfpPlan(config, ORIGINAL_TXID);
+    assert.equal(next.outputs[0].index, 1);
+    assert.notEqual(next.outputs[0].address, plan.outputs[0].address);
+});
+
+test('a parent that is not in the mempool, already pays enough, or pays no target is refused', async () => {
+    const config = await atRate(100);
+    await assert.rejects(buildCpfpPlan(config, '7'.repeat(64)), new RegExp(`Transaction ${'7'.repeat(64)} is not in the node's mempool`));
+    await assert.rejects(buildCpfpPlan(await atRate(60), ORIGINAL_TXID),
+        /The parent already pays 64\.94 sat\/vB, at or above the target of 60\.00 sat\/vB; a child would not speed it up/);
+    // The other mempool transaction pays the source address only
+    await assert.rejects(buildCpfpPlan(config, PARENT_TXID), new RegExp(`No unspent output of ${PARENT_TXID} pays a target descriptor`));
+});
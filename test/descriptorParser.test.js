@@ -0,0 +1,93 @@
+// test/descriptorParser.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseDescriptor, descriptorBranches, descriptorAtIndex, descriptorProblems } from '../descriptorParser.js';
+import { addDescriptorChecksum } from '../descriptors.js';
+import { TPUB, TARGETS } from './helpers/mockNode.js';
+
+// BIP-32 test vector 1, chain m
+const XPUB = 'xpub661MyMwAqRbcFtXgS5sYJABqqG9YLmC4Q1Rdap9gSE8NqtwybGhePY2gZ29ESFjqJoCu1Rupje8YtGqsefD265TMg7usUDFdp6W1EGMcet8';
+const KEY = '02' + '11'.repeat(32);
+
+const problems = (descriptor, options) => descriptorProblems(descriptor, 'targetDescriptors[0]', options);
+
+test('a wrong, malformed or missing checksum is reported where it is', () => {
+    const [body, checksum] = TARGETS[0].split('#');
+    const wrong = `${body}#${checksum.slice(0, 7)}${checksum[7] === 'q' ? 'p' : 'q'}`;
+    const [message] = problems(wrong);
+    assert.match(message, new RegExp(`^targetDescriptors\\[0\\]: Checksum '\\w{8}' does not match the descriptor \\(expected '${checksum}'\\)`));
+    assert.match(message, new RegExp(`at character ${body.length + 2}\\)`));
+    assert.match(problems(`${body}#abc`)[0], /'abc' is not a descriptor checksum/);
+    assert.match(problems(body)[0], /Missing checksum/);
+    assert.deepEqual(problems(body, { requireChecksum: false }), []);
+    // A changed descriptor no longer matches its checksum
+    assert.match(problems(`${body.replace('/0/*', '/2/*')}#${checksum}`)[0], /does not match the descriptor/);
+});
+
+test('an extended key of the other network is reported', () => {
+    const mainnet = addDescriptorChecksum(`wpkh(${XPUB}/0/*)`);
+    assert.match(problems(mainnet, { network: 'regtest' })[0], /This is a mainnet key, but the configured network is regtest \(at character 6\)/);
+    assert.deepEqual(problems(mainnet, { network: 'mainnet' }), []);
+    assert.match(problems(TARGETS[0], { network: 'mainnet' })[0], /This is a testnet key, but the configured network is mainnet/);
+    assert.deepEqual(problems(TARGETS[0], { network: 'regtest' }), []);
+    assert.deepEqual(problems(TARGETS[0], { network: 'signet' }), []);
+    // Without a network any valid key is accepted
+    assert.deepEqual(problems(mainnet), []);
+});
+
+test('hardened and unhardened ranges', () => {
+    assert.deepEqual(problems(TARGETS[0], { requireRange: true }), []);
+    assert.equal(parseDescriptor(TARGETS[0]).isRange, true);
+    // An xpub has no hardened children, so a derived target cannot have hardened steps after the key
+    for (const path of ["0/*'", '0/*h', "0'/*", '<0h;1h>/*']) {
+        const [message] = problems(addDescriptorChecksum(`wpkh(${TPUB}/${path})`), { requireRange: true });
+        assert.match(message, /Hardened derivation after an extended public key cannot be derived without its private key/, path);
+    }
+    // In the key origin they are fine
+    assert.deepEqual(problems(addDescriptorChecksum(`wpkh([d34db33f/84h/1h/0h]${TPUB}/0/*)`), { requireRange: true }), []);
+    // A hardened wildcard keeps the marker it was written with
+    assert.equal(descriptorAtIndex(`wpkh(${TPUB}/0/*h)`, 5).body, `wpkh(${TPUB}/0/5h)`);
+    assert.equal(descriptorAtIndex(`wpkh(${TPUB}/0/*')`, 5).body, `wpkh(${TPUB}/0/5')`);
+    assert.equal(descriptorAtIndex(TARGETS[0], 7).descriptor, addDescriptorChecksum(`wpkh(${TPUB}/0/7)`));
+    assert.throws(() => descriptorAtIndex(addDescriptorChecksum(`wpkh(${TPUB}/0/7)`), 1), /has no wildcard/);
+});
+
+test('a descriptor without a range is rejected when one is required', () => {
+    const fixed = addDescriptorChecksum(`wpkh(${TPUB}/0/7)`);
+    assert.deepEqual(problems(fixed, { requireRange: true }),
+        ['targetDescriptors[0]: the descriptor has no wildcard (/*); a ranged descriptor is needed to derive fresh addresses.']);
+    assert.deepEqual(problems(fixed), []);
+    assert.equal(problems(addDescriptorChecksum(`wpkh(${KEY})`), { requireRange: true }).length, 1);
+});
+
+test('a <0;1> multipath descriptor splits into its receive and change branches', () => {
+    const origin = `[d34db33f/48h/1h/0h/2h]`;
+    const multipath = addDescriptorChecksum(`wsh(sortedmulti(2,${origin}${TPUB}/<0;1>/*,${KEY},${origin}${XPUB}/<10;11>/*))`);
+    assert.equal(parseDescriptor(multipath).branchCount, 2);
+    assert.deepEqual(descriptorBranches(multipath), [
+        addDescriptorChecksum(`wsh(sortedmulti(2,${origin}${TPUB}/0/*,${KEY},${origin}${XPUB}/10/*))`),
+        addDescriptorChecksum(`wsh(sortedmulti(2,${origin}${TPUB}/1/*,${KEY},${origin}${XPUB}/11/*))`),
+    ]);
+    // A single-path descriptor is its own only branch
+    assert.deepEqual(descriptorBranches(TARGETS[0]), [TARGETS[0]]);
+    assert.match(problems(addDescriptorChecksum(`wpkh(${TPUB}/<0;1>/*)`), { allowMultipath: false })[0], /multipath descriptors \(<a;b>\) are not supported here/);
+    assert.match(problems(addDescriptorChecksum(`wsh(multi(1,${TPUB}/<0;1>/*,${XPUB}/<0;1;2>/*))`))[0], /Multipath groups must all have the same number of alternatives \(2 in the first one\)/);
+    assert.match(problems(addDescriptorChecksum(`wpkh(${TPUB}/<0;0>/*)`))[0], /Multipath alternatives must all be different/);
+    assert.match(problems(addDescriptorChecksum(`wpkh(${TPUB}/<0;1>/<2;3>/*)`))[0], /only one multipath group/);
+});
+
+test('nested sh(wsh(...)) and where script expressions may appear', () => {
+    const nested = addDescriptorChecksum(`sh(wsh(multi(1,${TPUB}/0/*,${KEY})))`);
+    assert.deepEqual(problems(nested, { requireRange: true }), []);
+    const { root } = parseDescriptor(nested);
+    assert.equal(root.name, 'sh');
+    assert.equal(root.args[0].name, 'wsh');
+    assert.equal(root.args[0].args[0].name, 'multi');
+    assert.deepEqual(problems(addDescriptorChecksum(`sh(wpkh(${TPUB}/0/*))`)), []);
+
+    assert.match(problems(addDescriptorChecksum(`sh(sh(wpkh(${KEY})))`))[0], /sh\(\) is not allowed inside sh\(\) \(at character 4\)/);
+    assert.match(problems(addDescriptorChecksum(`wsh(wpkh(${KEY}))`))[0], /Unknown miniscript fragment 'wpkh\(\)'/);
+    assert.match(problems(addDescriptorChecksum(`sh(tr(${TPUB}/0/*))`))[0], /tr\(\) is not allowed inside sh\(\)/);
+    assert.match(problems(addDescriptorChecksum(`sh(wsh(pkh(04${'11'.repeat(64)})))`))[0], /Uncompressed keys are not allowed in segwit or taproot scripts/);
+    assert.match(problems(addDescriptorChecksum(`wsh(multi(1,${KEY}))extra`))[0], /Unexpected 'e' after the end of the descriptor/);
+});
@@ -0,0 +1,24 @@
+// test/descriptors.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { descriptorChecksum, addDescriptorChecksum, verifyDescriptorChecksum } from '../descriptors.js';
+
+// BIP-380 checksum test vectors
+test('BIP-380: valid checksums', () => {
+    assert.equal(descriptorChecksum('raw(deadbeef)'), '89f8spxm');
+    assert.equal(verifyDescriptorChecksum('raw(deadbeef)#89f8spxm', true), 'raw(deadbeef)');
+    assert.equal(verifyDescriptorChecksum('raw(deadbeef)'), 'raw(deadbeef)'); // No checksum, none required
+    assert.equal(addDescriptorChecksum('raw(deadbeef)'), 'raw(deadbeef)#89f8spxm');
+    assert.equal(addDescriptorChecksum('raw(deadbeef)#00000000'), 'raw(deadbeef)#89f8spxm'); // Replaces a wrong one
+});
+
+test('BIP-380: invalid checksums', () => {
+    const rejects = (descriptor, message) => assert.throws(() => verifyDescriptorChecksum(descriptor, true), message);
+    rejects('raw(deadbeef)', /missing a checksum/); // Missing checksum
+    rejects('raw(deadbeef)#', /checksum mismatch/); // Empty checksum
+    rejects('raw(deadbeef)#89f8spxmx', /checksum mismatch/); // Too long
+    rejects('raw(deadbeef)#89f8spx', /checksum mismatch/); // Too short
+    rejects('raw(dedbeef)#89f8spxm', /checksum mismatch/); // Error in payload
+    rejects('raw(deadbeef)##9f8spxm', /more than one '#'/); // Error in checksum
+    rejects('raw(Ü)#00000000', /Invalid character/); // Invalid characters in payload
+});
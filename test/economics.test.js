@@ -0,0 +1,55 @@
+// test/economics.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { economicsToJson } from '../economics.js';
+import { buildConsolidationPlans, gatherInputs } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+// The three UTXOS plus one worth less than the 680 sats its spend costs at 10 sat/vB (68 vB of P2WPKH input)
+const DUST = { ...UTXOS[2], txid: 'f'.repeat(64), vout: 3, amount: 0.000005 };
+const node = await startMockNode({ utxos: [...UTXOS, DUST] });
+after(() => node.close());
+
+test('cost now against spending each input later, and the break-even feerate', async () => {
+    const [plan] = await buildConsolidationPlans(await mockConfig(node, { economics: { futureFeeRateSatPerVb: 100 } }));
+    const { economics } = plan;
+    assert.equal(economics.satPerVb.toNumber(), 10);
+    assert.equal(economics.inputs.length, 4);
+    assert.deepEqual(economics.inputs.map(input => [input.spendVBytes, input.costNowSats.toNumber(), input.costLaterSats.toNumber()]),
+        Array(4).fill([68, 680, 6800]));
+    assert.equal(economics.inputVBytes, 272);
+    assert.equal(economics.inputCostNowSats.toNumber(), 2720);
+    assert.equal(economics.feeNowSats.toNumber(), Number(plan.fee.finalFee));
+    assert.equal(economics.costLaterSats.toNumber(), 27200);
+    assert.equal(economics.savingsSats.toNumber(), 27200 - Number(plan.fee.finalFee));
+    assert.equal(economics.breakEvenSatPerVb.toString(), economics.feeNowSats.div(272).toString());
+    // Only the dust input is worth less than its spend cost
+    assert.equal(economics.uneconomicalCount, 1);
+    assert.deepEqual(economics.inputs.filter(input => input.uneconomical).map(input => input.outpoint), [`${DUST.txid}:3`]);
+
+    const json = economicsToJson(economics);
+    assert.equal(json.futureSatPerVb, '100');
+    assert.equal(json.savingsSats, economics.savingsSats.toNumber());
+    assert.deepEqual(json.inputs[3], { outpoint: `${DUST.txid}:3`, amountSats: 500, type: 'p2wpkh', spendVBytes: 68, costNowSats: 680, costLaterSats: 6800, uneconomical: true });
+});
+
+test('without a future feerate only the current cost is reported', async () => {
+    const [plan] = await buildConsolidationPlans(await mockConfig(node));
+    const { economics } = plan;
+    assert.equal(economics.futureSatPerVb, null);
+    assert.equal(economics.costLaterSats, null);
+    assert.equal(economics.savingsSats, null);
+    assert.equal(economics.inputs[0].costLaterSats, null);
+    assert.ok(economics.breakEvenSatPerVb !== null);
+    assert.equal(economicsToJson(economics).savingsSats, null);
+});
+
+test('excludeUneconomical leaves the dust input out, with its reason', async () => {
+    const { inputs, excludedInputs } = await gatherInputs(await mockConfig(node, { economics: { excludeUneconomical: true } }));
+    assert.equal(inputs.length, 3);
+    assert.equal(excludedInputs.length, 1);
+    assert.equal(excludedInputs[0].reason, 'uneconomical');
+    assert.equal(excludedInputs[0].detail, 'worth 500 sats, spending it costs 680 sats at 10.00 sat/vB');
+});
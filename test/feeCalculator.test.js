@@ -0,0 +1,143 @@
+// test/feeCalculator.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { calculateOptimalFee, calculateFeeWithChange } from '../feeCalculator.js';
+import { allocateOutputs } from '../allocation.js';
+import { addDescriptorChecksum } from '../descriptors.js';
+import { useTestEnvironment, startMockNode, mockConfig, TPUB, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+const FEE_RATE = new Decimal(10);
+const [INPUT] = UTXOS;
+
+// Target entries paying to branch 0, 1, ... of the test key; fields: per-entry allocation ({ weight } etc.)
+const targets = (...fields) => fields.map((extra, i) => ({ descriptor: addDescriptorChecksum(`wpkh(${TPUB}/${i}/*)`), ...extra }));
+
+// Solves the fee for one input holding total sats, paying to the targets
+async function solve(total, targetDescriptors, extra = {}) {
+    const config = await mockConfig(node, { targetDescriptors, ...extra });
+    const addresses = new Map(config.targetAllocations.map((a, i) => [a.descriptor, `bcrt1qtarget${i}`]));
+    const fee = await calculateOptimalFee(config, config, [INPUT], addresses, total, FEE_RATE);
+    return { config, fee, amounts: [...fee.outputAmounts.values()] };
+}
+
+// The size-based fee of a transaction spending INPUT to this many outputs; it does not depend on the amounts
+async function sizeBasedFee(outputs) {
+    const { fee } = await solve(10000000n, targets(...Array(outputs).fill({})));
+    return fee.breakdown.sizeBasedFee;
+}
+
+test('the fee is the smallest that meets the feerate', async () => {
+    const total = 1000003n;
+    const { config, fee, amounts } = await solve(total, targets({}, {}, {}));
+    const { sizeBasedFee } = fee.breakdown;
+    assert.ok(fee.finalFee >= sizeBasedFee);
+    assert.equal(amounts.reduce((sum, amount) => sum + amount, 0n) + fee.finalFee, total);
+    // No smaller guess leaves a valid split that pays the size-based fee
+    for (let guess = 0n; guess < fee.finalFee; guess++) {
+        const { amounts: split, remainder } = allocateOutputs(total - guess, config.targetAllocations, 'fee');
+        assert.ok(guess + remainder < sizeBasedFee || guess + remainder >= fee.finalFee || split.some(amount => amount <= 0n), `guess ${guess}`);
+    }
+    assert.equal(fee.minimality.feeMinusOne, fee.finalFee - 1n);
+    // The size is measured once, whatever the number of guesses
+    assert.equal(fee.trace.filter(step => step.step === 'measure').length, 1);
+});
+
+test('the indivisible remainder goes to the fee, or to the outputs', async () => {
+    const sizeFee = await sizeBasedFee(3);
+    const total = sizeFee + 300000n + 2n; // Leaves 2 sats that three equal shares cannot split
+
+    const toFee = await solve(total, targets({}, {}, {}));
+    assert.equal(toFee.fee.finalFee, sizeFee + 2n);
+    assert.equal(toFee.fee.remainderSats, 2n);
+    assert.deepEqual(toFee.amounts, [100000n, 100000n, 100000n]);
+    assert.equal(toFee.fee.minimality.reason, 'unreachable');
+
+    const toOutputs = await solve(total, targets({}, {}, {}), { distribution: { remainder: 'outputs' } });
+    assert.equal(toOutputs.fee.finalFee, sizeFee);
+    assert.equal(toOutputs.fee.remainderSats, 0n);
+    assert.deepEqual(toOutputs.amounts, [100001n, 100001n, 100000n]); // Equal fractions: config order
+    assert.equal(toOutputs.fee.minimality.reason, 'below-size-fee');
+});
+
+test('fixed, percent and weighted targets share what the fee leaves', async () => {
+    const sizeFee = await sizeBasedFee(4);
+    const total = sizeFee + 50000n + 400000n;
+    const { fee, amounts } = await solve(total, targets({ amountSats: 50000 }, { percent: 50 }, { weight: 1 }, { weight: 3 }));
+    assert.equal(fee.finalFee, sizeFee);
+    assert.deepEqual(amounts, [50000n, 200000n, 50000n, 150000n]);
+});
+
+test('too little left after the fee for every target is reported', async () => {
+    const sizeFee = await sizeBasedFee(2);
+    await assert.rejects(solve(sizeFee + 1n, targets({}, {})),
+        new RegExp(`after the size-based fee of ${sizeFee} sats, 1 sats remain, which cannot give every target a positive amount \\(none left for wpkh\\(${TPUB}/0/\\*\\)`));
+    await assert.rejects(solve(sizeFee + 998n, targets({ amountSats: 999 }, {})), /which do not cover the fixed target amounts \(999 sats\)/);
+    await assert.rejects(solve(sizeFee, targets({}, {})), new RegExp(`Total input \\(${sizeFee} sats\\) is less than or equal to the minimum required fee`));
+    await assert.rejects(solve(1000n, targets({ amountSats: 1000 }, {})), /fixed target amounts add up to 1000 sats, but the inputs hold only 1000 sats/);
+});
+
+// Solves the fee with change for one input holding total sats, distributing distributeSats to the targets
+async function solveWithChange(total, distributeSats, changeAddress = 'bcrt1qchange', targetDescriptors = targets({}, {})) {
+    const config = await mockConfig(node, { targetDescriptors, change: { distributeSats: Number(distributeSats) } });
+    const addresses = new Map(config.targetAllocations.map((a, i) => [a.descriptor, `bcrt1qtarget${i}`]));
+    const fee = await calculateFeeWithChange(config, config, [INPUT], addresses, total, FEE_RATE, { address: changeAddress, distributeSats });
+    return { fee, amounts: [...fee.outputAmounts.values()] };
+}
+
+test('with change the targets get exactly the distributed amount, the change the rest less the fee', async () => {
+    const { fee, amounts } = await solveWithChange(10000000n, 1000001n);
+    assert.deepEqual(amounts, [500000n, 500000n]);
+    assert.equal(fee.finalFee, fee.breakdown.sizeBasedFee);
+    assert.equal(fee.minimality.reason, 'below-size-fee');
+    assert.equal(fee.change.address, 'bcrt1qchange');
+    assert.equal(fee.change.amount, 10000000n - 1000000n - fee.finalFee);
+    // The sat two equal shares cannot split stays with the change
+    assert.equal(fee.change.keptRemainderSats, 1n);
+    assert.equal(fee.change.foldedSats, 0n);
+    assert.equal(fee.change.dustChangeSats, null);
+    assert.equal(fee.change.dustThreshold, 294n);
+    assert.equal(fee.remainderSats, 0n);
+});
+
+test('change below the dust threshold is folded into the fee', async () => {
+    // A single target, so no allocation remainder goes to the change
+    const total = 10000000n;
+    const single = targets({});
+    const withChangeFee = (await solveWithChange(total, 1000000n, 'bcrt1qchange', single)).fee.finalFee;
+    const withoutChangeFee = await sizeBasedFee(1);
+    const { fee, amounts } = await solveWithChange(total, total - withChangeFee - 293n, 'bcrt1qchange', single);
+    assert.deepEqual(amounts, [total - withChangeFee - 293n]);
+    assert.equal(fee.change.address, null);
+    assert.equal(fee.change.amount, 0n);
+    assert.equal(fee.change.dustChangeSats, 293n);
+    assert.equal(fee.finalFee, withChangeFee + 293n);
+    assert.equal(fee.change.foldedSats, fee.finalFee - withoutChangeFee);
+    assert.equal(fee.remainderSats, fee.change.foldedSats);
+    assert.equal(fee.minimality.reason, 'change-folded');
+    assert.match(fee.minimality.detail, /^change of 293 sats would be below the 294-sat dust threshold/);
+    assert.deepEqual(fee.trace.map(step => step.withChange), [true, false]);
+    // At the threshold the change is kept
+    assert.equal((await solveWithChange(total, total - withChangeFee - 294n, 'bcrt1qchange', single)).fee.change.amount, 294n);
+});
+
+test('without a change address the undistributed value is fee', async () => {
+    const total = 10000000n;
+    const { fee } = await solveWithChange(total, 9000000n, null);
+    assert.equal(fee.finalFee, 1000000n);
+    assert.equal(fee.change.dustThreshold, null);
+    assert.equal(fee.minimality.reason, 'change-folded');
+    assert.match(fee.minimality.detail, /^without a change output, the \d+ sats above the size-based fee/);
+});
+
+test('distributing more than the inputs hold, or too little for every target, is reported', async () => {
+    await assert.rejects(solveWithChange(1000000n, 1000000n), /Insufficient funds: distributing 1000000 sats \(change\.distributeSats\) needs more than the 1000000 sats the inputs hold/);
+    await assert.rejects(solveWithChange(1000000n, 1n), new RegExp(`Distributing 1 sats leaves nothing for wpkh\\(${TPUB}/0/\\*\\)`));
+    await assert.rejects(solveWithChange(1000000n, 999n, 'bcrt1qchange', targets({ amountSats: 1000 }, {})),
+        /The fixed target amounts do not fit in the 999 sats to distribute \(change\)/);
+});
@@ -0,0 +1,200 @@
+// test/helpers/mockNode.js
+// A Bitcoin Core JSON-RPC stand-in for tests: one wallet with three UTXOs and two target descriptors, answering
+// the calls a consolidation plan makes. Fee estimates and chain tips are scripted per test.
+// Test files call useTestEnvironment() first: log output is captured, and temporary directories removed.
+import { before, after, mock } from 'node:test';
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import logger from '../../logger.js';
+import { validateConfig } from '../../config.js';
+import { addDescriptorChecksum } from '../../descriptors.js';
+
+const TPUB = 'tpubD6NzVbkrYhZ4XgiXtGrdW5XDAPFCL9h7we1vwNCpn8tGbBcgfVYjXyhWo4E1xkh56hjod1RhGjxbaTLV3X4FyWuejifB9jusQ46QzG87VKp';
+const TARGETS = [`wpkh(${TPUB}/0/*)`, `tr(${TPUB}/1/*)`].map(addDescriptorChecksum);
+// A further descriptor of the wallet, for change
+const CHANGE = addDescriptorChecksum(`wpkh(${TPUB}/3/*)`);
+
+const UTXOS = [
+    { txid: 'a'.repeat(64), vout: 0, address: 'bcrt1qsource', amount: 0.5, confirmations: 10, spendable: true, scriptPubKey: '0014' + '11'.repeat(20), parent_descs: [] },
+    { txid: 'b'.repeat(64), vout: 1, address: 'bcrt1qsource', amount: 0.1, confirmations: 3, spendable: true, scriptPubKey: '0014' + '11'.repeat(20), parent_descs: [] },
+    { txid: 'c'.repeat(64), vout: 2, address: 'bcrt1qsource', amount: 0.01, confirmations: 1, spendable: true, scriptPubKey: '0014' + '11'.repeat(20), parent_descs: [] },
+];
+// An unconfirmed transaction paying 0.2 BTC to the source address, only in the mempool
+const PARENT_TXID = 'd'.repeat(64);
+const PARENT_HEX = Buffer.from(JSON.stringify([[{ txid: 'e'.repeat(64), vout: 0 }], { bcrt1qsource: 0.2 }])).toString('hex');
+// With the stuck option: a consolidation of the first two UTXOS, broadcast and stuck in the mempool at 65 sat/vB
+const ORIGINAL_TXID = '9'.repeat(64);
+const ORIGINAL_HEX = Buffer.from(JSON.stringify([UTXOS.slice(0, 2).map(({ txid, vout }) => ({ txid, vout })),
+    { bcrt1qtarget0: 0.3, bcrt1qtarget1: 0.2999 }])).toString('hex');
+const SIGNATURES_REJECTED = { allowed: false, 'reject-reason': 'mandatory-script-verify-flag-failed (Signature must be zero for failed CHECK(MULTI)SIG operation)' };
+const notFound = message => Object.assign(new Error(message), { code: -5 });
+
+const tempDirs = [];
+const logLines = []; // What the code under test logged, one string per line
+
+// Captures console output (the logger writes there) in logLines for the rest of the test file, and removes the
+// temporary directories of mockConfig when it is done
+function useTestEnvironment() {
+    before(() => {
+        const capture = (...args) => { logLines.push(args.join(' ')); };
+        mock.method(console, 'log', capture);
+        mock.method(console, 'error', capture);
+    });
+    after(async () => {
+        mock.restoreAll();
+        await Promise.all(tempDirs.splice(0).map(dir => fs.rm(dir, { recursive: true, force: true })));
+    });
+}
+
+// options: { feeRates: [sat/vB per estimatesmartfee call, the last one repeating], failTips: number of
+// getblockchaininfo calls to fail first, utxos: the wallet's UTXOs (default UTXOS), stuck: ORIGINAL_TXID is in
+// the mempool, wallets: further loaded wallets, { walletName: their UTXOs }, accept: the testmempoolaccept result
+// (default: only the placeholder signatures rejected) }.
+// Returns { url, calls (method names in order), locks (locked "txid:vout"), walletTxs (txid -> extra gettransaction
+// fields, e.g. { confirmations, blockheight }), close() }
+async function startMockNode({ feeRates = [10], failTips = 0, utxos = UTXOS, stuck = false, wallets = {}, accept = SIGNATURES_REJECTED } = {}) {
+    const calls = [];
+    const mempool = new Map([[PARENT_TXID, { hex: PARENT_HEX, entry: { vsize: 82, fees: { base: 0.00000820, descendant: 0.00000820 }, descendantcount: 1 } }]]);
+    if (stuck) {
+        mempool.set(ORIGINAL_TXID, { hex: ORIGINAL_HEX, entry: { vsize: 154, fees: { base: 0.0001, descendant: 0.0001 }, descendantcount: 1, 'bip125-replaceable': true } });
+    }
+    // Outpoints spent by mempool transactions: listunspent and gettxout with the mempool leave them out
+    const spentInMempool = new Set([...mempool.values()]
+        .flatMap(({ hex }) => JSON.parse(Buffer.from(hex, 'hex').toString())[0].map(input => `${input.txid}:${input.vout}`)));
+    let estimates = 0;
+    let tips = 0;
+    const locks = new Set();
+    const walletTxs = new Map();
+    const allUtxos = [...utxos, ...Object.values(wallets).flat()];
+    const handle = (method, params, wallet) => {
+        calls.push(method);
+        if (wallet && wallet !== 'w' && !wallets[wallet]) {
+            throw Object.assign(new Error('Requested wallet does not exist or is not loaded'), { code: -18 });
+        }
+        switch (method) {
+            case 'echo': return params[0];
+            case 'getnetworkinfo': return { version: 260000, subversion: '/Satoshi:26.0.0/', incrementalfee: 0.00001, relayfee: 0.00001 };
+            case 'getwalletinfo': return { walletname: wallet, descriptors: true, txcount: 3 };
+            case 'getblockchaininfo':
+                if (tips++ < failTips) throw Object.assign(new Error('Loading wallet...'), { code: -4 });
+                return { chain: 'regtest', blocks: 200 + tips, bestblockhash: (200 + tips).toString(16).padStart(64, '0'), headers: 200 + tips, initialblockdownload: false, verificationprogress: 1 };
+            case 'estimatesmartfee': {
+                const rate = feeRates[Math.min(estimates++, feeRates.length - 1)];
+                return { feerate: rate / 100000, blocks: params[0] };
+            }
+            case 'getmempoolinfo': return { mempoolminfee: 0.00001, minrelaytxfee: 0.00001 };
+            case 'listunspent': // Like Bitcoin Core, without locked coins
+                return (wallets[wallet] ?? utxos).filter(utxo => (!params[2]?.length || params[2].includes(utxo.address))
+                    && !spentInMempool.has(`${utxo.txid}:${utxo.vout}`) && !locks.has(`${utxo.txid}:${utxo.vout}`));
+            case 'listlockunspent': return [...locks].map(outpoint => ({ txid: outpoint.split(':')[0], vout: Number(outpoint.split(':')[1]) }));
+            case 'lockunspent':
+                params[1].forEach(({ txid, vout }) => (params[0] ? locks.delete(`${txid}:${vout}`) : locks.add(`${txid}:${vout}`)));
+                return true;
+            case 'listdescriptors': return { descriptors: [...TARGETS, CHANGE].map(desc => ({ desc, next_index: 0, range: [0, 999] })) };
+            case 'gettxout': {
+                const utxo = allUtxos.find(candidate => candidate.txid === params[0] && candidate.vout === params[1]);
+                if (params[2] !== false && spentInMempool.has(`${params[0]}:${params[1]}`)) return null;
+                return utxo ? { value: utxo.amount, confirmations: utxo.confirmations, scriptPubKey: { address: utxo.address, hex: utxo.scriptPubKey } } : null;
+            }
+            case 'getmempoolentry':
+                if (!mempool.has(params[0])) throw notFound('Transaction not in mempool');
+                return mempool.get(params[0]).entry;
+            case 'getrawtransaction':
+                if (!mempool.has(params[0])) throw notFound('No such mempool or blockchain transaction');
+                return mempool.get(params[0]).hex;
+            case 'gettransaction': return { txid: params[0], hex: `raw-${params[0]}`, confirmations: 0, ...walletTxs.get(params[0]) };
+            case 'getaddressinfo': return { address: params[0], ismine: false };
+            case 'getdescriptorinfo': {
+                const descriptor = addDescriptorChecksum(params[0]);
+                return { descriptor, checksum: descriptor.split('#')[1] };
+            }
+            case 'deriveaddresses': return ['bcrt1q' + crypto.createHash('sha256').update(params[0]).digest('hex').slice(0, 38)];
+            case 'getreceivedbyaddress': return 0;
+            case 'getrawchangeaddress': return `bcrt1qchange${params[0] ?? ''}`;
+            case 'createrawtransaction': return Buffer.from(JSON.stringify([params[0], params[1]])).toString('hex');
+            case 'decoderawtransaction': {
+                const [inputs, outputs] = JSON.parse(Buffer.from(params[0], 'hex').toString());
+                return {
+                    vsize: 10 + 41 * inputs.length + 31 * Object.keys(outputs).length,
+                    vin: inputs.map(input => ({ txid: input.txid, vout: input.vout, sequence: 4294967293 })),
+                    vout: Object.entries(outputs).map(([address, value], n) => ({ value: Number(value), n, scriptPubKey: { address, hex: '0014' + '11'.repeat(20) } })),
+                };
+            }
+            case 'converttopsbt': return Buffer.from(params[0], 'hex').toString('base64');
+            case 'walletprocesspsbt': return { psbt: params[0], complete: false };
+            case 'combinepsbt': return params[0][0];
+            case 'testmempoolaccept': return [accept];
+            default: throw Object.assign(new Error(`Method not found: ${method}`), { code: -32601 });
+        }
+    };
+    const answer = (request, wallet) => {
+        try {
+            return { id: request.id, result: handle(request.method, request.params ?? [], wallet), error: null };
+        } catch (error) {
+            return { id: request.id, result: null, error: { code: error.code ?? -1, message: error.message } };
+        }
+    };
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            const payload = JSON.parse(body);
+            const wallet = req.url.startsWith('/wallet/') ? decodeURIComponent(req.url.slice('/wallet/'.length)) : null;
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify(Array.isArray(payload) ? payload.map(request => answer(request, wallet)) : answer(payload, wallet)));
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return {
+        url: `http://127.0.0.1:${server.address().port}`,
+        calls,
+        locks,
+        walletTxs,
+        close: () => new Promise(resolve => server.close(resolve)),
+    };
+}
+
+// A fresh temporary directory, removed after the test file
+async function tempDir() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'psbt-consolidator-test-'));
+    tempDirs.push(dir);
+    return dir;
+}
+
+// The settings for the mock node, as a config file holds them, with its files in a fresh temporary directory
+async function mockSettings(node, extra = {}) {
+    const dir = await tempDir();
+    return {
+        bitcoinCore: { rpcUrl: node.url, rpcUser: 'u', rpcPassword: 'p', network: 'regtest', rpcRetry: { attempts: 1 } },
+        sourceContext: { operatingWalletName: 'w', sourceAddress: 'bcrt1qsource' },
+        targetDescriptors: [...TARGETS],
+        feeTargetBlocks: 6,
+        outputPsbtFile: path.join(dir, 'out.psbt'),
+        logLevel: 'error',
+        ...extra,
+    };
+}
+
+// A validated config for the mock node; extra: fields to add
+async function mockConfig(node, extra = {}) {
+    logger.setLogLevel('info');
+    const config = await mockSettings(node, extra);
+    validateConfig(config);
+    return config;
+}
+
+// Writes the mock node's settings next to its output file and returns the config file path, for running cli.js
+async function mockConfigFile(node, extra = {}) {
+    const settings = await mockSettings(node, extra);
+    const file = path.join(path.dirname(settings.outputPsbtFile), 'config.json');
+    await fs.writeFile(file, JSON.stringify(settings, null, 2));
+    return file;
+}
+
+export {
+    useTestEnvironment, startMockNode, mockConfig, mockConfigFile, tempDir, logLines,
+    TPUB, TARGETS, CHANGE, UTXOS, PARENT_TXID, ORIGINAL_TXID,
+};
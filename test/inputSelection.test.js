@@ -0,0 +1,78 @@
+// test/inputSelection.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import Decimal from 'decimal.js';
+import { selectInputs } from '../inputSelection.js';
+import { gatherInputs } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, logLines, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+// Candidates as gatherInputs passes them: amounts in sats
+const coin = (n, amount, confirmations = 6) => ({ txid: String(n).repeat(64), vout: n, amount: BigInt(amount), confirmations, scriptPubKey: '0014' + '11'.repeat(20), matchedBy: ['sourceAddress'] });
+const outpoint = utxo => `${utxo.txid}:${utxo.vout}`;
+const COINS = [coin(1, 50000), coin(2, 20000), coin(3, 90000), coin(4, 1000, 0), coin(5, 70000)];
+
+function select(inputSelection, context = {}) {
+    const config = { sourceContext: { operatingWalletName: 'w' }, inputSelection };
+    const { selected, excluded } = selectInputs(config, COINS, {
+        walletUtxos: [], lockedOutpoints: new Set(), pendingOutpoints: new Map(), satPerVb: new Decimal(1), ...context,
+    });
+    return { selected: selected.map(utxo => utxo.vout), excluded: excluded.map(entry => [entry.utxo.vout, entry.reason]), details: excluded.map(entry => entry.detail) };
+}
+
+test('by default every confirmed candidate is spent', () => {
+    assert.deepEqual(select(undefined), { selected: [1, 2, 3, 5], excluded: [[4, 'confirmations']], details: ['0 confirmation(s), 1 required'] });
+    assert.deepEqual(select({ minConfirmations: 0 }).selected, [1, 2, 3, 4, 5]);
+    assert.deepEqual(select({ minConfirmations: 7 }).selected, []);
+});
+
+test('each skipped UTXO gets the first rule that excludes it', () => {
+    const { selected, excluded, details } = select({ exclude: [outpoint(COINS[0])], minAmountSats: 25000, maxAmountSats: 80000 }, {
+        lockedOutpoints: new Set([outpoint(COINS[0]), outpoint(COINS[2])]),
+        pendingOutpoints: new Map([[outpoint(COINS[4]), '/tmp/out.psbt']]),
+    });
+    assert.deepEqual(selected, []);
+    assert.deepEqual(excluded, [[1, 'excluded'], [2, 'below-min-amount'], [3, 'locked'], [4, 'confirmations'], [5, 'pending']]);
+    assert.equal(details[1], '20000 sats is below inputSelection.minAmountSats (25000)');
+    assert.equal(details[4], 'already spent by pending PSBT /tmp/out.psbt');
+    assert.deepEqual(select({ maxAmountSats: 80000 }).excluded, [[3, 'above-max-amount'], [4, 'confirmations']]);
+});
+
+test('largest or smallest first, cut at maxInputs', () => {
+    assert.deepEqual(select({ order: 'largest', maxInputs: 2 }), {
+        selected: [3, 5],
+        excluded: [[4, 'confirmations'], [1, 'max-inputs'], [2, 'max-inputs']],
+        details: ['0 confirmation(s), 1 required', 'over inputSelection.maxInputs (2), largest first', 'over inputSelection.maxInputs (2), largest first'],
+    });
+    assert.deepEqual(select({ order: 'smallest' }).selected, [2, 1, 5, 3]);
+    // Without an order the discovery order is kept
+    assert.deepEqual(select({ maxInputs: 3 }).selected, [1, 2, 3]);
+});
+
+test('included outpoints skip the amount limits, come first under maxInputs and may come from the wallet', () => {
+    const walletOnly = coin(6, 300);
+    const { selected, excluded } = select({ include: [outpoint(COINS[1]), outpoint(walletOnly), `${'7'.repeat(64)}:7`], minAmountSats: 60000, order: 'largest', maxInputs: 3 },
+        { walletUtxos: [walletOnly] });
+    assert.deepEqual(selected, [3, 2, 6]);
+    assert.deepEqual(excluded, [[1, 'below-min-amount'], [4, 'confirmations'], [5, 'max-inputs']]);
+    // Even when there are more included outpoints than maxInputs
+    assert.deepEqual(select({ include: [outpoint(COINS[0]), outpoint(COINS[1])], maxInputs: 1 }).selected, [1, 2]);
+});
+
+test('locked coins of the wallet are left out and reported', async () => {
+    const locked = `${UTXOS[0].txid}:${UTXOS[0].vout}`;
+    node.locks.add(locked);
+    try {
+        const { inputs, excludedInputs } = await gatherInputs(await mockConfig(node, { inputSelection: { minConfirmations: 2 } }));
+        assert.deepEqual(inputs.map(utxo => utxo.txid), [UTXOS[1].txid]);
+        assert.deepEqual(excludedInputs.map(entry => [entry.utxo.txid, entry.reason]), [[UTXOS[2].txid, 'confirmations']]);
+        // listunspent leaves locked coins out, so they are only reported
+        assert.ok(logLines.some(line => line.endsWith(`1 UTXO(s) locked in the wallet were not considered: ${locked}`)));
+    } finally {
+        node.locks.clear();
+    }
+});
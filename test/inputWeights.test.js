@@ -0,0 +1,103 @@
+// test/inputWeights.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { estimateInputWeights, estimateFinalVBytes, inputSpendVBytes, dustThresholdSats, profileInput } from '../inputWeights.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, logLines, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const KEYS = ['02', '03', '02'].map((prefix, i) => prefix + String(i + 1).repeat(64));
+const SCRIPTS = {
+    p2wpkh: '0014' + '11'.repeat(20),
+    p2tr: '5120' + '11'.repeat(32),
+    p2pkh: '76a914' + '11'.repeat(20) + '88ac',
+    p2sh: 'a914' + '11'.repeat(20) + '87',
+    p2wsh: '0020' + '11'.repeat(32),
+};
+
+let nextTxid = 0;
+const utxo = fields => ({ txid: String(++nextTxid).padStart(64, '0'), vout: 0, ...fields });
+
+// Signed vsize of each input spent on its own in a segwit transaction
+const spendVBytes = (...utxos) => estimateInputWeights(utxos).inputs.map(inputSpendVBytes);
+
+test('single-key inputs: the sizes wallets quote for each script type', () => {
+    assert.deepEqual(spendVBytes(
+        utxo({ scriptPubKey: SCRIPTS.p2wpkh }),
+        utxo({ scriptPubKey: SCRIPTS.p2tr }),
+        utxo({ scriptPubKey: SCRIPTS.p2sh, desc: `sh(wpkh(${KEYS[0]}))#00000000` }),
+    ), [68, 57.75, 91]);
+    // A legacy input still has an empty witness once another input has one
+    assert.deepEqual(spendVBytes(utxo({ scriptPubKey: SCRIPTS.p2pkh })), [148]);
+    assert.deepEqual(spendVBytes(utxo({ scriptPubKey: SCRIPTS.p2pkh }), utxo({ scriptPubKey: SCRIPTS.p2wpkh })), [148.25, 68]);
+    // Uncompressed keys are 32 bytes longer
+    assert.deepEqual(spendVBytes(utxo({ scriptPubKey: SCRIPTS.p2pkh, desc: `pkh(04${'11'.repeat(64)})` })), [180]);
+});
+
+test('multisig inputs: m signatures and the n-key script', () => {
+    const multi = `multi(2,${KEYS.join(',')})`;
+    const [wsh, sh, shWsh] = [
+        utxo({ scriptPubKey: SCRIPTS.p2wsh, desc: `wsh(${multi})` }),
+        utxo({ scriptPubKey: SCRIPTS.p2sh, desc: `sh(${multi.replace('multi', 'sortedmulti')})` }),
+        utxo({ scriptPubKey: SCRIPTS.p2sh, desc: `sh(wsh(${multi}))` }),
+    ];
+    const weights = estimateInputWeights([wsh, sh, shWsh]);
+    assert.deepEqual(weights.inputs.map(input => input.type), ['p2wsh-multi(2-of-3)', 'p2sh-multi(2-of-3)', 'p2sh-p2wsh-multi(2-of-3)']);
+    assert.deepEqual(weights.inputs.map(inputSpendVBytes), [104.5, 297.25, 139.5]);
+    // One more signature: one more 72-byte witness item
+    const threeOfThree = estimateInputWeights([utxo({ desc: `wsh(multi(3,${KEYS.join(',')}))` })]).inputs[0];
+    assert.equal(threeOfThree.type, 'p2wsh-multi(3-of-3)');
+    assert.equal(inputSpendVBytes(threeOfThree), 104.5 + 73 / 4);
+});
+
+test('the resolved desc wins over parent descriptors and the scriptPubKey', () => {
+    const both = { scriptPubKey: SCRIPTS.p2wpkh, parent_descs: [`tr(${KEYS[0].slice(2)})`] };
+    assert.equal(profileInput(both).type, 'p2tr');
+    assert.equal(profileInput({ ...both, desc: `pkh(${KEYS[0]})` }).type, 'p2pkh');
+    assert.equal(profileInput({ scriptPubKey: SCRIPTS.p2wpkh, parent_descs: ['addr(bcrt1qsource)'] }).type, 'p2wpkh');
+    // P2SH and P2WSH cannot be told apart without a descriptor
+    assert.equal(profileInput({ scriptPubKey: SCRIPTS.p2sh }), null);
+});
+
+test('unknown inputs fall back to the flat estimate, and the override applies to all', () => {
+    const unknown = utxo({ scriptPubKey: SCRIPTS.p2wsh });
+    const weights = estimateInputWeights([unknown]);
+    assert.deepEqual(weights.countsByType, { unknown: 1 });
+    assert.equal(weights.totalAddedWU, 28 * 4 + 2);
+    assert.ok(logLines.some(line => line.includes(`Could not determine the script type of input ${unknown.txid}:0`)));
+
+    const override = estimateInputWeights([unknown, utxo({ scriptPubKey: SCRIPTS.p2tr })], 20);
+    assert.deepEqual(override.countsByType, { override: 2 });
+    assert.equal(override.totalAddedWU, 160);
+    assert.deepEqual(estimateFinalVBytes(100, override), { totalVBytes: 140, signatureVBytes: 40 });
+});
+
+test('dust thresholds match Bitcoin Core', () => {
+    assert.equal(dustThresholdSats(SCRIPTS.p2wpkh), 294n);
+    assert.equal(dustThresholdSats(SCRIPTS.p2tr), 330n);
+    assert.equal(dustThresholdSats(SCRIPTS.p2wsh), 330n);
+    assert.equal(dustThresholdSats(SCRIPTS.p2pkh), 546n);
+    assert.equal(dustThresholdSats(SCRIPTS.p2sh), 540n);
+});
+
+test('a plan sizes each input by its own script type', async () => {
+    const node = await startMockNode({ utxos: [
+        UTXOS[0],
+        { ...UTXOS[1], scriptPubKey: SCRIPTS.p2tr },
+        { ...UTXOS[2], scriptPubKey: SCRIPTS.p2pkh },
+    ] });
+    try {
+        const [plan] = await buildConsolidationPlans(await mockConfig(node));
+        const { fee } = plan;
+        assert.deepEqual(fee.inputWeights.countsByType, { p2wpkh: 1, p2tr: 1, p2pkh: 1 });
+        // Unsigned: 10 + 3 * 41 + 2 * 31 = 195 vB; signing adds 27 + 16.75 + 107.25 vB and the marker and flag
+        assert.equal(fee.breakdown.baseVBytes, 195);
+        assert.equal(fee.breakdown.estimatedVBytes, Math.ceil(195 + 27 + 16.75 + 107.25 + 0.5));
+
+        const [flat] = await buildConsolidationPlans(await mockConfig(node, { feeOptions: { estimatedWitnessVBytesPerInput: 28 } }));
+        assert.equal(flat.fee.breakdown.estimatedVBytes, 195 + 3 * 28);
+    } finally {
+        await node.close();
+    }
+});
@@ -0,0 +1,116 @@
+// test/journal.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import {
+    loadJournal, configHash, nextFreeIndexes, recordRuns, recordRunBroadcast, runState, refreshConfirmations,
+    historyByDescriptor, journalFilePath,
+} from '../journal.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { useTestEnvironment, startMockNode, mockConfig, logLines, TARGETS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+const outpoints = plan => plan.inputs.map(utxo => `${utxo.txid}:${utxo.vout}`);
+
+// A config with one recorded run of a fresh plan; returns { config, plan, run }
+async function recordedRun(extra = {}) {
+    const config = await mockConfig(node, extra);
+    const [plan] = await buildConsolidationPlans(config);
+    await recordRuns(config, [{ plan, psbtFile: config.outputPsbtFile }]);
+    const [run] = await loadJournal(config);
+    return { config, plan, run };
+}
+
+test('a run is recorded with its inputs, outputs and fee', async () => {
+    const { config, plan, run } = await recordedRun();
+    assert.equal(run.configHash, configHash(config));
+    assert.equal(run.wallet, 'w');
+    assert.equal(run.psbtFile, config.outputPsbtFile);
+    assert.equal(run.status, 'created');
+    assert.deepEqual(run.inputs.map(input => input.outpoint), outpoints(plan));
+    assert.deepEqual(run.inputs.map(input => input.amountSats), [50000000, 10000000, 1000000]);
+    assert.deepEqual(run.outputs.map(output => [output.descriptor, output.index]), [[TARGETS[0], 0], [TARGETS[1], 0]]);
+    assert.equal(run.feeSats, Number(plan.fee.finalFee));
+    assert.equal(run.feeRateSatPerVb, '10');
+    assert.equal(run.outputs.reduce((sum, output) => sum + output.amountSats, 0) + run.feeSats, 61000000);
+});
+
+test('addresses of recorded runs are not handed out again', async () => {
+    const { config, plan } = await recordedRun();
+    assert.deepEqual([...await nextFreeIndexes(config)], [[TARGETS[0], 1], [TARGETS[1], 1]]);
+    // The wallet still reports next_index 0: the next plan skips the journal's index
+    const [next] = await buildConsolidationPlans(config);
+    assert.deepEqual(next.outputs.map(output => output.index), [1, 1]);
+    assert.notEqual(next.outputs[0].address, plan.outputs[0].address);
+    assert.ok(logLines.some(line => line.endsWith(`Skipping index 0 of ${TARGETS[0]}: already handed out by earlier runs (see journalFile).`)));
+});
+
+test('a broadcast is recorded on the run spending exactly those inputs', async () => {
+    const { config, plan } = await recordedRun();
+    assert.deepEqual(await recordRunBroadcast(config, outpoints(plan).slice(1), 'f'.repeat(64)), []);
+    const matching = await recordRunBroadcast(config, outpoints(plan).reverse(), 'f'.repeat(64));
+    assert.equal(matching.length, 1);
+    const [run] = await loadJournal(config);
+    assert.equal(run.status, 'broadcast');
+    assert.equal(run.txid, 'f'.repeat(64));
+    assert.ok(run.broadcastAt);
+    // Only runs not broadcast yet are matched
+    assert.deepEqual(await recordRunBroadcast(config, outpoints(plan), '8'.repeat(64)), []);
+});
+
+test('confirmations are refreshed from the wallet', async () => {
+    const broadcastRun = txid => ({ txid, status: 'broadcast' });
+    node.walletTxs.set('1'.repeat(64), { confirmations: 3, blockheight: 198 });
+    node.walletTxs.set('2'.repeat(64), { confirmations: -1 });
+    const runs = [broadcastRun('1'.repeat(64)), broadcastRun('2'.repeat(64)), broadcastRun('3'.repeat(64))];
+    const config = await mockConfig(node);
+    assert.equal(await refreshConfirmations(config, runs), true);
+    assert.deepEqual(runs.map(run => [run.status, run.confirmations, run.blockHeight]),
+        [['confirmed', 3, 198], ['conflicted', -1, null], ['broadcast', 0, null]]);
+    // Confirmed runs are not asked again; nothing else changed
+    const asked = node.calls.filter(method => method === 'gettransaction').length;
+    assert.equal(await refreshConfirmations(config, runs), false);
+    assert.equal(node.calls.filter(method => method === 'gettransaction').length, asked + 2);
+    assert.equal(await refreshConfirmations({ ...config, offlineNode: true }, [broadcastRun('4'.repeat(64))]), false);
+});
+
+test('a run never broadcast here shows the state of its pending PSBT', async () => {
+    const run = { status: 'created', psbtFile: '/tmp/a.psbt', inputs: [{ outpoint: 'aa:0' }, { outpoint: 'bb:1' }] };
+    const entry = status => ({ psbtFile: '/tmp/a.psbt', inputs: ['bb:1', 'aa:0'], status });
+    assert.equal(runState(run, []), 'created');
+    assert.equal(runState(run, [entry('stale')]), 'stale');
+    assert.equal(runState(run, [entry('released')]), 'released');
+    assert.equal(runState(run, [entry('broadcast')]), 'created');
+    assert.equal(runState(run, [{ ...entry('stale'), inputs: ['aa:0'] }]), 'created');
+    assert.equal(runState({ ...run, status: 'confirmed' }, [entry('stale')]), 'confirmed');
+});
+
+test('history is grouped by target descriptor, oldest first', () => {
+    const runs = [
+        { id: 1, outputs: [{ descriptor: TARGETS[0], index: 0 }, { descriptor: TARGETS[1], index: 0 }] },
+        { id: 2, outputs: [{ descriptor: TARGETS[0], index: 1 }] },
+    ];
+    const history = historyByDescriptor(runs);
+    assert.deepEqual(history.get(TARGETS[0]).map(({ run, output }) => [run.id, output.index]), [[1, 0], [2, 1]]);
+    assert.deepEqual(history.get(TARGETS[1]).map(({ run }) => run.id), [1]);
+});
+
+test('the config hash follows the consolidation settings, not the connection', async () => {
+    const config = await mockConfig(node);
+    const hash = configHash(config);
+    assert.match(hash, /^[0-9a-f]{16}$/);
+    assert.equal(configHash({ ...config, bitcoinCore: { ...config.bitcoinCore, rpcUrl: 'http://127.0.0.1:1' } }), hash);
+    assert.notEqual(configHash({ ...config, feeTargetBlocks: 2 }), hash);
+    assert.notEqual(configHash(await mockConfig(node, { targetDescriptors: [TARGETS[0], { descriptor: TARGETS[1], weight: 2 }] })), hash);
+});
+
+test('a missing journal is empty, an unreadable one an error', async () => {
+    const config = await mockConfig(node);
+    assert.deepEqual(await loadJournal(config), []);
+    await fs.writeFile(journalFilePath(config), '{');
+    await assert.rejects(loadJournal(config), /The run journal '.*journal\.json' is not valid JSON/);
+});
@@ -0,0 +1,63 @@
+// test/pending.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+import { registerPendingPsbts, loadPendingPsbts } from '../pending.js';
+import { useTestEnvironment, startMockNode, mockConfig, mockConfigFile, ORIGINAL_TXID } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+after(() => node.close());
+
+// Runs a cli.js command in a child process; the mock node keeps answering from this one
+const runCli = (...args) => promisify(execFile)(process.execPath, [fileURLToPath(new URL('../cli.js', import.meta.url)), ...args]);
+
+const record = psbtFile => ({ psbtFile, inputs: [`${'a'.repeat(64)}:0`, `${'b'.repeat(64)}:1`] });
+
+test('locks the inputs and records the PSBT', async () => {
+    const config = await mockConfig(node, { lockInputs: true });
+    await registerPendingPsbts(config, [record(config.outputPsbtFile)]);
+    const [entry] = await loadPendingPsbts(config);
+    assert.equal(entry.locked, true);
+    assert.deepEqual([...node.locks], record(config.outputPsbtFile).inputs);
+    node.locks.clear();
+});
+
+test('locks nothing when the registry cannot be read', async () => {
+    const config = await mockConfig(node, { lockInputs: true });
+    const dir = path.dirname(config.outputPsbtFile);
+    await fs.writeFile(path.join(dir, 'pending.json'), 'not json');
+    const lockCalls = node.calls.filter(method => method === 'lockunspent').length;
+    await assert.rejects(registerPendingPsbts(config, [record(config.outputPsbtFile)]), /not valid JSON/);
+    assert.equal(node.calls.filter(method => method === 'lockunspent').length, lockCalls);
+    assert.equal(node.locks.size, 0);
+});
+
+test('unlocks the inputs again when the registry cannot be saved', async () => {
+    const config = await mockConfig(node, { lockInputs: true });
+    const dir = path.dirname(config.outputPsbtFile);
+    config.pendingFile = path.join(dir, 'missing', 'pending.json');
+    await assert.rejects(registerPendingPsbts(config, [record(config.outputPsbtFile)]), /ENOENT/);
+    assert.equal(node.locks.size, 0);
+});
+
+test('a fee bump stays pending while the transaction it replaces holds its inputs', async () => {
+    const stuck = await startMockNode({ stuck: true });
+    try {
+        const configFile = await mockConfigFile(stuck);
+        await runCli('bump', configFile, ORIGINAL_TXID);
+        const { stdout } = await runCli('pending', configFile);
+        const bumpFile = path.join(path.dirname(configFile), 'out.bump.psbt');
+        assert.match(stdout, new RegExp(`PENDING +${bumpFile}`));
+        const { psbts: [entry] } = JSON.parse(await fs.readFile(path.join(path.dirname(configFile), 'pending.json'), 'utf-8'));
+        assert.equal(entry.status, 'pending');
+        assert.equal(entry.replaces, ORIGINAL_TXID);
+    } finally {
+        await stuck.close();
+    }
+});
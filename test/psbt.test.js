@@ -0,0 +1,62 @@
+// test/psbt.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PSBT_IN, createPsbt, decodePsbt, encodePsbt, setEntry, getEntries, decodeWitnessUtxo } from '../psbt.js';
+import { parseTransaction, computeTxid } from '../transaction.js';
+
+// BIP-174 valid serializations
+// One P2PKH input, with its previous transaction (NON_WITNESS_UTXO); outputs are empty
+const P2PKH = 'cHNidP8BAHUCAAAAASaBcTce3/KF6Tet7qSze3gADAVmy7OtZGQXE8pCFxv2AAAAAAD+////AtPf9QUAAAAAGXapFNDFmQPFusKGh2DpD9UhpGZap2UgiKwA4fUFAAAAABepFDVF5uM7gyxHBQ8k0+65PJwDlIvHh7MuEwAAAQD9pQEBAAAAAAECiaPHHqtNIOA3G7ukzGmPopXJRjr6Ljl/hTPMti+VZ+UBAAAAFxYAFL4Y0VKpsBIDna89p95PUzSe7LmF/////4b4qkOnHf8USIk6UwpyN+9rRgi7st0tAXHmOuxqSJC0AQAAABcWABT+Pp7xp0XpdNkCxDVZQ6vLNL1TU/////8CAMLrCwAAAAAZdqkUhc/xCX/Z4Ai7NK9wnGIZeziXikiIrHL++E4sAAAAF6kUM5cluiHv1irHU6m80GfWx6ajnQWHAkcwRAIgJxK+IuAnDzlPVoMR3HyppolwuAJf3TskAinwf4pfOiQCIAGLONfc0xTnNMkna9b7QPZzMlvEuqFEyADS8vAtsnZcASED0uFWdJQbrUqZY3LLh+GFbTZSYG2YVi/jnF6efkE/IQUCSDBFAiEA0SuFLYXc2WHS9fSrZgZU327tzHlMDDPOXMMJ/7X85Y0CIGczio4OFyXBl/saiK9Z9R5E5CVbIBZ8hoQDHAXR8lkqASECI7cr7vCWXRC+B3jv7NYfysb3mk6haTkzgHNEZPhPKrMAAAAAAAAA';
+// One finalized P2PKH input and one P2SH-P2WPKH input with WITNESS_UTXO and REDEEM_SCRIPT
+const P2PKH_AND_P2SH_P2WPKH = 'cHNidP8BAKACAAAAAqsJSaCMWvfEm4IS9Bfi8Vqz9cM9zxU4IagTn4d6W3vkAAAAAAD+////qwlJoIxa98SbghL0F+LxWrP1wz3PFTghqBOfh3pbe+QBAAAAAP7///8CYDvqCwAAAAAZdqkUdopAu9dAy+gdmI5x3ipNXHE5ax2IrI4kAAAAAAAAGXapFG9GILVT+glechue4O/p+gOcykWXiKwAAAAAAAEHakcwRAIgR1lmF5fAGwNrJZKJSGhiGDR9iYZLcZ4ff89X0eURZYcCIFMJ6r9Wqk2Ikf/REf3xM286KdqGbX+EhtdVRs7tr5MZASEDXNxh/HupccC1AaZGoqg7ECy0OIEhfKaC3Ibi1z+ogpIAAQEgAOH1BQAAAAAXqRQ1RebjO4MsRwUPJNPuuTycA5SLx4cBBBYAFIXRNTfy4mVAWjTbr6nj3aAfuCMIAAAA';
+// The P2PKH case with a SIGHASH_TYPE
+const P2PKH_SIGHASH = 'cHNidP8BAHUCAAAAASaBcTce3/KF6Tet7qSze3gADAVmy7OtZGQXE8pCFxv2AAAAAAD+////AtPf9QUAAAAAGXapFNDFmQPFusKGh2DpD9UhpGZap2UgiKwA4fUFAAAAABepFDVF5uM7gyxHBQ8k0+65PJwDlIvHh7MuEwAAAQD9pQEBAAAAAAECiaPHHqtNIOA3G7ukzGmPopXJRjr6Ljl/hTPMti+VZ+UBAAAAFxYAFL4Y0VKpsBIDna89p95PUzSe7LmF/////4b4qkOnHf8USIk6UwpyN+9rRgi7st0tAXHmOuxqSJC0AQAAABcWABT+Pp7xp0XpdNkCxDVZQ6vLNL1TU/////8CAMLrCwAAAAAZdqkUhc/xCX/Z4Ai7NK9wnGIZeziXikiIrHL++E4sAAAAF6kUM5cluiHv1irHU6m80GfWx6ajnQWHAkcwRAIgJxK+IuAnDzlPVoMR3HyppolwuAJf3TskAinwf4pfOiQCIAGLONfc0xTnNMkna9b7QPZzMlvEuqFEyADS8vAtsnZcASED0uFWdJQbrUqZY3LLh+GFbTZSYG2YVi/jnF6efkE/IQUCSDBFAiEA0SuFLYXc2WHS9fSrZgZU327tzHlMDDPOXMMJ/7X85Y0CIGczio4OFyXBl/saiK9Z9R5E5CVbIBZ8hoQDHAXR8lkqASECI7cr7vCWXRC+B3jv7NYfysb3mk6haTkzgHNEZPhPKrMAAAAAAQMEAQAAAAAAAA==';
+
+test('BIP-174 vectors decode and encode back byte for byte', () => {
+    for (const base64 of [P2PKH, P2PKH_AND_P2SH_P2WPKH, P2PKH_SIGHASH]) {
+        assert.equal(encodePsbt(decodePsbt(base64)), base64);
+    }
+});
+
+test('BIP-174 vectors decode to their maps', () => {
+    const p2pkh = decodePsbt(P2PKH);
+    assert.equal(p2pkh.tx.inputs.length, 1);
+    assert.equal(p2pkh.tx.outputs.length, 2);
+    assert.deepEqual(p2pkh.outputs, [[], []]);
+    // The previous transaction is the one the input spends
+    const [previous] = getEntries(p2pkh.inputs[0], PSBT_IN.NON_WITNESS_UTXO);
+    assert.equal(computeTxid(parseTransaction(previous.value)), p2pkh.tx.inputs[0].txid);
+
+    const [sighash] = getEntries(decodePsbt(P2PKH_SIGHASH).inputs[0], PSBT_IN.SIGHASH_TYPE);
+    assert.equal(sighash.value.readUInt32LE(0), 1); // SIGHASH_ALL
+
+    const mixed = decodePsbt(P2PKH_AND_P2SH_P2WPKH);
+    assert.equal(getEntries(mixed.inputs[0], PSBT_IN.FINAL_SCRIPTSIG).length, 1);
+    const [witnessUtxo] = getEntries(mixed.inputs[1], PSBT_IN.WITNESS_UTXO);
+    const { value, scriptPubKey } = decodeWitnessUtxo(witnessUtxo.value);
+    assert.equal(value, 100000000n);
+    assert.match(scriptPubKey.toString('hex'), /^a914[0-9a-f]{40}87$/);
+    assert.equal(getEntries(mixed.inputs[1], PSBT_IN.REDEEM_SCRIPT)[0].value.toString('hex'), '001485d13537f2e265405a34dbafa9e3dda01fb82308');
+});
+
+test('a network transaction or trailing data is not a PSBT', () => {
+    // BIP-174 invalid vector: a network transaction, not PSBT format
+    const networkTx = 'AgAAAAEmgXE3Ht/yhek3re6ks3t4AAwFZsuzrWRkFxPKQhcb9gAAAABqRzBEAiBwsiRRI+a/R01gxbUMBD1MaRpdJDXwmjSnZiqdwlF5CgIgATKcqdrPKAvfMHQOwDkEIkIsgctFg5RXrrdvwS7dlbMBIQJlfRGNM1e44PTCzUbbezn22cONmnCry5st5dyNv+TOMf7///8C09/1BQAAAAAZdqkU0MWZA8W6woaHYOkP1SGkZlqnZSCIrADh9QUAAAAAF6kUNUXm4zuDLEcFDyTT7rk8nAOUi8eHsy4TAA==';
+    assert.throws(() => decodePsbt(networkTx), /invalid magic bytes/);
+    const extra = Buffer.concat([Buffer.from(P2PKH, 'base64'), Buffer.from([0x00])]).toString('base64');
+    assert.throws(() => decodePsbt(extra), /Trailing data after PSBT \(1 bytes\)/);
+});
+
+test('a created PSBT round-trips with the entries set on it', () => {
+    const { tx } = decodePsbt(P2PKH);
+    const psbt = createPsbt(tx);
+    const key = Buffer.from('02' + '11'.repeat(32), 'hex');
+    setEntry(psbt.inputs[0], PSBT_IN.SIGHASH_TYPE, Buffer.alloc(0), Buffer.from([1, 0, 0, 0]));
+    setEntry(psbt.inputs[0], PSBT_IN.BIP32_DERIVATION, key, Buffer.from('00'.repeat(8), 'hex'));
+    setEntry(psbt.inputs[0], PSBT_IN.BIP32_DERIVATION, key, Buffer.from('ff'.repeat(8), 'hex')); // Replaces the first
+    const decoded = decodePsbt(encodePsbt(psbt));
+    assert.equal(decoded.inputs[0].length, 2);
+    assert.equal(getEntries(decoded.inputs[0], PSBT_IN.BIP32_DERIVATION)[0].value.toString('hex'), 'ff'.repeat(8));
+    assert.equal(computeTxid(decoded.tx), computeTxid(tx));
+    assert.equal(encodePsbt(decoded), encodePsbt(psbt));
+});
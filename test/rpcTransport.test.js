@@ -0,0 +1,19 @@
+// test/rpcTransport.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'net';
+import { resolveEndpoint, postJson } from '../rpcTransport.js';
+
+test('a proxy that does not answer CONNECT times out with ETIMEDOUT', async () => {
+    // Accepts the connection and never answers
+    const sockets = [];
+    const proxy = net.createServer(socket => sockets.push(socket));
+    await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+    try {
+        const endpoint = await resolveEndpoint({ rpcProxy: `http://127.0.0.1:${proxy.address().port}` }, 'https://node.invalid:8332/');
+        await assert.rejects(postJson(endpoint, {}, '{}', 200), error => error.code === 'ETIMEDOUT' && /CONNECT within 200 ms/.test(error.message));
+    } finally {
+        sockets.forEach(socket => socket.destroy());
+        await new Promise(resolve => proxy.close(resolve));
+    }
+});
@@ -0,0 +1,101 @@
+// test/schedule.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import path from 'path';
+import { planConfig, lastScheduledTime, nextScheduledTime, planDueState } from '../schedule.js';
+import { useTestEnvironment, tempDir } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const at = iso => Date.parse(iso);
+const scheduled = (plan, iso) => lastScheduledTime(plan, at(iso)).toISOString();
+
+const weekly = { cadence: 'weekly', day: 'monday' };
+const monthly = day => ({ cadence: 'monthly', day });
+
+test('weekly: the latest weekday at or before now, across the year boundary', () => {
+    assert.equal(scheduled(weekly, '2026-01-01T12:00:00Z'), '2025-12-29T00:00:00.000Z'); // Thursday
+    assert.equal(scheduled(weekly, '2025-12-29T00:00:00Z'), '2025-12-29T00:00:00.000Z'); // Monday midnight itself
+    assert.equal(scheduled(weekly, '2025-12-28T23:59:59Z'), '2025-12-22T00:00:00.000Z'); // Sunday
+    assert.equal(scheduled({ cadence: 'weekly', day: 'saturday' }, '2026-03-01T08:00:00Z'), '2026-02-28T00:00:00.000Z');
+    assert.equal(nextScheduledTime(weekly, new Date(at('2025-12-29T00:00:00Z'))).toISOString(), '2026-01-05T00:00:00.000Z');
+});
+
+test('monthly: the previous month before the day, December in January', () => {
+    assert.equal(scheduled(monthly(15), '2026-01-10T00:00:00Z'), '2025-12-15T00:00:00.000Z');
+    assert.equal(scheduled(monthly(15), '2026-01-15T00:00:00Z'), '2026-01-15T00:00:00.000Z');
+    assert.equal(scheduled(monthly(1), '2026-01-01T00:00:00Z'), '2026-01-01T00:00:00.000Z');
+    assert.equal(scheduled(monthly(1), '2025-12-31T23:59:59Z'), '2025-12-01T00:00:00.000Z');
+    assert.equal(scheduled(monthly(28), '2026-03-05T00:00:00Z'), '2026-02-28T00:00:00.000Z');
+    assert.equal(nextScheduledTime(monthly(15), new Date(at('2025-12-15T00:00:00Z'))).toISOString(), '2026-01-15T00:00:00.000Z');
+    assert.equal(nextScheduledTime(monthly(28), new Date(at('2026-01-28T00:00:00Z'))).toISOString(), '2026-02-28T00:00:00.000Z');
+});
+
+// A monthly plan (day 1) with this journal and pending PSBT registry, evaluated at now
+async function dueWith(runs, psbts, now) {
+    const dir = await tempDir();
+    await fs.writeFile(path.join(dir, 'journal.json'), JSON.stringify({ runs }));
+    await fs.writeFile(path.join(dir, 'pending.json'), JSON.stringify({ psbts }));
+    const config = planConfig({ outputPsbtFile: path.join(dir, 'out.psbt'), plans: [] }, { name: 'savings', ...monthly(1) });
+    return planDueState(config, at(now));
+}
+
+let nextInput = 0;
+// A journal run of the plan and its pending registry entry (status 'pending' unless given)
+function run(fields, pendingStatus = 'pending') {
+    const outpoint = `${String(++nextInput).padStart(64, '0')}:0`;
+    const psbtFile = `/tmp/run-${nextInput}.psbt`;
+    return {
+        run: { plan: 'savings', psbtFile, inputs: [{ outpoint }], status: 'created', ...fields },
+        entry: { psbtFile, inputs: [outpoint], status: pendingStatus },
+    };
+}
+
+async function dueWithRuns(made, now) {
+    return dueWith(made.map(m => m.run), made.map(m => m.entry), now);
+}
+
+test('a plan without runs is due, for the latest scheduled time', async () => {
+    const state = await dueWith([], [], '2026-01-10T08:00:00Z');
+    assert.equal(state.due, true);
+    assert.equal(state.lastRun, null);
+    assert.equal(state.scheduledFor.toISOString(), '2026-01-01T00:00:00.000Z');
+    assert.equal(state.nextAt.toISOString(), '2026-02-01T00:00:00.000Z');
+});
+
+test('a manual run counts for when it was created', async () => {
+    assert.equal((await dueWithRuns([run({ createdAt: '2026-01-20T09:00:00Z' })], '2026-02-10T00:00:00Z')).due, true);
+    assert.equal((await dueWithRuns([run({ createdAt: '2026-02-03T09:00:00Z' })], '2026-02-10T00:00:00Z')).due, false);
+});
+
+test('a run-due run counts for the time it was scheduled for, not when it was created', async () => {
+    // January's run, built late in February, does not cover February
+    const late = run({ createdAt: '2026-02-03T09:00:00Z', scheduledFor: '2026-01-01T00:00:00.000Z' });
+    assert.equal((await dueWithRuns([late], '2026-02-10T00:00:00Z')).due, true);
+    const onTime = run({ createdAt: '2026-02-01T06:00:00Z', scheduledFor: '2026-02-01T00:00:00.000Z' });
+    const state = await dueWithRuns([late, onTime], '2026-02-10T00:00:00Z');
+    assert.equal(state.due, false);
+    assert.equal(state.lastRun.scheduledFor, '2026-02-01T00:00:00.000Z');
+});
+
+test('runs that were released, went stale or conflicted do not count', async () => {
+    const now = '2026-02-10T00:00:00Z';
+    const createdAt = '2026-02-03T09:00:00Z';
+    assert.equal((await dueWithRuns([run({ createdAt }, 'released')], now)).due, true);
+    assert.equal((await dueWithRuns([run({ createdAt }, 'stale')], now)).due, true);
+    assert.equal((await dueWithRuns([run({ createdAt, status: 'conflicted', txid: 'aa' }, 'broadcast')], now)).due, true);
+    // A broadcast or confirmed run still counts, whatever became of its registry entry
+    assert.equal((await dueWithRuns([run({ createdAt, status: 'broadcast', txid: 'aa' }, 'broadcast')], now)).due, false);
+    assert.equal((await dueWithRuns([run({ createdAt, status: 'confirmed', txid: 'aa' }, 'broadcast')], now)).due, false);
+    // An earlier counting run is what is left
+    const earlier = run({ createdAt: '2026-01-05T09:00:00Z' });
+    const state = await dueWithRuns([earlier, run({ createdAt }, 'released')], now);
+    assert.equal(state.due, true);
+    assert.equal(state.lastRun.createdAt, '2026-01-05T09:00:00Z');
+});
+
+test('runs of other plans do not count', async () => {
+    const other = run({ createdAt: '2026-02-03T09:00:00Z', plan: 'other' });
+    assert.equal((await dueWithRuns([other], '2026-02-10T00:00:00Z')).due, true);
+});
@@ -0,0 +1,76 @@
+// test/sources.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseSources, sourceProblems, sourceWallets, describeSources } from '../sources.js';
+import { buildConsolidationPlans, createPsbtFromPlan, runPreflightChecks } from '../consolidation.js';
+import { addDescriptorChecksum } from '../descriptors.js';
+import { useTestEnvironment, startMockNode, mockConfig, logLines, TPUB } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const SAVINGS = addDescriptorChecksum(`wpkh(${TPUB}/2/*)`);
+// A second loaded wallet: one coin from the source descriptor, one at an address nobody listed
+const PARENT_UTXOS = [
+    { txid: 'f'.repeat(64), vout: 0, address: 'bcrt1qsavings', amount: 0.2, confirmations: 5, spendable: true, scriptPubKey: '0014' + '33'.repeat(20), parent_descs: [SAVINGS] },
+    { txid: 'f'.repeat(64), vout: 1, address: 'bcrt1qother', amount: 0.3, confirmations: 5, spendable: true, scriptPubKey: '0014' + '44'.repeat(20), parent_descs: [] },
+];
+const node = await startMockNode({ wallets: { parent: PARENT_UTXOS } });
+after(() => node.close());
+
+test('sources are normalized with the operating wallet first', () => {
+    const multipath = addDescriptorChecksum(`wpkh(${TPUB}/<0;1>/*)`);
+    const sources = parseSources({
+        operatingWalletName: 'w', sourceAddress: 'bcrt1qa', sourceAddresses: ['bcrt1qb', 'bcrt1qa'],
+        wallets: [{ walletName: 'parent', sourceDescriptors: [multipath] }],
+    });
+    assert.deepEqual(sources.map(source => [source.wallet, source.addresses]), [['w', ['bcrt1qa', 'bcrt1qb']], ['parent', []]]);
+    assert.deepEqual(sources[0].descriptors, []);
+    assert.deepEqual(sources[1].descriptors.map(desc => desc.split('#')[0]), [`wpkh(${TPUB}/0/*)`, `wpkh(${TPUB}/1/*)`]);
+});
+
+test('every problem with the source settings is reported', () => {
+    const problems = sourceProblems({
+        operatingWalletName: 'w', sourceAddresses: 'bcrt1qa', sourceDescriptors: [`wpkh(${TPUB}/2/*)`],
+        wallets: [{ walletName: 'w', sourceAddresses: ['bcrt1qb'] }, { walletName: 'parent' }, { sourceAddresses: [] }],
+    }, true, 'regtest');
+    assert.equal(problems.length, 6);
+    assert.equal(problems[0], 'sourceContext.sourceAddresses must be a list of addresses.');
+    assert.match(problems[1], /^sourceContext\.sourceDescriptors\[0\]/);
+    assert.equal(problems[2], "Wallet 'w' is listed more than once in sourceContext.");
+    assert.equal(problems[3], "sourceContext.wallets[1] ('parent') needs sourceAddresses or sourceDescriptors.");
+    assert.equal(problems[4], 'sourceContext.wallets[2].walletName must be a wallet name.');
+    assert.equal(problems[5], 'sourceContext.wallets cannot be used in offline mode: a snapshot holds a single wallet.');
+    assert.deepEqual(sourceProblems({ operatingWalletName: 'w' }, false), ['Missing sourceContext.sourceAddress (or sourceAddresses, sourceDescriptors or wallets).']);
+    assert.deepEqual(sourceProblems({ operatingWalletName: 'w', wallets: [{ walletName: 'parent', sourceDescriptors: [SAVINGS] }] }, false, 'regtest'), []);
+});
+
+test('several wallets fund one transaction, each adding its own data to the PSBT', async () => {
+    const config = await mockConfig(node, {
+        sourceContext: { operatingWalletName: 'w', sourceAddress: 'bcrt1qsource', wallets: [{ walletName: 'parent', sourceDescriptors: [SAVINGS] }] },
+    });
+    assert.deepEqual(sourceWallets(config), ['w', 'parent']);
+    assert.deepEqual(describeSources(config), ['w: bcrt1qsource', `parent: ${SAVINGS}`]);
+    await runPreflightChecks(config);
+    assert.ok(logLines.some(line => line.endsWith("Wallet 'parent' confirmed as a descriptor wallet.")));
+
+    const [plan] = await buildConsolidationPlans(config);
+    assert.deepEqual(plan.inputs.map(utxo => [`${utxo.txid}:${utxo.vout}`, utxo.wallet]), [
+        [`${'a'.repeat(64)}:0`, 'w'], [`${'b'.repeat(64)}:1`, 'w'], [`${'c'.repeat(64)}:2`, 'w'], [`${'f'.repeat(64)}:0`, 'parent'],
+    ]);
+    assert.deepEqual(plan.inputs.at(-1).matchedBy, [SAVINGS]);
+    // The parent wallet's coin at an address nobody listed stays where it is
+    assert.equal(plan.inputs.reduce((sum, utxo) => sum + utxo.amount, 0n), 81000000n);
+
+    const processed = node.calls.filter(method => method === 'walletprocesspsbt').length;
+    await createPsbtFromPlan(config, plan);
+    assert.equal(node.calls.filter(method => method === 'walletprocesspsbt').length, processed + 2);
+    assert.equal(node.calls.at(-1), 'combinepsbt');
+    assert.ok(logLines.some(line => line.endsWith('walletprocesspsbt successful, added wallet data and derivation paths from 2 wallets.')));
+});
+
+test('a source wallet that is not loaded is reported', async () => {
+    const config = await mockConfig(node, {
+        sourceContext: { operatingWalletName: 'w', sourceAddress: 'bcrt1qsource', wallets: [{ walletName: 'missing', sourceAddresses: ['bcrt1qx'] }] },
+    });
+    await assert.rejects(runPreflightChecks(config), /Wallet 'missing' not found or not loaded in Bitcoin Core/);
+});
@@ -0,0 +1,92 @@
+// test/standardness.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkStandardness, mockSignedTransaction, scriptTypeName, MAX_STANDARD_TX_WEIGHT } from '../standardness.js';
+import { buildConsolidationPlans } from '../consolidation.js';
+import { parseTransaction, transactionSizes } from '../transaction.js';
+import { useTestEnvironment, startMockNode, mockConfig, UTXOS } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const node = await startMockNode();
+// A wallet holding only 700 sats: at 1 sat/vB two outputs of ~270 sats are left, below the P2WPKH dust threshold
+const small = await startMockNode({ feeRates: [1], utxos: [{ ...UTXOS[0], amount: 0.000007 }] });
+after(() => Promise.all([node.close(), small.close()]));
+
+const levels = standardness => standardness.checks.map(check => check.level);
+
+test('output scripts are named by their template', () => {
+    assert.equal(scriptTypeName('0014' + '11'.repeat(20)), 'P2WPKH');
+    assert.equal(scriptTypeName('0020' + '11'.repeat(32)), 'P2WSH');
+    assert.equal(scriptTypeName('5120' + '11'.repeat(32)), 'P2TR');
+    assert.equal(scriptTypeName('76a914' + '11'.repeat(20) + '88ac'), 'P2PKH');
+    assert.equal(scriptTypeName('a914' + '11'.repeat(20) + '87'), 'P2SH');
+    assert.equal(scriptTypeName('6a0401020304'), 'non-template');
+});
+
+test('a plan passes when only the placeholder signatures are rejected', async () => {
+    const [plan] = await buildConsolidationPlans(await mockConfig(node));
+    assert.equal(plan.standardness.passed, true);
+    assert.deepEqual(levels(plan.standardness), ['ok', 'ok', 'ok', 'ok']);
+    assert.equal(plan.standardness.mempool.allowed, false);
+    assert.match(plan.standardness.mempool.rejectReason, /^mandatory-script-verify-flag-failed/);
+});
+
+test('the placeholder signatures have the estimated size', async () => {
+    const config = await mockConfig(node);
+    const [plan] = await buildConsolidationPlans(config);
+    const decoded = {
+        vin: plan.inputs.map(utxo => ({ txid: utxo.txid, vout: utxo.vout })),
+        vout: plan.outputs.map(output => ({ value: Number(output.amount) / 1e8, scriptPubKey: { hex: '0014' + '11'.repeat(20) } })),
+    };
+    const tx = parseTransaction(Buffer.from(mockSignedTransaction(decoded, plan.inputs), 'hex'));
+    // P2WPKH: a 72-byte signature and a 33-byte key in the witness, nothing in the scriptSig
+    assert.deepEqual(tx.inputs.map(input => [input.scriptSig.length, input.witness.map(item => item.length)]), plan.inputs.map(() => [0, [72, 33]]));
+    // Signed, it weighs what the unsigned transaction does plus the estimate (witness marker and flag included)
+    const unsigned = { ...tx, inputs: tx.inputs.map(input => ({ ...input, witness: [] })) };
+    assert.equal(transactionSizes(tx).weight, transactionSizes(unsigned).weight + plan.fee.inputWeights.totalAddedWU);
+    assert.equal(mockSignedTransaction(decoded, [{ ...plan.inputs[0], scriptPubKey: '6a' }, ...plan.inputs.slice(1)]), null);
+});
+
+test('dust outputs and a fee out of proportion are reported together, without asking the node', async () => {
+    const asked = small.calls.filter(method => method === 'testmempoolaccept').length;
+    await assert.rejects(buildConsolidationPlans(await mockConfig(small)), error => {
+        const lines = error.message.split('\n');
+        assert.equal(lines[0], 'The transaction would not be relayed:');
+        assert.equal(lines.length, 4);
+        assert.match(lines[1], /Output 1 \(wpkh\(.*\) would receive \d+ sats, below the 294-sat dust threshold of its P2WPKH script/);
+        assert.match(lines[2], /Output 2 \(tr\(.*\) would receive \d+ sats, below the 294-sat dust threshold/);
+        assert.match(lines[3], /The fee of \d+ sats is \d+\.\d\d% of the 700 sats spent, above feeOptions\.maxFeePercent \(10%\)/);
+        return true;
+    });
+    assert.equal(small.calls.filter(method => method === 'testmempoolaccept').length, asked);
+});
+
+test('the fee share limit is configurable', async () => {
+    await assert.rejects(buildConsolidationPlans(await mockConfig(node, { feeOptions: { maxFeePercent: 0.001 } })),
+        /% of the 61000000 sats spent, above feeOptions\.maxFeePercent \(0\.001%\)/);
+});
+
+test('a transaction above the standard weight is reported', async () => {
+    const config = await mockConfig(node);
+    const [plan] = await buildConsolidationPlans(config);
+    const heavy = { ...plan, fee: { ...plan.fee, inputWeights: { ...plan.fee.inputWeights, totalAddedWU: MAX_STANDARD_TX_WEIGHT } } };
+    await assert.rejects(checkStandardness(config, heavy), /The signed transaction would weigh ~\d+ WU, above the standard limit of 400000 WU \(100000 vB\)/);
+});
+
+test("the node's own rejection is explained", async () => {
+    const rejecting = await startMockNode({ accept: { allowed: false, 'reject-reason': 'min relay fee not met, 100 < 154' } });
+    try {
+        await assert.rejects(buildConsolidationPlans(await mockConfig(rejecting)),
+            /The node would reject the transaction with 'min relay fee not met, 100 < 154': the feerate is below what the node accepts/);
+    } finally {
+        await rejecting.close();
+    }
+    const accepting = await startMockNode({ accept: { allowed: true, vsize: 226 } });
+    try {
+        const [plan] = await buildConsolidationPlans(await mockConfig(accepting));
+        assert.deepEqual(plan.standardness.mempool, { allowed: true, rejectReason: null });
+    } finally {
+        await accepting.close();
+    }
+});
@@ -0,0 +1,57 @@
+// test/transaction.test.js
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTransaction, serializeTransaction, computeTxid, transactionSizes, addressToScriptPubKey, scriptPubKeyToAddress } from '../transaction.js';
+import { decodePsbt, getEntries, PSBT_IN } from '../psbt.js';
+
+// The previous transaction in the first BIP-174 vector: two P2SH-P2WPKH inputs, so it carries witness data
+const PSBT = 'cHNidP8BAHUCAAAAASaBcTce3/KF6Tet7qSze3gADAVmy7OtZGQXE8pCFxv2AAAAAAD+////AtPf9QUAAAAAGXapFNDFmQPFusKGh2DpD9UhpGZap2UgiKwA4fUFAAAAABepFDVF5uM7gyxHBQ8k0+65PJwDlIvHh7MuEwAAAQD9pQEBAAAAAAECiaPHHqtNIOA3G7ukzGmPopXJRjr6Ljl/hTPMti+VZ+UBAAAAFxYAFL4Y0VKpsBIDna89p95PUzSe7LmF/////4b4qkOnHf8USIk6UwpyN+9rRgi7st0tAXHmOuxqSJC0AQAAABcWABT+Pp7xp0XpdNkCxDVZQ6vLNL1TU/////8CAMLrCwAAAAAZdqkUhc/xCX/Z4Ai7NK9wnGIZeziXikiIrHL++E4sAAAAF6kUM5cluiHv1irHU6m80GfWx6ajnQWHAkcwRAIgJxK+IuAnDzlPVoMR3HyppolwuAJf3TskAinwf4pfOiQCIAGLONfc0xTnNMkna9b7QPZzMlvEuqFEyADS8vAtsnZcASED0uFWdJQbrUqZY3LLh+GFbTZSYG2YVi/jnF6efkE/IQUCSDBFAiEA0SuFLYXc2WHS9fSrZgZU327tzHlMDDPOXMMJ/7X85Y0CIGczio4OFyXBl/saiK9Z9R5E5CVbIBZ8hoQDHAXR8lkqASECI7cr7vCWXRC+B3jv7NYfysb3mk6haTkzgHNEZPhPKrMAAAAAAAAA';
+const decoded = decodePsbt(PSBT);
+const WITNESS_TX = getEntries(decoded.inputs[0], PSBT_IN.NON_WITNESS_UTXO)[0].value;
+
+test('a witness transaction decodes and encodes back byte for byte', () => {
+    const tx = parseTransaction(WITNESS_TX);
+    assert.equal(tx.version, 1);
+    assert.equal(tx.inputs.length, 2);
+    assert.deepEqual(tx.inputs.map(input => input.witness.length), [2, 2]);
+    assert.deepEqual(tx.outputs.map(output => output.value), [200000000n, 190303501938n]);
+    assert.deepEqual(serializeTransaction(tx), WITNESS_TX);
+    // The txid commits to the transaction without its witness data
+    assert.equal(computeTxid(tx), decoded.tx.inputs[0].txid);
+    assert.deepEqual(parseTransaction(serializeTransaction(tx, false)).inputs.map(input => input.witness), [[], []]);
+});
+
+test('sizes follow BIP-141', () => {
+    const sizes = transactionSizes(parseTransaction(WITNESS_TX));
+    assert.equal(sizes.size, WITNESS_TX.length);
+    assert.equal(sizes.weight, sizes.strippedSize * 3 + sizes.size);
+    assert.equal(sizes.vsize, Math.ceil(sizes.weight / 4));
+    // Without witness data weight is four times the size
+    const unsigned = transactionSizes(decoded.tx);
+    assert.equal(unsigned.weight, unsigned.size * 4);
+});
+
+test('trailing data and an invalid segwit flag are rejected', () => {
+    assert.throws(() => parseTransaction(Buffer.concat([WITNESS_TX, Buffer.from([0])])), /Trailing data after transaction \(1 bytes\)/);
+    const badFlag = Buffer.from(WITNESS_TX);
+    badFlag[5] = 0x02;
+    assert.throws(() => parseTransaction(badFlag), /Invalid segwit flag/);
+});
+
+// BIP-173 and BIP-350 addresses, and base58 addresses for the same hash
+test('addresses convert to their scriptPubKey and back', () => {
+    const cases = [
+        ['mainnet', 'bc1qw508d6qejxtdg4y5r3zarvary0c5xw7kv8f3t4', '0014751e76e8199196d454941c45d1b3a323f1433bd6'],
+        ['testnet', 'tb1qrp33g0q5c5txsp9arysrx4k6zdkfs4nce4xj0gdcccefvpysxf3q0sl5k7', '00201863143c14c5166804bd19203356da136c985678cd4d27a1b8c6329604903262'],
+        ['mainnet', 'bc1p0xlxvlhemja6c4dqv22uapctqupfhlxm9h8z3k2e72q4k9hcz7vqzk5jj0', '512079be667ef9dcbbac55a06295ce870b07029bfcdb2dce28d959f2815b16f81798'],
+        ['mainnet', '1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH', '76a914751e76e8199196d454941c45d1b3a323f1433bd688ac'],
+    ];
+    for (const [network, address, script] of cases) {
+        assert.equal(addressToScriptPubKey(address, network).toString('hex'), script);
+        assert.equal(scriptPubKeyToAddress(Buffer.from(script, 'hex'), network), address);
+    }
+    // Upper case is valid bech32
+    assert.equal(addressToScriptPubKey('BC1QW508D6QEJXTDG4Y5R3ZARVARY0C5XW7KV8F3T4', 'mainnet').toString('hex'), cases[0][2]);
+    assert.throws(() => addressToScriptPubKey('1BgGZ9tcN4rm9KBzDn7KprQz87SZ26SAMH', 'regtest'), /not valid on regtest/);
+    assert.equal(scriptPubKeyToAddress(Buffer.from('6a', 'hex'), 'mainnet'), null); // OP_RETURN has no address
+});
@@ -0,0 +1,75 @@
+// test/watch.test.js
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { watchForCheapFees } from '../watch.js';
+import { useTestEnvironment, startMockNode, mockConfig } from './helpers/mockNode.js';
+
+useTestEnvironment();
+
+const START = Date.parse('2026-01-01T00:00:00Z');
+
+// A clock that advances by the interval on every sleep, and the sleeps it was asked for
+function fakeClock() {
+    let time = START;
+    const sleeps = [];
+    return {
+        sleeps,
+        now: () => time,
+        sleep: async ms => { sleeps.push(ms); time += ms; },
+    };
+}
+
+let node;
+after(() => node?.close());
+
+async function watchWith(nodeOptions, watch, maxPolls = 10) {
+    await node?.close();
+    node = await startMockNode(nodeOptions);
+    const config = await mockConfig(node, { watch: { intervalSeconds: 60, ...watch } });
+    const clock = fakeClock();
+    const result = await watchForCheapFees(config, { now: clock.now, sleep: clock.sleep, maxPolls });
+    return { result, clock };
+}
+
+test('builds once the feerate falls to the threshold', async () => {
+    const { result, clock } = await watchWith({ feeRates: [30, 12, 8] }, { thresholdSatPerVb: 10 });
+    assert.equal(result.reason, 'threshold');
+    assert.equal(result.polls, 3);
+    assert.equal(result.feeRate.satPerVb.toNumber(), 8);
+    assert.deepEqual(clock.sleeps, [60000, 60000]);
+    assert.equal(result.plans.length, 1);
+});
+
+test('keeps waiting above the threshold and gives up after maxPolls', async () => {
+    const { result, clock } = await watchWith({ feeRates: [30] }, { thresholdSatPerVb: 10 }, 4);
+    assert.equal(result, null);
+    assert.equal(clock.sleeps.length, 3);
+});
+
+test('builds once the savings reach the ratio', async () => {
+    // At 60 sat/vB consolidating costs about as much as spending the inputs later at 100; at 5 it saves far more
+    const { result } = await watchWith({ feeRates: [60, 5] }, { savingsRatio: 3, futureFeeRateSatPerVb: 100 });
+    assert.equal(result.reason, 'savings');
+    assert.equal(result.polls, 2);
+    assert.equal(result.feeRate.satPerVb.toNumber(), 5);
+    // The savings are estimated without building: the plan (addresses, size, mempool test) is only built once
+    assert.equal(node.calls.filter(method => method === 'testmempoolaccept').length, 1);
+    assert.equal(result.plans.length, 1);
+});
+
+test('builds at the deadline whatever the feerate', async () => {
+    const deadline = new Date(START + 150 * 1000).toISOString();
+    const { result } = await watchWith({ feeRates: [50] }, { thresholdSatPerVb: 1, deadline });
+    // Polls at 0s, 60s and 120s are before the deadline, the one at 180s is after it
+    assert.equal(result.reason, 'deadline');
+    assert.equal(result.polls, 4);
+    assert.equal(result.feeRate.satPerVb.toNumber(), 50);
+});
+
+test('skips polls the node cannot answer', async () => {
+    const { result, clock } = await watchWith({ feeRates: [5], failTips: 2 }, { thresholdSatPerVb: 10 });
+    assert.equal(result.reason, 'threshold');
+    assert.equal(result.polls, 3);
+    assert.equal(clock.sleeps.length, 2);
+    assert.equal(node.calls.filter(method => method === 'getblockchaininfo').length, 3);
+});
@@ -0,0 +1,173 @@
+// transaction.js
+// Native transaction serialization for offline mode: addresses <-> scriptPubKeys,
+// (de)serialization with or without witness data, txid and weight/vsize.
+import {
+    hash256,
+    encodeCompactSize,
+    BufferReader,
+    base58CheckEncode,
+    base58CheckDecode,
+    encodeSegwitAddress,
+    decodeSegwitAddress
+} from './bitcoinEncoding.js';
+
+const NETWORKS = {
+    mainnet: { hrp: 'bc', p2pkhVersion: 0x00, p2shVersion: 0x05 },
+    testnet: { hrp: 'tb', p2pkhVersion: 0x6f, p2shVersion: 0xc4 },
+    regtest: { hrp: 'bcrt', p2pkhVersion: 0x6f, p2shVersion: 0xc4 },
+};
+
+const SEQUENCE_RBF = 0xfffffffd; // What createrawtransaction uses with replaceable=true
+
+function networkParams(network) {
+    const params = NETWORKS[network];
+    if (!params) throw new Error(`Unknown network '${network}'.`);
+    return params;
+}
+
+// --- Addresses ---
+function addressToScriptPubKey(address, network) {
+    const params = networkParams(network);
+    if (address.toLowerCase().startsWith(`${params.hrp}1`)) {
+        const { hrp, witnessVersion, program } = decodeSegwitAddress(address);
+        if (hrp !== params.hrp) throw new Error(`Address '${address}' is not valid on ${network}.`);
+        const versionOpcode = witnessVersion === 0 ? 0x00 : 0x50 + witnessVersion;
+        return Buffer.concat([Buffer.from([versionOpcode, program.length]), program]);
+    }
+    const payload = base58CheckDecode(address);
+    if (payload.length !== 21) throw new Error(`Invalid base58 address '${address}'.`);
+    const hash = payload.subarray(1);
+    if (payload[0] === params.p2pkhVersion) {
+        return Buffer.concat([Buffer.from([0x76, 0xa9, 0x14]), hash, Buffer.from([0x88, 0xac])]);
+    }
+    if (payload[0] === params.p2shVersion) {
+        return Buffer.concat([Buffer.from([0xa9, 0x14]), hash, Buffer.from([0x87])]);
+    }
+    throw new Error(`Address '${address}' is not valid on ${network}.`);
+}
+
+function scriptPubKeyToAddress(script, network) {
+    const params = networkParams(network);
+    const hex = script.toString('hex');
+    if (/^76a914[0-9a-f]{40}88ac$/.test(hex)) {
+        return base58CheckEncode(Buffer.concat([Buffer.from([params.p2pkhVersion]), script.subarray(3, 23)]));
+    }
+    if (/^a914[0-9a-f]{40}87$/.test(hex)) {
+        return base58CheckEncode(Buffer.concat([Buffer.from([params.p2shVersion]), script.subarray(2, 22)]));
+    }
+    const isWitness = script.length >= 4 && script.length <= 42 &&
+        (script[0] === 0x00 || (script[0] >= 0x51 && script[0] <= 0x60)) &&
+        script[1] === script.length - 2;
+    if (isWitness) {
+        const witnessVersion = script[0] === 0x00 ? 0 : script[0] - 0x50;
+        return encodeSegwitAddress(params.hrp, witnessVersion, script.subarray(2));
+    }
+    return null; // Non-standard script without an address form
+}
+
+// --- Serialization ---
+// tx: { version, inputs: [{ txid, vout, scriptSig: Buffer, sequence, witness: Buffer[] }], outputs: [{ value: BigInt, scriptPubKey: Buffer }], locktime }
+function serializeTransaction(tx, includeWitness = true) {
+    const hasWitness = includeWitness && tx.inputs.some(input => input.witness?.length > 0);
+    const parts = [];
+    const version = Buffer.alloc(4);
+    version.writeInt32LE(tx.version);
+    parts.push(version);
+    if (hasWitness) parts.push(Buffer.from([0x00, 0x01]));
+
+    parts.push(encodeCompactSize(tx.inputs.length));
+    for (const input of tx.inputs) {
+        const outpoint = Buffer.alloc(36);
+        Buffer.from(input.txid, 'hex').reverse().copy(outpoint, 0);
+        outpoint.writeUInt32LE(input.vout, 32);
+        const sequence = Buffer.alloc(4);
+        sequence.writeUInt32LE(input.sequence >>> 0);
+        const scriptSig = input.scriptSig ?? Buffer.alloc(0);
+        parts.push(outpoint, encodeCompactSize(scriptSig.length), scriptSig, sequence);
+    }
+
+    parts.push(encodeCompactSize(tx.outputs.length));
+    for (const output of tx.outputs) {
+        const value = Buffer.alloc(8);
+        value.writeBigUInt64LE(output.value);
+        parts.push(value, encodeCompactSize(output.scriptPubKey.length), output.scriptPubKey);
+    }
+
+    if (hasWitness) {
+        for (const input of tx.inputs) {
+            const stack = input.witness ?? [];
+            parts.push(encodeCompactSize(stack.length));
+            stack.forEach(item => parts.push(encodeCompactSize(item.length), item));
+        }
+    }
+
+    const locktime = Buffer.alloc(4);
+    locktime.writeUInt32LE(tx.locktime >>> 0);
+    parts.push(locktime);
+    return Buffer.concat(parts);
+}
+
+function parseTransaction(buffer) {
+    const reader = new BufferReader(buffer);
+    const version = reader.readBytes(4).readInt32LE(0);
+    let hasWitness = false;
+    let inputCount = reader.readCompactSize();
+    if (inputCount === 0) {
+        const flag = reader.readUInt8();
+        if (flag !== 0x01) throw new Error("Invalid segwit flag in transaction.");
+        hasWitness = true;
+        inputCount = reader.readCompactSize();
+    }
+
+    const inputs = [];
+    for (let i = 0; i < inputCount; i++) {
+        const txid = reader.readBytes(32).reverse().toString('hex');
+        const vout = reader.readUInt32LE();
+        const scriptSig = reader.readVarBytes();
+        const sequence = reader.readUInt32LE();
+        inputs.push({ txid, vout, scriptSig, sequence, witness: [] });
+    }
+
+    const outputCount = reader.readCompactSize();
+    const outputs = [];
+    for (let i = 0; i < outputCount; i++) {
+        const value = reader.readBigUInt64LE();
+        const scriptPubKey = reader.readVarBytes();
+        outputs.push({ value, scriptPubKey });
+    }
+
+    if (hasWitness) {
+        for (const input of inputs) {
+            const itemCount = reader.readCompactSize();
+            for (let j = 0; j < itemCount; j++) {
+                input.witness.push(reader.readVarBytes());
+            }
+        }
+    }
+    const locktime = reader.readUInt32LE();
+    if (reader.remaining !== 0) throw new Error(`Trailing data after transaction (${reader.remaining} bytes).`);
+    return { version, inputs, outputs, locktime };
+}
+
+function computeTxid(tx) {
+    return hash256(serializeTransaction(tx, false)).reverse().toString('hex');
+}
+
+// Weight = 3 * stripped size + total size (BIP-141), vsize = ceil(weight / 4)
+function transactionSizes(tx) {
+    const strippedSize = serializeTransaction(tx, false).length;
+    const totalSize = serializeTransaction(tx, true).length;
+    const weight = strippedSize * 3 + totalSize;
+    return { size: totalSize, strippedSize, weight, vsize: Math.ceil(weight / 4) };
+}
+
+export {
+    NETWORKS,
+    SEQUENCE_RBF,
+    addressToScriptPubKey,
+    scriptPubKeyToAddress,
+    serializeTransaction,
+    parseTransaction,
+    computeTxid,
+    transactionSizes
+};
@@ -5,6 +5,7 @@ import Decimal from 'decimal.js';
 Decimal.set({ precision: 30 }); // Example precision
 
 const SATS_PER_BTC = 100_000_000n; // Use BigInt
+const MIN_FEE_RATE_SAT_PER_VB = 1;
 
 // Converts BTC (string or number) to Satoshis (BigInt)
 function btcToSats(btcAmount) {
@@ -34,20 +35,26 @@ function satsToBtcString(satsAmount) {
 // Converts feerate from BTC/kvB (float) to Satoshis/vByte (Decimal)
 // Applies the minimum 1.0 sat/vB floor.
 function convertFeeRateToSatPerVb(feeRateBtcPerKvB) {
+  return convertFeeRateWithSource(feeRateBtcPerKvB).satPerVb;
+}
+
+// Same conversion, also reporting what produced the result:
+// { satPerVb: Decimal, source: 'rate' (the given rate) | 'minimum' (the 1 sat/vB floor) }
+function convertFeeRateWithSource(feeRateBtcPerKvB) {
   if (feeRateBtcPerKvB === null || feeRateBtcPerKvB === undefined || feeRateBtcPerKvB <= 0) {
     // Bitcoin Core might return 0 or negative if unable to estimate; use floor.
     // Also handles cases where the input might be invalid.
-    return new Decimal(1.0);
+    return { satPerVb: new Decimal(MIN_FEE_RATE_SAT_PER_VB), source: 'minimum' };
   }
   const rate = new Decimal(feeRateBtcPerKvB.toString());
   // rate (BTC/kvB) * 100_000_000 (sat/BTC) / 1000 (vB/kvB)
   const rateSatPerVb = rate.mul(SATS_PER_BTC.toString()).div(1000);
 
   // Apply floor of 1.0 sat/vB
-  if (rateSatPerVb.lessThan(1.0)) {
-    return new Decimal(1.0);
+  if (rateSatPerVb.lessThan(MIN_FEE_RATE_SAT_PER_VB)) {
+    return { satPerVb: new Decimal(MIN_FEE_RATE_SAT_PER_VB), source: 'minimum' };
   }
-  return rateSatPerVb; // Return as Decimal for precision
+  return { satPerVb: rateSatPerVb, source: 'rate' }; // Decimal for precision
 }
 
 // Calculates Ceil(value) and returns as BigInt
@@ -60,4 +67,4 @@ function ceilToBigInt(value) {
 }
 
 
-export { btcToSats, satsToBtcString, convertFeeRateToSatPerVb, ceilToBigInt, SATS_PER_BTC };
+export { btcToSats, satsToBtcString, convertFeeRateToSatPerVb, convertFeeRateWithSource, ceilToBigInt, SATS_PER_BTC, MIN_FEE_RATE_SAT_PER_VB };
@@ -0,0 +1,98 @@
+// verification.js
+// Checks a signed PSBT against the fee target it was built for: the fee was solved for an
+// estimated signed size (feeCalculator.js), this measures the real one.
+import fs from 'fs/promises';
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import { finalizePsbt, getMempoolFeeFloor } from './bitcoinCoreUtils.js';
+import { measureFinalTransaction } from './broadcast.js';
+
+const DEFAULT_TOLERANCE_PERCENT = 10;
+
+// Plan record written next to the PSBT by 'create': "x.psbt" -> "x.plan.json"
+function planFilePath(psbtFilePath) {
+    return `${psbtFilePath.endsWith('.psbt') ? psbtFilePath.slice(0, -5) : psbtFilePath}.plan.json`;
+}
+
+// Reads the plan record for psbtFilePath; null if there is none
+async function loadPlanRecord(psbtFilePath) {
+    const file = planFilePath(psbtFilePath);
+    try {
+        return { file, plan: JSON.parse(await fs.readFile(file, 'utf-8')) };
+    } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw new Error(`Could not read plan record '${file}': ${error.message}`);
+    }
+}
+
+// True when the plan record describes the same inputs as the measured transaction
+function planMatches(plan, measured) {
+    const planned = new Set(plan.inputs.map(input => input.outpoint));
+    return planned.size === measured.inputs.length && measured.inputs.every(input => planned.has(`${input.txid}:${input.vout}`));
+}
+
+// Finalizes (without signing) and measures the PSBT, then checks the effective feerate against
+// target.satPerVb (± tolerancePercent) and the node's mempool floor.
+// target: { satPerVb: Decimal, source, estimatedVBytes?, plan? } (plan: the plan record the target came from)
+// Returns { measured, target, floor, tolerancePercent, checks: [{ level: 'ok' | 'warn' | 'fail', message }], passed }
+async function verifySignedPsbt(config, psbtBase64, target, tolerancePercent = DEFAULT_TOLERANCE_PERCENT) {
+    const finalized = await finalizePsbt(config, psbtBase64);
+    if (!finalized.complete || !finalized.hex) {
+        throw new Error("The PSBT is not fully signed, so its final size is not known yet. Sign it first (node cli.js sign).");
+    }
+    const measured = await measureFinalTransaction(config, psbtBase64, finalized.hex);
+    const floor = await getMempoolFeeFloor(config);
+    const checks = [];
+    if (target.plan && !planMatches(target.plan, measured)) {
+        checks.push({ level: 'warn', message: `The plan record spends different inputs than this PSBT; its target may not apply.` });
+    }
+    const rate = measured.feeRate;
+    const fmt = value => value.toFixed(2);
+
+    // Relay floor first: below it the transaction cannot propagate at all
+    const floorRate = Decimal.max(floor.mempoolMinFee, floor.minRelayTxFee);
+    if (rate.lessThan(floorRate)) {
+        checks.push({ level: 'fail', message: `Effective feerate ${fmt(rate)} sat/vB is below the node's minimum (mempoolminfee ${fmt(floor.mempoolMinFee)}, minrelaytxfee ${fmt(floor.minRelayTxFee)} sat/vB).` });
+    } else {
+        checks.push({ level: 'ok', message: `Effective feerate is above the node's minimum of ${fmt(floorRate)} sat/vB.` });
+    }
+
+    const deviation = rate.minus(target.satPerVb).div(target.satPerVb).mul(100); // Percent, negative = underpaid
+    const deviationText = `${deviation.isNegative() ? '' : '+'}${deviation.toFixed(1)}%`;
+    if (deviation.isNegative() && deviation.abs().greaterThan(tolerancePercent)) {
+        checks.push({ level: 'fail', message: `Underpaid: ${fmt(rate)} sat/vB is ${deviationText} against the ${fmt(target.satPerVb)} sat/vB target (tolerance ${tolerancePercent}%).` });
+    } else if (deviation.isNegative()) {
+        checks.push({ level: 'warn', message: `Slightly underpaid: ${fmt(rate)} sat/vB is ${deviationText} against the ${fmt(target.satPerVb)} sat/vB target (within the ${tolerancePercent}% tolerance).` });
+    } else if (deviation.greaterThan(tolerancePercent)) {
+        checks.push({ level: 'fail', message: `Overpaid: ${fmt(rate)} sat/vB is ${deviationText} against the ${fmt(target.satPerVb)} sat/vB target (tolerance ${tolerancePercent}%).` });
+    } else {
+        checks.push({ level: 'ok', message: `Effective feerate ${fmt(rate)} sat/vB is ${deviationText} against the ${fmt(target.satPerVb)} sat/vB target.` });
+    }
+
+    if (target.estimatedVBytes !== undefined && measured.vsize > target.estimatedVBytes) {
+        checks.push({ level: 'warn', message: `Signed size ${measured.vsize} vB exceeds the ${target.estimatedVBytes} vB estimate the fee was solved for.` });
+    }
+
+    const passed = !checks.some(check => check.level === 'fail');
+    logger.debug("Verification checks:", checks);
+    return { measured, target, floor, tolerancePercent, checks, passed };
+}
+
+function printVerification(result) {
+    const { measured, target, floor } = result;
+    console.log(`\n--- Fee Verification ---`);
+    console.log(`Txid:              ${measured.txid}`);
+    console.log(`Signed VSize:      ${measured.vsize} vBytes (weight ${measured.weight} WU)${target.estimatedVBytes !== undefined ? `, estimated ${target.estimatedVBytes} vBytes` : ''}`);
+    console.log(`Fee:               ${measured.feeSats} sats`);
+    console.log(`Effective Feerate: ${measured.feeRate.toFixed(2)} sat/vB`);
+    console.log(`Target Feerate:    ${target.satPerVb.toFixed(2)} sat/vB (${target.source})`);
+    console.log(`Node Minimum:      mempoolminfee ${floor.mempoolMinFee.toFixed(2)}, minrelaytxfee ${floor.minRelayTxFee.toFixed(2)} sat/vB`);
+    console.log(`------------------------------------`);
+    for (const check of result.checks) {
+        console.log(`[${check.level.toUpperCase()}] ${check.message}`);
+    }
+    console.log(`------------------------------------`);
+    console.log(result.passed ? "Verification passed." : "Verification FAILED.");
+}
+
+export { verifySignedPsbt, printVerification, planFilePath, loadPlanRecord, planMatches, DEFAULT_TOLERANCE_PERCENT };
@@ -0,0 +1,112 @@
+// watch.js
+// Waits for cheap fees: polls the node on an interval and builds the consolidation plan only once the
+// feerate is low enough, the savings are large enough, or the deadline has passed.
+import Decimal from 'decimal.js';
+import logger from './logger.js';
+import { resolveFeeRate, getChainTip } from './bitcoinCoreUtils.js';
+import { gatherInputs, buildConsolidationPlans } from './consolidation.js';
+import { futureFeeRate } from './economics.js';
+import { partitionInputs, estimateBatchVBytes } from './batching.js';
+import { inputSpendVBytes, estimateInputWeights } from './inputWeights.js';
+
+const DEFAULT_INTERVAL_SECONDS = 600;
+
+// Watch settings from config.watch: { intervalSeconds, thresholdSatPerVb, savingsRatio, futureFeeRateSatPerVb, deadline }
+function watchSettings(config) {
+    const watch = config.watch ?? {};
+    const settings = {
+        intervalMs: (watch.intervalSeconds ?? DEFAULT_INTERVAL_SECONDS) * 1000,
+        threshold: watch.thresholdSatPerVb !== undefined ? new Decimal(watch.thresholdSatPerVb.toString()) : null,
+        savingsRatio: watch.savingsRatio ?? null,
+        // The future feerate defaults to the one of the economics report
+        futureRate: watch.futureFeeRateSatPerVb !== undefined ? new Decimal(watch.futureFeeRateSatPerVb.toString()) : futureFeeRate(config),
+        deadline: watch.deadline !== undefined ? new Date(watch.deadline) : null,
+    };
+    if (!settings.threshold && settings.savingsRatio === null && !settings.deadline) {
+        throw new Error("Nothing to wait for: set watch.thresholdSatPerVb, watch.savingsRatio or watch.deadline (or --threshold / --deadline).");
+    }
+    return settings;
+}
+
+// Savings of consolidating inputs now at satPerVb against spending every input later at futureRate, estimated
+// from the inputs and the conservative batch sizes alone: no addresses are derived and no transaction is built.
+// Returns { feeNowSats, costLaterSats, savingsSats } (Decimals)
+function estimateSavings(config, inputs, satPerVb, futureRate) {
+    const outputCount = config.targetAllocations.length + (config.change ? 1 : 0);
+    const feeNowSats = partitionInputs(config, inputs, outputCount)
+        .reduce((sum, batch) => sum.add(new Decimal(estimateBatchVBytes(config, batch, outputCount)).mul(satPerVb).ceil()), new Decimal(0));
+    const inputVBytes = estimateInputWeights(inputs, config.feeOptions?.estimatedWitnessVBytesPerInput).inputs
+        .reduce((sum, input) => sum + inputSpendVBytes(input), 0);
+    const costLaterSats = new Decimal(inputVBytes).mul(futureRate).ceil();
+    return { feeNowSats, costLaterSats, savingsSats: costLaterSats.minus(feeNowSats) };
+}
+
+// Polls until a build condition is met. Each poll reads the chain tip and the fee policy's rate
+// (estimatesmartfee and mempool info) and logs its decision.
+// options: { now, sleep, maxPolls } (injectable clock and sleep; maxPolls bounds the loop)
+// Returns { reason: 'threshold' | 'savings' | 'deadline', plans (one per batch), feeRate, polls }, or null after maxPolls
+async function watchForCheapFees(config, options = {}) {
+    const now = options.now ?? (() => Date.now());
+    const sleep = options.sleep ?? (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const maxPolls = options.maxPolls ?? Infinity;
+    const settings = watchSettings(config);
+    const maxFeeRate = config.feeOptions?.maxFeeRateSatPerVb;
+
+    logger.info(`Watching fees every ${settings.intervalMs / 1000}s` +
+        `${settings.threshold ? `, build at or below ${settings.threshold.toFixed()} sat/vB` : ''}` +
+        `${settings.savingsRatio !== null ? `, build when savings reach ${settings.savingsRatio}x the cost (future feerate ${settings.futureRate.toFixed()} sat/vB)` : ''}` +
+        `${settings.deadline ? `, build anyway after ${settings.deadline.toISOString()}` : ''}.`);
+
+    let lastTip = null;
+    for (let poll = 1; poll <= maxPolls; poll++) {
+        if (poll > 1) await sleep(settings.intervalMs);
+
+        let tip;
+        let feeRate;
+        try {
+            tip = await getChainTip(config);
+            feeRate = await resolveFeeRate(config);
+        } catch (error) {
+            // A node that is briefly unreachable should not end a watch that may run for days
+            logger.warn(`Poll ${poll}: could not read the fee situation (${error.message}); trying again in ${settings.intervalMs / 1000}s.`);
+            continue;
+        }
+        if (lastTip && tip.bestBlockHash !== lastTip.bestBlockHash) {
+            logger.info(`Poll ${poll}: new block ${tip.blocks} (${tip.bestBlockHash}).`);
+        }
+        lastTip = tip;
+        const rate = feeRate.satPerVb;
+        const prefix = `Poll ${poll} (block ${tip.blocks}, ${rate.toFixed(2)} sat/vB, ${feeRate.appliedBy})`;
+
+        if (settings.deadline && now() >= settings.deadline.getTime()) {
+            logger.info(`${prefix}: deadline ${settings.deadline.toISOString()} reached, building now.`);
+            return { reason: 'deadline', plans: await buildConsolidationPlans(config, feeRate), feeRate, polls: poll };
+        }
+        if (settings.threshold && rate.lessThanOrEqualTo(settings.threshold)) {
+            logger.info(`${prefix}: at or below the ${settings.threshold.toFixed()} sat/vB threshold, building now.`);
+            return { reason: 'threshold', plans: await buildConsolidationPlans(config, feeRate), feeRate, polls: poll };
+        }
+        if (settings.savingsRatio !== null) {
+            if (maxFeeRate !== undefined && rate.greaterThan(maxFeeRate)) {
+                logger.info(`${prefix}: waiting, above feeOptions.maxFeeRateSatPerVb (${maxFeeRate} sat/vB).`);
+                continue;
+            }
+            // Compared over all batches: what the whole consolidation costs now vs spending every input later.
+            // The plans are only built once the savings are large enough.
+            const { inputs } = await gatherInputs(config, feeRate);
+            const { feeNowSats: currentCost, costLaterSats: laterCost, savingsSats: savings } = estimateSavings(config, inputs, rate, settings.futureRate);
+            const ratio = currentCost.isZero() ? null : savings.div(currentCost);
+            const summary = `costs ~${currentCost.toFixed()} sats now vs ${laterCost.toFixed()} sats at ${settings.futureRate.toFixed()} sat/vB later (savings ${savings.toFixed()} sats${ratio ? `, ${ratio.toFixed(2)}x the cost` : ''})`;
+            if (ratio && ratio.greaterThanOrEqualTo(settings.savingsRatio)) {
+                logger.info(`${prefix}: ${summary}, at least ${settings.savingsRatio}x, building now.`);
+                return { reason: 'savings', plans: await buildConsolidationPlans(config, feeRate), feeRate, polls: poll };
+            }
+            logger.info(`${prefix}: waiting, ${summary}, below ${settings.savingsRatio}x.`);
+            continue;
+        }
+        logger.info(`${prefix}: waiting${settings.threshold ? `, above the ${settings.threshold.toFixed()} sat/vB threshold` : ' for the deadline'}.`);
+    }
+    return null;
+}
+
+export { watchForCheapFees, watchSettings, DEFAULT_INTERVAL_SECONDS };